@@ -0,0 +1,90 @@
+// Shared by the admin pages: access tokens are short-lived, so when an API call comes
+// back 401 the refresh token from login is traded for a new pair and the call retried.
+(function() {
+    const originalFetch = window.fetch.bind(window);
+    let refreshing = null;
+
+    // One refresh at a time; calls failing together wait for the same new token
+    function refreshTokens() {
+        if (!refreshing) {
+            refreshing = (async () => {
+                const refreshToken = localStorage.getItem('adminRefreshToken');
+                if (!refreshToken) return null;
+
+                const response = await originalFetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json();
+
+                if (!result.success) {
+                    localStorage.removeItem('adminToken');
+                    localStorage.removeItem('adminRefreshToken');
+                    return null;
+                }
+
+                localStorage.setItem('adminToken', result.token);
+                localStorage.setItem('adminRefreshToken', result.refreshToken);
+                return result.token;
+            })().finally(() => {
+                refreshing = null;
+            });
+        }
+        return refreshing;
+    }
+
+    function getAuthorization(headers) {
+        if (!headers) return null;
+        if (headers instanceof Headers) return headers.get('Authorization');
+        return headers['Authorization'] || headers['authorization'] || null;
+    }
+
+    function withToken(headers, token) {
+        if (headers instanceof Headers) {
+            const copy = new Headers(headers);
+            copy.set('Authorization', `Bearer ${token}`);
+            return copy;
+        }
+        const copy = { ...headers };
+        delete copy['authorization'];
+        copy['Authorization'] = `Bearer ${token}`;
+        return copy;
+    }
+
+    window.fetch = async function(input, init = {}) {
+        const response = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : input.url;
+
+        if (response.status !== 401 || !url.includes('/api/') || url.includes('/api/auth/') || !getAuthorization(init.headers)) {
+            return response;
+        }
+
+        const token = await refreshTokens().catch(() => null);
+        if (!token) {
+            window.location.href = '/admin-login.html';
+            return response;
+        }
+        return originalFetch(input, { ...init, headers: withToken(init.headers, token) });
+    };
+
+    // Revoke the session on the server, then forget it here
+    window.adminLogout = function() {
+        const token = localStorage.getItem('adminToken');
+        if (token) {
+            originalFetch('/api/auth/logout', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                },
+                keepalive: true
+            }).catch(() => {});
+        }
+        localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminRefreshToken');
+        localStorage.removeItem('adminUser');
+        window.location.href = '/admin-login.html';
+    };
+})();
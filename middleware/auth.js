@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const rateLimitStore = require('../utils/rateLimitStore');
 
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -17,8 +21,17 @@ const authenticateToken = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
         
-        // Get user from database
-        const user = await User.findById(decoded.userId).select('-password');
+        // Access tokens belong to a session, which logout or an admin can revoke
+        const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+        if (!session || !session.isActive || !session.user.equals(decoded.userId)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired - please log in again'
+            });
+        }
+        
+        // Get user from database, with the role that decides their permissions
+        const user = await User.findById(decoded.userId).select('-password').populate('roleDefinition');
         
         if (!user) {
             return res.status(401).json({
@@ -34,8 +47,9 @@ const authenticateToken = async (req, res, next) => {
             });
         }
         
-        // Add user to request object
+        // Add user and session to request object
         req.user = user;
+        req.sessionId = session._id;
         next();
         
     } catch (error) {
@@ -61,8 +75,8 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
-// Middleware to check if user has specific permission
-const checkPermission = (permission) => {
+// Middleware to check if user's role allows an action on a resource
+const checkPermission = (resource, action = 'view') => {
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
@@ -71,19 +85,14 @@ const checkPermission = (permission) => {
             });
         }
         
-        // Admin has all permissions
-        if (req.user.role === 'admin') {
-            return next();
-        }
-        
-        // Check specific permission
-        if (req.user.permissions && req.user.permissions[permission]) {
+        // Admin has all permissions; everyone else has what their role allows
+        if (req.user.can(resource, action)) {
             return next();
         }
         
         return res.status(403).json({
             success: false,
-            message: `Permission denied: ${permission} access required`
+            message: `Permission denied: ${action} ${resource} access required`
         });
     };
 };
@@ -130,8 +139,25 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
-// Middleware to check if user can access resource
-const canAccessResource = (resourceType) => {
+// Records whose access follows the role's scope on their resource. Records that belong
+// to orders (`related`) follow the scope on orders through the order they belong to.
+const SCOPED_RESOURCES = {
+    customer: { resource: 'customers', model: () => require('../models/Customer') },
+    order: { resource: 'orders', model: () => require('../models/Order') },
+    quotation: { resource: 'orders', model: () => require('../models/Quotation') },
+    inquiry: { resource: 'inquiries', model: () => require('../models/Inquiry') },
+    invoice: { resource: 'orders', model: () => require('../models/Invoice'), related: {} },
+    payment: { resource: 'orders', model: () => require('../models/Payment'), related: { orderField: 'allocations.order', customerField: 'customer' } },
+    jobCard: { resource: 'orders', model: () => require('../models/JobCard'), related: {} },
+    qualityInspection: { resource: 'orders', model: () => require('../models/QualityInspection'), related: {} },
+    reworkTicket: { resource: 'orders', model: () => require('../models/ReworkTicket'), related: {} }
+};
+
+// Middleware to check if user can access resource: with an own-records-only scope the
+// record must be assigned to (or created by) the user. The record's ID is read from
+// `idField` of the route parameters or the body (e.g. 'order' for a record being created
+// against an order); malformed IDs are left to the route's validation.
+const canAccessResource = (resourceType, idField = 'id') => {
     return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
@@ -140,33 +166,21 @@ const canAccessResource = (resourceType) => {
             });
         }
         
-        // Admin can access everything
-        if (req.user.role === 'admin') {
+        const scoped = SCOPED_RESOURCES[resourceType];
+        const resourceId = req.params[idField] || req.body[idField];
+        if (!scoped || !resourceId || !mongoose.isValidObjectId(resourceId)) {
             return next();
         }
         
-        // Check if user is assigned to the resource
-        const resourceId = req.params.id || req.body.id;
-        if (!resourceId) {
+        // Nothing to check when the role sees every record
+        if (req.user.scopeFor(scoped.resource) === 'all') {
             return next();
         }
         
         try {
-            let resource;
-            
-            switch (resourceType) {
-                case 'customer':
-                    resource = await require('../models/Customer').findById(resourceId);
-                    break;
-                case 'order':
-                    resource = await require('../models/Order').findById(resourceId);
-                    break;
-                case 'inquiry':
-                    resource = await require('../models/Inquiry').findById(resourceId);
-                    break;
-                default:
-                    return next();
-            }
+            const model = scoped.model();
+            const ownerFields = scoped.related ? '_id' : Role.OWNER_FIELDS[scoped.resource].join(' ');
+            const resource = await model.findById(resourceId).select(ownerFields);
             
             if (!resource) {
                 return res.status(404).json({
@@ -175,24 +189,17 @@ const canAccessResource = (resourceType) => {
                 });
             }
             
-            // Check if user is assigned to this resource
-            if (resource.assignedTo && resource.assignedTo.toString() === req.user._id.toString()) {
-                return next();
-            }
-            
-            // Check if user created this resource
-            if (resource.createdBy && resource.createdBy.toString() === req.user._id.toString()) {
-                return next();
-            }
-            
-            // Check permissions
-            if (req.user.permissions && req.user.permissions[resourceType]) {
+            // Check if user is assigned to (or created) this resource, or the order it belongs to
+            const allowed = scoped.related
+                ? await model.exists({ _id: resourceId, ...await require('../models/Order').relatedFilter(req.user, scoped.related) })
+                : req.user.canAccessRecord(scoped.resource, resource);
+            if (allowed) {
                 return next();
             }
             
             return res.status(403).json({
                 success: false,
-                message: `Access denied to ${resourceType}`
+                message: `Access denied: this ${resourceType} is not assigned to you`
             });
             
         } catch (error) {
@@ -216,28 +223,27 @@ const logActivity = (action) => {
     };
 };
 
-// Middleware to rate limit specific actions
+// Middleware to rate limit specific actions, per user (or per IP before login). Counts
+// are kept in the rate limit store, so they hold across restarts and instances.
 const rateLimitAction = (action, maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-    const attempts = new Map();
-    
-    return (req, res, next) => {
-        const key = `${req.user?._id || req.ip}-${action}`;
-        const now = Date.now();
-        const userAttempts = attempts.get(key) || [];
-        
-        // Remove old attempts outside the window
-        const validAttempts = userAttempts.filter(timestamp => now - timestamp < windowMs);
+    return async (req, res, next) => {
+        const key = `${action}:${req.user?._id || req.ip}`;
         
-        if (validAttempts.length >= maxAttempts) {
-            return res.status(429).json({
-                success: false,
-                message: `Too many ${action} attempts. Please try again later.`
-            });
+        try {
+            const { hits, resetAt } = await rateLimitStore.getStore().hit(key, windowMs);
+            
+            if (hits > maxAttempts) {
+                res.set('Retry-After', String(Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1)));
+                return res.status(429).json({
+                    success: false,
+                    message: `Too many ${action} attempts. Please try again later.`
+                });
+            }
+        } catch (error) {
+            // An unavailable store must not lock everyone out
+            console.error('Rate limit store error:', error);
         }
         
-        validAttempts.push(now);
-        attempts.set(key, validAttempts);
-        
         next();
     };
 };
@@ -24,10 +24,27 @@ const upload = multer({
     }
 });
 
-// Process and save images
-const processAndSaveImages = async (files, productId) => {
+// CSV uploads (stocktake counts) are parsed from memory and never stored
+const csvUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed'), false);
+        }
+    },
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB limit
+        files: 1
+    }
+});
+
+// Process and save images under uploads/<folder>/<id> (product images by default,
+// 'inspections' for quality inspection photos)
+const processAndSaveImages = async (files, productId, folder = 'products') => {
     const savedImages = [];
-    const uploadDir = path.join(__dirname, '../uploads/products', productId);
+    const uploadDir = path.join(__dirname, '../uploads', folder, String(productId));
     
     // Create directory if it doesn't exist
     await fs.mkdir(uploadDir, { recursive: true });
@@ -76,8 +93,8 @@ const processAndSaveImages = async (files, productId) => {
                 mimetype: 'image/webp',
                 size: processedImage.length,
                 isPrimary: isPrimary,
-                url: `/uploads/products/${productId}/${filename}`,
-                thumbnailUrl: `/uploads/products/${productId}/${thumbnailFilename}`
+                url: `/uploads/${folder}/${productId}/${filename}`,
+                thumbnailUrl: `/uploads/${folder}/${productId}/${thumbnailFilename}`
             });
             
         } catch (error) {
@@ -144,6 +161,7 @@ const updatePrimaryImage = async (productId, filename) => {
 
 module.exports = {
     upload,
+    csvUpload,
     processAndSaveImages,
     deleteProductImages,
     deleteImage,
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Materials one piece of a product takes. Fabric consumption varies by size, so a line
+// can give a quantity per size; sizes not listed use the line's base quantity.
+const bomLineSchema = new mongoose.Schema({
+    material: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RawMaterial',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    sizeQuantities: [{
+        _id: false,
+        size: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    }],
+    // Extra allowed for cutting waste, as a percentage of the quantity
+    wastagePercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    notes: String
+});
+
+// Method to get the quantity of the material one piece in `size` takes, with wastage
+bomLineSchema.methods.quantityFor = function(size) {
+    const bySize = size ? this.sizeQuantities.find(row => row.size === String(size).trim()) : null;
+    const base = bySize ? bySize.quantity : this.quantity;
+    return base * (1 + (this.wastagePercent || 0) / 100);
+};
+
+const billOfMaterialsSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        unique: true
+    },
+    lines: [bomLineSchema],
+    notes: String,
+
+    // Metadata
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Method to total the materials `quantity` pieces in `size` take, keyed by material ID
+billOfMaterialsSchema.methods.requirementsFor = function(quantity, size = null, totals = new Map()) {
+    for (const line of this.lines) {
+        const key = String(line.material._id || line.material);
+        totals.set(key, (totals.get(key) || 0) + line.quantityFor(size) * quantity);
+    }
+    return totals;
+};
+
+module.exports = mongoose.model('BillOfMaterials', billOfMaterialsSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers (invoices, credit notes, ...)
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to take the next number of a sequence. Call it inside the transaction
+// that saves the numbered document: an aborted save rolls the increment back too,
+// so the sequence never has gaps.
+counterSchema.statics.next = async function(name, session = null) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
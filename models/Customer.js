@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { GSTIN_PATTERN } = require('../services/taxService');
+const { AppError } = require('../utils/errors');
 
 const customerSchema = new mongoose.Schema({
     // Basic Information
@@ -74,10 +76,22 @@ const customerSchema = new mongoose.Schema({
     },
     
     // Financial Information
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [GSTIN_PATTERN, 'Please enter a valid GSTIN']
+    },
     creditLimit: {
         type: Number,
         default: 0
     },
+    // Overpayments held on account; maintained by the payment ledger
+    creditBalance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     paymentTerms: {
         type: String,
         enum: ['immediate', '7-days', '15-days', '30-days', '45-days', '60-days'],
@@ -185,12 +199,33 @@ customerSchema.methods.addCommunication = function(commData) {
     return this.save();
 };
 
-// Method to update statistics
-customerSchema.methods.updateStats = function(orderAmount) {
-    this.totalOrders += 1;
-    this.totalRevenue += orderAmount;
-    this.lastOrderDate = new Date();
-    return this.save();
+// Method to update statistics (atomic, so concurrent orders do not overwrite each other)
+customerSchema.methods.updateStats = function(orderAmount, session = null) {
+    return this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $inc: { totalOrders: 1, totalRevenue: orderAmount },
+            $set: { lastOrderDate: new Date() }
+        },
+        { session }
+    );
+};
+
+// Static method to add to (positive) or draw from (negative) the credit balance.
+// Drawing is conditional so the balance can never go below zero.
+customerSchema.statics.adjustCreditBalance = async function(customerId, amount, session = null) {
+    const filter = { _id: customerId };
+    if (amount < 0) {
+        filter.creditBalance = { $gte: -amount };
+    }
+
+    const result = await this.updateOne(filter, { $inc: { creditBalance: amount } }, { session });
+    if (result.modifiedCount !== 1) {
+        throw new AppError('Customer does not have enough credit balance', 409, 'INSUFFICIENT_CREDIT_BALANCE', {
+            customer: customerId,
+            requested: -amount
+        });
+    }
 };
 
 // Static method to find by business type
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { AppError } = require('../utils/errors');
+const { getFinancialYear } = require('../utils/financialYear');
+
+// GST amounts for one line, one rate bucket or the shipping charge
+const taxAmountFields = {
+    taxableValue: { type: Number, default: 0 },
+    rate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 }
+};
+
+const addressFields = {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String,
+    country: String
+};
+
+// Number prefixes per document series
+const NUMBER_PREFIXES = {
+    invoice: 'UP',
+    'credit-note': 'UP/CN'
+};
+
+// Fields frozen once the document is issued; corrections go through a credit note
+const IMMUTABLE_PATHS = [
+    'invoiceNumber', 'type', 'financialYear', 'sequence', 'issueDate', 'paymentTerms', 'dueDate',
+    'order', 'orderNumber', 'originalInvoice', 'originalInvoiceNumber',
+    'seller', 'buyer', 'placeOfSupply', 'placeOfSupplyCode', 'supplyType',
+    'lines', 'shipping', 'byRate', 'totals', 'reason', 'reasonType'
+];
+
+const invoiceLineSchema = new mongoose.Schema({
+    // _id of the order line (invoice) or the invoice line (credit note) this line copies
+    sourceLine: mongoose.Schema.Types.ObjectId,
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    productName: String,
+    productCode: String,
+    sku: String,
+    hsnCode: String,
+    description: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amount: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    ...taxAmountFields,
+    lineTotal: { type: Number, default: 0 }
+});
+
+const invoiceSchema = new mongoose.Schema({
+    // Document Information
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['invoice', 'credit-note'],
+        default: 'invoice'
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['issued', 'partially-credited', 'credited'],
+        default: 'issued'
+    },
+    issueDate: {
+        type: Date,
+        default: Date.now
+    },
+    // Invoices only; the order's due date is set from these when it is invoiced
+    paymentTerms: String,
+    dueDate: Date,
+
+    // Source documents
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    originalInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+    originalInvoiceNumber: String,
+    reasonType: {
+        type: String,
+        enum: ['return', 'cancellation', 'adjustment']
+    },
+    reason: String,
+
+    // Parties, as they were when the document was issued
+    seller: {
+        name: String,
+        address: String,
+        state: String,
+        stateCode: String,
+        gstin: String,
+        phone: String,
+        email: String
+    },
+    buyer: {
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer'
+        },
+        name: String,
+        company: String,
+        email: String,
+        phone: String,
+        gstin: String,
+        billingAddress: addressFields,
+        shippingAddress: addressFields
+    },
+
+    // GST
+    placeOfSupply: String,
+    placeOfSupplyCode: String,
+    supplyType: {
+        type: String,
+        enum: ['intra-state', 'inter-state']
+    },
+
+    // Line snapshots
+    lines: [invoiceLineSchema],
+    shipping: {
+        amount: { type: Number, default: 0 },
+        ...taxAmountFields
+    },
+    byRate: [new mongoose.Schema(taxAmountFields, { _id: false })],
+    totals: {
+        subtotal: { type: Number, default: 0 },
+        discount: { type: Number, default: 0 },
+        shippingCost: { type: Number, default: 0 },
+        taxableValue: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        totalTax: { type: Number, default: 0 },
+        grandTotal: { type: Number, default: 0 }
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Running total of credit notes raised against an invoice
+    creditedAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // Metadata
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for the amount still standing on an invoice after credit notes
+invoiceSchema.virtual('netAmount').get(function() {
+    const grandTotal = this.totals ? this.totals.grandTotal : 0;
+    return Math.round((grandTotal - (this.creditedAmount || 0)) * 100) / 100;
+});
+
+const immutableError = () => new AppError(
+    'Issued invoices and credit notes cannot be changed; raise a credit note instead',
+    409,
+    'INVOICE_IMMUTABLE'
+);
+
+// Reject edits to issued documents made through a loaded document...
+invoiceSchema.pre('save', function(next) {
+    if (!this.isNew && IMMUTABLE_PATHS.some(path => this.isModified(path))) {
+        return next(immutableError());
+    }
+    next();
+});
+
+// ...and through query updates
+const touchesImmutablePath = (update = {}) => {
+    const paths = Object.keys(update).flatMap(key => (
+        key.startsWith('$') ? Object.keys(update[key] || {}) : [key]
+    ));
+    return paths.some(path => IMMUTABLE_PATHS.includes(path.split('.')[0]));
+};
+
+invoiceSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+    const update = this.getUpdate();
+    if (Array.isArray(update) || touchesImmutablePath(update)) {
+        return next(immutableError());
+    }
+    next();
+});
+
+invoiceSchema.pre(['replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+    next(immutableError());
+});
+
+// Static method to get the Indian financial year (April to March) of a date, e.g. "2026-27"
+invoiceSchema.statics.getFinancialYear = function(date = new Date()) {
+    return getFinancialYear(date);
+};
+
+// Static method to allocate the next number in a series. Must run inside the
+// transaction that saves the document so numbers stay gap-free.
+invoiceSchema.statics.allocateNumber = async function(type, date = new Date(), session = null) {
+    const financialYear = this.getFinancialYear(date);
+    const sequence = await Counter.next(`${type}:${financialYear}`, session);
+
+    return {
+        financialYear,
+        sequence,
+        invoiceNumber: `${NUMBER_PREFIXES[type]}/${financialYear}/${String(sequence).padStart(4, '0')}`
+    };
+};
+
+// Static method to find the invoice of an order that has not been fully credited
+invoiceSchema.statics.findActiveForOrder = function(orderId, session = null) {
+    return this.findOne({
+        order: orderId,
+        type: 'invoice',
+        status: { $ne: 'credited' }
+    }).session(session);
+};
+
+// Static method to find credit notes raised against an invoice
+invoiceSchema.statics.findCreditNotes = function(invoiceId, session = null) {
+    return this.find({ originalInvoice: invoiceId, type: 'credit-note' })
+        .sort({ issueDate: 1 })
+        .session(session);
+};
+
+// Static method to add a credit note's total to an invoice and re-derive its status,
+// in one update so concurrent credit notes and retried transactions never double-count.
+// Resolves to the updated invoice.
+invoiceSchema.statics.addCredit = function(invoiceId, amount, session = null) {
+    const update = [
+        { $set: { creditedAmount: { $round: [{ $add: [{ $ifNull: ['$creditedAmount', 0] }, amount] }, 2] } } },
+        { $set: { status: { $cond: [{ $gte: ['$creditedAmount', '$totals.grandTotal'] }, 'credited', 'partially-credited'] } } }
+    ];
+    return this.findOneAndUpdate({ _id: invoiceId }, update, { new: true, session });
+};
+
+// Indexes for better performance
+invoiceSchema.index({ order: 1 });
+invoiceSchema.index({ originalInvoice: 1 });
+invoiceSchema.index({ 'buyer.customer': 1 });
+invoiceSchema.index({ type: 1, financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ issueDate: -1 });
+
+// Ensure virtual fields are serialized
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
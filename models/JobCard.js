@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+// Production stages in the order the work flows, with the days each is planned to take
+const STAGES = [
+    { name: 'cutting', days: 1 },
+    { name: 'stitching', days: 3 },
+    { name: 'embroidery-printing', days: 2 },
+    { name: 'finishing', days: 1 },
+    { name: 'packing', days: 1 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One stage of a job card. Each stage can only finish pieces the stage before it has
+// finished; it completes when every piece on the card is through it.
+const jobCardStageSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: STAGES.map(stage => stage.name),
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'in-progress', 'completed', 'skipped'],
+        default: 'pending'
+    },
+    // Tailor or supervisor responsible, and/or the unit doing the work (in-house or job worker)
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedUnit: String,
+    quantityCompleted: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    expectedStartDate: Date,
+    expectedEndDate: Date,
+    actualStartDate: Date,
+    actualEndDate: Date,
+    // Each batch of pieces reported through the stage
+    updates: [{
+        quantity: Number,
+        notes: String,
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        recordedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    notes: String
+}, {
+    _id: false
+});
+
+// Virtual for a stage running past its expected end date
+jobCardStageSchema.virtual('isDelayed').get(function() {
+    if (!this.expectedEndDate || this.status === 'skipped') return false;
+    return (this.actualEndDate || new Date()) > this.expectedEndDate;
+});
+
+jobCardStageSchema.set('toJSON', { virtuals: true });
+jobCardStageSchema.set('toObject', { virtuals: true });
+
+// Production of one order line, through cutting to packing
+const jobCardSchema = new mongoose.Schema({
+    jobCardNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'in-progress', 'completed', 'cancelled'],
+        default: 'pending'
+    },
+
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    productName: String,
+    productCode: String,
+    sku: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Size run copied from the order line for the cutting room
+    sizeBreakdown: [{
+        _id: false,
+        size: String,
+        quantity: Number
+    }],
+    customization: String,
+
+    stages: [jobCardStageSchema],
+
+    completedAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    // Two people reporting the same stage at once must not both be counted
+    optimisticConcurrency: true
+});
+
+// Virtual for the stage the card is at: the first one not yet completed or skipped
+jobCardSchema.virtual('currentStage').get(function() {
+    const stage = (this.stages || []).find(item => !['completed', 'skipped'].includes(item.status));
+    return stage ? stage.name : null;
+});
+
+// Virtual for the share of the work done, counting each stage equally
+jobCardSchema.virtual('progress').get(function() {
+    const stages = (this.stages || []).filter(stage => stage.status !== 'skipped');
+    if (stages.length === 0 || !this.quantity) return 0;
+    const done = stages.reduce((sum, stage) => sum + Math.min(stage.quantityCompleted, this.quantity) / this.quantity, 0);
+    return Math.round((done / stages.length) * 100);
+});
+
+// Method to find a stage by name
+jobCardSchema.methods.getStage = function(name) {
+    return this.stages.find(stage => stage.name === name);
+};
+
+// Method to find the stage before `name` that work flows from, skipping skipped stages
+jobCardSchema.methods.getPreviousStage = function(name) {
+    const index = this.stages.findIndex(stage => stage.name === name);
+    return this.stages.slice(0, index).reverse().find(stage => stage.status !== 'skipped') || null;
+};
+
+// Method to send `quantity` pieces back through `stageName` and every stage after it,
+// for rework. The stage before keeps its count, so the pieces are ready to redo.
+jobCardSchema.methods.reopenFrom = function(stageName, quantity, { userId = null, notes } = {}) {
+    const index = this.stages.findIndex(stage => stage.name === stageName);
+    const now = new Date();
+
+    this.stages.slice(index).forEach(stage => {
+        if (stage.status === 'skipped') return;
+        const removed = Math.min(quantity, stage.quantityCompleted);
+        stage.quantityCompleted -= removed;
+        stage.status = stage.quantityCompleted > 0 ? 'in-progress' : 'pending';
+        stage.actualEndDate = undefined;
+        if (removed > 0) {
+            stage.updates.push({ quantity: -removed, notes, recordedBy: userId, recordedAt: now });
+        }
+    });
+
+    this.status = 'in-progress';
+    this.completedAt = undefined;
+    return this;
+};
+
+// Method to plan expected dates for the stages still to run, back to back from `from`
+jobCardSchema.methods.planStages = function(from = new Date()) {
+    let cursor = new Date(from);
+    for (const stage of this.stages) {
+        if (['completed', 'skipped'].includes(stage.status)) continue;
+        const plan = STAGES.find(item => item.name === stage.name);
+        stage.expectedStartDate = new Date(cursor);
+        cursor = new Date(cursor.getTime() + plan.days * DAY_MS);
+        stage.expectedEndDate = new Date(cursor);
+    }
+    return this;
+};
+
+// Static method to allocate the next job card number
+jobCardSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`job-card:${financialYear}`, session);
+    return `UP/JC/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Static method to open a job card for every line of an order that has none. Lines
+// without a logo or text skip embroidery/printing.
+jobCardSchema.statics.createForOrder = async function(order, { userId = null, session = null } = {}) {
+    const existing = await this.find({ order: order._id, status: { $ne: 'cancelled' } }).select('orderItem').session(session);
+    const covered = new Set(existing.map(card => String(card.orderItem)));
+    const start = order.productionStartDate || new Date();
+
+    const cards = [];
+    for (const item of order.items) {
+        if (covered.has(String(item._id))) continue;
+
+        const customization = item.customization && (item.customization.logo || item.customization.text)
+            ? [item.customization.logo && 'logo', item.customization.text && `"${item.customization.text}"`].filter(Boolean).join(' + ')
+            : undefined;
+
+        const card = new this({
+            jobCardNumber: await this.allocateNumber(start, session),
+            order: order._id,
+            orderNumber: order.orderNumber,
+            orderItem: item._id,
+            product: item.product,
+            productName: item.productName,
+            productCode: item.productCode,
+            sku: item.sku,
+            quantity: item.quantity,
+            sizeBreakdown: (item.sizeBreakdown || []).map(row => ({ size: row.size, quantity: row.quantity })),
+            customization,
+            stages: STAGES.map(stage => ({
+                name: stage.name,
+                status: stage.name === 'embroidery-printing' && !customization ? 'skipped' : 'pending'
+            })),
+            createdBy: userId
+        });
+        card.planStages(start);
+        await card.save({ session });
+        cards.push(card);
+    }
+    return cards;
+};
+
+jobCardSchema.statics.STAGES = STAGES;
+
+// Indexes for better performance
+jobCardSchema.index({ order: 1, orderItem: 1 });
+jobCardSchema.index({ status: 1, createdAt: -1 });
+jobCardSchema.index({ 'stages.assignedTo': 1, status: 1 });
+
+jobCardSchema.set('toJSON', { virtuals: true });
+jobCardSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('JobCard', jobCardSchema);
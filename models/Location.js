@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+const locationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    type: {
+        type: String,
+        enum: ['shop', 'warehouse', 'workshop'],
+        required: true
+    },
+    address: {
+        street: String,
+        city: String,
+        state: String,
+        pincode: String
+    },
+    // Where stock goes when no location is named (opening stock, receipts, sales)
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: String,
+
+    // Metadata
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to find the default location; null until locations are set up
+locationSchema.statics.getDefault = function(session = null) {
+    return this.findOne({ isDefault: true }).session(session);
+};
+
+// Static method to resolve the location a stock change applies to: the given one,
+// which must exist and be active, or the default. Resolves to null when no locations
+// have been set up, in which case stock is only tracked per product.
+locationSchema.statics.resolve = async function(locationId = null, session = null) {
+    if (!locationId) {
+        return this.getDefault(session);
+    }
+
+    const location = await this.findById(locationId).session(session);
+    if (!location) {
+        throw new AppError(`Location ${locationId} not found`, 404, 'LOCATION_NOT_FOUND');
+    }
+    if (!location.isActive) {
+        throw new AppError(`Location ${location.name} is inactive`, 400, 'LOCATION_INACTIVE');
+    }
+    return location;
+};
+
+// Only one default location
+locationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+module.exports = mongoose.model('Location', locationSchema);
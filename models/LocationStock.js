@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+// Stock on hand of one product (or variant) at one location. The product's
+// stockQuantity is the sum over its locations plus anything in transit between them.
+const locationStockSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to add stock to (positive `change`) or take it from (negative) a
+// location. Taking out more than the location holds fails, so a location never goes
+// negative. Resolves to the updated record.
+locationStockSchema.statics.adjust = async function({ product, variant = null, location, change }, session = null) {
+    const key = { product, variant: variant || null, location };
+
+    if (change >= 0) {
+        return this.findOneAndUpdate(key, { $inc: { quantity: change } }, { new: true, upsert: true, session });
+    }
+
+    const updated = await this.findOneAndUpdate(
+        { ...key, quantity: { $gte: -change } },
+        { $inc: { quantity: change } },
+        { new: true, session }
+    );
+    if (updated) return updated;
+
+    const current = await this.findOne(key).session(session);
+    throw new AppError(
+        `Only ${current ? current.quantity : 0} in stock at this location; ${-change} requested`,
+        409,
+        'INSUFFICIENT_LOCATION_STOCK',
+        { product, variant, location, available: current ? current.quantity : 0, requested: -change }
+    );
+};
+
+// Static method to total stock per location, optionally for some products only
+locationStockSchema.statics.getTotalsByLocation = function(match = {}) {
+    return this.aggregate([
+        { $match: { ...match, quantity: { $gt: 0 } } },
+        {
+            $lookup: {
+                from: 'products',
+                localField: 'product',
+                foreignField: '_id',
+                as: 'productDoc'
+            }
+        },
+        { $unwind: '$productDoc' },
+        {
+            $group: {
+                _id: '$location',
+                products: { $addToSet: '$product' },
+                units: { $sum: '$quantity' },
+                value: { $sum: { $multiply: ['$quantity', { $ifNull: ['$productDoc.costPrice', 0] }] } }
+            }
+        },
+        {
+            $lookup: {
+                from: 'locations',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'location'
+            }
+        },
+        { $unwind: '$location' },
+        {
+            $project: {
+                _id: 0,
+                location: { _id: '$location._id', name: '$location.name', code: '$location.code', type: '$location.type' },
+                products: { $size: '$products' },
+                units: 1,
+                value: { $round: ['$value', 2] }
+            }
+        },
+        { $sort: { 'location.code': 1 } }
+    ]);
+};
+
+locationStockSchema.index({ product: 1, variant: 1, location: 1 }, { unique: true });
+locationStockSchema.index({ location: 1, quantity: 1 });
+
+module.exports = mongoose.model('LocationStock', locationStockSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failed logins for one account or one IP address. Failures within the window add up;
+// enough of them lock the account (or block the IP) until `lockedUntil`.
+const loginThrottleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['account', 'ip'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    username: String,
+    ip: String,
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: Date,
+    lockedAt: Date,
+    lockedUntil: Date,
+    // Kept a day past the last failure or lock, then removed by MongoDB
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for a lock still in force
+loginThrottleSchema.virtual('isLocked').get(function() {
+    return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Static method to build the key of an account or IP
+loginThrottleSchema.statics.keyFor = function(kind, value) {
+    return `${kind}:${value}`;
+};
+
+// Static method to count a failure, starting over when the last one is older than the
+// window. A single pipeline update, so concurrent failures are all counted.
+loginThrottleSchema.statics.recordFailure = function(kind, value, { windowMs, user, username, ip } = {}) {
+    const now = new Date();
+    const recent = { $gt: ['$lastFailureAt', new Date(now.getTime() - windowMs)] };
+    return this.findOneAndUpdate(
+        { key: this.keyFor(kind, value) },
+        [{
+            $set: {
+                kind,
+                ...(user ? { user } : {}),
+                // Typed by the user: $literal stops a leading "$" being read as a field path
+                ...(username ? { username: { $literal: String(username) } } : {}),
+                ...(ip ? { ip: { $literal: ip } } : {}),
+                failures: { $cond: [recent, { $add: ['$failures', 1] }, 1] },
+                lastFailureAt: now,
+                expiresAt: { $max: ['$lockedUntil', new Date(now.getTime() + DAY_MS)] }
+            }
+        }],
+        { new: true, upsert: true }
+    );
+};
+
+// Static method to lock an account or block an IP for `durationMs`
+loginThrottleSchema.statics.lock = function(throttle, durationMs) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + durationMs);
+    return this.findByIdAndUpdate(
+        throttle._id,
+        { $set: { lockedAt: now, lockedUntil, expiresAt: new Date(lockedUntil.getTime() + DAY_MS) } },
+        { new: true }
+    );
+};
+
+// Indexes for better performance; stale entries are removed by MongoDB
+loginThrottleSchema.index({ kind: 1, lockedUntil: -1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.set('toJSON', { virtuals: true });
+loginThrottleSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
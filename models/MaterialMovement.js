@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+// Why raw material stock moved. `quantity` is the change in stock on hand:
+//   receipt      material bought in
+//   consumption  material issued to production for an order
+//   return       unused material coming back from production
+//   adjustment   manual correction
+//   write-off    damaged, lost or wasted material
+const MOVEMENT_TYPES = ['receipt', 'consumption', 'return', 'adjustment', 'write-off'];
+
+const materialMovementSchema = new mongoose.Schema({
+    material: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RawMaterial',
+        required: true
+    },
+    materialCode: String,
+
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true
+    },
+    // Stock on hand right after the movement
+    stockAfter: Number,
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Document that caused the movement, e.g. { kind: 'Order', number: 'ORD-...' }
+    reference: {
+        kind: String,
+        documentId: mongoose.Schema.Types.ObjectId,
+        number: String
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Movement types, for request validation
+materialMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+const immutableError = () => new AppError(
+    'Material movements cannot be changed; record a correcting movement instead',
+    409,
+    'MATERIAL_MOVEMENT_IMMUTABLE'
+);
+
+// The ledger is append-only
+materialMovementSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(immutableError());
+    }
+    next();
+});
+
+materialMovementSchema.pre([
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+], function(next) {
+    next(immutableError());
+});
+
+// Static method to append movements to the ledger inside the caller's transaction
+materialMovementSchema.statics.record = function(movements, session = null) {
+    const entries = Array.isArray(movements) ? movements : [movements];
+    return this.insertMany(entries, { session });
+};
+
+// Indexes for better performance
+materialMovementSchema.index({ material: 1, createdAt: -1 });
+materialMovementSchema.index({ type: 1, createdAt: -1 });
+materialMovementSchema.index({ 'reference.documentId': 1 });
+
+module.exports = mongoose.model('MaterialMovement', materialMovementSchema);
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const taxService = require('../services/taxService');
+const Counter = require('./Counter');
+
+// GST amounts for one line, or one rate bucket of the order
+const taxAmountFields = {
+    taxableValue: { type: Number, default: 0 },
+    rate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 }
+};
 
 const orderSchema = new mongoose.Schema({
     // Order Information
@@ -17,7 +29,12 @@ const orderSchema = new mongoose.Schema({
         enum: ['draft', 'pending', 'confirmed', 'in-production', 'ready', 'delivered', 'cancelled'],
         default: 'draft'
     },
-    
+    // Accepted quotation this order was converted from
+    quotation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quotation'
+    },
+
     // Customer Information
     customer: {
         type: mongoose.Schema.Types.ObjectId,
@@ -28,6 +45,7 @@ const orderSchema = new mongoose.Schema({
     customerEmail: String,
     customerPhone: String,
     customerCompany: String,
+    customerGstin: String,
     
     // Order Details
     items: [{
@@ -38,6 +56,11 @@ const orderSchema = new mongoose.Schema({
         },
         productName: String,
         productCode: String,
+        // Color × size variant the line is for, on products that keep stock per variant
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        color: String,
+        size: String,
         quantity: {
             type: Number,
             required: true,
@@ -53,6 +76,68 @@ const orderSchema = new mongoose.Schema({
             required: true,
             min: 0
         },
+        reservedQuantity: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Size run for institutional orders (80 × 28, 120 × 30, ...); the line
+        // quantity is the sum of the rows
+        sizeBreakdown: [{
+            size: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            quantity: {
+                type: Number,
+                required: true,
+                min: 1
+            },
+            // Variant the size draws stock from, on products with variants
+            variant: mongoose.Schema.Types.ObjectId,
+            sku: String,
+            unitPrice: Number,
+            reservedQuantity: {
+                type: Number,
+                default: 0,
+                min: 0
+            },
+            // Names to label the pieces with, e.g. one per student
+            names: [{
+                type: String,
+                trim: true
+            }]
+        }],
+        pricing: {
+            basePrice: Number,
+            specialPrice: Number,
+            bulkTier: {
+                minQuantity: Number,
+                maxQuantity: Number
+            },
+            catalogUnitPrice: Number,
+            variantPriceDelta: { type: Number, default: 0 },
+            customizationCost: { type: Number, default: 0 },
+            listUnitPrice: Number,
+            source: {
+                type: String,
+                enum: ['base', 'special', 'bulk', 'override']
+            },
+            override: {
+                unitPrice: Number,
+                reason: String,
+                approvedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                approvedAt: Date
+            }
+        },
+        tax: {
+            hsnCode: String,
+            ...taxAmountFields
+        },
         customization: {
             text: String,
             logo: String,
@@ -73,10 +158,27 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    taxBreakdown: {
+        supplyType: {
+            type: String,
+            enum: ['intra-state', 'inter-state']
+        },
+        sellerState: String,
+        placeOfSupply: String,
+        placeOfSupplyCode: String,
+        taxableValue: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        totalTax: { type: Number, default: 0 },
+        shippingTax: { type: Number, default: 0 },
+        byRate: [new mongoose.Schema(taxAmountFields, { _id: false })]
+    },
     discount: {
         type: Number,
         default: 0
     },
+    discountReason: String,
     shippingCost: {
         type: Number,
         default: 0
@@ -99,9 +201,16 @@ const orderSchema = new mongoose.Schema({
         pincode: String,
         country: { type: String, default: 'India' }
     },
+    // State the goods are supplied to; decides CGST + SGST versus IGST
+    placeOfSupply: String,
     deliveryInstructions: String,
     preferredDeliveryDate: Date,
     actualDeliveryDate: Date,
+    // Location the goods are picked from on delivery; the default location if not set
+    fulfilmentLocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
     
     // Production and Timeline
     orderDate: {
@@ -128,11 +237,38 @@ const orderSchema = new mongoose.Schema({
         enum: ['immediate', '7-days', '15-days', '30-days', '45-days', '60-days'],
         default: 'immediate'
     },
+    // Set from paymentTerms when the order is invoiced, or delivered if not yet invoiced
     dueDate: Date,
+    // Derived from the payment ledger (see services/paymentService.js)
     paidAmount: {
         type: Number,
         default: 0
     },
+    paymentReminders: {
+        count: {
+            type: Number,
+            default: 0
+        },
+        lastSentAt: Date
+    },
+    // Outcome of the last credit limit check (see services/creditService.js)
+    creditCheck: {
+        status: {
+            type: String,
+            enum: ['not-required', 'within-limit', 'approval-required', 'approved']
+        },
+        creditLimit: Number,
+        exposure: Number,
+        orderAmount: Number,
+        checkedAt: Date,
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        approvedAt: Date,
+        approvedAmount: Number,
+        approvalNotes: String
+    },
     
     // Business Logic
     priority: {
@@ -163,6 +299,7 @@ const orderSchema = new mongoose.Schema({
     // Follow-up and Status Updates
     statusHistory: [{
         status: String,
+        previousStatus: String,
         changedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -174,7 +311,8 @@ const orderSchema = new mongoose.Schema({
         notes: String
     }],
     
-    // Quality and Inspection
+    // Quality and Inspection: summary of the order's QC inspections, kept by
+    // services/qualityService.js
     qualityCheck: {
         isCompleted: { type: Boolean, default: false },
         checkedBy: {
@@ -219,6 +357,36 @@ orderSchema.virtual('deliveryStatus').get(function() {
     return 'pending';
 });
 
+// Virtual for the price breakdown shown on quotes and orders
+orderSchema.virtual('priceBreakdown').get(function() {
+    const items = this.items || [];
+    const listTotal = items.reduce((sum, item) => {
+        const listUnitPrice = item.pricing && item.pricing.listUnitPrice != null ? item.pricing.listUnitPrice : item.unitPrice;
+        return sum + listUnitPrice * item.quantity;
+    }, 0);
+
+    return {
+        lines: items.map(item => ({
+            productCode: item.productCode,
+            sku: item.sku,
+            quantity: item.quantity,
+            catalogUnitPrice: item.pricing ? item.pricing.catalogUnitPrice : undefined,
+            variantPriceDelta: item.pricing ? item.pricing.variantPriceDelta : 0,
+            customizationCost: item.pricing ? item.pricing.customizationCost : 0,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            source: item.pricing ? item.pricing.source : undefined
+        })),
+        listTotal: Math.round(listTotal * 100) / 100,
+        overrideAdjustment: Math.round(((this.subtotal || 0) - listTotal) * 100) / 100,
+        subtotal: this.subtotal,
+        discount: this.discount || 0,
+        shippingCost: this.shippingCost || 0,
+        tax: this.tax || 0,
+        totalAmount: this.totalAmount
+    };
+});
+
 // Method to add note
 orderSchema.methods.addNote = function(content, userId, isInternal = false) {
     if (!this.notes) {
@@ -232,83 +400,167 @@ orderSchema.methods.addNote = function(content, userId, isInternal = false) {
     return this.save();
 };
 
-// Method to update status
+// Method to update status (validated against the order lifecycle)
 orderSchema.methods.updateStatus = function(newStatus, userId, notes = '') {
-    this.status = newStatus;
-    if (!this.statusHistory) {
-        this.statusHistory = [];
-    }
-    this.statusHistory.push({
-        status: newStatus,
-        changedBy: userId,
-        notes
-    });
-    
-    // Update relevant dates based on status
-    if (newStatus === 'in-production' && !this.productionStartDate) {
-        this.productionStartDate = new Date();
-    }
-    if (newStatus === 'ready' && !this.actualCompletionDate) {
-        this.actualCompletionDate = new Date();
-    }
-    if (newStatus === 'delivered' && !this.actualDeliveryDate) {
-        this.actualDeliveryDate = new Date();
-    }
-    
-    return this.save();
+    // Required lazily: the state machine depends on other models
+    const orderStateMachine = require('../services/orderStateMachine');
+    return orderStateMachine.transition(this, newStatus, { userId, notes });
 };
 
-// Method to calculate totals
-orderSchema.methods.calculateTotals = function() {
+// Method to recompute subtotal, GST and total from the line items (does not save)
+orderSchema.methods.recalculateTotals = function() {
     if (!this.items || !Array.isArray(this.items)) {
         this.subtotal = 0;
     } else {
         this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
     }
-    this.totalAmount = this.subtotal + (this.tax || 0) + (this.shippingCost || 0) - (this.discount || 0);
-    
-    return this.save();
+    taxService.applyOrderTax(this);
+    const total = this.subtotal + (this.tax || 0) + (this.shippingCost || 0) - (this.discount || 0);
+    this.totalAmount = Math.round(total * 100) / 100;
+    return this;
+};
+
+// Method to calculate totals
+orderSchema.methods.calculateTotals = function(session = null) {
+    this.recalculateTotals();
+    return this.save({ session });
 };
 
 // Method to add item
-orderSchema.methods.addItem = function(itemData) {
+orderSchema.methods.addItem = function(itemData, session = null) {
     if (!this.items) {
         this.items = [];
     }
     const item = {
         ...itemData,
-        totalPrice: itemData.quantity * itemData.unitPrice
+        totalPrice: itemData.totalPrice != null ? itemData.totalPrice : itemData.quantity * itemData.unitPrice
     };
     this.items.push(item);
-    this.calculateTotals();
-    return this.save();
+    return this.calculateTotals(session);
 };
 
-// Method to update payment
-orderSchema.methods.updatePayment = function(amount) {
-    this.paidAmount += amount;
-    if (this.paidAmount >= this.totalAmount) {
-        this.paymentStatus = 'paid';
-    } else if (this.paidAmount > 0) {
-        this.paymentStatus = 'partial';
-    }
-    return this.save();
+// Payment status implied by a paid amount: an outstanding balance past the due date
+// is overdue, whether or not part of it has been paid
+const paymentStatusFor = (order, paidAmount, now = new Date()) => {
+    if (paidAmount > 0 && paidAmount >= order.totalAmount) return 'paid';
+    if (order.dueDate && order.dueDate < now && order.status !== 'cancelled') return 'overdue';
+    if (paidAmount > 0) return 'partial';
+    return 'pending';
 };
 
-// Static method to generate order number
-orderSchema.statics.generateOrderNumber = async function() {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    const count = await this.countDocuments({
-        orderDate: {
-            $gte: new Date(year, date.getMonth(), 1),
-            $lt: new Date(year, date.getMonth() + 1, 1)
+// The same rule as an aggregation expression, for updates evaluated by the database
+const paymentStatusExpr = (paidAmount) => ({
+    $switch: {
+        branches: [
+            { case: { $and: [{ $gt: [paidAmount, 0] }, { $gte: [paidAmount, '$totalAmount'] }] }, then: 'paid' },
+            {
+                case: {
+                    $and: [
+                        { $gt: ['$dueDate', null] },
+                        { $lt: ['$dueDate', '$$NOW'] },
+                        { $ne: ['$status', 'cancelled'] }
+                    ]
+                },
+                then: 'overdue'
+            },
+            { case: { $gt: [paidAmount, 0] }, then: 'partial' }
+        ],
+        default: 'pending'
+    }
+});
+
+// A line with a size run is for exactly the pieces in the run
+orderSchema.pre('validate', function(next) {
+    (this.items || []).forEach((item, index) => {
+        if (!item.sizeBreakdown || item.sizeBreakdown.length === 0) return;
+
+        const runQuantity = item.sizeBreakdown.reduce((sum, row) => sum + row.quantity, 0);
+        if (runQuantity !== item.quantity) {
+            this.invalidate(`items.${index}.quantity`, `Quantity ${item.quantity} does not match the size breakdown total of ${runQuantity}`);
         }
     });
-    
-    return `UP${year}${month}${String(count + 1).padStart(4, '0')}`;
+    next();
+});
+
+// Keep paymentStatus in step when the total or the due date changes after creation
+orderSchema.pre('save', function(next) {
+    if (!this.isNew && (this.isModified('totalAmount') || this.isModified('dueDate'))) {
+        this.paymentStatus = paymentStatusFor(this, this.paidAmount || 0);
+    }
+    next();
+});
+
+// Virtual for the amount still to be collected
+orderSchema.virtual('balanceDue').get(function() {
+    return Math.round(Math.max((this.totalAmount || 0) - (this.paidAmount || 0), 0) * 100) / 100;
+});
+
+// Virtual for the number of days the balance is past its due date
+orderSchema.virtual('daysOverdue').get(function() {
+    if (!this.dueDate || this.paymentStatus !== 'overdue') return 0;
+    return Math.max(Math.ceil((Date.now() - this.dueDate.getTime()) / (24 * 60 * 60 * 1000)), 0);
+});
+
+// Static method to store the paid amount derived from the payment ledger;
+// paymentStatus is computed by the database against the current total
+orderSchema.statics.setPaidAmount = function(orderId, paidAmount, session = null) {
+    const update = [
+        {
+            $set: {
+                paidAmount: { $literal: paidAmount },
+                paymentStatus: paymentStatusExpr({ $literal: paidAmount })
+            }
+        }
+    ];
+
+    return this.findOneAndUpdate({ _id: orderId }, update, { new: true, session });
+};
+
+// Static method to set the payment due date and re-derive paymentStatus against it
+orderSchema.statics.setDueDate = function(orderId, dueDate, session = null) {
+    const update = [
+        { $set: { dueDate: { $literal: dueDate } } },
+        { $set: { paymentStatus: paymentStatusExpr('$paidAmount') } }
+    ];
+
+    return this.findOneAndUpdate({ _id: orderId }, update, { new: true, session });
+};
+
+// Static method to flag every unpaid or part-paid order past its due date as overdue
+orderSchema.statics.markOverdue = function(asOf = new Date()) {
+    return this.updateMany(
+        {
+            paymentStatus: { $in: ['pending', 'partial'] },
+            dueDate: { $lt: asOf },
+            status: { $ne: 'cancelled' }
+        },
+        { $set: { paymentStatus: 'overdue' } }
+    );
+};
+
+// Static method to find orders with a balance past its due date
+orderSchema.statics.findPaymentOverdue = function() {
+    return this.find({ paymentStatus: 'overdue', status: { $ne: 'cancelled' } });
+};
+
+// Static method to take the next order number of the month (UPyyyymm0001, ...).
+// Call it inside the transaction that saves the order, so concurrent orders never
+// share a number and an aborted save gives its number back.
+orderSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const prefix = `UP${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const name = `order:${prefix}`;
+    let sequence = await Counter.next(name, session);
+
+    // Orders numbered before the sequence existed: carry on after them
+    if (sequence === 1) {
+        const existing = await this.countDocuments({ orderNumber: { $regex: `^${prefix}` } }).session(session);
+        if (existing > 0) {
+            sequence = existing + 1;
+            await Counter.updateOne({ _id: name }, { $max: { seq: sequence } }, { session });
+        }
+    }
+
+    return `${prefix}${String(sequence).padStart(4, '0')}`;
 };
 
 // Static method to find pending orders
@@ -333,9 +585,10 @@ orderSchema.statics.findByCustomer = function(customerId) {
     return this.find({ customer: customerId }).sort({ orderDate: -1 });
 };
 
-// Static method to get order statistics
-orderSchema.statics.getStats = async function() {
+// Static method to get order statistics, optionally over the orders matching a filter
+orderSchema.statics.getStats = async function(match = {}) {
     const stats = await this.aggregate([
+        { $match: match },
         {
             $group: {
                 _id: null,
@@ -349,6 +602,21 @@ orderSchema.statics.getStats = async function() {
     return stats[0] || { totalOrders: 0, totalRevenue: 0, averageOrderValue: 0 };
 };
 
+// Static method to build the filter limiting records that belong to orders (invoices,
+// payments, job cards, ...) to those of orders the user may see. Empty when the user's
+// role sees every order; `customerField` also lets through records of those orders' customers.
+orderSchema.statics.relatedFilter = async function(user, { orderField = 'order', customerField = null } = {}) {
+    if (user.scopeFor('orders') === 'all') return {};
+
+    const orders = await this.find(user.recordFilter('orders')).select('customer').lean();
+    const conditions = [{ [orderField]: { $in: orders.map(order => order._id) } }];
+    if (customerField) {
+        const customers = new Map(orders.map(order => [String(order.customer), order.customer]));
+        conditions.push({ [customerField]: { $in: [...customers.values()] } });
+    }
+    return { $or: conditions };
+};
+
 // Indexes for better performance
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ customer: 1 });
@@ -356,6 +624,7 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ orderDate: -1 });
 orderSchema.index({ expectedCompletionDate: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ dueDate: 1 });
 orderSchema.index({ assignedTo: 1 });
 orderSchema.index({ 'items.product': 1 });
 
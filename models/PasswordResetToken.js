@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long a reset link stays usable
+const TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A password reset link. Only the hash of the token is stored, so a leaked database
+// cannot be used to reset passwords; each token works once and expires after an hour.
+const passwordResetTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date,
+    requestedIp: String
+}, {
+    timestamps: true
+});
+
+// Static method to issue a new reset token for a user, replacing any unused one.
+// Resolves to the raw token, which is only ever sent to the user.
+passwordResetTokenSchema.statics.issue = async function(user, { ip } = {}) {
+    await this.deleteMany({ user: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS),
+        requestedIp: ip
+    });
+    return token;
+};
+
+// Static method to find a usable token without spending it
+passwordResetTokenSchema.statics.findUsable = function(token) {
+    return this.findOne({ tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to spend a token; resolves to null when it is unknown, used or expired
+passwordResetTokenSchema.statics.consume = function(token) {
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// Indexes for better performance; expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ user: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
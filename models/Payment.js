@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const PAYMENT_METHODS = ['cash', 'bank-transfer', 'cheque', 'online', 'credit'];
+
+// Number prefixes per voucher series
+const NUMBER_PREFIXES = {
+    receipt: 'UP/RCPT',
+    refund: 'UP/RFND'
+};
+
+const paymentSchema = new mongoose.Schema({
+    // Voucher Information
+    receiptNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['receipt', 'refund'],
+        default: 'receipt'
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'reversed'],
+        default: 'completed'
+    },
+
+    // Customer Information
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    customerName: String,
+
+    // Payment Details
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    // 'credit' pays from the customer's credit balance
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        required: true
+    },
+    // Cheque number, bank transfer UTR, gateway transaction ID, ...
+    reference: {
+        type: String,
+        trim: true
+    },
+    bankName: {
+        type: String,
+        trim: true
+    },
+    paymentDate: {
+        type: Date,
+        default: Date.now
+    },
+
+    // How the amount is split across orders. Receipts add to each order's paid amount,
+    // refunds take from it.
+    allocations: [{
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+            required: true
+        },
+        orderNumber: String,
+        amount: {
+            type: Number,
+            required: true,
+            min: 0.01
+        }
+    }],
+    // Part not allocated to orders: added to the customer's credit balance on a receipt,
+    // drawn from it on a refund
+    unallocatedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    reason: String,
+    notes: String,
+
+    // Reversal of a mistaken entry; reversed entries stay in the ledger
+    reversal: {
+        reversedAt: Date,
+        reversedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String
+    },
+
+    // Metadata
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Accepted payment methods, for request validation
+paymentSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+// Virtual for the part of the amount allocated to orders
+paymentSchema.virtual('allocatedAmount').get(function() {
+    const total = (this.allocations || []).reduce((sum, allocation) => sum + allocation.amount, 0);
+    return Math.round(total * 100) / 100;
+});
+
+// Static method to allocate the next voucher number. Must run inside the transaction
+// that saves the payment so numbers stay gap-free.
+paymentSchema.statics.allocateNumber = async function(type, date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`${type}:${financialYear}`, session);
+    return `${NUMBER_PREFIXES[type]}/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Static method to total what the ledger says has been paid on an order
+// (completed receipts minus completed refunds)
+paymentSchema.statics.getOrderPaidAmount = async function(orderId, session = null) {
+    const orderObjectId = new mongoose.Types.ObjectId(String(orderId));
+    const [result] = await this.aggregate([
+        { $match: { status: 'completed', 'allocations.order': orderObjectId } },
+        { $unwind: '$allocations' },
+        { $match: { 'allocations.order': orderObjectId } },
+        {
+            $group: {
+                _id: null,
+                paid: {
+                    $sum: {
+                        $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$allocations.amount', -1] }, '$allocations.amount']
+                    }
+                }
+            }
+        }
+    ]).session(session);
+
+    return result ? Math.round(result.paid * 100) / 100 : 0;
+};
+
+// Static method to find the ledger entries touching an order
+paymentSchema.statics.findByOrder = function(orderId) {
+    return this.find({ 'allocations.order': orderId }).sort({ paymentDate: -1 });
+};
+
+// Indexes for better performance
+paymentSchema.index({ customer: 1, paymentDate: -1 });
+paymentSchema.index({ 'allocations.order': 1 });
+paymentSchema.index({ status: 1 });
+paymentSchema.index({ paymentDate: -1 });
+
+// Ensure virtual fields are serialized
+paymentSchema.set('toJSON', { virtuals: true });
+paymentSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,4 +1,72 @@
 const mongoose = require('mongoose');
+const { AppError, InsufficientStockError } = require('../utils/errors');
+
+// One sellable color × size combination with its own stock. When a product has
+// variants, its stockQuantity and reservedQuantity are the totals across them.
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    color: {
+        type: String,
+        trim: true
+    },
+    size: {
+        type: String,
+        trim: true
+    },
+    stockQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reservedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reorderLevel: {
+        type: Number,
+        default: 5
+    },
+    // Units to buy when the variant runs low; the product's reorderQuantity if not set
+    reorderQuantity: {
+        type: Number,
+        min: 1
+    },
+    // Added to the product's unit price for this variant (negative for a reduction)
+    priceDelta: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// Virtual for variant stock that is not held by confirmed orders
+variantSchema.virtual('availableQuantity').get(function() {
+    return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+});
+
+// Virtual for variant stock status
+variantSchema.virtual('stockStatus').get(function() {
+    if (this.availableQuantity === 0) return 'out-of-stock';
+    if (this.availableQuantity <= this.reorderLevel) return 'low-stock';
+    return 'in-stock';
+});
+
+// Virtual for a readable variant name, e.g. "Navy / 32"
+variantSchema.virtual('label').get(function() {
+    return [this.color, this.size].filter(Boolean).join(' / ');
+});
+
+variantSchema.set('toJSON', { virtuals: true });
+variantSchema.set('toObject', { virtuals: true });
 
 const productSchema = new mongoose.Schema({
     // Basic Information
@@ -63,6 +131,11 @@ const productSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // What a unit costs us, used to value stock when no receipt cost is recorded
+    costPrice: {
+        type: Number,
+        min: 0
+    },
     bulkPricing: [{
         minQuantity: Number,
         maxQuantity: Number,
@@ -77,12 +150,28 @@ const productSchema = new mongoose.Schema({
         default: 'INR'
     },
     
+    // Tax Information
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    gstRate: {
+        type: Number,
+        enum: [0, 5, 12, 18, 28],
+        default: 5
+    },
+    
     // Inventory Management
     stockQuantity: {
         type: Number,
         default: 0,
         min: 0
     },
+    reservedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     reorderLevel: {
         type: Number,
         default: 10
@@ -91,6 +180,13 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 50
     },
+    variants: [variantSchema],
+    // Supplier purchase orders for this product are raised with
+    preferredSupplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
+    // Free-text supplier details from before suppliers were managed; kept for reference
     supplier: {
         name: String,
         contact: String,
@@ -190,10 +286,51 @@ productSchema.virtual('primaryImage').get(function() {
     return primary ? primary.url : (this.images[0] ? this.images[0].url : null);
 });
 
+// Virtual for whether stock is kept per variant
+productSchema.virtual('hasVariants').get(function() {
+    return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Variants must have distinct SKUs and distinct color/size combinations
+productSchema.pre('validate', function(next) {
+    if (!this.hasVariants) return next();
+
+    const skus = new Set();
+    const combinations = new Set();
+    for (const variant of this.variants) {
+        const combination = `${(variant.color || '').toLowerCase()}|${(variant.size || '').toLowerCase()}`;
+        if (skus.has(variant.sku) || combinations.has(combination)) {
+            return next(new AppError(`Duplicate variant ${variant.sku} (${variant.label})`, 400, 'DUPLICATE_VARIANT', {
+                sku: variant.sku,
+                color: variant.color,
+                size: variant.size
+            }));
+        }
+        skus.add(variant.sku);
+        combinations.add(combination);
+    }
+    next();
+});
+
+// A new product's stock totals start as the sum of its variants; after that, the
+// atomic stock statics move the variant and the totals together
+productSchema.pre('save', function(next) {
+    if (this.isNew && this.hasVariants) {
+        this.stockQuantity = this.variants.reduce((sum, variant) => sum + (variant.stockQuantity || 0), 0);
+        this.reservedQuantity = this.variants.reduce((sum, variant) => sum + (variant.reservedQuantity || 0), 0);
+    }
+    next();
+});
+
+// Virtual for stock that is not held by confirmed orders
+productSchema.virtual('availableQuantity').get(function() {
+    return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+});
+
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
-    if (this.stockQuantity === 0) return 'out-of-stock';
-    if (this.stockQuantity <= this.reorderLevel) return 'low-stock';
+    if (this.availableQuantity === 0) return 'out-of-stock';
+    if (this.availableQuantity <= this.reorderLevel) return 'low-stock';
     return 'in-stock';
 });
 
@@ -202,34 +339,150 @@ productSchema.virtual('effectivePrice').get(function() {
     return this.specialPricing || this.basePrice;
 });
 
-// Method to update stock
-productSchema.methods.updateStock = function(quantity, operation = 'decrease') {
-    if (operation === 'decrease') {
-        this.stockQuantity = Math.max(0, this.stockQuantity - quantity);
-    } else if (operation === 'increase') {
-        this.stockQuantity += quantity;
+// Method to find a variant by ID, SKU or color and size
+productSchema.methods.findVariant = function({ variantId, sku, color, size } = {}) {
+    if (!this.hasVariants) return null;
+    if (variantId) return this.variants.id(variantId);
+    if (sku) return this.variants.find(variant => variant.sku === String(sku).toUpperCase()) || null;
+
+    const matches = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+    return this.variants.find(variant => matches(variant.color, color) && matches(variant.size, size)) || null;
+};
+
+// Method to pick the variant an order line is for. Lines for products with variants
+// must name one by ID, SKU or color and size.
+productSchema.methods.resolveVariant = function({ variant, sku, color, size } = {}) {
+    if (!this.hasVariants) {
+        if (variant || sku) {
+            throw new AppError(`Product ${this.name} has no variants`, 400, 'PRODUCT_HAS_NO_VARIANTS', { product: this._id });
+        }
+        return null;
     }
-    return this.save();
+
+    if (!variant && !sku && !color && !size) {
+        throw new AppError(`Choose a color and size for product ${this.name}`, 400, 'VARIANT_REQUIRED', {
+            product: this._id,
+            productCode: this.code,
+            variants: this.variants.filter(v => v.isActive).map(v => v.sku)
+        });
+    }
+
+    const found = this.findVariant({ variantId: variant, sku, color, size });
+    if (!found) {
+        throw new AppError(`Variant not found on product ${this.name}`, 404, 'VARIANT_NOT_FOUND', {
+            product: this._id,
+            variant,
+            sku,
+            color,
+            size
+        });
+    }
+    if (!found.isActive) {
+        throw new AppError(`Variant ${found.sku} of ${this.name} is not available`, 400, 'VARIANT_INACTIVE', {
+            product: this._id,
+            variant: found._id,
+            sku: found.sku
+        });
+    }
+
+    return found;
 };
 
-// Method to calculate bulk price
-productSchema.methods.getBulkPrice = function(quantity) {
+// Method to check a size run ([{ size, quantity, names }]) against the sizes this
+// product is made in. Returns the rows with canonical size names and, on products
+// with variants, the variant each size draws stock from.
+productSchema.methods.resolveSizeBreakdown = function(rows, { color } = {}) {
+    const availableSizes = (this.sizes || []).filter(size => size.isAvailable !== false).map(size => size.name);
+    if (availableSizes.length === 0 && !this.hasVariants) {
+        throw new AppError(`Product ${this.name} is not made in sizes`, 400, 'PRODUCT_HAS_NO_SIZES', { product: this._id });
+    }
+
+    const seen = new Set();
+    return rows.map(row => {
+        const requested = String(row.size || '').trim();
+        const size = availableSizes.find(name => name.toLowerCase() === requested.toLowerCase()) || requested;
+        if (availableSizes.length > 0 && !availableSizes.includes(size)) {
+            throw new AppError(`Size ${requested} is not available for product ${this.name}`, 400, 'SIZE_NOT_AVAILABLE', {
+                product: this._id,
+                size: requested,
+                availableSizes
+            });
+        }
+        if (seen.has(size.toLowerCase())) {
+            throw new AppError(`Size ${size} appears more than once`, 400, 'DUPLICATE_SIZE', { product: this._id, size });
+        }
+        seen.add(size.toLowerCase());
+
+        const names = (row.names || []).map(name => String(name).trim()).filter(Boolean);
+        if (names.length > row.quantity) {
+            throw new AppError(`${names.length} names given for ${row.quantity} pieces in size ${size}`, 400, 'SIZE_NAMES_EXCEED_QUANTITY', {
+                product: this._id,
+                size,
+                quantity: row.quantity,
+                names: names.length
+            });
+        }
+
+        const variant = this.hasVariants ? this.resolveVariant({ color, size }) : null;
+        return {
+            size,
+            quantity: row.quantity,
+            names,
+            ...(variant ? { variant, sku: variant.sku } : {})
+        };
+    });
+};
+
+// Method to build a variant for every available color × size combination that does
+// not have one yet (not added). SKUs are built from the product code, e.g. SHIRT01-NAVY-32.
+productSchema.methods.generateVariants = function({ reorderLevel, priceDeltas = {} } = {}) {
+    const skuPart = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+    const colors = (this.colors || []).filter(color => color.isAvailable !== false).map(color => color.name);
+    const sizes = (this.sizes || []).filter(size => size.isAvailable !== false).map(size => size.name);
+    const added = [];
+
+    for (const color of colors.length > 0 ? colors : [undefined]) {
+        for (const size of sizes.length > 0 ? sizes : [undefined]) {
+            if (!color && !size) continue;
+            if (this.findVariant({ color, size })) continue;
+
+            const variant = {
+                sku: [this.code, color, size].filter(Boolean).map(skuPart).join('-'),
+                color,
+                size,
+                priceDelta: priceDeltas[size] || 0
+            };
+            if (reorderLevel != null) variant.reorderLevel = reorderLevel;
+            added.push(variant);
+        }
+    }
+
+    return added;
+};
+
+// Method to find the bulk pricing tier for a quantity (open-ended when maxQuantity is unset)
+productSchema.methods.getBulkTier = function(quantity) {
     if (quantity < this.minimumOrderQuantity) {
-        return this.effectivePrice * quantity;
+        return null;
     }
-    
+
     if (!this.bulkPricing || !Array.isArray(this.bulkPricing)) {
-        return this.effectivePrice * quantity;
+        return null;
     }
-    
-    const bulkPrice = this.bulkPricing.find(bp => 
-        quantity >= bp.minQuantity && quantity <= bp.maxQuantity
-    );
-    
-    if (bulkPrice) {
+
+    return this.bulkPricing.find(bp =>
+        quantity >= bp.minQuantity && (bp.maxQuantity == null || quantity <= bp.maxQuantity)
+    ) || null;
+};
+
+// Method to calculate bulk price
+productSchema.methods.getBulkPrice = function(quantity) {
+    const bulkPrice = this.getBulkTier(quantity);
+
+    if (bulkPrice && bulkPrice.pricePerUnit != null) {
         return bulkPrice.pricePerUnit * quantity;
     }
-    
+
     return this.effectivePrice * quantity;
 };
 
@@ -258,17 +511,235 @@ productSchema.statics.findByCategory = function(category) {
     return this.find({ category, isActive: true });
 };
 
+// Aggregation expression for stock not held by reservations
+productSchema.statics.availableQuantityExpr = { $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] };
+
+// Aggregation expression for a variant's free stock, with the variant bound to $$v
+const variantAvailableExpr = { $subtract: ['$$v.stockQuantity', { $ifNull: ['$$v.reservedQuantity', 0] }] };
+
+// Aggregation expression that is true when some variant satisfies `condition` (written against $$v)
+const anyVariantExpr = (condition) => ({
+    $anyElementTrue: [{
+        $map: { input: { $ifNull: ['$variants', []] }, as: 'v', in: condition }
+    }]
+});
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Aggregation expression for free stock at or below the reorder level: checked per
+// active variant for products with variants, on the product total otherwise
+productSchema.statics.lowStockExpr = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        anyVariantExpr({
+            $and: [{ $ne: ['$$v.isActive', false] }, { $lte: [variantAvailableExpr, '$$v.reorderLevel'] }]
+        }),
+        { $lte: [productSchema.statics.availableQuantityExpr, '$reorderLevel'] }
+    ]
+};
+
+// Throw the right error after a conditional stock update matched nothing
+const stockUpdateError = async (Model, productId, quantity, variantId, session) => {
+    const product = await Model.findById(productId).session(session);
+    if (!product) {
+        throw new AppError(`Product ${productId} not found`, 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    const variant = variantId ? product.findVariant({ variantId }) : null;
+    if (variantId && !variant) {
+        throw new AppError(`Variant ${variantId} not found on product ${product.name}`, 404, 'VARIANT_NOT_FOUND');
+    }
+    return new InsufficientStockError(product, quantity, variant);
+};
+
+// Static method to reserve stock for an order. The availability check and the
+// increment happen in one conditional update so concurrent orders cannot oversell.
+// With a variant, the variant and the product totals move together. Resolves to the
+// updated product.
+productSchema.statics.reserveStock = async function(productId, quantity, session = null, variantId = null) {
+    let product;
+    if (variantId) {
+        const id = toObjectId(variantId);
+        product = await this.findOneAndUpdate(
+            {
+                _id: productId,
+                $expr: anyVariantExpr({ $and: [{ $eq: ['$$v._id', id] }, { $gte: [variantAvailableExpr, quantity] }] })
+            },
+            { $inc: { 'variants.$[v].reservedQuantity': quantity, reservedQuantity: quantity } },
+            { new: true, session, arrayFilters: [{ 'v._id': id }] }
+        );
+    } else {
+        product = await this.findOneAndUpdate(
+            { _id: productId, $expr: { $gte: [this.availableQuantityExpr, quantity] } },
+            { $inc: { reservedQuantity: quantity } },
+            { new: true, session }
+        );
+    }
+
+    if (product) return product;
+    throw await stockUpdateError(this, productId, quantity, variantId, session);
+};
+
+// Static method to give reserved stock back to available stock. Resolves to the
+// updated product, or null if less than `quantity` was reserved.
+productSchema.statics.releaseReservedStock = function(productId, quantity, session = null, variantId = null) {
+    if (variantId) {
+        const id = toObjectId(variantId);
+        return this.findOneAndUpdate(
+            { _id: productId, variants: { $elemMatch: { _id: id, reservedQuantity: { $gte: quantity } } } },
+            { $inc: { 'variants.$[v].reservedQuantity': -quantity, reservedQuantity: -quantity } },
+            { new: true, session, arrayFilters: [{ 'v._id': id }] }
+        );
+    }
+
+    return this.findOneAndUpdate(
+        { _id: productId, reservedQuantity: { $gte: quantity } },
+        { $inc: { reservedQuantity: -quantity } },
+        { new: true, session }
+    );
+};
+
+// Static method to turn a reservation into a deduction when goods leave the shop.
+// Resolves to the updated product.
+productSchema.statics.fulfilReservedStock = async function(productId, quantity, reservedQuantity = quantity, session = null, variantId = null) {
+    let product;
+    if (variantId) {
+        const id = toObjectId(variantId);
+        product = await this.findOneAndUpdate(
+            {
+                _id: productId,
+                variants: {
+                    $elemMatch: { _id: id, stockQuantity: { $gte: quantity }, reservedQuantity: { $gte: reservedQuantity } }
+                }
+            },
+            {
+                $inc: {
+                    'variants.$[v].stockQuantity': -quantity,
+                    'variants.$[v].reservedQuantity': -reservedQuantity,
+                    stockQuantity: -quantity,
+                    reservedQuantity: -reservedQuantity
+                }
+            },
+            { new: true, session, arrayFilters: [{ 'v._id': id }] }
+        );
+    } else {
+        product = await this.findOneAndUpdate(
+            {
+                _id: productId,
+                stockQuantity: { $gte: quantity },
+                reservedQuantity: { $gte: reservedQuantity }
+            },
+            { $inc: { stockQuantity: -quantity, reservedQuantity: -reservedQuantity } },
+            { new: true, session }
+        );
+    }
+
+    if (product) return product;
+    throw await stockUpdateError(this, productId, quantity - reservedQuantity, variantId, session);
+};
+
+// Static method to add or remove stock on hand, of one variant where the product has
+// variants. Removals cannot take stock below what orders have reserved; they fail
+// with InsufficientStockError instead. Resolves to the updated product.
+productSchema.statics.adjustStock = async function(productId, change, session = null, variantId = null) {
+    let product;
+    if (variantId) {
+        const id = toObjectId(variantId);
+        const filter = { _id: productId, 'variants._id': id };
+        if (change < 0) {
+            filter.$expr = anyVariantExpr({ $and: [{ $eq: ['$$v._id', id] }, { $gte: [variantAvailableExpr, -change] }] });
+        }
+
+        product = await this.findOneAndUpdate(
+            filter,
+            { $inc: { 'variants.$[v].stockQuantity': change, stockQuantity: change } },
+            { new: true, session, arrayFilters: [{ 'v._id': id }] }
+        );
+    } else {
+        const filter = { _id: productId };
+        if (change < 0) {
+            filter.$expr = { $gte: [this.availableQuantityExpr, -change] };
+        }
+
+        product = await this.findOneAndUpdate(filter, { $inc: { stockQuantity: change } }, { new: true, session });
+    }
+
+    if (product) return product;
+    throw await stockUpdateError(this, productId, -change, variantId, session);
+};
+
+// Static method to add variants to a product. New variants start with nothing reserved
+// and their opening stock is added to the product total in the same update.
+productSchema.statics.addVariants = async function(product, variants, session = null) {
+    product.variants.push(...variants.map(variant => ({ ...variant, reservedQuantity: 0 })));
+    const added = product.variants.slice(product.variants.length - variants.length);
+
+    // Runs the duplicate SKU and color/size checks against the existing variants
+    await product.validate();
+
+    const result = await this.updateOne(
+        { _id: product._id, 'variants.sku': { $nin: added.map(variant => variant.sku) } },
+        {
+            $push: { variants: { $each: added.map(variant => variant.toObject({ virtuals: false })) } },
+            $inc: { stockQuantity: added.reduce((sum, variant) => sum + (variant.stockQuantity || 0), 0) }
+        },
+        { session }
+    );
+
+    if (result.modifiedCount !== 1) {
+        throw new AppError(`Product ${product.name} already has one of these SKUs`, 409, 'DUPLICATE_VARIANT', {
+            skus: added.map(variant => variant.sku)
+        });
+    }
+    return added;
+};
+
 // Static method to find low stock products
 productSchema.statics.findLowStock = function() {
     return this.find({
-        $expr: { $lte: ['$stockQuantity', '$reorderLevel'] },
+        $expr: this.lowStockExpr,
         isActive: true
     });
 };
 
+// Static method to list every low stock variant with its product
+productSchema.statics.findLowStockVariants = function() {
+    return this.aggregate([
+        { $match: { isActive: true, 'variants.0': { $exists: true } } },
+        { $unwind: '$variants' },
+        { $match: { 'variants.isActive': { $ne: false } } },
+        {
+            $project: {
+                _id: 0,
+                product: '$_id',
+                name: 1,
+                code: 1,
+                preferredSupplier: 1,
+                costPrice: 1,
+                variant: '$variants._id',
+                sku: '$variants.sku',
+                color: '$variants.color',
+                size: '$variants.size',
+                stockQuantity: '$variants.stockQuantity',
+                reservedQuantity: '$variants.reservedQuantity',
+                reorderLevel: '$variants.reorderLevel',
+                reorderQuantity: { $ifNull: ['$variants.reorderQuantity', '$reorderQuantity'] },
+                availableQuantity: {
+                    $subtract: ['$variants.stockQuantity', { $ifNull: ['$variants.reservedQuantity', 0] }]
+                }
+            }
+        },
+        { $match: { $expr: { $lte: ['$availableQuantity', '$reorderLevel'] } } },
+        { $sort: { availableQuantity: 1, code: 1 } }
+    ]);
+};
+
 // Static method to find out of stock products
 productSchema.statics.findOutOfStock = function() {
-    return this.find({ stockQuantity: 0, isActive: true });
+    return this.find({
+        $expr: { $lte: [this.availableQuantityExpr, 0] },
+        isActive: true
+    });
 };
 
 // Static method to search products
@@ -295,6 +766,8 @@ productSchema.index({ basePrice: 1 });
 productSchema.index({ tags: 1 });
 productSchema.index({ 'colors.name': 1 });
 productSchema.index({ 'sizes.name': 1 });
+productSchema.index({ preferredSupplier: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
 
 // Text index for search
 productSchema.index({
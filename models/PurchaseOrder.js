@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially-received', 'received', 'cancelled'];
+
+// Purchase orders still expecting goods
+const OPEN_STATUSES = ['draft', 'sent', 'partially-received'];
+
+const purchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: PURCHASE_ORDER_STATUSES,
+        default: 'draft'
+    },
+
+    // Supplier Information
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true
+    },
+    supplierName: String,
+
+    items: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        productName: String,
+        productCode: String,
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        quantityOrdered: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        quantityReceived: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        unitCost: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        totalCost: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    }],
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+
+    // Dates
+    orderDate: {
+        type: Date,
+        default: Date.now
+    },
+    sentAt: Date,
+    // Promised delivery: sent date plus the supplier's lead time unless given
+    expectedDate: Date,
+    receivedAt: Date,
+
+    // Goods received against the order, one entry per delivery
+    receipts: [{
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        },
+        receivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Where the goods were put away; the default location if not given
+        location: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Location'
+        },
+        // Supplier's delivery challan or invoice number
+        reference: String,
+        notes: String,
+        lines: [{
+            item: mongoose.Schema.Types.ObjectId,
+            quantity: {
+                type: Number,
+                min: 1
+            }
+        }]
+    }],
+
+    statusHistory: [{
+        status: String,
+        previousStatus: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        notes: String
+    }],
+
+    notes: String,
+    // Set when the order was raised from the low-stock report
+    generatedFromLowStock: {
+        type: Boolean,
+        default: false
+    },
+
+    // Metadata
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    // Concurrent goods receipts must not both count the same outstanding quantity
+    optimisticConcurrency: true
+});
+
+// Purchase order statuses, for request validation
+purchaseOrderSchema.statics.STATUSES = PURCHASE_ORDER_STATUSES;
+purchaseOrderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// Virtual for the units still to be delivered
+purchaseOrderSchema.virtual('quantityOutstanding').get(function() {
+    return (this.items || []).reduce((sum, item) => sum + Math.max(item.quantityOrdered - item.quantityReceived, 0), 0);
+});
+
+// Virtual for whether delivery is late
+purchaseOrderSchema.virtual('isOverdue').get(function() {
+    return ['sent', 'partially-received'].includes(this.status) && Boolean(this.expectedDate) && this.expectedDate < new Date();
+});
+
+// Method to recalculate line and order totals
+purchaseOrderSchema.methods.recalculateTotals = function() {
+    this.items.forEach(item => {
+        item.totalCost = Math.round(item.quantityOrdered * (item.unitCost || 0) * 100) / 100;
+    });
+    this.subtotal = Math.round(this.items.reduce((sum, item) => sum + item.totalCost, 0) * 100) / 100;
+};
+
+// Method to record a status change
+purchaseOrderSchema.methods.setStatus = function(status, userId, notes) {
+    this.statusHistory.push({
+        status,
+        previousStatus: this.status,
+        changedBy: userId,
+        changedAt: new Date(),
+        notes
+    });
+    this.status = status;
+};
+
+// Static method to allocate the next purchase order number. Must run inside the
+// transaction that saves the order so numbers stay gap-free.
+purchaseOrderSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`purchase-order:${financialYear}`, session);
+    return `UP/PO/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Static method to total the quantity still expected on open purchase orders,
+// keyed by "product:variant"
+purchaseOrderSchema.statics.getQuantitiesOnOrder = async function(productIds) {
+    const rows = await this.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES }, 'items.product': { $in: productIds } } },
+        { $unwind: '$items' },
+        { $match: { 'items.product': { $in: productIds } } },
+        {
+            $group: {
+                _id: { product: '$items.product', variant: '$items.variant' },
+                quantity: { $sum: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] } }
+            }
+        }
+    ]);
+
+    return new Map(rows.map(row => [`${row._id.product}:${row._id.variant || ''}`, row.quantity]));
+};
+
+// Indexes for better performance
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+purchaseOrderSchema.index({ 'items.product': 1 });
+purchaseOrderSchema.index({ createdAt: -1 });
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+purchaseOrderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const ReworkTicket = require('./ReworkTicket');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const DEFECT_CATEGORIES = [
+    'stitching', 'measurement', 'fabric', 'shade-variation', 'embroidery-printing',
+    'buttons-trims', 'stain', 'labelling', 'finishing', 'packing', 'other'
+];
+
+// A quality inspection of an order line, or of the whole order when no line is given.
+// Inspectors sample pieces from the lot, record defects by category, and decide:
+//   pass     the lot is accepted
+//   partial  the lot is accepted less the rejected pieces, which go to rework
+//   fail     the whole lot is rejected and goes to rework
+const qualityInspectionSchema = new mongoose.Schema({
+    inspectionNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    orderItem: mongoose.Schema.Types.ObjectId,
+    productName: String,
+    productCode: String,
+
+    // Pieces presented for inspection, and how many of them were examined
+    lotQuantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    sampledQuantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    defects: [{
+        _id: false,
+        category: {
+            type: String,
+            enum: DEFECT_CATEGORIES,
+            required: true
+        },
+        count: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        severity: {
+            type: String,
+            enum: ['minor', 'major', 'critical'],
+            default: 'minor'
+        },
+        notes: String
+    }],
+    // Sampled pieces with at least one defect (a piece can have several)
+    defectivePieces: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    photos: [{
+        filename: String,
+        thumbnail: String,
+        originalName: String,
+        url: String,
+        thumbnailUrl: String,
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    outcome: {
+        type: String,
+        enum: ['pass', 'partial', 'fail'],
+        required: true
+    },
+    acceptedQuantity: {
+        type: Number,
+        min: 0
+    },
+    rejectedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reworkTicket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReworkTicket'
+    },
+
+    notes: String,
+    inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    inspectedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for the share of sampled pieces found defective
+qualityInspectionSchema.virtual('defectRate').get(function() {
+    if (!this.sampledQuantity) return 0;
+    return Math.round((this.defectivePieces / this.sampledQuantity) * 10000) / 100;
+});
+
+// Static method to allocate the next inspection number
+qualityInspectionSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`quality-inspection:${financialYear}`, session);
+    return `UP/QC/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Static method to work out whether an order has passed QC: the latest inspection of
+// each line (or of the whole order, if later) passed, and no rework is open
+qualityInspectionSchema.statics.getOrderStatus = async function(order, session = null) {
+    const [inspections, openRework] = await Promise.all([
+        this.find({ order: order._id }).sort({ inspectedAt: 1, createdAt: 1 }).session(session),
+        ReworkTicket.countDocuments({ order: order._id, status: 'open' }).session(session)
+    ]);
+
+    const lines = order.items.map(item => {
+        const latest = inspections
+            .filter(inspection => !inspection.orderItem || String(inspection.orderItem) === String(item._id))
+            .pop();
+        return {
+            orderItem: item._id,
+            productName: item.productName,
+            outcome: latest ? latest.outcome : null,
+            inspection: latest ? latest._id : null,
+            inspectionNumber: latest ? latest.inspectionNumber : null
+        };
+    });
+
+    return {
+        passed: lines.length > 0 && lines.every(line => line.outcome === 'pass') && openRework === 0,
+        lines,
+        openRework
+    };
+};
+
+qualityInspectionSchema.statics.DEFECT_CATEGORIES = DEFECT_CATEGORIES;
+
+// Indexes for better performance
+qualityInspectionSchema.index({ order: 1, inspectedAt: -1 });
+qualityInspectionSchema.index({ outcome: 1, inspectedAt: -1 });
+qualityInspectionSchema.index({ 'defects.category': 1 });
+
+qualityInspectionSchema.set('toJSON', { virtuals: true });
+qualityInspectionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('QualityInspection', qualityInspectionSchema);
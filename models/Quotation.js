@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const taxService = require('../services/taxService');
+
+// Days a quotation stays open when no validity date is given
+const DEFAULT_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 30;
+
+// GST amounts for one line, or one rate bucket of the quotation
+const taxAmountFields = {
+    taxableValue: { type: Number, default: 0 },
+    rate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 }
+};
+
+const quotationSchema = new mongoose.Schema({
+    // Quotation Information
+    quoteNumber: {
+        type: String,
+        required: true
+    },
+    version: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // Only the latest version of a quote can be sent, answered or converted
+    isLatest: {
+        type: Boolean,
+        default: true
+    },
+    previousVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quotation'
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'accepted', 'rejected', 'expired', 'superseded', 'converted'],
+        default: 'draft'
+    },
+    validUntil: {
+        type: Date,
+        required: true,
+        default: () => new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+    },
+
+    // Customer Information
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    customerName: String,
+    customerEmail: String,
+    customerPhone: String,
+    customerCompany: String,
+    customerGstin: String,
+    inquiry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inquiry'
+    },
+
+    // Quoted lines, priced like order lines
+    items: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        productName: String,
+        productCode: String,
+        // Color × size variant the line is for, on products that keep stock per variant
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        color: String,
+        size: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        unitPrice: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        totalPrice: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        // Size run for institutional orders (80 × 28, 120 × 30, ...); the line
+        // quantity is the sum of the rows
+        sizeBreakdown: [{
+            size: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            quantity: {
+                type: Number,
+                required: true,
+                min: 1
+            },
+            variant: mongoose.Schema.Types.ObjectId,
+            sku: String,
+            unitPrice: Number,
+            names: [{
+                type: String,
+                trim: true
+            }]
+        }],
+        pricing: {
+            basePrice: Number,
+            specialPrice: Number,
+            bulkTier: {
+                minQuantity: Number,
+                maxQuantity: Number
+            },
+            catalogUnitPrice: Number,
+            variantPriceDelta: { type: Number, default: 0 },
+            customizationCost: { type: Number, default: 0 },
+            listUnitPrice: Number,
+            source: {
+                type: String,
+                enum: ['base', 'special', 'bulk', 'override']
+            },
+            override: {
+                unitPrice: Number,
+                reason: String,
+                approvedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                approvedAt: Date
+            }
+        },
+        tax: {
+            hsnCode: String,
+            ...taxAmountFields
+        },
+        customization: {
+            text: String,
+            logo: String,
+            color: String,
+            size: String,
+            additionalCost: { type: Number, default: 0 }
+        },
+        notes: String
+    }],
+
+    // Pricing Information
+    subtotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    tax: {
+        type: Number,
+        default: 0
+    },
+    taxBreakdown: {
+        supplyType: {
+            type: String,
+            enum: ['intra-state', 'inter-state']
+        },
+        sellerState: String,
+        placeOfSupply: String,
+        placeOfSupplyCode: String,
+        taxableValue: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        totalTax: { type: Number, default: 0 },
+        shippingTax: { type: Number, default: 0 },
+        byRate: [new mongoose.Schema(taxAmountFields, { _id: false })]
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    discountReason: String,
+    shippingCost: {
+        type: Number,
+        default: 0
+    },
+    totalAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Delivery and Terms
+    deliveryAddress: {
+        street: String,
+        city: String,
+        state: String,
+        pincode: String,
+        country: { type: String, default: 'India' }
+    },
+    placeOfSupply: String,
+    paymentTerms: {
+        type: String,
+        enum: ['immediate', '7-days', '15-days', '30-days', '45-days', '60-days'],
+        default: 'immediate'
+    },
+    deliveryTimeline: String,
+    terms: String,
+    notes: String,
+
+    // Sending and Customer Response
+    sentAt: Date,
+    sentTo: String,
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    response: {
+        decision: {
+            type: String,
+            enum: ['accepted', 'rejected']
+        },
+        respondedAt: Date,
+        respondedBy: String,
+        comments: String,
+        ipAddress: String
+    },
+
+    // Conversion
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    convertedAt: Date,
+    convertedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Metadata
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for the reference printed on the document, e.g. QT2026100001-v2
+quotationSchema.virtual('reference').get(function() {
+    return `${this.quoteNumber}-v${this.version}`;
+});
+
+// Virtual for whether the validity date has passed
+quotationSchema.virtual('isExpired').get(function() {
+    return Boolean(this.validUntil) && this.validUntil < new Date();
+});
+
+// Method to recompute subtotal, GST and total from the line items (does not save)
+quotationSchema.methods.recalculateTotals = function() {
+    this.subtotal = (this.items || []).reduce((sum, item) => sum + item.totalPrice, 0);
+    taxService.applyOrderTax(this);
+    const total = this.subtotal + (this.tax || 0) + (this.shippingCost || 0) - (this.discount || 0);
+    this.totalAmount = Math.round(total * 100) / 100;
+    return this;
+};
+
+// Method to mark an open quotation as expired once its validity date has passed (does not save)
+quotationSchema.methods.refreshExpiry = function() {
+    if (['draft', 'sent'].includes(this.status) && this.isExpired) {
+        this.status = 'expired';
+    }
+    return this.status === 'expired';
+};
+
+// Static method to generate quote number
+quotationSchema.statics.generateQuoteNumber = async function() {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+
+    const count = await this.countDocuments({
+        version: 1,
+        createdAt: {
+            $gte: new Date(year, date.getMonth(), 1),
+            $lt: new Date(year, date.getMonth() + 1, 1)
+        }
+    });
+
+    return `QT${year}${month}${String(count + 1).padStart(4, '0')}`;
+};
+
+// Static method to expire every open quotation past its validity date
+quotationSchema.statics.expireOverdue = function() {
+    return this.updateMany(
+        { status: { $in: ['draft', 'sent'] }, validUntil: { $lt: new Date() } },
+        { $set: { status: 'expired' } }
+    );
+};
+
+// Static method to find all versions of a quote, oldest first
+quotationSchema.statics.findVersions = function(quoteNumber) {
+    return this.find({ quoteNumber }).sort({ version: 1 });
+};
+
+// Indexes for better performance
+quotationSchema.index({ quoteNumber: 1, version: 1 }, { unique: true });
+quotationSchema.index({ customer: 1 });
+quotationSchema.index({ inquiry: 1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+
+// Ensure virtual fields are serialized
+quotationSchema.set('toJSON', { virtuals: true });
+quotationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Quotation', quotationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Hits on a rate-limited action within the current fixed window, shared by every
+// server instance and kept across restarts
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Static method to count a hit, starting a new window when the last one has passed.
+// A single pipeline update, so concurrent hits are all counted.
+rateLimitSchema.statics.hit = function(key, windowMs) {
+    const now = new Date();
+    const current = { $gt: ['$resetAt', now] };
+    return this.findOneAndUpdate(
+        { key },
+        [{
+            $set: {
+                hits: { $cond: [current, { $add: ['$hits', 1] }, 1] },
+                resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] }
+            }
+        }],
+        { new: true, upsert: true }
+    );
+};
+
+// Windows are removed by MongoDB once they are over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
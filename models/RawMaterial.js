@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Fabric, buttons, thread, labels and other inputs consumed in production. Quantities
+// are in the material's unit and can be fractional (1.6 metres of fabric).
+const rawMaterialSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    category: {
+        type: String,
+        enum: ['fabric', 'buttons', 'thread', 'labels', 'trims', 'packaging', 'other'],
+        required: true
+    },
+    unit: {
+        type: String,
+        enum: ['metre', 'piece', 'spool', 'kg', 'roll', 'pack'],
+        required: true
+    },
+    color: String,
+    description: String,
+
+    stockQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reorderLevel: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Cost per unit, for valuing stock and material requirements
+    unitCost: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: String,
+
+    // Metadata
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for stock status
+rawMaterialSchema.virtual('stockStatus').get(function() {
+    if (this.stockQuantity <= 0) return 'out-of-stock';
+    if (this.stockQuantity <= this.reorderLevel) return 'low-stock';
+    return 'in-stock';
+});
+
+// Virtual for the value of stock on hand
+rawMaterialSchema.virtual('stockValue').get(function() {
+    return Math.round((this.stockQuantity || 0) * (this.unitCost || 0) * 100) / 100;
+});
+
+// Static method to add stock to (positive `change`) or take it from (negative) a
+// material. Taking out more than is on hand fails. Resolves to the updated material.
+rawMaterialSchema.statics.adjustStock = async function(materialId, change, session = null) {
+    const amount = roundQuantity(change);
+    const filter = { _id: materialId };
+    if (amount < 0) {
+        filter.stockQuantity = { $gte: -amount };
+    }
+
+    const material = await this.findOneAndUpdate(filter, { $inc: { stockQuantity: amount } }, { new: true, session });
+    if (material) {
+        // Keep floating point drift out of the stored quantity
+        const rounded = roundQuantity(material.stockQuantity);
+        if (rounded !== material.stockQuantity) {
+            material.stockQuantity = rounded;
+            await this.updateOne({ _id: material._id }, { $set: { stockQuantity: rounded } }, { session });
+        }
+        return material;
+    }
+
+    const current = await this.findById(materialId).session(session);
+    if (!current) {
+        throw new AppError(`Raw material ${materialId} not found`, 404, 'RAW_MATERIAL_NOT_FOUND');
+    }
+    throw new AppError(
+        `Insufficient ${current.name}: ${current.stockQuantity} ${current.unit} in stock, ${-amount} needed`,
+        400,
+        'INSUFFICIENT_MATERIAL',
+        { material: current._id, code: current.code, available: current.stockQuantity, requested: -amount }
+    );
+};
+
+// Static method to find materials at or below their reorder level
+rawMaterialSchema.statics.findLowStock = function() {
+    return this.find({ isActive: true, $expr: { $lte: ['$stockQuantity', '$reorderLevel'] } });
+};
+
+rawMaterialSchema.statics.roundQuantity = roundQuantity;
+
+// Indexes for better performance
+rawMaterialSchema.index({ category: 1, isActive: 1 });
+rawMaterialSchema.index({ name: 'text', code: 'text', description: 'text' });
+
+rawMaterialSchema.set('toJSON', { virtuals: true });
+rawMaterialSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('RawMaterial', rawMaterialSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+// Pieces rejected at inspection and sent back into production. When the line has a
+// job card, the card is reopened from the rework stage and the ticket completes when
+// the card does; the line then needs a fresh inspection.
+const reworkTicketSchema = new mongoose.Schema({
+    ticketNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'completed', 'cancelled'],
+        default: 'open'
+    },
+
+    inspection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QualityInspection',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    orderItem: mongoose.Schema.Types.ObjectId,
+    jobCard: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JobCard'
+    },
+    // Production stage the pieces go back to
+    stage: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Defects to fix, copied from the inspection
+    defects: [{
+        _id: false,
+        category: String,
+        count: Number,
+        severity: String
+    }],
+
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedUnit: String,
+    dueDate: Date,
+    notes: String,
+
+    raisedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    completedAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    cancellationReason: String
+}, {
+    timestamps: true
+});
+
+// Static method to allocate the next rework ticket number
+reworkTicketSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`rework:${financialYear}`, session);
+    return `UP/RW/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Indexes for better performance
+reworkTicketSchema.index({ order: 1, status: 1 });
+reworkTicketSchema.index({ jobCard: 1, status: 1 });
+reworkTicketSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReworkTicket', reworkTicketSchema);
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+const RESOURCES = ['customers', 'products', 'orders', 'inquiries', 'reports'];
+const ACTIONS = ['view', 'create', 'edit', 'delete', 'export', 'approve'];
+const SCOPES = ['all', 'own'];
+
+// Fields that make a record "own" for the own-records-only scope; only these
+// resources can be limited that way. Quotations count as orders (they have createdBy).
+const OWNER_FIELDS = {
+    customers: ['assignedTo'],
+    orders: ['assignedTo', 'createdBy'],
+    inquiries: ['assignedTo']
+};
+
+const grant = (resource, actions, scope = 'all') => ({ resource, actions, scope });
+
+// Built-in roles. Admin can always do everything; manager and staff start with what
+// they could do before roles were configurable and can then be edited.
+const SYSTEM_ROLES = [
+    {
+        name: 'admin',
+        label: 'Administrator',
+        description: 'Full access, including users, roles and security settings',
+        permissions: RESOURCES.map(resource => grant(resource, ACTIONS))
+    },
+    {
+        name: 'manager',
+        label: 'Manager',
+        description: 'Full access to business records, including approvals',
+        permissions: RESOURCES.map(resource => grant(resource, ACTIONS))
+    },
+    {
+        name: 'staff',
+        label: 'Staff',
+        description: 'Day-to-day work on customers, orders, inquiries and products',
+        permissions: [
+            grant('customers', ['view', 'create', 'edit', 'delete']),
+            grant('products', ['view', 'create', 'edit', 'delete']),
+            grant('orders', ['view', 'create', 'edit', 'delete']),
+            grant('inquiries', ['view', 'create', 'edit', 'delete']),
+            grant('reports', ['view', 'export'])
+        ]
+    }
+];
+
+const permissionSchema = new mongoose.Schema({
+    resource: {
+        type: String,
+        enum: RESOURCES,
+        required: true
+    },
+    actions: [{
+        type: String,
+        enum: ACTIONS
+    }],
+    // 'own' limits the role to records assigned to (or created by) the user
+    scope: {
+        type: String,
+        enum: SCOPES,
+        default: 'all'
+    }
+}, { _id: false });
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits or hyphens']
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Built-in roles cannot be deleted, and admin cannot be edited
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    permissions: [permissionSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Method to check whether the role allows an action on a resource
+roleSchema.methods.can = function(resource, action) {
+    if (this.name === 'admin') return true;
+    const permission = this.permissions.find(p => p.resource === resource);
+    return Boolean(permission && permission.actions.includes(action));
+};
+
+// Method to get the role's scope on a resource ('all' or 'own')
+roleSchema.methods.scopeFor = function(resource) {
+    if (this.name === 'admin') return 'all';
+    const permission = this.permissions.find(p => p.resource === resource);
+    return permission ? permission.scope : 'all';
+};
+
+// Method to get the role's row of the permissions matrix:
+// { customers: { view: true, ..., scope: 'own' }, ... }
+roleSchema.methods.toMatrix = function() {
+    return RESOURCES.reduce((matrix, resource) => {
+        matrix[resource] = ACTIONS.reduce((row, action) => {
+            row[action] = this.can(resource, action);
+            return row;
+        }, {});
+        matrix[resource].scope = this.scopeFor(resource);
+        return matrix;
+    }, {});
+};
+
+// Static method to get a built-in role as defined in code (not saved), used when
+// its document has not been created yet
+roleSchema.statics.builtIn = function(name) {
+    const definition = SYSTEM_ROLES.find(role => role.name === name);
+    return definition ? new this({ ...definition, isSystem: true }) : null;
+};
+
+// Static method to create any missing built-in roles; existing ones keep their edits
+roleSchema.statics.ensureSystemRoles = async function() {
+    for (const definition of SYSTEM_ROLES) {
+        await this.updateOne(
+            { name: definition.name },
+            { $setOnInsert: { ...definition, isSystem: true } },
+            { upsert: true }
+        );
+    }
+};
+
+// Static method to check that a role exists
+roleSchema.statics.isValidName = async function(name) {
+    if (SYSTEM_ROLES.some(role => role.name === name)) return true;
+    return Boolean(await this.exists({ name }));
+};
+
+// Static method to check a list of permissions; returns an error message or null
+roleSchema.statics.checkPermissions = function(permissions) {
+    const seen = new Set();
+    for (const permission of permissions) {
+        if (seen.has(permission.resource)) {
+            return `Permissions for ${permission.resource} are listed more than once`;
+        }
+        seen.add(permission.resource);
+
+        const actions = permission.actions || [];
+        if (actions.length > 0 && !actions.includes('view')) {
+            return `Permissions for ${permission.resource} must include view`;
+        }
+        if (permission.scope === 'own' && !OWNER_FIELDS[permission.resource]) {
+            return `${permission.resource} cannot be limited to own records`;
+        }
+    }
+    return null;
+};
+
+// Static method to build the filter matching a user's own records of a resource
+roleSchema.statics.ownerFilter = function(resource, userId) {
+    const fields = OWNER_FIELDS[resource] || [];
+    return { $or: fields.map(field => ({ [field]: userId })) };
+};
+
+// Static method to check whether a record belongs to a user
+roleSchema.statics.isOwner = function(resource, record, userId) {
+    const fields = OWNER_FIELDS[resource] || [];
+    return fields.some(field => record[field] && record[field].toString() === userId.toString());
+};
+
+roleSchema.statics.RESOURCES = RESOURCES;
+roleSchema.statics.ACTIONS = ACTIONS;
+roleSchema.statics.SCOPES = SCOPES;
+roleSchema.statics.OWNER_FIELDS = OWNER_FIELDS;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+    'login-success',
+    'login-failure',
+    'two-factor-failure',
+    'account-locked',
+    'account-unlocked',
+    'ip-blocked',
+    'ip-unblocked',
+    'password-changed',
+    'password-reset',
+    'two-factor-reset',
+    'refresh-token-reuse'
+];
+
+// How long events are kept before MongoDB removes them
+const RETENTION_DAYS = 180;
+
+// Audit trail of logins and account security changes, for the admin security page
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: EVENT_TYPES,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // As typed at login, so failures for unknown accounts are visible too
+    username: String,
+    ip: String,
+    userAgent: String,
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Admin who made the change, for unlocks and resets
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Static method to record an event. Auditing must never break the request being
+// audited, so failures are logged and swallowed.
+securityEventSchema.statics.record = async function(event) {
+    try {
+        return await this.create(event);
+    } catch (error) {
+        console.error('Record security event error:', error);
+        return null;
+    }
+};
+
+securityEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+// Indexes for better performance
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+// Also serves newest-first listing; old events are removed by MongoDB
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
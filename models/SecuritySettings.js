@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const SETTINGS_KEY = 'security';
+
+// System-wide security policy, kept as a single document that admins edit
+const securitySettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: SETTINGS_KEY,
+        unique: true
+    },
+    // Roles whose users must set up two-factor authentication before they can log in
+    twoFactorRequiredRoles: [{
+        type: String
+    }],
+    // Failed logins within the window before an account is locked
+    maxFailedLogins: {
+        type: Number,
+        default: 5,
+        min: 1
+    },
+    // Failed logins from one IP address, across accounts, before it is blocked
+    maxFailedLoginsPerIp: {
+        type: Number,
+        default: 20,
+        min: 1
+    },
+    failureWindowMinutes: {
+        type: Number,
+        default: 15,
+        min: 1
+    },
+    lockoutMinutes: {
+        type: Number,
+        default: 15,
+        min: 1
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to load the settings, creating the defaults on first use
+securitySettingsSchema.statics.get = function() {
+    return this.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { $setOnInsert: { key: SETTINGS_KEY } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Static method to update the settings
+securitySettingsSchema.statics.update = function(changes, userId = null) {
+    return this.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { $set: { ...changes, updatedBy: userId } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How many rotated-out refresh tokens a session remembers for reuse detection
+const PREVIOUS_TOKENS_KEPT = 20;
+
+const REVOKE_REASONS = ['logout', 'logout-all', 'admin', 'password-change', 'password-reset', 'deactivated', 'reuse-detected'];
+
+// A signed-in device. The refresh token rotates on every use; only hashes are stored.
+// Presenting a token that has already been rotated out means it was copied, so the
+// whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    previousTokenHashes: {
+        type: [String],
+        select: false
+    },
+
+    device: String,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedIp: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: REVOKE_REASONS
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for a session that can still be refreshed
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to hash a refresh token for storage and lookup
+sessionSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to generate a new raw refresh token
+sessionSchema.statics.generateToken = function() {
+    return crypto.randomBytes(48).toString('hex');
+};
+
+// Static method to swap a session's refresh token (by the hash of the one presented)
+// for a new one. Matching on the current hash means two refreshes racing with the same
+// token cannot both win. Resolves to null when the token is no longer current.
+sessionSchema.statics.rotate = function(currentHash, token, { ip } = {}) {
+    return this.findOneAndUpdate(
+        { refreshTokenHash: currentHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: { refreshTokenHash: this.hashToken(token), lastUsedAt: new Date(), lastUsedIp: ip },
+            $push: { previousTokenHashes: { $each: [currentHash], $slice: -PREVIOUS_TOKENS_KEPT } }
+        },
+        { new: true }
+    );
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, { reason, revokedBy = null, except = null } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } });
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+// Indexes for better performance; expired sessions are removed by MongoDB
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.set('toJSON', {
+    virtuals: true,
+    // Token hashes never leave the server
+    transform: (doc, ret) => {
+        delete ret.refreshTokenHash;
+        delete ret.previousTokenHashes;
+        return ret;
+    }
+});
+sessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
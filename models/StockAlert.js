@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const ALERT_LEVELS = ['low-stock', 'out-of-stock'];
+
+// One episode of a product (or variant) being at or below its reorder level. An alert
+// opens when free stock crosses the reorder level, escalates when it runs out, and is
+// resolved once stock is back above the reorder level; the next crossing opens a new one.
+const stockAlertSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: String,
+    productCode: String,
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: String,
+    label: String,
+
+    level: {
+        type: String,
+        enum: ALERT_LEVELS,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'resolved'],
+        default: 'active'
+    },
+
+    // Free stock and reorder level as of the latest stock change
+    availableQuantity: Number,
+    reorderLevel: Number,
+
+    triggeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    escalatedAt: Date,
+    resolvedAt: Date,
+
+    // Cleared whenever the alert opens or escalates; set once the email has gone out
+    notifiedAt: {
+        type: Date,
+        default: null
+    },
+
+    acknowledgedAt: Date,
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+stockAlertSchema.statics.LEVELS = ALERT_LEVELS;
+
+// Static method to claim an alert for notification so two servers never email it twice.
+// Resolves to the claimed alert, or null if it is resolved or was already notified.
+stockAlertSchema.statics.claimForNotification = function(alertId, now = new Date()) {
+    return this.findOneAndUpdate(
+        { _id: alertId, status: 'active', notifiedAt: null },
+        { $set: { notifiedAt: now } },
+        { new: true }
+    );
+};
+
+// At most one open alert per product or variant
+stockAlertSchema.index(
+    { product: 1, variant: 1 },
+    { unique: true, partialFilterExpression: { status: 'active' } }
+);
+stockAlertSchema.index({ status: 1, notifiedAt: 1 });
+stockAlertSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+// Why stock moved. `quantity` is the change in stock on hand and `reservedChange`
+// the change in stock held for orders:
+//   opening      stock a product or variant was created with
+//   receipt      goods received from a supplier
+//   reservation  stock held for a confirmed order (reserved only)
+//   release      hold given back on cancellation or deletion (reserved only)
+//   sale         reserved stock leaving with a delivered order
+//   return       goods coming back from a customer
+//   adjustment   manual correction
+//   damage       damaged goods taken out of stock
+//   write-off    lost or obsolete goods taken out of stock
+//   stocktake    correction to match a physical count
+//   transfer-out stock leaving a location for another (total unchanged)
+//   transfer-in  transferred stock arriving at a location (total unchanged)
+// Once locations are set up, `location` and `locationChange` say where stock on hand
+// changed; for transfers `quantity` is 0 and only `locationChange` is set.
+const MOVEMENT_TYPES = [
+    'opening', 'receipt', 'reservation', 'release', 'sale', 'return',
+    'adjustment', 'damage', 'write-off', 'stocktake', 'transfer-out', 'transfer-in'
+];
+
+const stockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productCode: String,
+    // Set when the product keeps stock per variant
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 0
+    },
+    reservedChange: {
+        type: Number,
+        default: 0
+    },
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    locationChange: Number,
+    // Stock on hand and reserved right after the movement (of the variant, if any)
+    stockAfter: Number,
+    reservedAfter: Number,
+    // Cost per unit of goods coming in, used for stock valuation
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Document that caused the movement, e.g. { kind: 'Order', number: 'ORD-...' }
+    reference: {
+        kind: String,
+        documentId: mongoose.Schema.Types.ObjectId,
+        number: String
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Movement types, for request validation
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+const immutableError = () => new AppError(
+    'Stock movements cannot be changed; record a correcting movement instead',
+    409,
+    'STOCK_MOVEMENT_IMMUTABLE'
+);
+
+// The ledger is append-only
+stockMovementSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(immutableError());
+    }
+    next();
+});
+
+stockMovementSchema.pre([
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+], function(next) {
+    next(immutableError());
+});
+
+// Static method to append movements to the ledger inside the caller's transaction
+stockMovementSchema.statics.record = function(movements, session = null) {
+    const entries = Array.isArray(movements) ? movements : [movements];
+    return this.insertMany(entries, { session });
+};
+
+// Static method to total the change in stock on hand per product and variant after
+// a point in time, for working back from current stock
+stockMovementSchema.statics.getChangesSince = function(since, match = {}) {
+    return this.aggregate([
+        { $match: { ...match, createdAt: { $gt: since }, quantity: { $ne: 0 } } },
+        {
+            $group: {
+                _id: { product: '$product', variant: '$variant' },
+                quantity: { $sum: '$quantity' }
+            }
+        }
+    ]);
+};
+
+// Static method to find the latest receipt cost per product up to a point in time
+stockMovementSchema.statics.getLatestUnitCosts = function(asOf, match = {}) {
+    return this.aggregate([
+        { $match: { ...match, type: 'receipt', unitCost: { $ne: null }, createdAt: { $lte: asOf } } },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: '$product', unitCost: { $last: '$unitCost' } } }
+    ]);
+};
+
+// Indexes for better performance
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ location: 1, createdAt: -1 });
+stockMovementSchema.index({ 'reference.documentId': 1 });
+stockMovementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
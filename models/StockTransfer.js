@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+// Stock moved from one location to another. It leaves the source when the transfer
+// is dispatched and is in transit (counted in the product total, at no location)
+// until the destination receives it; cancelling puts it back at the source.
+const stockTransferSchema = new mongoose.Schema({
+    transferNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['in-transit', 'received', 'cancelled'],
+        default: 'in-transit'
+    },
+    fromLocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+    toLocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+
+    items: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        productName: String,
+        productCode: String,
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        }
+    }],
+
+    notes: String,
+    dispatchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    dispatchedAt: {
+        type: Date,
+        default: Date.now
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    cancellationReason: String
+}, {
+    timestamps: true,
+    // Receiving and cancelling the same transfer at once must not both move stock
+    optimisticConcurrency: true
+});
+
+// Virtual for the number of units on the transfer
+stockTransferSchema.virtual('totalQuantity').get(function() {
+    return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Static method to allocate the next transfer number
+stockTransferSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`stock-transfer:${financialYear}`, session);
+    return `UP/TR/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Static method to total the units in transit per product and variant, keyed by "product:variant"
+stockTransferSchema.statics.getInTransit = async function(match = {}) {
+    const rows = await this.aggregate([
+        { $match: { status: 'in-transit' } },
+        { $unwind: '$items' },
+        { $match: match },
+        {
+            $group: {
+                _id: { product: '$items.product', variant: '$items.variant' },
+                quantity: { $sum: '$items.quantity' }
+            }
+        }
+    ]);
+
+    return new Map(rows.map(row => [`${row._id.product}:${row._id.variant || ''}`, row.quantity]));
+};
+
+// Indexes for better performance
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromLocation: 1, status: 1 });
+stockTransferSchema.index({ toLocation: 1, status: 1 });
+stockTransferSchema.index({ 'items.product': 1 });
+
+stockTransferSchema.set('toJSON', { virtuals: true });
+stockTransferSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// One product, or one variant of a product with variants, to be counted
+const stocktakeLineSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: String,
+    productCode: String,
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    label: String,
+
+    // System stock (at the stocktake's location, if any) when the stocktake started
+    expectedQuantity: {
+        type: Number,
+        required: true
+    },
+    // Cost per unit when the stocktake started, for the value of variances
+    unitCost: {
+        type: Number,
+        default: 0
+    },
+
+    countedQuantity: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    countedAt: Date,
+    notes: String,
+
+    // Stock change posted on approval
+    adjustedQuantity: Number
+});
+
+// Virtual for counted minus expected; null until counted
+stocktakeLineSchema.virtual('variance').get(function() {
+    return this.countedQuantity == null ? null : this.countedQuantity - this.expectedQuantity;
+});
+
+// Virtual for the value of the variance at the snapshot cost
+stocktakeLineSchema.virtual('varianceValue').get(function() {
+    return this.variance == null ? null : roundCurrency(this.variance * (this.unitCost || 0));
+});
+
+stocktakeLineSchema.set('toJSON', { virtuals: true });
+stocktakeLineSchema.set('toObject', { virtuals: true });
+
+const stocktakeSchema = new mongoose.Schema({
+    stocktakeNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['counting', 'approved', 'cancelled'],
+        default: 'counting'
+    },
+
+    // Location counted, once locations are set up
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    // What was counted: a whole category, a list of products, or everything
+    scope: {
+        category: String,
+        products: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        }]
+    },
+    lines: [stocktakeLineSchema],
+
+    notes: String,
+    startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    cancellationReason: String
+}, {
+    timestamps: true,
+    // Two people approving, or counting while someone approves, must not both win
+    optimisticConcurrency: true
+});
+
+// Virtual for the variance summary: lines counted, units and value over and short
+stocktakeSchema.virtual('summary').get(function() {
+    const lines = this.lines || [];
+    const counted = lines.filter(line => line.countedQuantity != null);
+    const short = counted.filter(line => line.variance < 0);
+    const over = counted.filter(line => line.variance > 0);
+
+    return {
+        lines: lines.length,
+        counted: counted.length,
+        uncounted: lines.length - counted.length,
+        withVariance: short.length + over.length,
+        unitsShort: short.reduce((sum, line) => sum - line.variance, 0),
+        unitsOver: over.reduce((sum, line) => sum + line.variance, 0),
+        valueShort: roundCurrency(short.reduce((sum, line) => sum - line.varianceValue, 0)),
+        valueOver: roundCurrency(over.reduce((sum, line) => sum + line.varianceValue, 0)),
+        netValue: roundCurrency(counted.reduce((sum, line) => sum + line.varianceValue, 0))
+    };
+});
+
+// Method to find the line for a line ID, a variant SKU, or the code of a product without variants
+stocktakeSchema.methods.findLine = function({ line, sku, code }) {
+    if (line) return this.lines.id(line);
+    if (sku) return this.lines.find(item => item.sku === String(sku).trim().toUpperCase());
+    if (code) return this.lines.find(item => !item.variant && item.productCode === String(code).trim().toUpperCase());
+    return null;
+};
+
+// Static method to allocate the next stocktake number
+stocktakeSchema.statics.allocateNumber = async function(date = new Date(), session = null) {
+    const financialYear = getFinancialYear(date);
+    const sequence = await Counter.next(`stocktake:${financialYear}`, session);
+    return `UP/ST/${financialYear}/${String(sequence).padStart(4, '0')}`;
+};
+
+// Indexes for better performance
+stocktakeSchema.index({ status: 1, createdAt: -1 });
+stocktakeSchema.index({ 'lines.product': 1, status: 1 });
+
+stocktakeSchema.set('toJSON', { virtuals: true });
+stocktakeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Stocktake', stocktakeSchema);
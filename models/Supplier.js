@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { GSTIN_PATTERN } = require('../services/taxService');
+
+const supplierSchema = new mongoose.Schema({
+    // Basic Information
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    contactPerson: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+
+    // Address Information
+    address: {
+        street: String,
+        city: String,
+        state: String,
+        pincode: String,
+        country: {
+            type: String,
+            default: 'India'
+        }
+    },
+
+    // Business Information
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [GSTIN_PATTERN, 'Please enter a valid GSTIN']
+    },
+    paymentTerms: {
+        type: String,
+        enum: ['immediate', '7-days', '15-days', '30-days', '45-days', '60-days'],
+        default: '30-days'
+    },
+    // Days the supplier quotes from sending a purchase order to delivery
+    leadTimeDays: {
+        type: Number,
+        default: 7,
+        min: 0
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: String,
+
+    // Metadata
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for full address
+supplierSchema.virtual('fullAddress').get(function() {
+    const addr = this.address;
+    if (!addr) return '';
+
+    return [addr.street, addr.city, addr.state, addr.pincode, addr.country].filter(Boolean).join(', ');
+});
+
+// Static method to find active suppliers
+supplierSchema.statics.findActive = function() {
+    return this.find({ isActive: true }).sort({ name: 1 });
+};
+
+// Indexes for better performance
+supplierSchema.index({ name: 'text', code: 'text', contactPerson: 'text' });
+supplierSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -28,10 +29,14 @@ const userSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    // Name of a built-in or custom Role, which decides what the user may do
     role: {
         type: String,
-        enum: ['admin', 'manager', 'staff'],
-        default: 'staff'
+        default: 'staff',
+        validate: {
+            validator: (name) => Role.isValidName(name),
+            message: 'Role {VALUE} does not exist'
+        }
     },
     isActive: {
         type: Boolean,
@@ -40,23 +45,44 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
-    permissions: {
-        customers: { type: Boolean, default: true },
-        products: { type: Boolean, default: true },
-        orders: { type: Boolean, default: true },
-        inquiries: { type: Boolean, default: true },
-        reports: { type: Boolean, default: true },
-        users: { type: Boolean, default: false }
+    passwordChangedAt: {
+        type: Date
     },
     profile: {
         phone: String,
         address: String,
         avatar: String
+    },
+    // TOTP two-factor authentication; the secrets and recovery codes are never selected by default
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        // Secret being set up, until the first code from the app confirms it
+        pendingSecret: { type: String, select: false },
+        // Last time step accepted, so a code cannot be used twice
+        lastUsedStep: { type: Number, select: false },
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                codeHash: String,
+                usedAt: Date
+            }],
+            select: false
+        },
+        enabledAt: Date
     }
 }, {
     timestamps: true
 });
 
+// The user's Role document; populate it to check permissions
+userSchema.virtual('roleDefinition', {
+    ref: 'Role',
+    localField: 'role',
+    foreignField: 'name',
+    justOne: true
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
@@ -64,6 +90,7 @@ userSchema.pre('save', async function(next) {
     try {
         const salt = await bcrypt.genSalt(12);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) this.passwordChangedAt = new Date();
         next();
     } catch (error) {
         next(error);
@@ -75,10 +102,46 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get the role that decides the user's permissions, falling back to the
+// built-in definition when roleDefinition was not populated or is not saved yet
+userSchema.methods.getRole = function() {
+    return this.roleDefinition || Role.builtIn(this.role);
+};
+
+// Method to check whether the user may perform an action on a resource
+userSchema.methods.can = function(resource, action) {
+    if (this.role === 'admin') return true;
+    const role = this.getRole();
+    return Boolean(role) && role.can(resource, action);
+};
+
+// Method to get the user's scope on a resource: 'all' records or only their 'own'
+userSchema.methods.scopeFor = function(resource) {
+    if (this.role === 'admin') return 'all';
+    const role = this.getRole();
+    return role ? role.scopeFor(resource) : 'all';
+};
+
+// Method to get the filter limiting a query to the records the user may see
+userSchema.methods.recordFilter = function(resource) {
+    return this.scopeFor(resource) === 'own' ? Role.ownerFilter(resource, this._id) : {};
+};
+
+// Method to check whether the user may see a record
+userSchema.methods.canAccessRecord = function(resource, record) {
+    return this.scopeFor(resource) === 'all' || Role.isOwner(resource, record, this._id);
+};
+
 // Method to get user without sensitive data
 userSchema.methods.toSafeObject = function() {
     const user = this.toObject();
     delete user.password;
+    if (user.twoFactor) {
+        delete user.twoFactor.secret;
+        delete user.twoFactor.pendingSecret;
+        delete user.twoFactor.lastUsedStep;
+        delete user.twoFactor.recoveryCodes;
+    }
     return user;
 };
 
@@ -86,15 +149,7 @@ userSchema.methods.toSafeObject = function() {
 userSchema.statics.createAdmin = async function(adminData) {
     const admin = new this({
         ...adminData,
-        role: 'admin',
-        permissions: {
-            customers: true,
-            products: true,
-            orders: true,
-            inquiries: true,
-            reports: true,
-            users: true
-        }
+        role: 'admin'
     });
     return admin.save();
 };
@@ -1,17 +1,43 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Customer = require('../models/Customer');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Inquiry = require('../models/Inquiry');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const SecuritySettings = require('../models/SecuritySettings');
+const SecurityEvent = require('../models/SecurityEvent');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const receivablesService = require('../services/receivablesService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
 
 const router = express.Router();
 
 // All admin routes require admin privileges
 router.use(authenticateToken, requireAdmin);
 
+// Validation rules
+const roleExists = async (role) => {
+    if (!(await Role.isValidName(role))) throw new Error('Role does not exist');
+};
+
+const rolePermissionsValidation = [
+    body('permissions').optional().isArray().withMessage('Permissions must be an array')
+        .custom((permissions) => {
+            const problem = Role.checkPermissions(permissions);
+            if (problem) throw new Error(problem);
+            return true;
+        }),
+    body('permissions.*.resource').isIn(Role.RESOURCES).withMessage(`Resource must be one of: ${Role.RESOURCES.join(', ')}`),
+    body('permissions.*.actions').optional().isArray().withMessage('Actions must be an array'),
+    body('permissions.*.actions.*').isIn(Role.ACTIONS).withMessage(`Action must be one of: ${Role.ACTIONS.join(', ')}`),
+    body('permissions.*.scope').optional().isIn(Role.SCOPES).withMessage('Scope must be all or own')
+];
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard overview
 // @access  Private (Admin only)
@@ -103,6 +129,7 @@ router.get('/users', async (req, res) => {
             search,
             role,
             isActive,
+            twoFactor,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
@@ -118,6 +145,7 @@ router.get('/users', async (req, res) => {
         }
         if (role) filter.role = role;
         if (isActive !== undefined) filter.isActive = isActive === 'true';
+        if (twoFactor !== undefined) filter['twoFactor.enabled'] = twoFactor === 'true';
 
         // Build sort object
         const sort = {};
@@ -191,9 +219,8 @@ router.get('/users/:id', async (req, res) => {
 router.put('/users/:id', [
     body('fullName').optional().trim().isLength({ min: 2 }),
     body('email').optional().isEmail().normalizeEmail(),
-    body('role').optional().isIn(['admin', 'manager', 'staff']),
-    body('isActive').optional().isBoolean(),
-    body('permissions').optional().isObject()
+    body('role').optional().custom(roleExists),
+    body('isActive').optional().isBoolean()
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -206,7 +233,7 @@ router.put('/users/:id', [
             });
         }
 
-        const { fullName, email, role, isActive, permissions } = req.body;
+        const { fullName, email, role, isActive } = req.body;
 
         // Check if email is being changed and if it already exists
         if (email) {
@@ -235,7 +262,6 @@ router.put('/users/:id', [
         if (email) updateData.email = email;
         if (role) updateData.role = role;
         if (isActive !== undefined) updateData.isActive = isActive;
-        if (permissions) updateData.permissions = permissions;
 
         const updatedUser = await User.findByIdAndUpdate(
             req.params.id,
@@ -250,6 +276,11 @@ router.put('/users/:id', [
             });
         }
 
+        // A deactivated user is signed out everywhere
+        if (isActive === false) {
+            await sessionService.revokeUserSessions(updatedUser._id, { reason: 'deactivated', revokedBy: req.user._id });
+        }
+
         res.json({
             success: true,
             message: 'User updated successfully',
@@ -300,6 +331,7 @@ router.delete('/users/:id', async (req, res) => {
         }
 
         await User.findByIdAndDelete(req.params.id);
+        await Session.deleteMany({ user: req.params.id });
 
         res.json({
             success: true,
@@ -344,6 +376,8 @@ router.post('/users/:id/reset-password', [
 
         user.password = newPassword;
         await user.save();
+        await sessionService.revokeUserSessions(user._id, { reason: 'password-reset', revokedBy: req.user._id });
+        await SecurityEvent.record({ type: 'password-reset', user: user._id, username: user.username, actor: req.user._id });
 
         res.json({
             success: true,
@@ -359,6 +393,551 @@ router.post('/users/:id/reset-password', [
     }
 });
 
+// @route   GET /api/admin/users/:id/sessions
+// @desc    Get a user's active sessions
+// @access  Private (Admin only)
+router.get('/users/:id/sessions', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username fullName');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const sessions = await sessionService.listSessions(user._id);
+
+        res.json({
+            success: true,
+            user,
+            sessions
+        });
+
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting user sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Revoke one of a user's sessions
+// @access  Private (Admin only)
+router.delete('/users/:id/sessions/:sessionId', async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await sessionService.revokeSession(session, { reason: 'admin', revokedBy: req.user._id });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking session'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke every session of a user
+// @access  Private (Admin only)
+router.delete('/users/:id/sessions', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const revoked = await sessionService.revokeUserSessions(user._id, { reason: 'admin', revokedBy: req.user._id });
+
+        res.json({
+            success: true,
+            message: `${revoked} session(s) revoked`
+        });
+
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Reset a user's two-factor authentication, e.g. after a lost device
+// @access  Private (Admin only)
+router.delete('/users/:id/two-factor', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username role twoFactor');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await twoFactorService.reset(user._id);
+        await SecurityEvent.record({ type: 'two-factor-reset', user: user._id, username: user.username, actor: req.user._id });
+        const required = await twoFactorService.isRequiredFor(user);
+
+        res.json({
+            success: true,
+            message: required
+                ? `Two-factor authentication reset; ${user.username} must set it up again at the next login`
+                : 'Two-factor authentication reset'
+        });
+
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error resetting two-factor authentication'
+        });
+    }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get built-in and custom roles with how many users have each
+// @access  Private (Admin only)
+router.get('/roles', async (req, res) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            Role.find().sort({ isSystem: -1, name: 1 }),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+        const userCounts = new Map(counts.map(count => [count._id, count.count]));
+
+        res.json({
+            success: true,
+            roles: roles.map(role => ({
+                ...role.toObject(),
+                userCount: userCounts.get(role.name) || 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting roles'
+        });
+    }
+});
+
+// @route   GET /api/admin/permissions
+// @desc    Get the permissions matrix: every role against every resource and action
+// @access  Private (Admin only)
+router.get('/permissions', async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+        res.json({
+            success: true,
+            resources: Role.RESOURCES,
+            actions: Role.ACTIONS,
+            scopes: Role.SCOPES,
+            // Resources that can be limited to the user's own records
+            ownScopeResources: Object.keys(Role.OWNER_FIELDS),
+            roles: roles.map(role => ({
+                name: role.name,
+                label: role.label,
+                isSystem: role.isSystem,
+                permissions: role.toMatrix()
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get permissions matrix error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting permissions matrix'
+        });
+    }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Private (Admin only)
+router.post('/roles', [
+    body('name').trim().toLowerCase().matches(/^[a-z][a-z0-9-]{1,29}$/).withMessage('Role name must be 2-30 lowercase letters, digits or hyphens'),
+    body('label').trim().isLength({ min: 2 }).withMessage('Label is required'),
+    body('description').optional().trim(),
+    body('permissions').exists().withMessage('Permissions are required'),
+    ...rolePermissionsValidation
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { name, label, description, permissions } = req.body;
+
+        // Check if role already exists
+        if (await Role.isValidName(name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role already exists'
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            label,
+            description,
+            permissions,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            role
+        });
+
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating role'
+        });
+    }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's label, description or permissions
+// @access  Private (Admin only)
+router.put('/roles/:name', [
+    body('label').optional().trim().isLength({ min: 2 }).withMessage('Label must be at least 2 characters'),
+    body('description').optional().trim(),
+    ...rolePermissionsValidation
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        // Admin always has every permission, so nobody can lock themselves out
+        if (req.params.name === 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'The admin role always has every permission and cannot be changed'
+            });
+        }
+
+        const role = await Role.findOne({ name: req.params.name });
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        const { label, description, permissions } = req.body;
+        if (label) role.label = label;
+        if (description !== undefined) role.description = description;
+        if (permissions) role.permissions = permissions;
+        role.updatedBy = req.user._id;
+        await role.save();
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            role
+        });
+
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating role'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that no user has
+// @access  Private (Admin only)
+router.delete('/roles/:name', async (req, res) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name });
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        // Check if users still have the role
+        const userCount = await User.countDocuments({ role: role.name });
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete a role that ${userCount} user(s) have. Please change their role first.`
+            });
+        }
+
+        await Role.deleteOne({ _id: role._id });
+        await SecuritySettings.updateOne({}, { $pull: { twoFactorRequiredRoles: role.name } });
+
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting role'
+        });
+    }
+});
+
+// @route   GET /api/admin/security-settings
+// @desc    Get the security policy
+// @access  Private (Admin only)
+router.get('/security-settings', async (req, res) => {
+    try {
+        const settings = await SecuritySettings.get();
+
+        res.json({
+            success: true,
+            settings
+        });
+
+    } catch (error) {
+        console.error('Get security settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting security settings'
+        });
+    }
+});
+
+// @route   PUT /api/admin/security-settings
+// @desc    Update the security policy (roles that must use two-factor authentication,
+//          failed-login limits and lockout length)
+// @access  Private (Admin only)
+router.put('/security-settings', [
+    body('twoFactorRequiredRoles').optional().isArray().withMessage('Roles must be an array'),
+    body('twoFactorRequiredRoles.*').custom(roleExists),
+    body('maxFailedLogins').optional().isInt({ min: 1, max: 100 }).withMessage('Failed logins before lockout must be 1-100'),
+    body('maxFailedLoginsPerIp').optional().isInt({ min: 1, max: 1000 }).withMessage('Failed logins per IP must be 1-1000'),
+    body('failureWindowMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Failure window must be 1-1440 minutes'),
+    body('lockoutMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Lockout must be 1-1440 minutes')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const changes = {};
+        if (req.body.twoFactorRequiredRoles) {
+            changes.twoFactorRequiredRoles = [...new Set(req.body.twoFactorRequiredRoles)];
+        }
+        ['maxFailedLogins', 'maxFailedLoginsPerIp', 'failureWindowMinutes', 'lockoutMinutes'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = parseInt(req.body[field]);
+        });
+
+        const settings = await SecuritySettings.update(changes, req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Security settings updated successfully',
+            settings
+        });
+
+    } catch (error) {
+        console.error('Update security settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating security settings'
+        });
+    }
+});
+
+// @route   GET /api/admin/security-events
+// @desc    Get login and account security events with filtering and pagination
+// @access  Private (Admin only)
+router.get('/security-events', [
+    query('type').optional().isIn(SecurityEvent.EVENT_TYPES).withMessage('Valid event type is required'),
+    query('user').optional().isMongoId().withMessage('Valid user ID is required'),
+    query('from').optional().isISO8601().withMessage('Valid from date is required'),
+    query('to').optional().isISO8601().withMessage('Valid to date is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, type, user, ip, from, to } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (type) filter.type = type;
+        if (user) filter.user = user;
+        if (ip) filter.ip = ip;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const events = await SecurityEvent.find(filter)
+            .populate('user', 'username fullName')
+            .populate('actor', 'username fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await SecurityEvent.countDocuments(filter);
+
+        res.json({
+            success: true,
+            events,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalEvents: total,
+                hasNextPage: skip + events.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get security events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting security events'
+        });
+    }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    Get locked accounts and blocked IP addresses
+// @access  Private (Admin only)
+router.get('/lockouts', async (req, res) => {
+    try {
+        const lockouts = await loginSecurityService.getLockouts();
+
+        res.json({
+            success: true,
+            accounts: lockouts.filter(lockout => lockout.kind === 'account'),
+            ips: lockouts.filter(lockout => lockout.kind === 'ip')
+        });
+
+    } catch (error) {
+        console.error('Get lockouts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting lockouts'
+        });
+    }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (Admin only)
+router.post('/users/:id/unlock', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('username');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const unlocked = await loginSecurityService.unlockAccount(user, req.user);
+
+        res.json({
+            success: true,
+            message: unlocked ? `Account ${user.username} unlocked` : `Account ${user.username} was not locked`
+        });
+
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking account'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/lockouts/ip/:ip
+// @desc    Unblock an IP address blocked after failed logins
+// @access  Private (Admin only)
+router.delete('/lockouts/ip/:ip', async (req, res) => {
+    try {
+        const unblocked = await loginSecurityService.unblockIp(req.params.ip, req.user);
+
+        res.json({
+            success: true,
+            message: unblocked ? `${req.params.ip} unblocked` : `${req.params.ip} was not blocked`
+        });
+
+    } catch (error) {
+        console.error('Unblock IP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unblocking IP address'
+        });
+    }
+});
+
 // @route   GET /api/admin/reports/sales
 // @desc    Get sales report
 // @access  Private (Admin only)
@@ -514,9 +1093,10 @@ router.get('/reports/products', async (req, res) => {
         if (category) filter.category = category;
         if (uniformType) filter.uniformType = uniformType;
         if (stockStatus) {
-            if (stockStatus === 'out-of-stock') filter.stockQuantity = 0;
-            else if (stockStatus === 'low-stock') {
-                filter.$expr = { $lte: ['$stockQuantity', '$reorderLevel'] };
+            if (stockStatus === 'out-of-stock') {
+                filter.$expr = { $lte: [Product.availableQuantityExpr, 0] };
+            } else if (stockStatus === 'low-stock') {
+                filter.$expr = Product.lowStockExpr;
             }
         }
 
@@ -527,7 +1107,7 @@ router.get('/reports/products', async (req, res) => {
         // Get product data
         const products = await Product.find(filter)
             .sort(sort)
-            .select('name code category uniformType basePrice stockQuantity totalSold totalRevenue');
+            .select('name code category uniformType basePrice stockQuantity reservedQuantity totalSold totalRevenue');
 
         // Get summary statistics
         const summary = await Product.aggregate([
@@ -539,7 +1119,7 @@ router.get('/reports/products', async (req, res) => {
                     totalRevenue: { $sum: '$totalRevenue' },
                     averagePrice: { $avg: '$basePrice' },
                     activeProducts: { $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] } },
-                    lowStockProducts: { $sum: { $cond: [{ $expr: { $lte: ['$stockQuantity', '$reorderLevel'] } }, 1, 0] } }
+                    lowStockProducts: { $sum: { $cond: [Product.lowStockExpr, 1, 0] } }
                 }
             }
         ]);
@@ -569,6 +1149,48 @@ router.get('/reports/products', async (req, res) => {
     }
 });
 
+// @route   GET /api/admin/reports/aging
+// @desc    Get accounts-receivable aging report per customer
+// @access  Private (Admin only)
+router.get('/reports/aging', [
+    query('asOf').optional().isISO8601().withMessage('asOf must be a valid date'),
+    query('customer').optional().isMongoId().withMessage('Valid customer ID is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { asOf, customer } = req.query;
+
+        const report = await receivablesService.getAgingReport({
+            asOf: asOf ? new Date(asOf) : new Date(),
+            customer
+        });
+
+        res.json({
+            success: true,
+            report: {
+                ...report,
+                filters: { asOf, customer }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get aging report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting aging report'
+        });
+    }
+});
+
 // @route   GET /api/admin/system/health
 // @desc    Get system health information
 // @access  Private (Admin only)
@@ -597,7 +1219,8 @@ router.get('/system/health', async (req, res) => {
             pendingOrders: await Order.countDocuments({ status: { $in: ['pending', 'confirmed', 'in-production'] } }),
             newInquiries: await Inquiry.countDocuments({ status: 'new' }),
             lowStockProducts: await Product.findLowStock().countDocuments(),
-            overdueOrders: await Order.findOverdue().countDocuments()
+            overdueOrders: await Order.findOverdue().countDocuments(),
+            overduePayments: await Order.findPaymentOverdue().countDocuments()
         };
 
         const healthData = {
@@ -1,9 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
 const { authenticateToken, rateLimitAction } = require('../middleware/auth');
+const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -17,13 +25,16 @@ const registerValidation = [
     body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('fullName').trim().isLength({ min: 2 }).withMessage('Full name is required')
+    body('fullName').trim().isLength({ min: 2 }).withMessage('Full name is required'),
+    body('role').optional().custom(async (role) => {
+        if (!(await Role.isValidName(role))) throw new Error('Role does not exist');
+    })
 ];
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', loginValidation, rateLimitAction('login', 5, 15 * 60 * 1000), async (req, res) => {
+router.post('/login', loginValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -42,7 +53,13 @@ router.post('/login', loginValidation, rateLimitAction('login', 5, 15 * 60 * 100
             $or: [{ username }, { email: username }]
         });
 
+        // Locked accounts, blocked IPs and repeated failures are refused before the password is checked
+        const attempt = { ip: req.ip, user, username, userAgent: req.get('user-agent') };
+        await loginSecurityService.assertCanAttempt(attempt);
+
         if (!user) {
+            const lockError = await loginSecurityService.recordFailure({ ...attempt, reason: 'unknown-user' });
+            if (lockError) throw lockError;
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -51,6 +68,7 @@ router.post('/login', loginValidation, rateLimitAction('login', 5, 15 * 60 * 100
 
         // Check if user is active
         if (!user.isActive) {
+            await loginSecurityService.recordFailure({ ...attempt, reason: 'deactivated' });
             return res.status(401).json({
                 success: false,
                 message: 'Account is deactivated. Please contact administrator.'
@@ -60,41 +78,99 @@ router.post('/login', loginValidation, rateLimitAction('login', 5, 15 * 60 * 100
         // Validate password
         const isMatch = await user.comparePassword(password);
         if (!isMatch) {
+            const lockError = await loginSecurityService.recordFailure({ ...attempt, reason: 'bad-password' });
+            if (lockError) throw lockError;
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
-
-        // Create JWT token
-        const payload = {
-            userId: user._id,
-            username: user.username,
-            role: user.role
-        };
+        // With two-factor authentication the session starts once the code is checked
+        if (user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: twoFactorService.createChallengeToken(user, 'login')
+            });
+        }
 
-        const token = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        // Roles that require two-factor authentication set it up before the first session
+        if (await twoFactorService.isRequiredFor(user)) {
+            return res.json({
+                success: true,
+                message: 'Set up two-factor authentication to continue',
+                twoFactorSetupRequired: true,
+                setupToken: twoFactorService.createChallengeToken(user, 'setup')
+            });
+        }
 
-        // Return user data (without password) and token
-        const userData = user.toSafeObject();
+        res.json(await completeLogin(req, user));
 
-        res.json({
-            success: true,
-            message: 'Login successful',
-            token,
-            user: userData
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
         });
+    }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: a code from the authenticator app, or a recovery code
+// @access  Public
+router.post('/login/2fa', [
+    body('challengeToken').trim().notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    body('recoveryCode').optional().trim().notEmpty().withMessage('Recovery code cannot be empty'),
+    body().custom(value => Boolean(value && (value.code || value.recoveryCode))).withMessage('Code or recovery code is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const user = await twoFactorService.verifyChallengeToken(req.body.challengeToken, 'login');
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const attempt = { ip: req.ip, user, username: user.username, userAgent: req.get('user-agent') };
+        await loginSecurityService.assertCanAttempt(attempt);
+
+        let result;
+        try {
+            result = await twoFactorService.verifyCode(user._id, {
+                code: req.body.code,
+                recoveryCode: req.body.recoveryCode
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+                const lockError = await loginSecurityService.recordFailure({ ...attempt, reason: 'two-factor' });
+                if (lockError) throw lockError;
+            }
+            throw error;
+        }
+
+        const response = await completeLogin(req, user, result.method);
+        if (result.method === 'recovery-code') {
+            response.recoveryCodesLeft = result.recoveryCodesLeft;
+        }
+        res.json(response);
 
     } catch (error) {
-        console.error('Login error:', error);
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Two-factor login error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error during login'
@@ -117,7 +193,7 @@ router.post('/register', authenticateToken, requireAdmin, registerValidation, as
             });
         }
 
-        const { username, email, password, fullName, role, permissions } = req.body;
+        const { username, email, password, fullName, role } = req.body;
 
         // Check if username already exists
         const existingUsername = await User.findOne({ username });
@@ -143,8 +219,7 @@ router.post('/register', authenticateToken, requireAdmin, registerValidation, as
             email,
             password,
             fullName,
-            role: role || 'staff',
-            permissions: permissions || {}
+            role: role || 'staff'
         };
 
         const newUser = new User(userData);
@@ -169,30 +244,35 @@ router.post('/register', authenticateToken, requireAdmin, registerValidation, as
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', authenticateToken, async (req, res) => {
+// @desc    Trade a refresh token for a new access token; the refresh token rotates
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken').trim().notEmpty().withMessage('Refresh token is required')
+], rateLimitAction('refresh', 30, 15 * 60 * 1000), async (req, res) => {
     try {
-        // Create new token
-        const payload = {
-            userId: req.user._id,
-            username: req.user.username,
-            role: req.user.role
-        };
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
 
-        const newToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        const { accessToken, refreshToken } = await sessionService.refreshSession(req.body.refreshToken, { ip: req.ip });
 
         res.json({
             success: true,
             message: 'Token refreshed successfully',
-            token: newToken
+            token: accessToken,
+            refreshToken
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Token refresh error:', error);
         res.status(500).json({
             success: false,
@@ -207,10 +287,13 @@ router.post('/refresh', authenticateToken, async (req, res) => {
 router.get('/me', authenticateToken, async (req, res) => {
     try {
         const user = await User.findById(req.user._id).select('-password');
+        const role = req.user.getRole();
         
         res.json({
             success: true,
-            user
+            user,
+            // What the user's role allows, so the UI can hide what they cannot do
+            permissions: role ? role.toMatrix() : {}
         });
 
     } catch (error) {
@@ -321,9 +404,11 @@ router.put('/change-password', authenticateToken, [
             });
         }
 
-        // Update password
+        // Update password; every other session is signed out
         user.password = newPassword;
         await user.save();
+        await sessionService.revokeUserSessions(user._id, { reason: 'password-change', revokedBy: user._id, except: req.sessionId });
+        await SecurityEvent.record({ type: 'password-changed', user: user._id, username: user.username, ip: req.ip, userAgent: req.get('user-agent') });
 
         res.json({
             success: true,
@@ -340,13 +425,13 @@ router.put('/change-password', authenticateToken, [
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
     try {
-        // In a stateless JWT system, logout is handled client-side
-        // You could implement a blacklist here if needed
-        
+        const session = await Session.findById(req.sessionId);
+        await sessionService.revokeSession(session, { reason: 'logout', revokedBy: req.user._id });
+
         res.json({
             success: true,
             message: 'Logout successful'
@@ -361,8 +446,249 @@ router.post('/logout', authenticateToken, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from every device, including this one
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeUserSessions(req.user._id, { reason: 'logout-all', revokedBy: req.user._id });
+
+        res.json({
+            success: true,
+            message: `Logged out of ${revoked} session(s)`
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                ...session.toJSON(),
+                current: session._id.equals(req.sessionId)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one of the current user's other devices
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await sessionService.revokeSession(session, { reason: 'logout', revokedBy: req.user._id });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking session'
+        });
+    }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+    try {
+        const twoFactor = await twoFactorService.getStatus(req.user._id);
+
+        res.json({
+            success: true,
+            twoFactor
+        });
+
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting two-factor status'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start setting up two-factor authentication: a secret and otpauth URI for the
+//          authenticator app (signed in, or with the `setupToken` from login)
+// @access  Private
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        const setup = await twoFactorService.beginSetup(req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Add the key to your authenticator app, then confirm with a code',
+            secret: setup.secret,
+            otpauthUri: setup.otpauthUri
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error setting up two-factor authentication'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm two-factor setup with a code and get recovery codes; with a `setupToken`
+//          this also completes the login
+// @access  Private
+router.post('/2fa/enable', [
+    body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { recoveryCodes } = await twoFactorService.enable(req.user._id, req.body.code);
+
+        const response = req.viaSetupToken
+            ? await completeLogin(req, req.user, 'totp')
+            : { success: true };
+        response.message = 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.';
+        response.recoveryCodes = recoveryCodes;
+        res.json(response);
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error enabling two-factor authentication'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (not allowed when the user's role requires it)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    body('recoveryCode').optional().trim().notEmpty().withMessage('Recovery code cannot be empty'),
+    body().custom(value => Boolean(value && (value.code || value.recoveryCode))).withMessage('Code or recovery code is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        await twoFactorService.disable(req.user._id, {
+            password: req.body.password,
+            code: req.body.code,
+            recoveryCode: req.body.recoveryCode
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error disabling two-factor authentication'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (the old ones stop working)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, [
+    body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated; the old ones no longer work',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating recovery codes'
+        });
+    }
+});
+
 // @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
+// @desc    Email a single-use password reset link
 // @access  Public
 router.post('/forgot-password', [
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
@@ -380,29 +706,17 @@ router.post('/forgot-password', [
 
         const { email } = req.body;
 
-        // Check if user exists
+        // Don't reveal if user exists or not: every request gets the same answer
         const user = await User.findOne({ email });
-        if (!user) {
-            // Don't reveal if user exists or not
-            return res.json({
-                success: true,
-                message: 'If an account with that email exists, a password reset link has been sent'
-            });
+        if (user && user.isActive) {
+            const token = await PasswordResetToken.issue(user, { ip: req.ip });
+            const resetUrl = `${process.env.FRONTEND_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+            await emailService.sendPasswordReset(user, resetUrl);
         }
 
-        // Generate reset token
-        const resetToken = jwt.sign(
-            { userId: user._id, type: 'password-reset' },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '1h' }
-        );
-
-        // In a real application, send email here
-        // For now, just return success message
-        
         res.json({
             success: true,
-            message: 'Password reset instructions sent to your email'
+            message: 'If an account with that email exists, a password reset link has been sent'
         });
 
     } catch (error) {
@@ -414,6 +728,139 @@ router.post('/forgot-password', [
     }
 });
 
+// @route   GET /api/auth/reset-password/:token
+// @desc    Check a password reset link before asking for the new password
+// @access  Public
+router.get('/reset-password/:token', rateLimitAction('reset-password-check', 20, 15 * 60 * 1000), async (req, res) => {
+    try {
+        const resetToken = await PasswordResetToken.findUsable(req.params.token);
+        if (!resetToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'This password reset link is invalid or has expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Password reset link is valid',
+            expiresAt: resetToken.expiresAt
+        });
+
+    } catch (error) {
+        console.error('Check reset token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error checking password reset link'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset link; signs the user out everywhere
+// @access  Public
+router.post('/reset-password', [
+    body('token').trim().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], rateLimitAction('reset-password', 5, 15 * 60 * 1000), async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        // Spending the token first means two requests with the same link cannot both succeed
+        const resetToken = await PasswordResetToken.consume(req.body.token);
+        if (!resetToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'This password reset link is invalid or has expired'
+            });
+        }
+
+        const user = await User.findById(resetToken.user);
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'This password reset link is invalid or has expired'
+            });
+        }
+
+        user.password = req.body.password;
+        await user.save();
+
+        // Any other links sent to the user stop working too, and every session ends
+        await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+        await sessionService.revokeUserSessions(user._id, { reason: 'password-reset' });
+        await SecurityEvent.record({ type: 'password-reset', user: user._id, username: user.username, ip: req.ip, userAgent: req.get('user-agent') });
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error resetting password'
+        });
+    }
+});
+
+// Helper function to finish a login: record it and start a session for the device
+async function completeLogin(req, user, method = 'password') {
+    user.lastLogin = new Date();
+    await user.save();
+    await loginSecurityService.recordSuccess({ ip: req.ip, user, userAgent: req.get('user-agent'), method });
+
+    // Start a session: a short-lived access token and a refresh token for this device
+    const { accessToken, refreshToken } = await sessionService.startSession(user, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        device: req.body.device
+    });
+
+    // Return user data (without password) and tokens
+    return {
+        success: true,
+        message: 'Login successful',
+        token: accessToken,
+        refreshToken,
+        user: user.toSafeObject()
+    };
+}
+
+// Helper function to authenticate two-factor setup either with a session or with the
+// setup token login hands out when the user's role requires 2FA
+function authenticateTwoFactorSetup(req, res, next) {
+    if (!req.body.setupToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    twoFactorService.verifyChallengeToken(req.body.setupToken, 'setup')
+        .then(user => {
+            req.user = user;
+            req.viaSetupToken = true;
+            next();
+        })
+        .catch(error => {
+            if (error instanceof AppError) {
+                return res.status(error.status).json(error.toJSON());
+            }
+            console.error('Two-factor setup auth error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Authentication error'
+            });
+        });
+}
+
 // Helper function to require admin (defined here to avoid circular dependency)
 function requireAdmin(req, res, next) {
     if (req.user.role !== 'admin') {
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Customer = require('../models/Customer');
 const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const { isValidGstin } = require('../services/taxService');
+const creditService = require('../services/creditService');
 
 const router = express.Router();
 
@@ -9,6 +11,7 @@ const router = express.Router();
 const customerValidation = [
     body('name').trim().isLength({ min: 2 }).withMessage('Customer name is required'),
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit must be a positive number'),
     body('phone').optional().trim(),
     body('company').optional().trim(),
     body('businessType').isIn(['school', 'college', 'hotel', 'hospital', 'corporate', 'industrial', 'individual', 'other']).withMessage('Valid business type is required'),
@@ -16,13 +19,15 @@ const customerValidation = [
     body('address.street').optional().trim(),
     body('address.city').optional().trim(),
     body('address.state').optional().trim(),
-    body('address.pincode').optional().trim()
+    body('address.pincode').optional().trim(),
+    body('gstin').optional({ checkFalsy: true }).trim().toUpperCase()
+        .custom(isValidGstin).withMessage('Valid GSTIN is required')
 ];
 
 // @route   GET /api/customers
 // @desc    Get all customers with filtering and pagination
 // @access  Private
-router.get('/', authenticateToken, checkPermission('customers'), async (req, res) => {
+router.get('/', authenticateToken, checkPermission('customers', 'view'), async (req, res) => {
     try {
         const {
             page = 1,
@@ -48,6 +53,9 @@ router.get('/', authenticateToken, checkPermission('customers'), async (req, res
         if (status) filter.status = status;
         if (assignedTo) filter.assignedTo = assignedTo;
 
+        // Roles limited to their own records only see those
+        filter.$and = [req.user.recordFilter('customers')];
+
         // Build sort object
         const sort = {};
         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -89,7 +97,7 @@ router.get('/', authenticateToken, checkPermission('customers'), async (req, res
 // @route   GET /api/customers/:id
 // @desc    Get customer by ID
 // @access  Private
-router.get('/:id', authenticateToken, checkPermission('customers'), canAccessResource('customer'), async (req, res) => {
+router.get('/:id', authenticateToken, checkPermission('customers', 'view'), canAccessResource('customer'), async (req, res) => {
     try {
         const customer = await Customer.findById(req.params.id)
             .populate('assignedTo', 'username fullName');
@@ -101,9 +109,12 @@ router.get('/:id', authenticateToken, checkPermission('customers'), canAccessRes
             });
         }
 
+        const creditExposure = await creditService.getCreditExposure(customer);
+
         res.json({
             success: true,
-            customer
+            customer,
+            creditExposure
         });
 
     } catch (error) {
@@ -118,7 +129,7 @@ router.get('/:id', authenticateToken, checkPermission('customers'), canAccessRes
 // @route   POST /api/customers
 // @desc    Create new customer
 // @access  Private
-router.post('/', authenticateToken, checkPermission('customers'), customerValidation, async (req, res) => {
+router.post('/', authenticateToken, checkPermission('customers', 'create'), customerValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -135,6 +146,22 @@ router.post('/', authenticateToken, checkPermission('customers'), customerValida
             createdBy: req.user._id
         };
 
+        // The credit balance is owned by the payment ledger
+        delete customerData.creditBalance;
+
+        // Roles limited to their own records keep the customers they add
+        if (!customerData.assignedTo && req.user.scopeFor('customers') === 'own') {
+            customerData.assignedTo = req.user._id;
+        }
+
+        // Credit limits are a credit decision
+        if (customerData.creditLimit !== undefined && !creditService.canApproveCredit(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Setting a credit limit requires approve permission on orders'
+            });
+        }
+
         // Check if customer with same email already exists
         const existingCustomer = await Customer.findOne({ email: customerData.email });
         if (existingCustomer) {
@@ -168,7 +195,7 @@ router.post('/', authenticateToken, checkPermission('customers'), customerValida
 // @route   PUT /api/customers/:id
 // @desc    Update customer
 // @access  Private
-router.put('/:id', authenticateToken, checkPermission('customers'), canAccessResource('customer'), customerValidation, async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('customers', 'edit'), canAccessResource('customer'), customerValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -185,6 +212,20 @@ router.put('/:id', authenticateToken, checkPermission('customers'), canAccessRes
             lastModifiedBy: req.user._id
         };
 
+        // The credit balance is owned by the payment ledger
+        delete updateData.creditBalance;
+
+        // Credit limits are a credit decision; an unchanged limit sent back by a form is fine
+        if (updateData.creditLimit !== undefined && !creditService.canApproveCredit(req.user)) {
+            const current = await Customer.findById(req.params.id).select('creditLimit');
+            if (current && Number(updateData.creditLimit) !== current.creditLimit) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Changing a credit limit requires approve permission on orders'
+                });
+            }
+        }
+
         // Check if email is being changed and if it already exists
         if (req.body.email) {
             const existingCustomer = await Customer.findOne({ 
@@ -230,7 +271,7 @@ router.put('/:id', authenticateToken, checkPermission('customers'), canAccessRes
 // @route   DELETE /api/customers/:id
 // @desc    Delete customer
 // @access  Private
-router.delete('/:id', authenticateToken, checkPermission('customers'), canAccessResource('customer'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('customers', 'delete'), canAccessResource('customer'), async (req, res) => {
     try {
         const customer = await Customer.findById(req.params.id);
         
@@ -271,7 +312,7 @@ router.delete('/:id', authenticateToken, checkPermission('customers'), canAccess
 // @route   POST /api/customers/:id/notes
 // @desc    Add note to customer
 // @access  Private
-router.post('/:id/notes', authenticateToken, checkPermission('customers'), canAccessResource('customer'), [
+router.post('/:id/notes', authenticateToken, checkPermission('customers', 'edit'), canAccessResource('customer'), [
     body('content').trim().isLength({ min: 1 }).withMessage('Note content is required')
 ], async (req, res) => {
     try {
@@ -315,7 +356,7 @@ router.post('/:id/notes', authenticateToken, checkPermission('customers'), canAc
 // @route   POST /api/customers/:id/communications
 // @desc    Add communication to customer
 // @access  Private
-router.post('/:id/communications', authenticateToken, checkPermission('customers'), canAccessResource('customer'), [
+router.post('/:id/communications', authenticateToken, checkPermission('customers', 'edit'), canAccessResource('customer'), [
     body('type').isIn(['email', 'phone', 'meeting', 'whatsapp', 'other']).withMessage('Valid communication type is required'),
     body('subject').optional().trim(),
     body('content').trim().isLength({ min: 1 }).withMessage('Communication content is required'),
@@ -378,7 +419,7 @@ router.post('/:id/communications', authenticateToken, checkPermission('customers
 // @route   POST /api/customers/:id/assign
 // @desc    Assign customer to user
 // @access  Private
-router.post('/:id/assign', authenticateToken, checkPermission('customers'), canAccessResource('customer'), [
+router.post('/:id/assign', authenticateToken, checkPermission('customers', 'edit'), canAccessResource('customer'), [
     body('assignedTo').isMongoId().withMessage('Valid user ID is required'),
     body('notes').optional().trim()
 ], async (req, res) => {
@@ -427,7 +468,7 @@ router.post('/:id/assign', authenticateToken, checkPermission('customers'), canA
 // @route   GET /api/customers/stats/overview
 // @desc    Get customer statistics overview
 // @access  Private
-router.get('/stats/overview', authenticateToken, checkPermission('customers'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, checkPermission('customers', 'view'), async (req, res) => {
     try {
         // Get total customers
         const totalCustomers = await Customer.countDocuments();
@@ -479,22 +520,28 @@ router.get('/stats/overview', authenticateToken, checkPermission('customers'), a
 // @route   GET /api/customers/dashboard/summary
 // @desc    Get customer dashboard summary
 // @access  Private
-router.get('/dashboard/summary', authenticateToken, checkPermission('customers'), async (req, res) => {
+router.get('/dashboard/summary', authenticateToken, checkPermission('customers', 'view'), async (req, res) => {
     try {
+        // Roles limited to their own records only see those
+        const ownRecords = req.user.recordFilter('customers');
+
         // Get recent customers
         const recentCustomers = await Customer.find()
+            .and([ownRecords])
             .sort({ createdAt: -1 })
             .limit(5)
             .select('name company status businessType createdAt');
 
         // Get customers needing follow-up
         const followUpCustomers = await Customer.findNeedingFollowUp()
+            .and([ownRecords])
             .sort({ nextFollowUp: 1 })
             .limit(5)
             .select('name company status nextFollowUp');
 
         // Get high-value customers
         const highValueCustomers = await Customer.findHighValue(10000)
+            .and([ownRecords])
             .sort({ totalRevenue: -1 })
             .limit(5)
             .select('name company totalRevenue totalOrders');
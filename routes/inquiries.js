@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Inquiry = require('../models/Inquiry');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
 const emailService = require('../services/emailService');
 
 const router = express.Router();
@@ -111,7 +111,7 @@ router.post('/', inquiryValidation, async (req, res) => {
 // @route   GET /api/inquiries
 // @desc    Get all inquiries (Admin/Staff)
 // @access  Private
-router.get('/', authenticateToken, checkPermission('inquiries'), async (req, res) => {
+router.get('/', authenticateToken, checkPermission('inquiries', 'view'), async (req, res) => {
     try {
         const {
             page = 1,
@@ -135,6 +135,9 @@ router.get('/', authenticateToken, checkPermission('inquiries'), async (req, res
         if (source) filter.source = source;
         if (assignedTo) filter.assignedTo = assignedTo;
 
+        // Roles limited to their own records only see those
+        filter.$and = [req.user.recordFilter('inquiries')];
+
         // Build sort object
         const sort = {};
         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -178,7 +181,7 @@ router.get('/', authenticateToken, checkPermission('inquiries'), async (req, res
 // @route   GET /api/inquiries/:id
 // @desc    Get inquiry by ID
 // @access  Private
-router.get('/:id', authenticateToken, checkPermission('inquiries'), async (req, res) => {
+router.get('/:id', authenticateToken, checkPermission('inquiries', 'view'), canAccessResource('inquiry'), async (req, res) => {
     try {
         const inquiry = await Inquiry.findById(req.params.id)
             .populate('assignedTo', 'username fullName')
@@ -209,7 +212,7 @@ router.get('/:id', authenticateToken, checkPermission('inquiries'), async (req,
 // @route   PUT /api/inquiries/:id
 // @desc    Update inquiry
 // @access  Private
-router.put('/:id', authenticateToken, checkPermission('inquiries'), async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('inquiries', 'edit'), canAccessResource('inquiry'), async (req, res) => {
     try {
         const {
             status,
@@ -269,7 +272,7 @@ router.put('/:id', authenticateToken, checkPermission('inquiries'), async (req,
 // @route   POST /api/inquiries/:id/notes
 // @desc    Add note to inquiry
 // @access  Private
-router.post('/:id/notes', authenticateToken, checkPermission('inquiries'), [
+router.post('/:id/notes', authenticateToken, checkPermission('inquiries', 'edit'), canAccessResource('inquiry'), [
     body('content').trim().isLength({ min: 1 }).withMessage('Note content is required'),
     body('isInternal').optional().isBoolean()
 ], async (req, res) => {
@@ -314,7 +317,7 @@ router.post('/:id/notes', authenticateToken, checkPermission('inquiries'), [
 // @route   POST /api/inquiries/:id/communications
 // @desc    Add communication to inquiry
 // @access  Private
-router.post('/:id/communications', authenticateToken, checkPermission('inquiries'), [
+router.post('/:id/communications', authenticateToken, checkPermission('inquiries', 'edit'), canAccessResource('inquiry'), [
     body('type').isIn(['email', 'phone', 'meeting', 'whatsapp', 'other']).withMessage('Valid communication type is required'),
     body('subject').optional().trim(),
     body('content').trim().isLength({ min: 1 }).withMessage('Communication content is required'),
@@ -377,7 +380,7 @@ router.post('/:id/communications', authenticateToken, checkPermission('inquiries
 // @route   POST /api/inquiries/:id/assign
 // @desc    Assign inquiry to user
 // @access  Private
-router.post('/:id/assign', authenticateToken, checkPermission('inquiries'), [
+router.post('/:id/assign', authenticateToken, checkPermission('inquiries', 'edit'), canAccessResource('inquiry'), [
     body('assignedTo').isMongoId().withMessage('Valid user ID is required'),
     body('notes').optional().trim()
 ], async (req, res) => {
@@ -422,7 +425,7 @@ router.post('/:id/assign', authenticateToken, checkPermission('inquiries'), [
 // @route   POST /api/inquiries/:id/follow-up
 // @desc    Schedule follow-up for inquiry
 // @access  Private
-router.post('/:id/follow-up', authenticateToken, checkPermission('inquiries'), [
+router.post('/:id/follow-up', authenticateToken, checkPermission('inquiries', 'edit'), canAccessResource('inquiry'), [
     body('nextFollowUp').isISO8601().withMessage('Valid date is required'),
     body('notes').optional().trim()
 ], async (req, res) => {
@@ -474,7 +477,7 @@ router.post('/:id/follow-up', authenticateToken, checkPermission('inquiries'), [
 // @route   GET /api/inquiries/stats/overview
 // @desc    Get inquiry statistics overview
 // @access  Private
-router.get('/stats/overview', authenticateToken, checkPermission('inquiries'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, checkPermission('inquiries', 'view'), async (req, res) => {
     try {
         const stats = await Inquiry.getStats();
         
@@ -513,7 +516,7 @@ router.get('/stats/overview', authenticateToken, checkPermission('inquiries'), a
 // @route   POST /api/inquiries/:id/convert-to-customer
 // @desc    Convert inquiry to customer
 // @access  Private
-router.post('/:id/convert-to-customer', authenticateToken, checkPermission('inquiries'), [
+router.post('/:id/convert-to-customer', authenticateToken, checkPermission('inquiries', 'edit'), checkPermission('customers', 'create'), canAccessResource('inquiry'), [
     body('additionalNotes').optional().trim(),
     body('assignTo').optional().isMongoId().withMessage('Valid user ID required for assignment'),
     body('customerStatus').optional().isIn(['prospect', 'active', 'inactive', 'lead']).withMessage('Valid customer status required')
@@ -658,7 +661,7 @@ router.post('/:id/convert-to-customer', authenticateToken, checkPermission('inqu
 // @route   DELETE /api/inquiries/:id
 // @desc    Delete inquiry
 // @access  Private
-router.delete('/:id', authenticateToken, checkPermission('inquiries'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('inquiries', 'delete'), canAccessResource('inquiry'), async (req, res) => {
     try {
         const inquiry = await Inquiry.findById(req.params.id);
         
@@ -696,10 +699,14 @@ router.delete('/:id', authenticateToken, checkPermission('inquiries'), async (re
 // @route   GET /api/inquiries/dashboard/summary
 // @desc    Get inquiry dashboard summary
 // @access  Private
-router.get('/dashboard/summary', authenticateToken, checkPermission('inquiries'), async (req, res) => {
+router.get('/dashboard/summary', authenticateToken, checkPermission('inquiries', 'view'), async (req, res) => {
     try {
+        // Roles limited to their own records only see those
+        const ownRecords = req.user.recordFilter('inquiries');
+
         // Get recent inquiries
         const recentInquiries = await Inquiry.find()
+            .and([ownRecords])
             .sort({ inquiryDate: -1 })
             .limit(5)
             .select('inquiryNumber customerName status priority inquiryDate');
@@ -712,6 +719,7 @@ router.get('/dashboard/summary', authenticateToken, checkPermission('inquiries')
             ],
             status: { $in: ['new', 'contacted', 'quoted'] }
         })
+        .and([ownRecords])
         .sort({ nextFollowUp: 1 })
         .limit(5)
         .select('inquiryNumber customerName status priority nextFollowUp');
@@ -721,6 +729,7 @@ router.get('/dashboard/summary', authenticateToken, checkPermission('inquiries')
             priority: { $in: ['high', 'urgent'] },
             status: { $nin: ['converted', 'lost', 'closed'] }
         })
+        .and([ownRecords])
         .sort({ inquiryDate: -1 })
         .limit(5)
         .select('inquiryNumber customerName status priority inquiryDate');
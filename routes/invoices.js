@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const invoiceService = require('../services/invoiceService');
+const pdfService = require('../services/pdfService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validation rules
+const creditNoteValidation = [
+    body('reasonType').isIn(['return', 'cancellation', 'adjustment']).withMessage('Valid credit note reason type is required'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Credit note reason is required'),
+    body('lines').optional().isArray().withMessage('Lines must be an array'),
+    body('lines.*.lineId').isMongoId().withMessage('Valid invoice line ID is required'),
+    body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('includeShipping').optional().isBoolean()
+];
+
+// @route   GET /api/invoices
+// @desc    Get invoices and credit notes with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            type,
+            status,
+            customer,
+            order,
+            financialYear,
+            dateFrom,
+            dateTo,
+            sortBy = 'issueDate',
+            sortOrder = 'desc'
+        } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (search) {
+            filter.$or = [
+                { invoiceNumber: { $regex: search, $options: 'i' } },
+                { orderNumber: { $regex: search, $options: 'i' } },
+                { 'buyer.name': { $regex: search, $options: 'i' } },
+                { 'buyer.company': { $regex: search, $options: 'i' } }
+            ];
+        }
+        if (type) filter.type = type;
+        if (status) filter.status = status;
+        if (customer) filter['buyer.customer'] = customer;
+        if (order) filter.order = order;
+        if (financialYear) filter.financialYear = financialYear;
+        if (dateFrom || dateTo) {
+            filter.issueDate = {};
+            if (dateFrom) filter.issueDate.$gte = new Date(dateFrom);
+            if (dateTo) filter.issueDate.$lte = new Date(dateTo);
+        }
+
+        // Roles limited to their own orders only see those orders' invoices
+        filter.$and = [await Order.relatedFilter(req.user)];
+
+        // Build sort object
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const invoices = await Invoice.find(filter)
+            .sort(sort)
+            .skip(skip)
+            .limit(parseInt(limit))
+            .select('-lines -byRate')
+            .populate('createdBy', 'username fullName');
+
+        const total = await Invoice.countDocuments(filter);
+
+        res.json({
+            success: true,
+            invoices,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalInvoices: total,
+                hasNextPage: skip + invoices.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get invoices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting invoices'
+        });
+    }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get invoice by ID, with the credit notes raised against it
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('orders', 'view'), canAccessResource('invoice'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('createdBy', 'username fullName');
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const creditNotes = invoice.type === 'invoice'
+            ? await Invoice.findCreditNotes(invoice._id).select('invoiceNumber issueDate reasonType reason totals.grandTotal')
+            : [];
+
+        res.json({
+            success: true,
+            invoice,
+            creditNotes
+        });
+
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting invoice'
+        });
+    }
+});
+
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download an invoice or credit note as a PDF
+// @access  Private
+router.get('/:id/pdf', authenticateToken, checkPermission('orders', 'view'), canAccessResource('invoice'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const pdf = await pdfService.renderInvoice(invoice);
+        const filename = invoice.invoiceNumber.replace(/\//g, '-');
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${filename}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Get invoice PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating invoice PDF'
+        });
+    }
+});
+
+// @route   POST /api/invoices/:id/credit-notes
+// @desc    Raise a credit note against an invoice (returns, cancellations, adjustments)
+// @access  Private
+router.post('/:id/credit-notes', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('invoice'), creditNoteValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const { lines, includeShipping, reasonType, reason } = req.body;
+
+        const creditNote = await invoiceService.issueCreditNote(invoice, {
+            lines,
+            includeShipping,
+            reasonType,
+            reason,
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Credit note ${creditNote.invoiceNumber} issued successfully`,
+            creditNote,
+            invoice
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Issue credit note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error issuing credit note'
+        });
+    }
+});
+
+module.exports = router;
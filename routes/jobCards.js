@@ -0,0 +1,296 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const JobCard = require('../models/JobCard');
+const Order = require('../models/Order');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const jobCardService = require('../services/jobCardService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+const stageParam = param('stage').isIn(JobCard.STAGES.map(stage => stage.name))
+    .withMessage(`Stage must be one of ${JobCard.STAGES.map(stage => stage.name).join(', ')}`);
+
+// @route   GET /api/job-cards
+// @desc    Get job cards with filtering and pagination (`mine=true` for stages assigned to me,
+//          `delayed=true` for stages running past their expected end date)
+// @access  Private
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, order, stage, assignedTo, assignedUnit, mine, delayed } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (status) filter.status = status;
+        if (order) filter.order = order;
+
+        const stageMatch = {};
+        if (stage) stageMatch.name = stage;
+        if (mine === 'true') stageMatch.assignedTo = req.user._id;
+        else if (assignedTo) stageMatch.assignedTo = assignedTo;
+        if (assignedUnit) stageMatch.assignedUnit = assignedUnit;
+        if (delayed === 'true') {
+            stageMatch.status = { $in: ['pending', 'in-progress'] };
+            stageMatch.expectedEndDate = { $lt: new Date() };
+        }
+        if (Object.keys(stageMatch).length > 0) {
+            filter.stages = { $elemMatch: stageMatch };
+        }
+
+        // Roles limited to their own orders only see those orders' job cards
+        filter.$and = [await Order.relatedFilter(req.user)];
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const jobCards = await JobCard.find(filter)
+            .populate('stages.assignedTo', 'username fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await JobCard.countDocuments(filter);
+
+        res.json({
+            success: true,
+            jobCards,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalJobCards: total,
+                hasNextPage: skip + jobCards.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get job cards error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting job cards'
+        });
+    }
+});
+
+// @route   GET /api/job-cards/board
+// @desc    Get open job cards and pieces waiting at each stage, with delayed cards
+// @access  Private
+router.get('/board', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const board = await jobCardService.getProductionBoard({
+            assignedTo: req.query.assignedTo,
+            match: await Order.relatedFilter(req.user)
+        });
+
+        res.json({
+            success: true,
+            board
+        });
+
+    } catch (error) {
+        console.error('Get production board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting production board'
+        });
+    }
+});
+
+// @route   GET /api/job-cards/:id
+// @desc    Get job card by ID with its stage history
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('orders', 'view'), canAccessResource('jobCard'), async (req, res) => {
+    try {
+        const jobCard = await JobCard.findById(req.params.id)
+            .populate('order', 'orderNumber customerName status expectedCompletionDate preferredDeliveryDate')
+            .populate('stages.assignedTo', 'username fullName')
+            .populate('stages.updates.recordedBy', 'username fullName');
+
+        if (!jobCard) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job card not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            jobCard
+        });
+
+    } catch (error) {
+        console.error('Get job card error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting job card'
+        });
+    }
+});
+
+// @route   POST /api/job-cards
+// @desc    Open job cards for the lines of an in-production order that have none
+// @access  Private
+router.post('/', authenticateToken, checkPermission('orders', 'create'), canAccessResource('order', 'order'), [
+    body('order').isMongoId().withMessage('Valid order ID is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findById(req.body.order);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const jobCards = await jobCardService.createJobCards(order, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: jobCards.length > 0
+                ? `${jobCards.length} job card(s) opened for order ${order.orderNumber}`
+                : `Every line of order ${order.orderNumber} already has a job card`,
+            jobCards
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Create job cards error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating job cards'
+        });
+    }
+});
+
+// @route   PUT /api/job-cards/:id/stages/:stage
+// @desc    Assign a stage to a tailor or unit, set its expected dates, or skip it
+// @access  Private
+router.put('/:id/stages/:stage', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('jobCard'), [
+    stageParam,
+    body('assignedTo').optional({ values: 'null' }).isMongoId().withMessage('Valid user ID is required'),
+    body('assignedUnit').optional().trim().isLength({ max: 100 }).withMessage('Unit cannot exceed 100 characters'),
+    body('expectedStartDate').optional().isISO8601().toDate().withMessage('Valid expected start date is required'),
+    body('expectedEndDate').optional().isISO8601().toDate().withMessage('Valid expected end date is required'),
+    body('skip').optional().isBoolean().withMessage('Skip must be true or false'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const jobCard = await JobCard.findById(req.params.id);
+        if (!jobCard) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job card not found'
+            });
+        }
+
+        const { assignedTo, assignedUnit, expectedStartDate, expectedEndDate, skip, notes } = req.body;
+        const result = await jobCardService.updateStage(jobCard, req.params.stage, {
+            assignedTo,
+            assignedUnit,
+            expectedStartDate,
+            expectedEndDate,
+            skip: skip === undefined ? undefined : skip === true || skip === 'true',
+            notes
+        }, req.user);
+
+        res.json({
+            success: true,
+            message: 'Stage updated successfully',
+            jobCard: result.card,
+            ...(result.order ? { order: { _id: result.order._id, orderNumber: result.order.orderNumber, status: result.order.status } } : {})
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Update job card stage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating job card stage'
+        });
+    }
+});
+
+// @route   POST /api/job-cards/:id/stages/:stage/progress
+// @desc    Record pieces completed at a stage; the order moves to ready once every job card is
+//          complete and QC has passed
+// @access  Private
+router.post('/:id/stages/:stage/progress', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('jobCard'), [
+    stageParam,
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const jobCard = await JobCard.findById(req.params.id);
+        if (!jobCard) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job card not found'
+            });
+        }
+
+        const result = await jobCardService.recordProgress(jobCard, req.params.stage, {
+            quantity: parseInt(req.body.quantity),
+            notes: req.body.notes
+        }, req.user);
+
+        let message = `${req.body.quantity} piece(s) recorded at ${req.params.stage}`;
+        if (result.order) {
+            message = `Job card completed; order ${result.order.orderNumber} is ready`;
+        } else if (result.card.status === 'completed') {
+            message = `Job card ${result.card.jobCardNumber} completed`;
+        }
+
+        res.json({
+            success: true,
+            message,
+            jobCard: result.card,
+            ...(result.order ? { order: { _id: result.order._id, orderNumber: result.order.orderNumber, status: result.order.status } } : {})
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Record job card progress error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording job card progress'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const StockTransfer = require('../models/StockTransfer');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const locationService = require('../services/locationService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validation rules
+const locationValidation = [
+    body('name').trim().isLength({ min: 2 }).withMessage('Location name is required'),
+    body('code').trim().isLength({ min: 2, max: 10 }).withMessage('Location code must be 2-10 characters'),
+    body('type').isIn(['shop', 'warehouse', 'workshop']).withMessage('Type must be shop, warehouse or workshop'),
+    body('address').optional().isObject().withMessage('Address must be an object'),
+    body('notes').optional().trim()
+];
+
+// @route   GET /api/locations
+// @desc    Get all locations with the stock held and expected at each
+// @access  Private
+router.get('/', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+        const [locations, totals, incoming] = await Promise.all([
+            Location.find(filter).sort({ isDefault: -1, name: 1 }),
+            LocationStock.getTotalsByLocation(),
+            StockTransfer.aggregate([
+                { $match: { status: 'in-transit' } },
+                { $unwind: '$items' },
+                { $group: { _id: '$toLocation', units: { $sum: '$items.quantity' } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            locations: locations.map(location => {
+                const stock = totals.find(total => String(total.location._id) === String(location._id));
+                const expected = incoming.find(row => String(row._id) === String(location._id));
+                return {
+                    ...location.toJSON(),
+                    stock: {
+                        products: stock ? stock.products : 0,
+                        units: stock ? stock.units : 0,
+                        value: stock ? stock.value : 0,
+                        incomingUnits: expected ? expected.units : 0
+                    }
+                };
+            })
+        });
+
+    } catch (error) {
+        console.error('Get locations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting locations'
+        });
+    }
+});
+
+// @route   GET /api/locations/:id/stock
+// @desc    Get the stock held at a location, per product and variant
+// @access  Private
+router.get('/:id/stock', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, category, search } = req.query;
+
+        const location = await Location.findById(req.params.id);
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const { items, total } = await locationService.getLocationStock(location._id, {
+            category,
+            search,
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            location,
+            items,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                hasNextPage: (parseInt(page) - 1) * parseInt(limit) + items.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get location stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting location stock'
+        });
+    }
+});
+
+// @route   POST /api/locations
+// @desc    Create a location; the first one becomes the default and takes all existing stock
+// @access  Private (create permission on products)
+router.post('/', authenticateToken, checkPermission('products', 'create'), locationValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { name, code, type, address, notes } = req.body;
+        const location = await locationService.createLocation({ name, code, type, address, notes }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: location.isDefault
+                ? `Location ${location.name} created as the default; existing stock has been placed there`
+                : 'Location created successfully',
+            location
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location with this code already exists'
+            });
+        }
+        console.error('Create location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating location'
+        });
+    }
+});
+
+// @route   PUT /api/locations/:id
+// @desc    Update a location, make it the default, or deactivate it once it is empty
+// @access  Private (edit permission on products)
+router.put('/:id', authenticateToken, checkPermission('products', 'edit'), [
+    body('name').optional().trim().isLength({ min: 2 }).withMessage('Location name is required'),
+    body('type').optional().isIn(['shop', 'warehouse', 'workshop']).withMessage('Type must be shop, warehouse or workshop'),
+    body('address').optional().isObject().withMessage('Address must be an object'),
+    body('notes').optional().trim(),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const location = await Location.findById(req.params.id);
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        // The code is referenced on documents and cannot change
+        ['name', 'type', 'address', 'notes'].forEach(field => {
+            if (req.body[field] !== undefined) location[field] = req.body[field];
+        });
+
+        const isDefault = req.body.isDefault === true || req.body.isDefault === 'true';
+        const isActive = req.body.isActive === undefined ? undefined : req.body.isActive === true || req.body.isActive === 'true';
+
+        if (isActive === true) location.isActive = true;
+        if (isActive === false) {
+            await locationService.deactivateLocation(location);
+        } else if (isDefault && !location.isDefault) {
+            await locationService.setDefaultLocation(location);
+        } else {
+            await location.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Location updated successfully',
+            location
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Update location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating location'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,32 +2,65 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Customer = require('../models/Customer');
-const Product = require('../models/Product');
 const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const orderStateMachine = require('../services/orderStateMachine');
+const inventoryService = require('../services/inventoryService');
+const pricingService = require('../services/pricingService');
+const orderLineService = require('../services/orderLineService');
+const invoiceService = require('../services/invoiceService');
+const paymentService = require('../services/paymentService');
+const creditService = require('../services/creditService');
+const receivablesService = require('../services/receivablesService');
+const pdfService = require('../services/pdfService');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Location = require('../models/Location');
+const JobCard = require('../models/JobCard');
+const QualityInspection = require('../models/QualityInspection');
+const ReworkTicket = require('../models/ReworkTicket');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
 
 const router = express.Router();
 
+// Lines ordered as a size run take their quantity from the run
+const hasSizeBreakdown = (line) => Boolean(line) && Array.isArray(line.sizeBreakdown) && line.sizeBreakdown.length > 0;
+const lineAt = (req, path) => (req.body.items || [])[Number(/^items\[(\d+)\]/.exec(path)[1])];
+
 // Validation rules
 const orderValidation = [
     body('customer').isMongoId().withMessage('Valid customer ID is required'),
     body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
     body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
-    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+    body('items.*.quantity').if((value, { req, path }) => !hasSizeBreakdown(lineAt(req, path))).isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.sizeBreakdown').optional().isArray({ min: 1 }).withMessage('Size breakdown must list at least one size'),
+    body('items.*.sizeBreakdown.*.size').trim().notEmpty().withMessage('Size is required'),
+    body('items.*.sizeBreakdown.*.quantity').isInt({ min: 1 }).withMessage('Size quantity must be at least 1'),
+    body('items.*.sizeBreakdown.*.names').optional().isArray().withMessage('Names must be a list'),
+    body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('items.*.sku').optional().trim(),
+    body('items.*.priceOverride.unitPrice').optional().isFloat({ min: 0 }).withMessage('Override price must be a positive number'),
+    body('items.*.priceOverride.reason').optional().trim(),
+    body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+    body('discountReason').optional().trim(),
+    body('shippingCost').optional().isFloat({ min: 0 }).withMessage('Shipping cost must be a positive number'),
+    body('orderType').optional().isIn(['quote', 'order', 'sample']),
     body('deliveryAddress.street').optional().trim(),
     body('deliveryAddress.city').optional().trim(),
     body('deliveryAddress.state').optional().trim(),
     body('deliveryAddress.pincode').optional().trim(),
     body('preferredDeliveryDate').optional().isISO8601().withMessage('Valid delivery date is required'),
+    body('fulfilmentLocation').optional().isMongoId().withMessage('Valid location ID is required'),
     body('paymentTerms').optional().isIn(['immediate', '7-days', '15-days', '30-days', '45-days', '60-days']),
+    body('paymentMethod').optional().isIn(Payment.PAYMENT_METHODS),
     body('priority').optional().isIn(['low', 'normal', 'high', 'urgent'])
 ];
 
 // @route   GET /api/orders
 // @desc    Get all orders with filtering and pagination
 // @access  Private
-router.get('/', authenticateToken, checkPermission('orders'), async (req, res) => {
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
     try {
         const {
             page = 1,
@@ -59,6 +92,9 @@ router.get('/', authenticateToken, checkPermission('orders'), async (req, res) =
         if (paymentStatus) filter.paymentStatus = paymentStatus;
         if (priority) filter.priority = priority;
 
+        // Roles limited to their own records only see those
+        filter.$and = [req.user.recordFilter('orders')];
+
         // Build sort object
         const sort = {};
         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -103,7 +139,7 @@ router.get('/', authenticateToken, checkPermission('orders'), async (req, res) =
 // @route   GET /api/orders/:id
 // @desc    Get order by ID
 // @access  Private
-router.get('/:id', authenticateToken, checkPermission('orders'), canAccessResource('order'), async (req, res) => {
+router.get('/:id', authenticateToken, checkPermission('orders', 'view'), canAccessResource('order'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id)
             .populate('customer', 'name company email phone address')
@@ -118,9 +154,18 @@ router.get('/:id', authenticateToken, checkPermission('orders'), canAccessResour
             });
         }
 
+        const payments = await Payment.findByOrder(order._id)
+            .select('receiptNumber type status method reference paymentDate amount allocations');
+
+        const jobCards = await JobCard.find({ order: order._id, status: { $ne: 'cancelled' } })
+            .select('jobCardNumber status orderItem productName sku quantity stages completedAt')
+            .sort({ jobCardNumber: 1 });
+
         res.json({
             success: true,
-            order
+            order,
+            payments,
+            jobCards
         });
 
     } catch (error) {
@@ -135,7 +180,7 @@ router.get('/:id', authenticateToken, checkPermission('orders'), canAccessResour
 // @route   POST /api/orders
 // @desc    Create new order
 // @access  Private
-router.post('/', authenticateToken, checkPermission('orders'), orderValidation, async (req, res) => {
+router.post('/', authenticateToken, checkPermission('orders', 'create'), orderValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -150,14 +195,28 @@ router.post('/', authenticateToken, checkPermission('orders'), orderValidation,
         const {
             customer,
             items,
+            orderType = 'quote',
+            discount = 0,
+            discountReason,
+            shippingCost = 0,
             deliveryAddress,
             preferredDeliveryDate,
+            fulfilmentLocation,
             paymentTerms,
+            paymentMethod,
             priority,
             source,
             notes
         } = req.body;
 
+        // An order-level discount is a price change and needs the same approval as an override
+        if (discount > 0 && !pricingService.canOverridePrices(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Applying a discount requires approve permission on orders'
+            });
+        }
+
         // Get customer details
         const customerDoc = await Customer.findById(customer);
         if (!customerDoc) {
@@ -167,78 +226,67 @@ router.post('/', authenticateToken, checkPermission('orders'), orderValidation,
             });
         }
 
-        // Generate order number
-        const orderNumber = await Order.generateOrderNumber();
+        if (fulfilmentLocation) {
+            await Location.resolve(fulfilmentLocation);
+        }
 
-        // Calculate totals
-        let subtotal = 0;
+        // Price every line from the catalog (quotes do not hold stock, so skip the stock check)
         const orderItems = [];
-
         for (const item of items) {
-            const product = await Product.findById(item.product);
-            if (!product) {
-                return res.status(404).json({
-                    success: false,
-                    message: `Product ${item.product} not found`
-                });
-            }
-
-            // Check stock availability
-            if (product.stockQuantity < item.quantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Insufficient stock for product ${product.name}. Available: ${product.stockQuantity}`
-                });
-            }
-
-            const totalPrice = item.quantity * item.unitPrice;
-            subtotal += totalPrice;
-
-            orderItems.push({
-                product: item.product,
-                productName: product.name,
-                productCode: product.code,
-                quantity: item.quantity,
-                unitPrice: item.unitPrice,
-                totalPrice,
-                customization: item.customization || {},
-                notes: item.notes
-            });
+            orderItems.push(await orderLineService.buildLine(item, {
+                user: req.user,
+                holdsStock: orderType !== 'quote'
+            }));
         }
 
-        const totalAmount = subtotal; // Add tax, shipping, discount logic here
-
         // Create order
         const orderData = {
-            orderNumber,
+            orderType,
             customer,
             customerName: customerDoc.name,
             customerEmail: customerDoc.email,
             customerPhone: customerDoc.phone,
             customerCompany: customerDoc.company,
+            customerGstin: customerDoc.gstin,
             items: orderItems,
-            subtotal,
-            totalAmount,
+            discount,
+            discountReason,
+            shippingCost,
             deliveryAddress,
+            placeOfSupply: (deliveryAddress && deliveryAddress.state) || (customerDoc.address && customerDoc.address.state),
             preferredDeliveryDate,
-            paymentTerms,
+            fulfilmentLocation,
+            paymentTerms: paymentTerms || customerDoc.paymentTerms,
+            paymentMethod,
             priority,
             source,
             createdBy: req.user._id
         };
 
         const newOrder = new Order(orderData);
-        await newOrder.save();
+        newOrder.recalculateTotals();
 
-        // Update customer statistics
-        await customerDoc.updateStats(totalAmount);
+        if (newOrder.totalAmount < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Discount cannot exceed the order value'
+            });
+        }
 
-        // Update product stock
-        for (const item of orderItems) {
-            const product = await Product.findById(item.product);
-            await product.updateStock(item.quantity, 'decrease');
+        // Orders over the customer's credit limit can be drafted but need a manager's
+        // approval before they are confirmed (quotes commit nothing, so are not checked)
+        if (orderType !== 'quote') {
+            creditService.applyCreditCheck(newOrder, await creditService.evaluateOrder(newOrder));
         }
 
+        // Number the order, save it and update customer statistics as one unit. Stock is
+        // reserved when the order is confirmed, not while it is a draft.
+        await withTransaction(async (session) => {
+            newOrder.orderNumber = await Order.allocateNumber(newOrder.orderDate, session);
+            await newOrder.save({ session });
+            await customerDoc.updateStats(newOrder.totalAmount, session);
+        });
+
         // Populate references
         await newOrder.populate('customer', 'name company email');
         await newOrder.populate('createdBy', 'username fullName');
@@ -252,11 +300,16 @@ router.post('/', authenticateToken, checkPermission('orders'), orderValidation,
 
         res.status(201).json({
             success: true,
-            message: 'Order created successfully',
+            message: newOrder.creditCheck && newOrder.creditCheck.status === 'approval-required'
+                ? 'Order created; it exceeds the customer\'s credit limit and needs manager approval before it can be confirmed'
+                : 'Order created successfully',
             order: newOrder
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Create order error:', error);
         res.status(500).json({
             success: false,
@@ -268,7 +321,7 @@ router.post('/', authenticateToken, checkPermission('orders'), orderValidation,
 // @route   PUT /api/orders/:id
 // @desc    Update order
 // @access  Private
-router.put('/:id', authenticateToken, checkPermission('orders'), canAccessResource('order'), async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), async (req, res) => {
     try {
         const {
             status,
@@ -276,43 +329,90 @@ router.put('/:id', authenticateToken, checkPermission('orders'), canAccessResour
             expectedCompletionDate,
             deliveryAddress,
             preferredDeliveryDate,
+            fulfilmentLocation,
             paymentTerms,
+            paymentMethod,
             priority,
             notes
         } = req.body;
 
         const updateData = {};
-        if (status) updateData.status = status;
         if (assignedTo) updateData.assignedTo = assignedTo;
         if (expectedCompletionDate) updateData.expectedCompletionDate = expectedCompletionDate;
         if (deliveryAddress) updateData.deliveryAddress = deliveryAddress;
         if (preferredDeliveryDate) updateData.preferredDeliveryDate = preferredDeliveryDate;
         if (paymentTerms) updateData.paymentTerms = paymentTerms;
+        if (paymentMethod) updateData.paymentMethod = paymentMethod;
         if (priority) updateData.priority = priority;
 
-        const updatedOrder = await Order.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('customer', 'name company email')
-         .populate('assignedTo', 'username fullName')
-         .populate('createdBy', 'username fullName');
-
-        if (!updatedOrder) {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
             return res.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
+        // The source location can change until the goods have left
+        if (fulfilmentLocation) {
+            if (order.status === 'delivered') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Delivered orders cannot change fulfilment location'
+                });
+            }
+            updateData.fulfilmentLocation = (await Location.resolve(fulfilmentLocation))._id;
+        }
+
+        order.set(updateData);
+
+        // Moving an order onto credit is checked against the credit limit; committed
+        // orders are refused outright rather than flagged for approval
+        if ((paymentTerms || paymentMethod) && order.orderType !== 'quote') {
+            const evaluation = creditService.COMMITTED_STATUSES.includes(order.status)
+                ? await creditService.assertWithinLimit(order)
+                : await creditService.evaluateOrder(order);
+            creditService.applyCreditCheck(order, evaluation);
+        }
+
+        // A new delivery state can switch the order between CGST + SGST and IGST. Once
+        // invoiced, the invoice has fixed the tax: it must be credited before the state changes.
+        if (deliveryAddress && deliveryAddress.state && deliveryAddress.state !== order.placeOfSupply) {
+            const invoice = await Invoice.findActiveForOrder(order._id);
+            if (invoice) {
+                throw new AppError(`Order ${order.orderNumber} is invoiced as ${invoice.invoiceNumber}; raise a credit note before changing the delivery state`, 409, 'ORDER_ALREADY_INVOICED', {
+                    invoice: invoice._id,
+                    invoiceNumber: invoice.invoiceNumber
+                });
+            }
+            order.placeOfSupply = deliveryAddress.state;
+            order.recalculateTotals();
+        }
+
+        // Status changes go through the lifecycle so guards, hooks and history apply
+        if (status && status !== order.status) {
+            await orderStateMachine.transition(order, status, {
+                userId: req.user._id,
+                notes: notes || 'Status changed via order update'
+            });
+            updateData.status = status;
+        } else {
+            await order.save();
+        }
+
         // Add note about the update
         if (Object.keys(updateData).length > 0) {
             const updateNotes = Object.entries(updateData)
                 .map(([key, value]) => `${key}: ${value}`)
                 .join(', ');
-            await updatedOrder.addNote(`Order updated: ${updateNotes}`, req.user._id, true);
+            await order.addNote(`Order updated: ${updateNotes}`, req.user._id, true);
         }
 
+        const updatedOrder = await Order.findById(order._id)
+            .populate('customer', 'name company email')
+            .populate('assignedTo', 'username fullName')
+            .populate('createdBy', 'username fullName');
+
         res.json({
             success: true,
             message: 'Order updated successfully',
@@ -320,6 +420,9 @@ router.put('/:id', authenticateToken, checkPermission('orders'), canAccessResour
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Update order error:', error);
         res.status(500).json({
             success: false,
@@ -331,7 +434,7 @@ router.put('/:id', authenticateToken, checkPermission('orders'), canAccessResour
 // @route   DELETE /api/orders/:id
 // @desc    Delete order
 // @access  Private
-router.delete('/:id', authenticateToken, checkPermission('orders'), canAccessResource('order'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('orders', 'delete'), canAccessResource('order'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
         
@@ -350,15 +453,11 @@ router.delete('/:id', authenticateToken, checkPermission('orders'), canAccessRes
             });
         }
 
-        // Restore product stock
-        for (const item of order.items) {
-            const product = await Product.findById(item.product);
-            if (product) {
-                await product.updateStock(item.quantity, 'increase');
-            }
-        }
-
-        await Order.findByIdAndDelete(req.params.id);
+        // Release any stock held by the order together with the deletion
+        await withTransaction(async (session) => {
+            await inventoryService.releaseOrderStock(order, session, req.user._id);
+            await Order.deleteOne({ _id: order._id }, { session });
+        }, null, { documents: [order] });
 
         res.json({
             success: true,
@@ -366,6 +465,9 @@ router.delete('/:id', authenticateToken, checkPermission('orders'), canAccessRes
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Delete order error:', error);
         res.status(500).json({
             success: false,
@@ -377,9 +479,10 @@ router.delete('/:id', authenticateToken, checkPermission('orders'), canAccessRes
 // @route   POST /api/orders/:id/status
 // @desc    Update order status
 // @access  Private
-router.post('/:id/status', authenticateToken, checkPermission('orders'), canAccessResource('order'), [
+router.post('/:id/status', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), [
     body('status').isIn(['draft', 'pending', 'confirmed', 'in-production', 'ready', 'delivered', 'cancelled']).withMessage('Valid status is required'),
-    body('notes').optional().trim()
+    body('notes').optional().trim(),
+    body('location').optional().isMongoId().withMessage('Valid location ID is required')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -392,7 +495,7 @@ router.post('/:id/status', authenticateToken, checkPermission('orders'), canAcce
             });
         }
 
-        const { status, notes } = req.body;
+        const { status, notes, location } = req.body;
 
         const order = await Order.findById(req.params.id);
         if (!order) {
@@ -402,22 +505,27 @@ router.post('/:id/status', authenticateToken, checkPermission('orders'), canAcce
             });
         }
 
-        await order.updateStatus(status, req.user._id, notes);
-
-        // Send order status update notification
-        try {
-            await emailService.sendOrderStatusUpdate(order, status);
-        } catch (emailError) {
-            console.error('Order status update email error:', emailError);
+        // Delivery picks the goods from the named location
+        if (location && status === 'delivered') {
+            order.fulfilmentLocation = location;
         }
 
+        await orderStateMachine.transition(order, status, {
+            userId: req.user._id,
+            notes
+        });
+
         res.json({
             success: true,
             message: 'Order status updated successfully',
-            order
+            order,
+            allowedTransitions: orderStateMachine.getAllowedTransitions(order.status)
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Update order status error:', error);
         res.status(500).json({
             success: false,
@@ -426,15 +534,11 @@ router.post('/:id/status', authenticateToken, checkPermission('orders'), canAcce
     }
 });
 
-// @route   POST /api/orders/:id/items
-// @desc    Add item to order
-// @access  Private
-router.post('/:id/items', authenticateToken, checkPermission('orders'), canAccessResource('order'), [
-    body('product').isMongoId().withMessage('Valid product ID is required'),
-    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
-    body('customization').optional().isObject(),
-    body('notes').optional().trim()
+// @route   POST /api/orders/:id/credit-approval
+// @desc    Approve an order that exceeds the customer's credit limit
+// @access  Private (approve permission on orders)
+router.post('/:id/credit-approval', authenticateToken, checkPermission('orders', 'approve'), canAccessResource('order'), [
+    body('notes').trim().isLength({ min: 1, max: 500 }).withMessage('Approval notes are required')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -447,8 +551,51 @@ router.post('/:id/items', authenticateToken, checkPermission('orders'), canAcces
             });
         }
 
-        const { product, quantity, unitPrice, customization, notes } = req.body;
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (['delivered', 'cancelled'].includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot approve credit for an order that is ${order.status}`
+            });
+        }
+
+        const evaluation = await creditService.approveOrder(order, {
+            user: req.user,
+            notes: req.body.notes
+        });
+        await order.addNote(`Credit limit override approved: ${req.body.notes}`, req.user._id, true);
+
+        res.json({
+            success: true,
+            message: 'Credit approved for this order',
+            order,
+            credit: evaluation
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Approve order credit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error approving order credit'
+        });
+    }
+});
 
+// @route   GET /api/orders/:id/quality
+// @desc    Get the QC status of an order: each line's latest inspection and open rework
+// @access  Private
+router.get('/:id/quality', authenticateToken, checkPermission('orders', 'view'), canAccessResource('order'), async (req, res) => {
+    try {
         const order = await Order.findById(req.params.id);
         if (!order) {
             return res.status(404).json({
@@ -457,46 +604,87 @@ router.post('/:id/items', authenticateToken, checkPermission('orders'), canAcces
             });
         }
 
-        // Check if order can be modified
-        if (order.status !== 'draft' && order.status !== 'pending') {
+        const quality = await QualityInspection.getOrderStatus(order);
+        const inspections = await QualityInspection.find({ order: order._id })
+            .populate('inspectedBy', 'username fullName')
+            .sort({ inspectedAt: -1 });
+        const reworkTickets = await ReworkTicket.find({ order: order._id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            quality,
+            inspections,
+            reworkTickets
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Get order quality error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting order quality status'
+        });
+    }
+});
+
+// @route   POST /api/orders/:id/items
+// @desc    Add item to order
+// @access  Private
+router.post('/:id/items', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), [
+    body('product').isMongoId().withMessage('Valid product ID is required'),
+    body('quantity').if(body('sizeBreakdown').not().exists()).isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('sizeBreakdown').optional().isArray({ min: 1 }).withMessage('Size breakdown must list at least one size'),
+    body('sizeBreakdown.*.size').trim().notEmpty().withMessage('Size is required'),
+    body('sizeBreakdown.*.quantity').isInt({ min: 1 }).withMessage('Size quantity must be at least 1'),
+    body('sizeBreakdown.*.names').optional().isArray().withMessage('Names must be a list'),
+    body('variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('sku').optional().trim(),
+    body('color').optional().trim(),
+    body('size').optional().trim(),
+    body('priceOverride.unitPrice').optional().isFloat({ min: 0 }).withMessage('Override price must be a positive number'),
+    body('priceOverride.reason').optional().trim(),
+    body('customization').optional().isObject(),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Order cannot be modified in current status'
+                message: 'Validation errors',
+                errors: errors.array()
             });
         }
 
-        // Get product details
-        const productDoc = await Product.findById(product);
-        if (!productDoc) {
+        const { product, variant, sku, color, size, quantity, sizeBreakdown, priceOverride, customization, notes } = req.body;
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
             return res.status(404).json({
                 success: false,
-                message: 'Product not found'
+                message: 'Order not found'
             });
         }
 
-        // Check stock availability
-        if (productDoc.stockQuantity < quantity) {
+        // Check if order can be modified
+        if (order.status !== 'draft' && order.status !== 'pending') {
             return res.status(400).json({
                 success: false,
-                message: `Insufficient stock for product ${productDoc.name}. Available: ${productDoc.stockQuantity}`
+                message: 'Order cannot be modified in current status'
             });
         }
 
-        const itemData = {
-            product,
-            productName: productDoc.name,
-            productCode: productDoc.code,
-            quantity,
-            unitPrice,
-            customization,
-            notes
-        };
+        const itemData = await orderLineService.buildLine(
+            { product, variant, sku, color, size, quantity, sizeBreakdown, priceOverride, customization, notes },
+            { user: req.user, holdsStock: inventoryService.holdsStock(order) }
+        );
 
+        // Its stock is reserved with the rest of the order on confirmation
         await order.addItem(itemData);
 
-        // Update product stock
-        await productDoc.updateStock(quantity, 'decrease');
-
         res.json({
             success: true,
             message: 'Item added to order successfully',
@@ -504,6 +692,9 @@ router.post('/:id/items', authenticateToken, checkPermission('orders'), canAcces
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Add item to order error:', error);
         res.status(500).json({
             success: false,
@@ -513,11 +704,16 @@ router.post('/:id/items', authenticateToken, checkPermission('orders'), canAcces
 });
 
 // @route   POST /api/orders/:id/payment
-// @desc    Update order payment
+// @desc    Record a payment against an order; anything above the balance due
+//          is held as customer credit (see /api/payments for split payments)
 // @access  Private
-router.post('/:id/payment', authenticateToken, checkPermission('orders'), canAccessResource('order'), [
+router.post('/:id/payment', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), [
     body('amount').isFloat({ min: 0.01 }).withMessage('Payment amount must be greater than 0'),
-    body('paymentMethod').optional().isIn(['cash', 'bank-transfer', 'cheque', 'online', 'credit'])
+    body('paymentMethod').optional().isIn(Payment.PAYMENT_METHODS),
+    body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+    body('bankName').optional().trim().isLength({ max: 100 }).withMessage('Bank name cannot exceed 100 characters'),
+    body('paymentDate').optional().isISO8601().withMessage('Payment date must be a valid date'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -530,7 +726,7 @@ router.post('/:id/payment', authenticateToken, checkPermission('orders'), canAcc
             });
         }
 
-        const { amount, paymentMethod } = req.body;
+        const { amount, paymentMethod = 'cash', reference, bankName, paymentDate, notes } = req.body;
 
         const order = await Order.findById(req.params.id);
         if (!order) {
@@ -540,20 +736,31 @@ router.post('/:id/payment', authenticateToken, checkPermission('orders'), canAcc
             });
         }
 
-        // Update payment method if provided
-        if (paymentMethod) {
-            order.paymentMethod = paymentMethod;
-        }
-
-        await order.updatePayment(amount);
+        const allocated = Math.min(Number(amount), order.balanceDue);
+        const payment = await paymentService.recordReceipt({
+            customer: order.customer,
+            amount,
+            method: paymentMethod,
+            reference,
+            bankName,
+            paymentDate,
+            allocations: allocated > 0 ? [{ order: order._id, amount: allocated }] : [],
+            notes
+        }, req.user);
 
         res.json({
             success: true,
-            message: 'Payment updated successfully',
-            order
+            message: payment.unallocatedAmount > 0
+                ? `Payment ${payment.receiptNumber} recorded; ${payment.unallocatedAmount} held as customer credit`
+                : `Payment ${payment.receiptNumber} recorded successfully`,
+            order: await Order.findById(order._id),
+            payment
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Update order payment error:', error);
         res.status(500).json({
             success: false,
@@ -562,10 +769,182 @@ router.post('/:id/payment', authenticateToken, checkPermission('orders'), canAcc
     }
 });
 
+// @route   POST /api/orders/:id/payment-reminder
+// @desc    Email the customer a payment reminder for the order's balance now
+// @access  Private
+router.post('/:id/payment-reminder', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).populate('customer', 'email');
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status === 'cancelled' || order.balanceDue <= 0 || !order.dueDate) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only invoiced or delivered orders with a balance due can be reminded'
+            });
+        }
+
+        if (!(order.customer && order.customer.email) && !order.customerEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Customer has no email address'
+            });
+        }
+
+        const sent = await receivablesService.sendPaymentReminder(order, { force: true });
+        if (!sent) {
+            return res.status(502).json({
+                success: false,
+                message: 'Payment reminder could not be sent'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Payment reminder sent successfully',
+            order: await Order.findById(order._id)
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Send payment reminder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending payment reminder'
+        });
+    }
+});
+
+// @route   POST /api/orders/:id/invoice
+// @desc    Issue a tax invoice for a confirmed or delivered order
+// @access  Private
+router.post('/:id/invoice', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), [
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const invoice = await invoiceService.issueInvoice(order, {
+            userId: req.user._id,
+            notes: req.body.notes
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Invoice ${invoice.invoiceNumber} issued successfully`,
+            invoice
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Issue invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error issuing invoice'
+        });
+    }
+});
+
+// @route   GET /api/orders/:id/invoice.pdf
+// @desc    Download the latest invoice of an order as a PDF
+// @access  Private
+router.get('/:id/invoice.pdf', authenticateToken, checkPermission('orders', 'view'), canAccessResource('order'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ order: req.params.id, type: 'invoice' })
+            .sort({ issueDate: -1 });
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'No invoice has been issued for this order'
+            });
+        }
+
+        const pdf = await pdfService.renderInvoice(invoice);
+        const filename = invoice.invoiceNumber.replace(/\//g, '-');
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${filename}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Get invoice PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating invoice PDF'
+        });
+    }
+});
+
+// @route   GET /api/orders/:id/production-sheet.pdf
+// @desc    Download the production sheet (lines, size runs and name lists) as a PDF
+// @access  Private
+router.get('/:id/production-sheet.pdf', authenticateToken, checkPermission('orders', 'view'), canAccessResource('order'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const pdf = await pdfService.renderProductionSheet(order);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${order.orderNumber}-production.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Get production sheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating production sheet'
+        });
+    }
+});
+
 // @route   POST /api/orders/:id/notes
 // @desc    Add note to order
 // @access  Private
-router.post('/:id/notes', authenticateToken, checkPermission('orders'), canAccessResource('order'), [
+router.post('/:id/notes', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('order'), [
     body('content').trim().isLength({ min: 1 }).withMessage('Note content is required'),
     body('isInternal').optional().isBoolean()
 ], async (req, res) => {
@@ -610,15 +989,17 @@ router.post('/:id/notes', authenticateToken, checkPermission('orders'), canAcces
 // @route   GET /api/orders/stats/overview
 // @desc    Get order statistics overview
 // @access  Private
-router.get('/stats/overview', authenticateToken, checkPermission('orders'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
     try {
-        const stats = await Order.getStats();
+        // Roles limited to their own records only count those
+        const ownRecords = req.user.recordFilter('orders');
+        const stats = await Order.getStats(ownRecords);
         
         // Get additional statistics
-        const totalOrders = await Order.countDocuments();
-        const pendingOrders = await Order.countDocuments({ status: { $in: ['pending', 'confirmed', 'in-production'] } });
-        const overdueOrders = await Order.findOverdue().countDocuments();
-        const completedOrders = await Order.countDocuments({ status: 'delivered' });
+        const totalOrders = await Order.countDocuments(ownRecords);
+        const pendingOrders = await Order.findPending().and([ownRecords]).countDocuments();
+        const overdueOrders = await Order.findOverdue().and([ownRecords]).countDocuments();
+        const completedOrders = await Order.countDocuments({ status: 'delivered' }).and([ownRecords]);
 
         const fullStats = {
             ...stats,
@@ -645,22 +1026,28 @@ router.get('/stats/overview', authenticateToken, checkPermission('orders'), asyn
 // @route   GET /api/orders/dashboard/summary
 // @desc    Get order dashboard summary
 // @access  Private
-router.get('/dashboard/summary', authenticateToken, checkPermission('orders'), async (req, res) => {
+router.get('/dashboard/summary', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
     try {
+        // Roles limited to their own records only see those
+        const ownRecords = req.user.recordFilter('orders');
+
         // Get recent orders
         const recentOrders = await Order.find()
+            .and([ownRecords])
             .sort({ orderDate: -1 })
             .limit(5)
             .select('orderNumber customerName status totalAmount orderDate');
 
         // Get pending orders
         const pendingOrders = await Order.findPending()
+            .and([ownRecords])
             .sort({ orderDate: 1 })
             .limit(5)
             .select('orderNumber customerName status expectedCompletionDate');
 
         // Get overdue orders
         const overdueOrders = await Order.findOverdue()
+            .and([ownRecords])
             .sort({ preferredDeliveryDate: 1 })
             .limit(5)
             .select('orderNumber customerName status preferredDeliveryDate');
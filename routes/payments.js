@@ -0,0 +1,339 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const paymentService = require('../services/paymentService');
+const pdfService = require('../services/pdfService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validation rules
+const entryValidation = [
+    body('customer').isMongoId().withMessage('Valid customer ID is required'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+    body('bankName').optional().trim().isLength({ max: 100 }).withMessage('Bank name cannot exceed 100 characters'),
+    body('paymentDate').optional().isISO8601().withMessage('Payment date must be a valid date'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const receiptValidation = [
+    ...entryValidation,
+    body('method').isIn(Payment.PAYMENT_METHODS).withMessage('Valid payment method is required'),
+    body('reference').if(body('method').isIn(['cheque', 'bank-transfer'])).notEmpty()
+        .withMessage('Reference is required for cheque and bank transfer payments'),
+    body('allocations').optional().isArray().withMessage('Allocations must be an array'),
+    body('allocations.*.order').isMongoId().withMessage('Valid order ID is required'),
+    body('allocations.*.amount').isFloat({ min: 0.01 }).withMessage('Allocation amount must be greater than 0')
+];
+
+const refundValidation = [
+    ...entryValidation,
+    body('method').isIn(Payment.PAYMENT_METHODS.filter(method => method !== 'credit')).withMessage('Valid refund method is required'),
+    body('order').optional().isMongoId().withMessage('Valid order ID is required'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Refund reason is required')
+];
+
+const reverseValidation = [
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reversal reason is required')
+];
+
+// @route   GET /api/payments
+// @desc    Get payment ledger entries with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            type,
+            status,
+            method,
+            customer,
+            order,
+            dateFrom,
+            dateTo,
+            sortBy = 'paymentDate',
+            sortOrder = 'desc'
+        } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (search) {
+            filter.$or = [
+                { receiptNumber: { $regex: search, $options: 'i' } },
+                { reference: { $regex: search, $options: 'i' } },
+                { customerName: { $regex: search, $options: 'i' } },
+                { 'allocations.orderNumber': { $regex: search, $options: 'i' } }
+            ];
+        }
+        if (type) filter.type = type;
+        if (status) filter.status = status;
+        if (method) filter.method = method;
+        if (customer) filter.customer = customer;
+        if (order) filter['allocations.order'] = order;
+        if (dateFrom || dateTo) {
+            filter.paymentDate = {};
+            if (dateFrom) filter.paymentDate.$gte = new Date(dateFrom);
+            if (dateTo) filter.paymentDate.$lte = new Date(dateTo);
+        }
+
+        // Roles limited to their own orders only see payments of those orders and their customers
+        filter.$and = [await Order.relatedFilter(req.user, { orderField: 'allocations.order', customerField: 'customer' })];
+
+        // Build sort object
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const payments = await Payment.find(filter)
+            .sort(sort)
+            .skip(skip)
+            .limit(parseInt(limit))
+            .populate('receivedBy', 'username fullName');
+
+        const total = await Payment.countDocuments(filter);
+
+        res.json({
+            success: true,
+            payments,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalPayments: total,
+                hasNextPage: skip + payments.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting payments'
+        });
+    }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get payment by ID
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('orders', 'view'), canAccessResource('payment'), async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id)
+            .populate('customer', 'name company email phone creditBalance')
+            .populate('receivedBy', 'username fullName')
+            .populate('reversal.reversedBy', 'username fullName');
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            payment
+        });
+
+    } catch (error) {
+        console.error('Get payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting payment'
+        });
+    }
+});
+
+// @route   GET /api/payments/:id/receipt.pdf
+// @desc    Download a payment receipt or refund voucher as a PDF
+// @access  Private
+router.get('/:id/receipt.pdf', authenticateToken, checkPermission('orders', 'view'), canAccessResource('payment'), async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id)
+            .populate('customer', 'name company email phone gstin address');
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const pdf = await pdfService.renderReceipt(payment, payment.customer || {});
+        const filename = payment.receiptNumber.replace(/\//g, '-');
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${filename}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Get payment receipt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating payment receipt'
+        });
+    }
+});
+
+// @route   POST /api/payments
+// @desc    Record a payment received, allocated across the customer's orders;
+//          any unallocated amount is held as customer credit
+// @access  Private
+router.post('/', authenticateToken, checkPermission('orders', 'create'), receiptValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { customer, amount, method, reference, bankName, paymentDate, allocations, notes } = req.body;
+
+        // Roles limited to their own orders can only allocate to those
+        const allocatedOrders = [...new Set((allocations || []).map(allocation => String(allocation.order)))];
+        if (allocatedOrders.length > 0 && req.user.scopeFor('orders') === 'own') {
+            const accessible = await Order.countDocuments({ _id: { $in: allocatedOrders } }).and([req.user.recordFilter('orders')]);
+            if (accessible < allocatedOrders.length) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied: payments can only be allocated to orders assigned to you'
+                });
+            }
+        }
+
+        const payment = await paymentService.recordReceipt({
+            customer,
+            amount,
+            method,
+            reference,
+            bankName,
+            paymentDate,
+            allocations,
+            notes
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Payment ${payment.receiptNumber} recorded successfully`,
+            payment
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Record payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording payment'
+        });
+    }
+});
+
+// @route   POST /api/payments/refunds
+// @desc    Refund a customer, against an order or from their credit balance
+// @access  Private (approve permission on orders)
+router.post('/refunds', authenticateToken, checkPermission('orders', 'approve'), canAccessResource('order', 'order'), refundValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { customer, amount, method, reference, bankName, paymentDate, order, reason, notes } = req.body;
+
+        const refund = await paymentService.recordRefund({
+            customer,
+            amount,
+            method,
+            reference,
+            bankName,
+            paymentDate,
+            allocations: order ? [{ order, amount }] : [],
+            reason,
+            notes
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Refund ${refund.receiptNumber} recorded successfully`,
+            payment: refund
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Record refund error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording refund'
+        });
+    }
+});
+
+// @route   POST /api/payments/:id/reverse
+// @desc    Reverse a mistaken payment or refund
+// @access  Private (approve permission on orders)
+router.post('/:id/reverse', authenticateToken, checkPermission('orders', 'approve'), canAccessResource('payment'), reverseValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const reversed = await paymentService.reversePayment(payment, {
+            reason: req.body.reason,
+            user: req.user
+        });
+
+        res.json({
+            success: true,
+            message: `${reversed.receiptNumber} reversed successfully`,
+            payment: reversed
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Reverse payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error reversing payment'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,19 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockAlert = require('../models/StockAlert');
+const LocationStock = require('../models/LocationStock');
+const StockTransfer = require('../models/StockTransfer');
+const RawMaterial = require('../models/RawMaterial');
+const BillOfMaterials = require('../models/BillOfMaterials');
 const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
-const emailService = require('../services/emailService');
+const inventoryService = require('../services/inventoryService');
+const stockAlertService = require('../services/stockAlertService');
+const { GST_RATES } = require('../services/taxService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
 const { upload, processAndSaveImages, deleteProductImages, deleteImage } = require('../middleware/upload');
 
 const router = express.Router();
@@ -15,17 +26,60 @@ const productValidation = [
     body('category').isIn(['educational', 'corporate', 'hospitality', 'medical', 'industrial', 'fashion']).withMessage('Valid category is required'),
     body('uniformType').isIn(['school', 'college', 'hotel', 'hospital', 'corporate', 'industrial', 'security', 'other']).withMessage('Valid uniform type is required'),
     body('basePrice').isFloat({ min: 0 }).withMessage('Base price must be a positive number'),
+    body('costPrice').optional().isFloat({ min: 0 }).withMessage('Cost price must be a positive number'),
     body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
     body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+    body('preferredSupplier').optional({ nullable: true }).isMongoId().withMessage('Valid supplier ID is required'),
     body('minimumOrderQuantity').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1'),
-    body('leadTime').optional().isInt({ min: 1 }).withMessage('Lead time must be at least 1 day')
+    body('leadTime').optional().isInt({ min: 1 }).withMessage('Lead time must be at least 1 day'),
+    body('hsnCode').optional({ checkFalsy: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+    body('gstRate').optional().isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+    body('variants').optional().isArray().withMessage('Variants must be an array'),
+    body('variants.*.sku').optional().trim().notEmpty().withMessage('Variant SKU is required'),
+    body('variants.*.stockQuantity').optional().isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer'),
+    body('variants.*.reorderLevel').optional().isInt({ min: 0 }).withMessage('Variant reorder level must be a non-negative integer'),
+    body('variants.*.reorderQuantity').optional().isInt({ min: 0 }).withMessage('Variant reorder quantity must be a non-negative integer'),
+    body('variants.*.priceDelta').optional().isFloat().withMessage('Variant price delta must be a number')
 ];
 
+const variantValidation = [
+    body('sku').trim().notEmpty().withMessage('SKU is required'),
+    body('color').optional().trim(),
+    body('size').optional().trim(),
+    body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+    body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+    body('priceDelta').optional().isFloat().withMessage('Price delta must be a number')
+];
+
+// Fields of a variant that can be edited directly; stock moves through PUT /:id/stock
+const VARIANT_EDITABLE_FIELDS = ['reorderLevel', 'reorderQuantity', 'priceDelta', 'isActive'];
+
+// Movement types a manual stock change can be recorded as, by direction
+const MANUAL_MOVEMENT_TYPES = {
+    increase: ['adjustment', 'receipt', 'return'],
+    decrease: ['adjustment', 'damage', 'write-off']
+};
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Get all products with filtering and pagination; `location` narrows to products
+//          held there and adds the quantity at that location
 // @access  Private
-router.get('/', authenticateToken, checkPermission('products'), async (req, res) => {
+router.get('/', authenticateToken, checkPermission('products', 'view'), [
+    query('location').optional().isMongoId().withMessage('Valid location ID is required')
+], async (req, res) => {
     try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
         const {
             page = 1,
             limit = 20,
@@ -34,6 +88,7 @@ router.get('/', authenticateToken, checkPermission('products'), async (req, res)
             uniformType,
             isActive,
             stockStatus,
+            location,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
@@ -47,11 +102,15 @@ router.get('/', authenticateToken, checkPermission('products'), async (req, res)
         if (uniformType) filter.uniformType = uniformType;
         if (isActive !== undefined) filter.isActive = isActive === 'true';
         if (stockStatus) {
-            if (stockStatus === 'out-of-stock') filter.stockQuantity = 0;
-            else if (stockStatus === 'low-stock') {
-                filter.$expr = { $lte: ['$stockQuantity', '$reorderLevel'] };
+            if (stockStatus === 'out-of-stock') {
+                filter.$expr = { $lte: [Product.availableQuantityExpr, 0] };
+            } else if (stockStatus === 'low-stock') {
+                filter.$expr = Product.lowStockExpr;
             }
         }
+        if (location) {
+            filter._id = { $in: await LocationStock.find({ location, quantity: { $gt: 0 } }).distinct('product') };
+        }
 
         // Build sort object
         const sort = {};
@@ -82,6 +141,21 @@ router.get('/', authenticateToken, checkPermission('products'), async (req, res)
         // Get total count
         const total = await Product.countDocuments(filter);
 
+        // Quantity held at the location, per product and per variant
+        if (location) {
+            const held = await LocationStock.find({ location, product: { $in: products.map(product => product._id) } });
+            products = products.map(product => {
+                const records = held.filter(record => String(record.product) === String(product._id));
+                const result = product.toJSON();
+                result.locationQuantity = records.reduce((sum, record) => sum + record.quantity, 0);
+                result.variants = (result.variants || []).map(variant => {
+                    const record = records.find(item => String(item.variant) === String(variant._id));
+                    return { ...variant, locationQuantity: record ? record.quantity : 0 };
+                });
+                return result;
+            });
+        }
+
         res.json({
             success: true,
             products,
@@ -106,7 +180,7 @@ router.get('/', authenticateToken, checkPermission('products'), async (req, res)
 // @route   GET /api/products/:id
 // @desc    Get product by ID
 // @access  Private
-router.get('/:id', authenticateToken, checkPermission('products'), canAccessResource('product'), async (req, res) => {
+router.get('/:id', authenticateToken, checkPermission('products', 'view'), canAccessResource('product'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id)
             .populate('createdBy', 'username fullName')
@@ -136,7 +210,9 @@ router.get('/:id', authenticateToken, checkPermission('products'), canAccessReso
 // @route   POST /api/products
 // @desc    Create new product
 // @access  Private
-router.post('/', authenticateToken, checkPermission('products'), productValidation, async (req, res) => {
+router.post('/', authenticateToken, checkPermission('products', 'create'), productValidation, [
+    body('location').optional().isMongoId().withMessage('Valid location ID is required')
+], async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -153,6 +229,13 @@ router.post('/', authenticateToken, checkPermission('products'), productValidati
             createdBy: req.user._id
         };
 
+        // Reservations are owned by the order lifecycle; the location only places the opening stock
+        delete productData.reservedQuantity;
+        delete productData.location;
+        if (Array.isArray(productData.variants)) {
+            productData.variants = productData.variants.map(({ reservedQuantity, ...variant }) => variant);
+        }
+
         // Check if product with same code already exists
         const existingProduct = await Product.findOne({ code: productData.code });
         if (existingProduct) {
@@ -162,8 +245,17 @@ router.post('/', authenticateToken, checkPermission('products'), productValidati
             });
         }
 
+        // Save the product and record its opening stock as one unit
         const newProduct = new Product(productData);
-        await newProduct.save();
+        await withTransaction(async (session) => {
+            await newProduct.save({ session });
+            await inventoryService.recordOpeningStock(newProduct, {
+                variants: newProduct.variants,
+                locationId: req.body.location,
+                userId: req.user._id,
+                session
+            });
+        });
 
         // Populate references
         await newProduct.populate('createdBy', 'username fullName');
@@ -175,6 +267,15 @@ router.post('/', authenticateToken, checkPermission('products'), productValidati
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A variant SKU is already used by another product'
+            });
+        }
         console.error('Create product error:', error);
         res.status(500).json({
             success: false,
@@ -186,7 +287,7 @@ router.post('/', authenticateToken, checkPermission('products'), productValidati
 // @route   PUT /api/products/:id
 // @desc    Update product
 // @access  Private
-router.put('/:id', authenticateToken, checkPermission('products'), canAccessResource('product'), productValidation, async (req, res) => {
+router.put('/:id', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), productValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -198,11 +299,24 @@ router.put('/:id', authenticateToken, checkPermission('products'), canAccessReso
             });
         }
 
+        // Stock changes through PUT /:id/stock so every change reaches the ledger, and
+        // reservations are owned by the order lifecycle; refuse them rather than drop them
+        const stockFields = ['stockQuantity', 'reservedQuantity'].filter(field => req.body[field] !== undefined);
+        if (stockFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${stockFields.join(' and ')} cannot be changed here; adjust stock with PUT /api/products/${req.params.id}/stock`
+            });
+        }
+
         const updateData = {
             ...req.body,
             lastModifiedBy: req.user._id
         };
 
+        // Variants change through the variant endpoints
+        delete updateData.variants;
+
         // Check if code is being changed and if it already exists
         if (req.body.code) {
             const existingProduct = await Product.findOne({ 
@@ -231,12 +345,12 @@ router.put('/:id', authenticateToken, checkPermission('products'), canAccessReso
             });
         }
 
-        // Check for low stock and send alert
-        if (updatedProduct.stockQuantity <= updatedProduct.reorderLevel && updatedProduct.stockQuantity > 0) {
+        // A new reorder level or deactivation can open or close a low-stock alert
+        if (req.body.reorderLevel !== undefined || req.body.isActive !== undefined) {
             try {
-                await emailService.sendLowStockAlert(updatedProduct);
-            } catch (emailError) {
-                console.error('Low stock alert email error:', emailError);
+                await stockAlertService.evaluateProduct(updatedProduct);
+            } catch (alertError) {
+                console.error('Stock alert check error:', alertError);
             }
         }
 
@@ -258,7 +372,7 @@ router.put('/:id', authenticateToken, checkPermission('products'), canAccessReso
 // @route   DELETE /api/products/:id
 // @desc    Delete product
 // @access  Private
-router.delete('/:id', authenticateToken, checkPermission('products'), canAccessResource('product'), async (req, res) => {
+router.delete('/:id', authenticateToken, checkPermission('products', 'delete'), canAccessResource('product'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         
@@ -281,6 +395,7 @@ router.delete('/:id', authenticateToken, checkPermission('products'), canAccessR
         }
 
         await Product.findByIdAndDelete(req.params.id);
+        await BillOfMaterials.deleteOne({ product: req.params.id });
 
         res.json({
             success: true,
@@ -297,11 +412,21 @@ router.delete('/:id', authenticateToken, checkPermission('products'), canAccessR
 });
 
 // @route   PUT /api/products/:id/stock
-// @desc    Update product stock
+// @desc    Add or remove stock with a reason, recorded in the stock ledger; products
+//          with variants take the variant ID or SKU, and the location defaults to the default one
 // @access  Private
-router.put('/:id/stock', authenticateToken, checkPermission('products'), canAccessResource('product'), [
+router.put('/:id/stock', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), [
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-    body('operation').isIn(['increase', 'decrease']).withMessage('Operation must be increase or decrease')
+    body('operation').isIn(['increase', 'decrease']).withMessage('Operation must be increase or decrease'),
+    body('type').optional().custom((type, { req }) => (MANUAL_MOVEMENT_TYPES[req.body.operation] || []).includes(type))
+        .withMessage('Type must be adjustment, receipt or return for an increase, and adjustment, damage or write-off for a decrease'),
+    body('reason').if(body('operation').equals('decrease')).trim().notEmpty().withMessage('A reason is required to remove stock'),
+    body('reason').optional().trim(),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('reference').optional().trim(),
+    body('variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('sku').optional().trim(),
+    body('location').optional().isMongoId().withMessage('Valid location ID is required')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -314,9 +439,9 @@ router.put('/:id/stock', authenticateToken, checkPermission('products'), canAcce
             });
         }
 
-        const { quantity, operation } = req.body;
+        const { quantity, operation, type = 'adjustment', reason, unitCost, reference, variant: variantId, sku, location } = req.body;
 
-        const product = await Product.findById(req.params.id);
+        let product = await Product.findById(req.params.id);
         if (!product) {
             return res.status(404).json({
                 success: false,
@@ -324,15 +449,30 @@ router.put('/:id/stock', authenticateToken, checkPermission('products'), canAcce
             });
         }
 
-        await product.updateStock(quantity, operation);
+        const variant = product.resolveVariant({ variant: variantId, sku });
+        product = await withTransaction((session) => inventoryService.adjustStock(product._id, {
+            variantId: variant ? variant._id : null,
+            locationId: location,
+            change: operation === 'increase' ? quantity : -quantity,
+            type,
+            reason,
+            unitCost: operation === 'increase' ? unitCost : undefined,
+            reference: reference ? { kind: 'Manual', number: reference } : undefined,
+            userId: req.user._id,
+            session
+        }));
 
         res.json({
             success: true,
             message: `Stock ${operation}d successfully`,
-            product
+            product,
+            ...(variant ? { variant: product.findVariant({ variantId: variant._id }) } : {})
         });
 
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         console.error('Update stock error:', error);
         res.status(500).json({
             success: false,
@@ -341,10 +481,528 @@ router.put('/:id/stock', authenticateToken, checkPermission('products'), canAcce
     }
 });
 
+// @route   POST /api/products/:id/variants
+// @desc    Add a color/size variant, or generate the full color × size matrix
+// @access  Private
+router.post('/:id/variants', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), [
+    body('generate').optional().isBoolean().withMessage('Generate must be true or false'),
+    body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('priceDeltas').optional().isObject().withMessage('Price deltas must map sizes to amounts'),
+    body('location').optional().isMongoId().withMessage('Valid location ID is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        let variants;
+        if (req.body.generate) {
+            variants = product.generateVariants({
+                reorderLevel: req.body.reorderLevel,
+                priceDeltas: req.body.priceDeltas
+            });
+            if (variants.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Every available color and size already has a variant'
+                });
+            }
+        } else {
+            // Validate a single variant only when not generating
+            await Promise.all(variantValidation.map(rule => rule.run(req)));
+            const variantErrors = validationResult(req);
+            if (!variantErrors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation errors',
+                    errors: variantErrors.array()
+                });
+            }
+
+            const { sku, color, size, stockQuantity, reorderLevel, priceDelta } = req.body;
+            variants = [{ sku, color, size, stockQuantity, reorderLevel, priceDelta }];
+        }
+
+        // Add the variants and record their opening stock as one unit
+        const added = await withTransaction(async (session) => {
+            const newVariants = await Product.addVariants(product, variants, session);
+            await inventoryService.recordOpeningStock(product, {
+                variants: newVariants,
+                locationId: req.body.location,
+                userId: req.user._id,
+                session
+            });
+            return newVariants;
+        });
+        const updatedProduct = await Product.findById(product._id);
+
+        res.status(201).json({
+            success: true,
+            message: `${added.length} variant${added.length === 1 ? '' : 's'} added successfully`,
+            variants: added,
+            product: updatedProduct
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A variant SKU is already used by another product'
+            });
+        }
+        console.error('Add variants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error adding variants'
+        });
+    }
+});
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a variant's reorder level, price delta or availability
+// @access  Private
+router.put('/:id/variants/:variantId', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), [
+    body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+    body('priceDelta').optional().isFloat().withMessage('Price delta must be a number'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const update = {};
+        VARIANT_EDITABLE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => {
+                update[`variants.$.${field}`] = req.body[field];
+            });
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Nothing to update; editable fields are ${VARIANT_EDITABLE_FIELDS.join(', ')}`
+            });
+        }
+
+        const product = await Product.findOneAndUpdate(
+            { _id: req.params.id, 'variants._id': req.params.variantId },
+            { $set: { ...update, lastModifiedBy: req.user._id } },
+            { new: true, runValidators: true }
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Variant not found'
+            });
+        }
+
+        if (req.body.reorderLevel !== undefined || req.body.isActive !== undefined) {
+            try {
+                await stockAlertService.evaluate(product, req.params.variantId);
+            } catch (alertError) {
+                console.error('Stock alert check error:', alertError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Variant updated successfully',
+            variant: product.findVariant({ variantId: req.params.variantId }),
+            product
+        });
+
+    } catch (error) {
+        console.error('Update variant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating variant'
+        });
+    }
+});
+
+// @route   GET /api/products/:id/movements
+// @desc    Get the stock movement history of a product
+// @access  Private
+router.get('/:id/movements', authenticateToken, checkPermission('products', 'view'), canAccessResource('product'), [
+    query('type').optional().isIn(StockMovement.MOVEMENT_TYPES).withMessage('Valid movement type is required'),
+    query('variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    query('from').optional().isISO8601().withMessage('Valid from date is required'),
+    query('to').optional().isISO8601().withMessage('Valid to date is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { type, variant, sku, from, to, page = 1, limit = 50 } = req.query;
+
+        const product = await Product.findById(req.params.id).select('name code stockQuantity reservedQuantity');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const filter = { product: product._id };
+        if (type) filter.type = type;
+        if (variant) filter.variant = variant;
+        if (sku) filter.sku = String(sku).toUpperCase();
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const movements = await StockMovement.find(filter)
+            .populate('user', 'username fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await StockMovement.countDocuments(filter);
+
+        res.json({
+            success: true,
+            product,
+            movements,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalMovements: total,
+                hasNextPage: skip + movements.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock movements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stock movements'
+        });
+    }
+});
+
+// @route   GET /api/products/:id/bom
+// @desc    Get the bill of materials of a product
+// @access  Private
+router.get('/:id/bom', authenticateToken, checkPermission('products', 'view'), canAccessResource('product'), async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id).select('name code sizes');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const bom = await BillOfMaterials.findOne({ product: product._id })
+            .populate('lines.material', 'name code category unit unitCost stockQuantity');
+
+        res.json({
+            success: true,
+            product,
+            bom
+        });
+
+    } catch (error) {
+        console.error('Get bill of materials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting bill of materials'
+        });
+    }
+});
+
+// @route   PUT /api/products/:id/bom
+// @desc    Set the materials one piece takes, optionally per size
+// @access  Private
+router.put('/:id/bom', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), [
+    body('lines').isArray().withMessage('Lines must be an array'),
+    body('lines.*.material').isMongoId().withMessage('Valid material ID is required'),
+    body('lines.*.quantity').isFloat({ min: 0 }).withMessage('Quantity per piece must be a non-negative number'),
+    body('lines.*.sizeQuantities').optional().isArray().withMessage('Size quantities must be an array'),
+    body('lines.*.sizeQuantities.*.size').trim().notEmpty().withMessage('Size is required'),
+    body('lines.*.sizeQuantities.*.quantity').isFloat({ min: 0 }).withMessage('Quantity per piece must be a non-negative number'),
+    body('lines.*.wastagePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Wastage must be between 0 and 100 percent'),
+    body('lines.*.notes').optional().trim(),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const product = await Product.findById(req.params.id).select('name code sizes');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const materialIds = req.body.lines.map(line => String(line.material));
+        if (new Set(materialIds).size !== materialIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Each material can only appear once in a bill of materials'
+            });
+        }
+
+        const materials = await RawMaterial.find({ _id: { $in: materialIds }, isActive: true }).select('_id');
+        const missing = materialIds.filter(id => !materials.some(material => String(material._id) === id));
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some materials do not exist or are inactive',
+                missing
+            });
+        }
+
+        const sizeNames = (product.sizes || []).map(size => size.name);
+        const unknownSizes = [...new Set(req.body.lines.flatMap(line => (line.sizeQuantities || []).map(row => String(row.size).trim())))]
+            .filter(size => sizeNames.length > 0 && !sizeNames.includes(size));
+        if (unknownSizes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Sizes ${unknownSizes.join(', ')} are not sizes of ${product.name}`
+            });
+        }
+
+        const bom = await BillOfMaterials.findOneAndUpdate(
+            { product: product._id },
+            {
+                $set: {
+                    lines: req.body.lines.map(line => ({
+                        material: line.material,
+                        quantity: line.quantity,
+                        sizeQuantities: line.sizeQuantities || [],
+                        wastagePercent: line.wastagePercent || 0,
+                        notes: line.notes
+                    })),
+                    notes: req.body.notes,
+                    lastModifiedBy: req.user._id
+                },
+                $setOnInsert: { createdBy: req.user._id }
+            },
+            { new: true, upsert: true, runValidators: true }
+        ).populate('lines.material', 'name code category unit unitCost stockQuantity');
+
+        res.json({
+            success: true,
+            message: 'Bill of materials saved successfully',
+            bom
+        });
+
+    } catch (error) {
+        console.error('Update bill of materials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving bill of materials'
+        });
+    }
+});
+
+// @route   GET /api/products/stock/valuation
+// @desc    Value stock on hand now or at a past date
+// @access  Private (view permission on reports)
+router.get('/stock/valuation', authenticateToken, checkPermission('reports', 'view'), [
+    query('asOf').optional().isISO8601().withMessage('Valid date is required'),
+    query('category').optional().trim()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const valuation = await inventoryService.getStockValuation({
+            asOf: req.query.asOf ? new Date(req.query.asOf) : new Date(),
+            category: req.query.category
+        });
+
+        res.json({
+            success: true,
+            valuation
+        });
+
+    } catch (error) {
+        console.error('Get stock valuation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stock valuation'
+        });
+    }
+});
+
+// @route   GET /api/products/stock/low-stock
+// @desc    Get stock at or below its reorder level, per variant where products have variants
+// @access  Private
+router.get('/stock/low-stock', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const [products, variants] = await Promise.all([
+            Product.findLowStock()
+                .where('variants.0').exists(false)
+                .sort({ stockQuantity: 1 })
+                .select('name code category stockQuantity reservedQuantity reorderLevel'),
+            Product.findLowStockVariants()
+        ]);
+
+        res.json({
+            success: true,
+            products,
+            variants
+        });
+
+    } catch (error) {
+        console.error('Get low stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting low stock'
+        });
+    }
+});
+
+// @route   GET /api/products/stock/alerts
+// @desc    Get low and out of stock alerts, open ones by default
+// @access  Private
+router.get('/stock/alerts', authenticateToken, checkPermission('products', 'view'), [
+    query('status').optional().isIn(['active', 'resolved']).withMessage('Status must be active or resolved'),
+    query('level').optional().isIn(StockAlert.LEVELS).withMessage('Valid alert level is required'),
+    query('product').optional().isMongoId().withMessage('Valid product ID is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 50, status = 'active', level, product, acknowledged } = req.query;
+
+        // Build filter object
+        const filter = { status };
+        if (level) filter.level = level;
+        if (product) filter.product = product;
+        if (acknowledged !== undefined) {
+            filter.acknowledgedAt = acknowledged === 'true' ? { $ne: null } : null;
+        }
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const alerts = await StockAlert.find(filter)
+            .populate('acknowledgedBy', 'username fullName')
+            .sort({ level: -1, triggeredAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await StockAlert.countDocuments(filter);
+
+        res.json({
+            success: true,
+            alerts,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalAlerts: total,
+                hasNextPage: skip + alerts.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock alerts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stock alerts'
+        });
+    }
+});
+
+// @route   POST /api/products/stock/alerts/:alertId/acknowledge
+// @desc    Acknowledge an open stock alert
+// @access  Private
+router.post('/stock/alerts/:alertId/acknowledge', authenticateToken, checkPermission('products', 'edit'), async (req, res) => {
+    try {
+        const alert = await stockAlertService.acknowledge(req.params.alertId, req.user._id);
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Open stock alert not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Stock alert acknowledged',
+            alert
+        });
+
+    } catch (error) {
+        console.error('Acknowledge stock alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error acknowledging stock alert'
+        });
+    }
+});
+
 // @route   POST /api/products/:id/images
 // @desc    Add image to product
 // @access  Private
-router.post('/:id/images', authenticateToken, checkPermission('products'), canAccessResource('product'), [
+router.post('/:id/images', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), [
     body('url').isURL().withMessage('Valid image URL is required'),
     body('alt').optional().trim(),
     body('isPrimary').optional().isBoolean()
@@ -390,7 +1048,7 @@ router.post('/:id/images', authenticateToken, checkPermission('products'), canAc
 // @route   DELETE /api/products/:id/images/:imageId
 // @desc    Remove image from product
 // @access  Private
-router.delete('/:id/images/:imageId', authenticateToken, checkPermission('products'), canAccessResource('product'), async (req, res) => {
+router.delete('/:id/images/:imageId', authenticateToken, checkPermission('products', 'delete'), canAccessResource('product'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
@@ -430,7 +1088,7 @@ router.delete('/:id/images/:imageId', authenticateToken, checkPermission('produc
 // @route   GET /api/products/search/quick
 // @desc    Quick search products
 // @access  Private
-router.get('/search/quick', authenticateToken, checkPermission('products'), async (req, res) => {
+router.get('/search/quick', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
     try {
         const { q, limit = 10 } = req.query;
 
@@ -443,7 +1101,7 @@ router.get('/search/quick', authenticateToken, checkPermission('products'), asyn
 
         const products = await Product.search(q.trim())
             .limit(parseInt(limit))
-            .select('name code category uniformType basePrice stockQuantity primaryImage');
+            .select('name code category uniformType basePrice stockQuantity reservedQuantity primaryImage');
 
         res.json({
             success: true,
@@ -460,10 +1118,22 @@ router.get('/search/quick', authenticateToken, checkPermission('products'), asyn
 });
 
 // @route   GET /api/products/stats/overview
-// @desc    Get product statistics overview
+// @desc    Get product statistics overview, with stock held at each location (or one `location`)
 // @access  Private
-router.get('/stats/overview', authenticateToken, checkPermission('products'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, checkPermission('products', 'view'), [
+    query('location').optional().isMongoId().withMessage('Valid location ID is required')
+], async (req, res) => {
     try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
         // Get total products
         const totalProducts = await Product.countDocuments();
         
@@ -486,6 +1156,12 @@ router.get('/stats/overview', authenticateToken, checkPermission('products'), as
         // Get out of stock products
         const outOfStockProducts = await Product.findOutOfStock().countDocuments();
 
+        // Get stock held per location, and the units in transit between locations
+        const locationMatch = req.query.location ? { location: new mongoose.Types.ObjectId(req.query.location) } : {};
+        const stockByLocation = await LocationStock.getTotalsByLocation(locationMatch);
+        const inTransit = await StockTransfer.getInTransit();
+        const inTransitUnits = [...inTransit.values()].reduce((sum, quantity) => sum + quantity, 0);
+
         const stats = {
             totalProducts,
             activeProducts,
@@ -498,7 +1174,9 @@ router.get('/stats/overview', authenticateToken, checkPermission('products'), as
                 return acc;
             }, {}),
             lowStockProducts,
-            outOfStockProducts
+            outOfStockProducts,
+            stockByLocation,
+            inTransitUnits
         };
 
         res.json({
@@ -518,19 +1196,25 @@ router.get('/stats/overview', authenticateToken, checkPermission('products'), as
 // @route   GET /api/products/dashboard/summary
 // @desc    Get product dashboard summary
 // @access  Private
-router.get('/dashboard/summary', authenticateToken, checkPermission('products'), async (req, res) => {
+router.get('/dashboard/summary', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
     try {
         // Get recent products
         const recentProducts = await Product.find()
             .sort({ createdAt: -1 })
             .limit(5)
-            .select('name code category uniformType basePrice stockQuantity');
+            .select('name code category uniformType basePrice stockQuantity reservedQuantity');
 
-        // Get low stock products
+        // Get low stock products, and the variants that are low on products with variants
         const lowStockProducts = await Product.findLowStock()
             .sort({ stockQuantity: 1 })
             .limit(5)
-            .select('name code category stockQuantity reorderLevel');
+            .select('name code category stockQuantity reservedQuantity reorderLevel');
+        const lowStockVariants = await Product.findLowStockVariants().limit(10);
+
+        // Get open stock alerts nobody has acknowledged yet
+        const stockAlerts = await StockAlert.find({ status: 'active', acknowledgedAt: null })
+            .sort({ level: -1, triggeredAt: -1 })
+            .limit(10);
 
         // Get top selling products
         const topSellingProducts = await Product.find({ isActive: true })
@@ -543,6 +1227,8 @@ router.get('/dashboard/summary', authenticateToken, checkPermission('products'),
             summary: {
                 recentProducts,
                 lowStockProducts,
+                lowStockVariants,
+                stockAlerts,
                 topSellingProducts
             }
         });
@@ -559,7 +1245,7 @@ router.get('/dashboard/summary', authenticateToken, checkPermission('products'),
 // @route   POST /api/products/:id/images
 // @desc    Upload product images
 // @access  Private
-router.post('/:id/images', authenticateToken, checkPermission('products'), canAccessResource('product'), upload.array('images', 5), async (req, res) => {
+router.post('/:id/images', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), upload.array('images', 5), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -603,7 +1289,7 @@ router.post('/:id/images', authenticateToken, checkPermission('products'), canAc
 // @route   DELETE /api/products/:id/images/:imageId
 // @desc    Delete product image
 // @access  Private
-router.delete('/:id/images/:imageId', authenticateToken, checkPermission('products'), canAccessResource('product'), async (req, res) => {
+router.delete('/:id/images/:imageId', authenticateToken, checkPermission('products', 'delete'), canAccessResource('product'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
@@ -646,7 +1332,7 @@ router.delete('/:id/images/:imageId', authenticateToken, checkPermission('produc
 // @route   PUT /api/products/:id/images/:imageId/primary
 // @desc    Set image as primary
 // @access  Private
-router.put('/:id/images/:imageId/primary', authenticateToken, checkPermission('products'), canAccessResource('product'), async (req, res) => {
+router.put('/:id/images/:imageId/primary', authenticateToken, checkPermission('products', 'edit'), canAccessResource('product'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validation rules
+const itemValidation = [
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('items.*.sku').optional().trim().notEmpty().withMessage('SKU cannot be empty'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number')
+];
+
+const purchaseOrderValidation = [
+    body('supplier').isMongoId().withMessage('Valid supplier ID is required'),
+    ...itemValidation,
+    body('expectedDate').optional().isISO8601().withMessage('Expected date must be a valid date'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const receiptValidation = [
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.item').isMongoId().withMessage('Valid purchase order line ID is required'),
+    body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('location').optional().isMongoId().withMessage('Valid location ID is required'),
+    body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// @route   GET /api/purchase-orders
+// @desc    Get purchase orders with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, supplier, overdue, product, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (status) filter.status = status;
+        if (supplier) filter.supplier = supplier;
+        if (product) filter['items.product'] = product;
+        if (overdue === 'true') {
+            filter.status = { $in: ['sent', 'partially-received'] };
+            filter.expectedDate = { $lt: new Date() };
+        }
+
+        // Build sort object
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const purchaseOrders = await PurchaseOrder.find(filter)
+            .populate('supplier', 'name code email')
+            .populate('createdBy', 'username fullName')
+            .select('-receipts -statusHistory')
+            .sort(sort)
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await PurchaseOrder.countDocuments(filter);
+
+        res.json({
+            success: true,
+            purchaseOrders,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalPurchaseOrders: total,
+                hasNextPage: skip + purchaseOrders.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting purchase orders'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/generate
+// @desc    Raise draft purchase orders for low stock, one per preferred supplier
+// @access  Private (approve permission on products)
+router.post('/generate', authenticateToken, checkPermission('products', 'approve'), [
+    body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { purchaseOrders, skipped } = await purchaseOrderService.generateFromLowStock({
+            supplier: req.body.supplier,
+            user: req.user
+        });
+
+        res.status(purchaseOrders.length > 0 ? 201 : 200).json({
+            success: true,
+            message: purchaseOrders.length > 0
+                ? `${purchaseOrders.length} purchase order(s) raised from low stock`
+                : 'No purchase orders were needed',
+            purchaseOrders,
+            skipped
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Generate purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating purchase orders'
+        });
+    }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get single purchase order
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+            .populate('supplier')
+            .populate('createdBy', 'username fullName')
+            .populate('receipts.receivedBy', 'username fullName')
+            .populate('statusHistory.changedBy', 'username fullName');
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            purchaseOrder
+        });
+
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Create a draft purchase order
+// @access  Private
+router.post('/', authenticateToken, checkPermission('products', 'create'), purchaseOrderValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.body, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Purchase order ${purchaseOrder.poNumber} created successfully`,
+            purchaseOrder
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Create purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating purchase order'
+        });
+    }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Update a draft purchase order
+// @access  Private
+router.put('/:id', authenticateToken, checkPermission('products', 'edit'), [
+    body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('expectedDate').optional().isISO8601().withMessage('Expected date must be a valid date'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        await purchaseOrderService.updatePurchaseOrder(purchaseOrder, req.body);
+
+        res.json({
+            success: true,
+            message: 'Purchase order updated successfully',
+            purchaseOrder
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Update purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/send
+// @desc    Send a draft purchase order to the supplier
+// @access  Private
+router.post('/:id/send', authenticateToken, checkPermission('products', 'edit'), [
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        const { emailed } = await purchaseOrderService.sendPurchaseOrder(purchaseOrder, {
+            user: req.user,
+            notes: req.body.notes
+        });
+
+        res.json({
+            success: true,
+            message: emailed
+                ? `Purchase order ${purchaseOrder.poNumber} sent to ${purchaseOrder.supplierName}`
+                : `Purchase order ${purchaseOrder.poNumber} marked as sent; the supplier could not be emailed`,
+            emailed,
+            purchaseOrder
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Send purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending purchase order'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/receive
+// @desc    Receive goods against a purchase order into stock
+// @access  Private
+router.post('/:id/receive', authenticateToken, checkPermission('products', 'edit'), receiptValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        await purchaseOrderService.receiveGoods(purchaseOrder, {
+            lines: req.body.lines.map(line => ({ item: line.item, quantity: parseInt(line.quantity) })),
+            location: req.body.location,
+            reference: req.body.reference,
+            notes: req.body.notes,
+            user: req.user
+        });
+
+        res.json({
+            success: true,
+            message: `Goods received against ${purchaseOrder.poNumber}; purchase order is ${purchaseOrder.status}`,
+            purchaseOrder
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Receive goods error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error receiving goods'
+        });
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/cancel
+// @desc    Cancel a purchase order that has not received goods
+// @access  Private (approve permission on products)
+router.post('/:id/cancel', authenticateToken, checkPermission('products', 'approve'), [
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        await purchaseOrderService.cancelPurchaseOrder(purchaseOrder, {
+            user: req.user,
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: `Purchase order ${purchaseOrder.poNumber} cancelled`,
+            purchaseOrder
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error cancelling purchase order'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const QualityInspection = require('../models/QualityInspection');
+const JobCard = require('../models/JobCard');
+const Order = require('../models/Order');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const { upload, processAndSaveImages } = require('../middleware/upload');
+const qualityService = require('../services/qualityService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   GET /api/quality-inspections
+// @desc    Get quality inspections with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, order, outcome, category, from, to } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (order) filter.order = order;
+        if (outcome) filter.outcome = outcome;
+        if (category) filter['defects.category'] = category;
+        if (from || to) {
+            filter.inspectedAt = {};
+            if (from) filter.inspectedAt.$gte = new Date(from);
+            if (to) filter.inspectedAt.$lte = new Date(to);
+        }
+
+        // Roles limited to their own orders only see those orders' inspections
+        filter.$and = [await Order.relatedFilter(req.user)];
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const inspections = await QualityInspection.find(filter)
+            .populate('inspectedBy', 'username fullName')
+            .sort({ inspectedAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await QualityInspection.countDocuments(filter);
+
+        res.json({
+            success: true,
+            inspections,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalInspections: total,
+                hasNextPage: skip + inspections.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get quality inspections error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting quality inspections'
+        });
+    }
+});
+
+// @route   GET /api/quality-inspections/defect-summary
+// @desc    Get defects by category and severity, and outcomes, over a period
+// @access  Private
+router.get('/defect-summary', authenticateToken, checkPermission('reports', 'view'), [
+    query('from').optional().isISO8601().withMessage('Valid from date is required'),
+    query('to').optional().isISO8601().withMessage('Valid to date is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const summary = await qualityService.getDefectSummary({ from: req.query.from, to: req.query.to });
+
+        res.json({
+            success: true,
+            summary
+        });
+
+    } catch (error) {
+        console.error('Get defect summary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting defect summary'
+        });
+    }
+});
+
+// @route   GET /api/quality-inspections/:id
+// @desc    Get quality inspection by ID
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('orders', 'view'), canAccessResource('qualityInspection'), async (req, res) => {
+    try {
+        const inspection = await QualityInspection.findById(req.params.id)
+            .populate('order', 'orderNumber customerName status')
+            .populate('inspectedBy', 'username fullName')
+            .populate('reworkTicket');
+
+        if (!inspection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quality inspection not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            inspection
+        });
+
+    } catch (error) {
+        console.error('Get quality inspection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting quality inspection'
+        });
+    }
+});
+
+// @route   POST /api/quality-inspections
+// @desc    Record an inspection of an order line (or the whole order); rejected pieces go to rework
+// @access  Private
+router.post('/', authenticateToken, checkPermission('orders', 'create'), canAccessResource('order', 'order'), [
+    body('order').isMongoId().withMessage('Valid order ID is required'),
+    body('orderItem').optional().isMongoId().withMessage('Valid order line ID is required'),
+    body('lotQuantity').isInt({ min: 1 }).withMessage('Lot quantity must be a positive integer'),
+    body('sampledQuantity').isInt({ min: 1 }).withMessage('Sampled quantity must be a positive integer'),
+    body('defects').optional().isArray().withMessage('Defects must be an array'),
+    body('defects.*.category').isIn(QualityInspection.DEFECT_CATEGORIES).withMessage('Valid defect category is required'),
+    body('defects.*.count').isInt({ min: 1 }).withMessage('Defect count must be a positive integer'),
+    body('defects.*.severity').optional().isIn(['minor', 'major', 'critical']).withMessage('Severity must be minor, major or critical'),
+    body('defects.*.notes').optional().trim(),
+    body('defectivePieces').optional().isInt({ min: 0 }).withMessage('Defective pieces must be a non-negative integer'),
+    body('outcome').isIn(['pass', 'partial', 'fail']).withMessage('Outcome must be pass, partial or fail'),
+    body('rejectedQuantity').if(body('outcome').equals('partial')).isInt({ min: 1 }).withMessage('Rejected quantity is required for a partial outcome'),
+    body('rework.stage').optional().isIn(JobCard.STAGES.map(stage => stage.name)).withMessage('Valid production stage is required'),
+    body('rework.assignedTo').optional().isMongoId().withMessage('Valid user ID is required'),
+    body('rework.assignedUnit').optional().trim(),
+    body('rework.dueDate').optional().isISO8601().toDate().withMessage('Valid due date is required'),
+    body('rework.notes').optional().trim(),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findById(req.body.order);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const result = await qualityService.recordInspection(order, {
+            orderItem: req.body.orderItem,
+            lotQuantity: parseInt(req.body.lotQuantity),
+            sampledQuantity: parseInt(req.body.sampledQuantity),
+            defects: (req.body.defects || []).map(defect => ({
+                category: defect.category,
+                count: parseInt(defect.count),
+                severity: defect.severity,
+                notes: defect.notes
+            })),
+            defectivePieces: req.body.defectivePieces !== undefined ? parseInt(req.body.defectivePieces) : 0,
+            outcome: req.body.outcome,
+            rejectedQuantity: req.body.rejectedQuantity !== undefined ? parseInt(req.body.rejectedQuantity) : undefined,
+            rework: req.body.rework,
+            notes: req.body.notes
+        }, req.user);
+
+        let message = `Inspection ${result.inspection.inspectionNumber} recorded`;
+        if (result.reworkTicket) {
+            message += `; ${result.reworkTicket.quantity} piece(s) sent to rework on ${result.reworkTicket.ticketNumber}`;
+        }
+        if (result.order) {
+            message += `; order ${result.order.orderNumber} is ready`;
+        }
+
+        res.status(201).json({
+            success: true,
+            message,
+            inspection: result.inspection,
+            reworkTicket: result.reworkTicket,
+            ...(result.order ? { order: { _id: result.order._id, orderNumber: result.order.orderNumber, status: result.order.status } } : {})
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Create quality inspection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording quality inspection'
+        });
+    }
+});
+
+// @route   POST /api/quality-inspections/:id/photos
+// @desc    Attach photos of defects to an inspection (field `photos`, up to 5)
+// @access  Private
+router.post('/:id/photos', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('qualityInspection'), upload.array('photos', 5), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No photos uploaded'
+            });
+        }
+
+        const inspection = await QualityInspection.findById(req.params.id);
+        if (!inspection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quality inspection not found'
+            });
+        }
+
+        const saved = await processAndSaveImages(req.files, inspection._id, 'inspections');
+        inspection.photos.push(...saved.map(photo => ({
+            filename: photo.filename,
+            thumbnail: photo.thumbnail,
+            originalName: photo.originalName,
+            url: photo.url,
+            thumbnailUrl: photo.thumbnailUrl
+        })));
+        await inspection.save();
+
+        res.json({
+            success: true,
+            message: `${saved.length} photo(s) uploaded successfully`,
+            photos: inspection.photos
+        });
+
+    } catch (error) {
+        console.error('Upload inspection photos error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error uploading inspection photos'
+        });
+    }
+});
+
+module.exports = router;
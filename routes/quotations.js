@@ -0,0 +1,540 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Quotation = require('../models/Quotation');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const quotationService = require('../services/quotationService');
+const pdfService = require('../services/pdfService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Lines quoted as a size run take their quantity from the run
+const hasSizeBreakdown = (line) => Boolean(line) && Array.isArray(line.sizeBreakdown) && line.sizeBreakdown.length > 0;
+const lineAt = (req, path) => (req.body.items || [])[Number(/^items\[(\d+)\]/.exec(path)[1])];
+
+// Validation rules
+const quotationFieldValidation = [
+    body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.quantity').if((value, { req, path }) => !hasSizeBreakdown(lineAt(req, path))).isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.sizeBreakdown').optional().isArray({ min: 1 }).withMessage('Size breakdown must list at least one size'),
+    body('items.*.sizeBreakdown.*.size').trim().notEmpty().withMessage('Size is required'),
+    body('items.*.sizeBreakdown.*.quantity').isInt({ min: 1 }).withMessage('Size quantity must be at least 1'),
+    body('items.*.sizeBreakdown.*.names').optional().isArray().withMessage('Names must be a list'),
+    body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('items.*.sku').optional().trim(),
+    body('items.*.priceOverride.unitPrice').optional().isFloat({ min: 0 }).withMessage('Override price must be a positive number'),
+    body('items.*.priceOverride.reason').optional().trim(),
+    body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+    body('discountReason').optional().trim(),
+    body('shippingCost').optional().isFloat({ min: 0 }).withMessage('Shipping cost must be a positive number'),
+    body('validUntil').optional().isISO8601().withMessage('Valid validity date is required'),
+    body('deliveryAddress.street').optional().trim(),
+    body('deliveryAddress.city').optional().trim(),
+    body('deliveryAddress.state').optional().trim(),
+    body('deliveryAddress.pincode').optional().trim(),
+    body('paymentTerms').optional().isIn(['immediate', '7-days', '15-days', '30-days', '45-days', '60-days']),
+    body('deliveryTimeline').optional().trim(),
+    body('terms').optional().trim(),
+    body('notes').optional().trim()
+];
+
+const quotationValidation = [
+    body('customer').isMongoId().withMessage('Valid customer ID is required'),
+    body('inquiry').optional().isMongoId().withMessage('Valid inquiry ID is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    ...quotationFieldValidation
+];
+
+const quotationUpdateValidation = [
+    body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+    ...quotationFieldValidation
+];
+
+// Fields accepted from the request body when creating or changing a quotation
+const pickQuotationData = (body) => {
+    const fields = ['customer', 'inquiry', 'items', 'discount', 'discountReason', 'shippingCost', 'validUntil',
+        'deliveryAddress', 'paymentTerms', 'deliveryTimeline', 'terms', 'notes'];
+    return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+};
+
+// Customer-facing view of a quotation for the response page
+const toPublicQuotation = (quotation) => ({
+    reference: quotation.reference,
+    status: quotation.status,
+    customerName: quotation.customerName,
+    customerCompany: quotation.customerCompany,
+    validUntil: quotation.validUntil,
+    items: quotation.items.map(item => ({
+        productName: item.productName,
+        productCode: item.productCode,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+        customization: item.customization
+    })),
+    subtotal: quotation.subtotal,
+    discount: quotation.discount,
+    shippingCost: quotation.shippingCost,
+    tax: quotation.tax,
+    totalAmount: quotation.totalAmount,
+    currency: quotation.currency,
+    paymentTerms: quotation.paymentTerms,
+    deliveryTimeline: quotation.deliveryTimeline,
+    terms: quotation.terms,
+    response: quotation.response && quotation.response.decision ? {
+        decision: quotation.response.decision,
+        respondedAt: quotation.response.respondedAt
+    } : undefined
+});
+
+const sendPdf = async (res, quotation) => {
+    const pdf = await pdfService.renderQuotation(quotation);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${quotation.reference}.pdf"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+};
+
+// @route   GET /api/quotations/respond/:token
+// @desc    View a quotation through the signed link sent to the customer (Public)
+// @access  Public
+router.get('/respond/:token', async (req, res) => {
+    try {
+        const quotation = await quotationService.findByResponseToken(req.params.token);
+        if (quotation.refreshExpiry()) {
+            await quotation.save();
+        }
+
+        res.json({
+            success: true,
+            quotation: toPublicQuotation(quotation)
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Get quotation by link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting quotation'
+        });
+    }
+});
+
+// @route   GET /api/quotations/respond/:token/pdf
+// @desc    Download a quotation PDF through the signed link (Public)
+// @access  Public
+router.get('/respond/:token/pdf', async (req, res) => {
+    try {
+        const quotation = await quotationService.findByResponseToken(req.params.token);
+        await sendPdf(res, quotation);
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Get quotation PDF by link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating quotation PDF'
+        });
+    }
+});
+
+// @route   POST /api/quotations/respond/:token
+// @desc    Accept or reject a quotation through the signed link (Public)
+// @access  Public
+router.post('/respond/:token', [
+    body('decision').isIn(['accepted', 'rejected']).withMessage('Decision must be accepted or rejected'),
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Please enter your name'),
+    body('comments').optional().trim().isLength({ max: 1000 }).withMessage('Comments cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { decision, name, comments } = req.body;
+
+        const quotation = await quotationService.respondToQuotation(req.params.token, {
+            decision,
+            name,
+            comments,
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: decision === 'accepted'
+                ? 'Thank you! Your acceptance has been recorded and our team will be in touch shortly.'
+                : 'Thank you for letting us know. Our team may contact you to discuss your requirements.',
+            quotation: toPublicQuotation(quotation)
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Respond to quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording your response'
+        });
+    }
+});
+
+// @route   GET /api/quotations
+// @desc    Get quotations with filtering and pagination (latest versions by default)
+// @access  Private
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            status,
+            customer,
+            inquiry,
+            allVersions,
+            sortBy = 'createdAt',
+            sortOrder = 'desc'
+        } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (search) {
+            filter.$or = [
+                { quoteNumber: { $regex: search, $options: 'i' } },
+                { customerName: { $regex: search, $options: 'i' } },
+                { customerCompany: { $regex: search, $options: 'i' } }
+            ];
+        }
+        if (status) filter.status = status;
+        if (customer) filter.customer = customer;
+        if (inquiry) filter.inquiry = inquiry;
+        if (allVersions !== 'true') filter.isLatest = true;
+
+        // Roles limited to their own records only see those
+        filter.$and = [req.user.recordFilter('orders')];
+
+        // Build sort object
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        // Expire quotations past their validity date before listing them
+        await Quotation.expireOverdue();
+
+        const quotations = await Quotation.find(filter)
+            .sort(sort)
+            .skip(skip)
+            .limit(parseInt(limit))
+            .populate('customer', 'name company email')
+            .populate('createdBy', 'username fullName');
+
+        const total = await Quotation.countDocuments(filter);
+
+        res.json({
+            success: true,
+            quotations,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalQuotations: total,
+                hasNextPage: skip + quotations.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get quotations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting quotations'
+        });
+    }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Get quotation by ID, with its version history
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('orders', 'view'), canAccessResource('quotation'), async (req, res) => {
+    try {
+        const quotation = await Quotation.findById(req.params.id)
+            .populate('customer', 'name company email phone address')
+            .populate('inquiry', 'inquiryNumber status')
+            .populate('order', 'orderNumber status')
+            .populate('createdBy', 'username fullName')
+            .populate('items.product', 'name code');
+
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        if (quotation.refreshExpiry()) {
+            await quotation.save();
+        }
+
+        const versions = await Quotation.findVersions(quotation.quoteNumber)
+            .select('version status totalAmount validUntil sentAt createdAt');
+
+        res.json({
+            success: true,
+            quotation,
+            versions
+        });
+
+    } catch (error) {
+        console.error('Get quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting quotation'
+        });
+    }
+});
+
+// @route   GET /api/quotations/:id/pdf
+// @desc    Download a quotation as a PDF
+// @access  Private
+router.get('/:id/pdf', authenticateToken, checkPermission('orders', 'view'), canAccessResource('quotation'), async (req, res) => {
+    try {
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        await sendPdf(res, quotation);
+
+    } catch (error) {
+        console.error('Get quotation PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating quotation PDF'
+        });
+    }
+});
+
+// @route   POST /api/quotations
+// @desc    Create a draft quotation priced from the catalog
+// @access  Private
+router.post('/', authenticateToken, checkPermission('orders', 'create'), quotationValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const quotation = await quotationService.createQuotation(pickQuotationData(req.body), req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Quotation created successfully',
+            quotation
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Create quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating quotation'
+        });
+    }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Update a draft quotation
+// @access  Private
+router.put('/:id', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('quotation'), quotationUpdateValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        const { customer, inquiry, ...changes } = pickQuotationData(req.body);
+        await quotationService.updateDraft(quotation, changes, req.user);
+
+        res.json({
+            success: true,
+            message: 'Quotation updated successfully',
+            quotation
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Update quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating quotation'
+        });
+    }
+});
+
+// @route   POST /api/quotations/:id/revise
+// @desc    Create the next version of a sent, rejected or expired quotation
+// @access  Private
+router.post('/:id/revise', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('quotation'), quotationUpdateValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        const { customer, inquiry, ...changes } = pickQuotationData(req.body);
+        const revision = await quotationService.reviseQuotation(quotation, changes, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Quotation revised to version ${revision.version}`,
+            quotation: revision
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Revise quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revising quotation'
+        });
+    }
+});
+
+// @route   POST /api/quotations/:id/send
+// @desc    Email the quotation PDF to the customer with an accept/reject link
+// @access  Private
+router.post('/:id/send', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('quotation'), [
+    body('to').optional().isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        const { responseUrl } = await quotationService.sendQuotation(quotation, req.user, { to: req.body.to });
+
+        res.json({
+            success: true,
+            message: `Quotation sent to ${quotation.sentTo}`,
+            quotation,
+            responseUrl
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Send quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending quotation'
+        });
+    }
+});
+
+// @route   POST /api/quotations/:id/convert
+// @desc    Convert an accepted quotation into a confirmed order at the quoted prices
+// @access  Private
+router.post('/:id/convert', authenticateToken, checkPermission('orders', 'create'), canAccessResource('quotation'), async (req, res) => {
+    try {
+        const quotation = await Quotation.findById(req.params.id);
+        if (!quotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quotation not found'
+            });
+        }
+
+        const order = await quotationService.convertToOrder(quotation, req.user);
+        await order.populate('customer', 'name company email');
+
+        res.status(201).json({
+            success: true,
+            message: order.status === 'confirmed'
+                ? `Quotation ${quotation.reference} converted to order ${order.orderNumber}`
+                : `Quotation ${quotation.reference} converted to order ${order.orderNumber}; it exceeds the customer's credit limit and awaits manager approval`,
+            order
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Convert quotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error converting quotation'
+        });
+    }
+});
+
+module.exports = router;
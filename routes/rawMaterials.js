@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const RawMaterial = require('../models/RawMaterial');
+const MaterialMovement = require('../models/MaterialMovement');
+const BillOfMaterials = require('../models/BillOfMaterials');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const materialService = require('../services/materialService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+
+// Movement types a user may record by hand, per direction
+const MANUAL_MOVEMENT_TYPES = {
+    increase: ['adjustment', 'receipt', 'return'],
+    decrease: ['adjustment', 'write-off']
+};
+
+// Validation rules
+const materialValidation = [
+    body('name').trim().isLength({ min: 2 }).withMessage('Material name is required'),
+    body('code').trim().isLength({ min: 2 }).withMessage('Material code is required'),
+    body('category').isIn(['fabric', 'buttons', 'thread', 'labels', 'trims', 'packaging', 'other']).withMessage('Valid category is required'),
+    body('unit').isIn(['metre', 'piece', 'spool', 'kg', 'roll', 'pack']).withMessage('Valid unit is required'),
+    body('color').optional().trim(),
+    body('description').optional().trim(),
+    body('stockQuantity').optional().isFloat({ min: 0 }).withMessage('Stock quantity must be a non-negative number'),
+    body('reorderLevel').optional().isFloat({ min: 0 }).withMessage('Reorder level must be a non-negative number'),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Valid supplier ID is required'),
+    body('isActive').optional().isBoolean(),
+    body('notes').optional().trim()
+];
+
+// @route   GET /api/raw-materials
+// @desc    Get raw materials with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search, category, isActive, stockStatus, sortBy = 'code', sortOrder = 'asc' } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (search) filter.$text = { $search: search };
+        if (category) filter.category = category;
+        if (isActive !== undefined) filter.isActive = isActive === 'true';
+        if (stockStatus === 'out-of-stock') {
+            filter.stockQuantity = { $lte: 0 };
+        } else if (stockStatus === 'low-stock') {
+            filter.$expr = { $lte: ['$stockQuantity', '$reorderLevel'] };
+        }
+
+        // Build sort object
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const materials = await RawMaterial.find(filter)
+            .populate('supplier', 'name code')
+            .sort(sort)
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await RawMaterial.countDocuments(filter);
+
+        res.json({
+            success: true,
+            materials,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalMaterials: total,
+                hasNextPage: skip + materials.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get raw materials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting raw materials'
+        });
+    }
+});
+
+// @route   GET /api/raw-materials/requirements
+// @desc    Get the materials needed for one order, or for all confirmed orders, against stock
+// @access  Private
+router.get('/requirements', authenticateToken, checkPermission('products', 'view'), [
+    query('order').optional().isMongoId().withMessage('Valid order ID is required'),
+    query('status').optional().isIn(['pending', 'confirmed', 'in-production']).withMessage('Status must be pending, confirmed or in-production')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const requirements = await materialService.getRequirements({
+            order: req.query.order,
+            statuses: req.query.status ? [req.query.status] : undefined
+        });
+
+        res.json({
+            success: true,
+            requirements
+        });
+
+    } catch (error) {
+        console.error('Get material requirements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error calculating material requirements'
+        });
+    }
+});
+
+// @route   GET /api/raw-materials/:id
+// @desc    Get a raw material with its recent movements and the products that use it
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const material = await RawMaterial.findById(req.params.id)
+            .populate('supplier', 'name code email phone')
+            .populate('createdBy', 'username fullName');
+
+        if (!material) {
+            return res.status(404).json({
+                success: false,
+                message: 'Raw material not found'
+            });
+        }
+
+        const movements = await MaterialMovement.find({ material: material._id })
+            .populate('user', 'username fullName')
+            .sort({ createdAt: -1 })
+            .limit(20);
+
+        const usedIn = await BillOfMaterials.find({ 'lines.material': material._id })
+            .populate('product', 'name code');
+
+        res.json({
+            success: true,
+            material,
+            movements,
+            usedIn: usedIn.filter(bom => bom.product).map(bom => bom.product)
+        });
+
+    } catch (error) {
+        console.error('Get raw material error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting raw material'
+        });
+    }
+});
+
+// @route   POST /api/raw-materials
+// @desc    Create raw material; opening stock is recorded as a receipt
+// @access  Private
+router.post('/', authenticateToken, checkPermission('products', 'create'), materialValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const existingMaterial = await RawMaterial.findOne({ code: req.body.code.toUpperCase() });
+        if (existingMaterial) {
+            return res.status(400).json({
+                success: false,
+                message: 'Raw material with this code already exists'
+            });
+        }
+
+        const { stockQuantity, ...data } = req.body;
+        const material = new RawMaterial({
+            ...data,
+            supplier: data.supplier || undefined,
+            createdBy: req.user._id
+        });
+
+        await withTransaction(async (session) => {
+            await material.save({ session });
+            if (parseFloat(stockQuantity) > 0) {
+                const updated = await materialService.adjustMaterialStock(material._id, {
+                    change: parseFloat(stockQuantity),
+                    type: 'receipt',
+                    reason: 'Opening stock',
+                    unitCost: material.unitCost,
+                    userId: req.user._id,
+                    session
+                });
+                material.stockQuantity = updated.stockQuantity;
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Raw material created successfully',
+            material
+        });
+
+    } catch (error) {
+        console.error('Create raw material error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating raw material'
+        });
+    }
+});
+
+// @route   PUT /api/raw-materials/:id
+// @desc    Update raw material (stock changes go through PUT /:id/stock)
+// @access  Private
+router.put('/:id', authenticateToken, checkPermission('products', 'edit'), materialValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const material = await RawMaterial.findById(req.params.id);
+        if (!material) {
+            return res.status(404).json({
+                success: false,
+                message: 'Raw material not found'
+            });
+        }
+
+        const existingMaterial = await RawMaterial.findOne({ code: req.body.code.toUpperCase(), _id: { $ne: material._id } });
+        if (existingMaterial) {
+            return res.status(400).json({
+                success: false,
+                message: 'Raw material with this code already exists'
+            });
+        }
+
+        const { stockQuantity, ...data } = req.body;
+        Object.assign(material, data, {
+            supplier: data.supplier || undefined,
+            lastModifiedBy: req.user._id
+        });
+        await material.save();
+
+        res.json({
+            success: true,
+            message: 'Raw material updated successfully',
+            material
+        });
+
+    } catch (error) {
+        console.error('Update raw material error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating raw material'
+        });
+    }
+});
+
+// @route   PUT /api/raw-materials/:id/stock
+// @desc    Add or remove material stock with a reason, recorded in the material ledger
+// @access  Private
+router.put('/:id/stock', authenticateToken, checkPermission('products', 'edit'), [
+    body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+    body('operation').isIn(['increase', 'decrease']).withMessage('Operation must be increase or decrease'),
+    body('type').optional().custom((type, { req }) => (MANUAL_MOVEMENT_TYPES[req.body.operation] || []).includes(type))
+        .withMessage('Type must be adjustment, receipt or return for an increase, and adjustment or write-off for a decrease'),
+    body('reason').if(body('operation').equals('decrease')).trim().notEmpty().withMessage('A reason is required to remove stock'),
+    body('reason').optional().trim(),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('reference').optional().trim()
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const { operation, type = 'adjustment', reason, unitCost, reference } = req.body;
+        const quantity = parseFloat(req.body.quantity);
+
+        const material = await withTransaction((session) => materialService.adjustMaterialStock(req.params.id, {
+            change: operation === 'increase' ? quantity : -quantity,
+            type,
+            reason,
+            unitCost: operation === 'increase' && unitCost !== undefined ? parseFloat(unitCost) : undefined,
+            reference: reference ? { kind: 'Manual', number: reference } : undefined,
+            userId: req.user._id,
+            session
+        }));
+
+        res.json({
+            success: true,
+            message: `Stock ${operation}d successfully`,
+            material
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Update raw material stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating raw material stock'
+        });
+    }
+});
+
+module.exports = router;
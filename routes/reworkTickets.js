@@ -0,0 +1,152 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ReworkTicket = require('../models/ReworkTicket');
+const Order = require('../models/Order');
+const { authenticateToken, checkPermission, canAccessResource } = require('../middleware/auth');
+const qualityService = require('../services/qualityService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   GET /api/rework-tickets
+// @desc    Get rework tickets with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('orders', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, order, assignedTo, mine } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (status) filter.status = status;
+        if (order) filter.order = order;
+        if (mine === 'true') filter.assignedTo = req.user._id;
+        else if (assignedTo) filter.assignedTo = assignedTo;
+
+        // Roles limited to their own orders only see those orders' rework tickets
+        filter.$and = [await Order.relatedFilter(req.user)];
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const tickets = await ReworkTicket.find(filter)
+            .populate('inspection', 'inspectionNumber outcome')
+            .populate('jobCard', 'jobCardNumber status')
+            .populate('assignedTo', 'username fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await ReworkTicket.countDocuments(filter);
+
+        res.json({
+            success: true,
+            tickets,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalTickets: total,
+                hasNextPage: skip + tickets.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get rework tickets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting rework tickets'
+        });
+    }
+});
+
+// @route   POST /api/rework-tickets/:id/complete
+// @desc    Complete rework done outside job cards (tickets on a job card complete with the card)
+// @access  Private
+router.post('/:id/complete', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('reworkTicket'), [
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await ReworkTicket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rework ticket not found'
+            });
+        }
+
+        await qualityService.completeRework(ticket, { user: req.user, notes: req.body.notes });
+
+        res.json({
+            success: true,
+            message: `Rework ticket ${ticket.ticketNumber} completed; the line needs re-inspection`,
+            ticket
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Complete rework ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error completing rework ticket'
+        });
+    }
+});
+
+// @route   POST /api/rework-tickets/:id/cancel
+// @desc    Cancel a rework ticket
+// @access  Private
+router.post('/:id/cancel', authenticateToken, checkPermission('orders', 'edit'), canAccessResource('reworkTicket'), [
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const ticket = await ReworkTicket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rework ticket not found'
+            });
+        }
+
+        await qualityService.cancelRework(ticket, { user: req.user, reason: req.body.reason });
+
+        res.json({
+            success: true,
+            message: `Rework ticket ${ticket.ticketNumber} cancelled`,
+            ticket
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Cancel rework ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error cancelling rework ticket'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const StockTransfer = require('../models/StockTransfer');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const locationService = require('../services/locationService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// @route   GET /api/stock-transfers
+// @desc    Get stock transfers with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, from, to, product } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (status) filter.status = status;
+        if (from) filter.fromLocation = from;
+        if (to) filter.toLocation = to;
+        if (product) filter['items.product'] = product;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const transfers = await StockTransfer.find(filter)
+            .populate('fromLocation', 'name code')
+            .populate('toLocation', 'name code')
+            .populate('dispatchedBy', 'username fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await StockTransfer.countDocuments(filter);
+
+        res.json({
+            success: true,
+            transfers,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalTransfers: total,
+                hasNextPage: skip + transfers.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock transfers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stock transfers'
+        });
+    }
+});
+
+// @route   GET /api/stock-transfers/:id
+// @desc    Get stock transfer by ID
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const transfer = await StockTransfer.findById(req.params.id)
+            .populate('fromLocation', 'name code type')
+            .populate('toLocation', 'name code type')
+            .populate('dispatchedBy', 'username fullName')
+            .populate('receivedBy', 'username fullName')
+            .populate('cancelledBy', 'username fullName');
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock transfer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            transfer
+        });
+
+    } catch (error) {
+        console.error('Get stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stock transfer'
+        });
+    }
+});
+
+// @route   POST /api/stock-transfers
+// @desc    Dispatch stock from one location to another; it is in transit until received
+// @access  Private
+router.post('/', authenticateToken, checkPermission('products', 'create'), [
+    body('fromLocation').isMongoId().withMessage('Valid source location is required'),
+    body('toLocation').isMongoId().withMessage('Valid destination location is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('items.*.sku').optional().trim(),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const transfer = await locationService.dispatchTransfer({
+            fromLocation: req.body.fromLocation,
+            toLocation: req.body.toLocation,
+            items: req.body.items.map(item => ({
+                product: item.product,
+                variant: item.variant,
+                sku: item.sku,
+                quantity: parseInt(item.quantity)
+            })),
+            notes: req.body.notes
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Transfer ${transfer.transferNumber} dispatched with ${transfer.totalQuantity} unit(s)`,
+            transfer
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Create stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating stock transfer'
+        });
+    }
+});
+
+// @route   POST /api/stock-transfers/:id/receive
+// @desc    Receive an in-transit transfer into its destination
+// @access  Private
+router.post('/:id/receive', authenticateToken, checkPermission('products', 'edit'), async (req, res) => {
+    try {
+        const transfer = await StockTransfer.findById(req.params.id);
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock transfer not found'
+            });
+        }
+
+        await locationService.receiveTransfer(transfer, { user: req.user });
+
+        res.json({
+            success: true,
+            message: `Transfer ${transfer.transferNumber} received`,
+            transfer
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Receive stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error receiving stock transfer'
+        });
+    }
+});
+
+// @route   POST /api/stock-transfers/:id/cancel
+// @desc    Cancel an in-transit transfer, returning the stock to its source
+// @access  Private
+router.post('/:id/cancel', authenticateToken, checkPermission('products', 'edit'), [
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const transfer = await StockTransfer.findById(req.params.id);
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock transfer not found'
+            });
+        }
+
+        await locationService.cancelTransfer(transfer, { user: req.user, reason: req.body.reason });
+
+        res.json({
+            success: true,
+            message: `Transfer ${transfer.transferNumber} cancelled and stock returned to source`,
+            transfer
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Cancel stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error cancelling stock transfer'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Stocktake = require('../models/Stocktake');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { csvUpload } = require('../middleware/upload');
+const stocktakeService = require('../services/stocktakeService');
+const { AppError } = require('../utils/errors');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Columns of the printable / uploadable count sheet; expected stock is left out so counts are blind
+const COUNT_SHEET_COLUMNS = [
+    { key: 'code', header: 'code' },
+    { key: 'sku', header: 'sku' },
+    { key: 'product', header: 'product' },
+    { key: 'variant', header: 'variant' },
+    { key: 'counted', header: 'counted' },
+    { key: 'notes', header: 'notes' }
+];
+
+// @route   GET /api/stocktakes
+// @desc    Get stocktakes with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, location } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (status) filter.status = status;
+        if (location) filter.location = location;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const stocktakes = await Stocktake.find(filter)
+            .populate('location', 'name code')
+            .populate('startedBy', 'username fullName')
+            .populate('approvedBy', 'username fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Stocktake.countDocuments(filter);
+
+        res.json({
+            success: true,
+            // Line detail is on GET /:id; the list carries the variance summary only
+            stocktakes: stocktakes.map(stocktake => {
+                const { lines, ...rest } = stocktake.toJSON();
+                return rest;
+            }),
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalStocktakes: total,
+                hasNextPage: skip + stocktakes.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stocktakes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stocktakes'
+        });
+    }
+});
+
+// @route   GET /api/stocktakes/:id
+// @desc    Get a stocktake with its lines and variances
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const stocktake = await Stocktake.findById(req.params.id)
+            .populate('location', 'name code')
+            .populate('startedBy', 'username fullName')
+            .populate('approvedBy', 'username fullName')
+            .populate('lines.countedBy', 'username fullName');
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        const result = stocktake.toJSON();
+        if (req.query.varianceOnly === 'true') {
+            result.lines = result.lines.filter(line => line.variance);
+        } else if (req.query.uncounted === 'true') {
+            result.lines = result.lines.filter(line => line.countedQuantity == null);
+        }
+
+        res.json({
+            success: true,
+            stocktake: result
+        });
+
+    } catch (error) {
+        console.error('Get stocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting stocktake'
+        });
+    }
+});
+
+// @route   GET /api/stocktakes/:id/count-sheet.csv
+// @desc    Download the count sheet to fill in and upload
+// @access  Private
+router.get('/:id/count-sheet.csv', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const stocktake = await Stocktake.findById(req.params.id);
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        const csv = toCsv(stocktake.lines.map(line => ({
+            code: line.productCode,
+            sku: line.sku,
+            product: line.productName,
+            variant: line.label,
+            counted: line.countedQuantity,
+            notes: line.notes
+        })), COUNT_SHEET_COLUMNS);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${stocktake.stocktakeNumber.replace(/\//g, '-')}.csv"`);
+        res.send(csv);
+
+    } catch (error) {
+        console.error('Count sheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating count sheet'
+        });
+    }
+});
+
+// @route   POST /api/stocktakes
+// @desc    Start a stocktake, freezing the expected stock of the products in scope
+// @access  Private
+router.post('/', authenticateToken, checkPermission('products', 'create'), [
+    body('category').optional().isIn(['educational', 'corporate', 'hospitality', 'medical', 'industrial', 'fashion']).withMessage('Valid category is required'),
+    body('products').optional().isArray().withMessage('Products must be an array'),
+    body('products.*').isMongoId().withMessage('Valid product ID is required'),
+    body('location').optional().isMongoId().withMessage('Valid location ID is required'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const stocktake = await stocktakeService.startStocktake(req.body, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Stocktake ${stocktake.stocktakeNumber} started with ${stocktake.lines.length} line(s) to count`,
+            stocktake
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Start stocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting stocktake'
+        });
+    }
+});
+
+// @route   PUT /api/stocktakes/:id/counts
+// @desc    Enter counted quantities by line ID, variant SKU or product code
+// @access  Private
+router.put('/:id/counts', authenticateToken, checkPermission('products', 'edit'), [
+    body('counts').isArray({ min: 1 }).withMessage('At least one count is required'),
+    body('counts.*.line').optional().isMongoId().withMessage('Valid line ID is required'),
+    body('counts.*').custom(count => Boolean(count && (count.line || count.sku || count.code))).withMessage('Each count needs a line, sku or code'),
+    body('counts.*.countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer'),
+    body('counts.*.notes').optional().trim().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const stocktake = await Stocktake.findById(req.params.id);
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        await stocktakeService.recordCounts(stocktake, req.body.counts.map(count => ({
+            line: count.line,
+            sku: count.sku,
+            code: count.code,
+            countedQuantity: parseInt(count.countedQuantity),
+            notes: count.notes
+        })), req.user);
+
+        res.json({
+            success: true,
+            message: `${req.body.counts.length} count(s) recorded`,
+            summary: stocktake.summary
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Record counts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording counts'
+        });
+    }
+});
+
+// @route   POST /api/stocktakes/:id/counts/import
+// @desc    Upload counted quantities as a CSV file (field `file`; columns sku or code, counted, notes)
+// @access  Private
+router.post('/:id/counts/import', authenticateToken, checkPermission('products', 'edit'), csvUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No CSV file uploaded'
+            });
+        }
+
+        const stocktake = await Stocktake.findById(req.params.id);
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        await stocktakeService.importCounts(stocktake, req.file.buffer.toString('utf8'), req.user);
+
+        res.json({
+            success: true,
+            message: 'Counts imported successfully',
+            summary: stocktake.summary
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Import counts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error importing counts'
+        });
+    }
+});
+
+// @route   POST /api/stocktakes/:id/approve
+// @desc    Approve a stocktake and post its variances to stock
+// @access  Private (approve permission on products)
+router.post('/:id/approve', authenticateToken, checkPermission('products', 'approve'), [
+    body('skipUncounted').optional().isBoolean().withMessage('skipUncounted must be true or false')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const stocktake = await Stocktake.findById(req.params.id);
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        await stocktakeService.approveStocktake(stocktake, {
+            user: req.user,
+            skipUncounted: req.body.skipUncounted === true || req.body.skipUncounted === 'true'
+        });
+
+        res.json({
+            success: true,
+            message: `Stocktake ${stocktake.stocktakeNumber} approved and stock adjusted`,
+            stocktake
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Approve stocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error approving stocktake'
+        });
+    }
+});
+
+// @route   POST /api/stocktakes/:id/cancel
+// @desc    Cancel a stocktake without adjusting stock
+// @access  Private
+router.post('/:id/cancel', authenticateToken, checkPermission('products', 'edit'), [
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const stocktake = await Stocktake.findById(req.params.id);
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        await stocktakeService.cancelStocktake(stocktake, { user: req.user, reason: req.body.reason });
+
+        res.json({
+            success: true,
+            message: `Stocktake ${stocktake.stocktakeNumber} cancelled`,
+            stocktake
+        });
+
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        console.error('Cancel stocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error cancelling stocktake'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const purchaseOrderService = require('../services/purchaseOrderService');
+
+const router = express.Router();
+
+// Validation rules
+const supplierValidation = [
+    body('name').trim().isLength({ min: 2 }).withMessage('Supplier name is required'),
+    body('code').trim().isLength({ min: 2 }).withMessage('Supplier code is required'),
+    body('contactPerson').optional().trim(),
+    body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('phone').optional().trim(),
+    body('gstin').optional({ checkFalsy: true }).trim(),
+    body('paymentTerms').optional().isIn(['immediate', '7-days', '15-days', '30-days', '45-days', '60-days']),
+    body('leadTimeDays').optional().isInt({ min: 0 }).withMessage('Lead time must be a non-negative number of days'),
+    body('isActive').optional().isBoolean(),
+    body('notes').optional().trim()
+];
+
+// @route   GET /api/suppliers
+// @desc    Get all suppliers with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search, isActive, sortBy = 'name', sortOrder = 'asc' } = req.query;
+
+        // Build filter object
+        const filter = {};
+        if (search) filter.$text = { $search: search };
+        if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+        // Build sort object
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const suppliers = await Supplier.find(filter)
+            .sort(sort)
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Supplier.countDocuments(filter);
+
+        res.json({
+            success: true,
+            suppliers,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalSuppliers: total,
+                hasNextPage: skip + suppliers.length < total,
+                hasPrevPage: parseInt(page) > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting suppliers'
+        });
+    }
+});
+
+// @route   GET /api/suppliers/performance
+// @desc    Get supplier lead time and delivery performance
+// @access  Private
+router.get('/performance', authenticateToken, checkPermission('reports', 'view'), [
+    query('from').optional().isISO8601().withMessage('Valid from date is required'),
+    query('to').optional().isISO8601().withMessage('Valid to date is required'),
+    query('supplier').optional().isMongoId().withMessage('Valid supplier ID is required')
+], async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const performance = await purchaseOrderService.getSupplierPerformance({
+            from: req.query.from ? new Date(req.query.from) : undefined,
+            to: req.query.to ? new Date(req.query.to) : undefined,
+            supplier: req.query.supplier
+        });
+
+        res.json({
+            success: true,
+            performance
+        });
+
+    } catch (error) {
+        console.error('Get supplier performance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting supplier performance'
+        });
+    }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get supplier with its products and recent purchase orders
+// @access  Private
+router.get('/:id', authenticateToken, checkPermission('products', 'view'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id)
+            .populate('createdBy', 'username fullName');
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const products = await Product.find({ preferredSupplier: supplier._id })
+            .select('name code category stockQuantity reservedQuantity reorderLevel reorderQuantity costPrice');
+        const purchaseOrders = await PurchaseOrder.find({ supplier: supplier._id })
+            .sort({ createdAt: -1 })
+            .limit(10)
+            .select('poNumber status subtotal orderDate expectedDate receivedAt');
+
+        res.json({
+            success: true,
+            supplier,
+            products,
+            purchaseOrders
+        });
+
+    } catch (error) {
+        console.error('Get supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error getting supplier'
+        });
+    }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create new supplier
+// @access  Private
+router.post('/', authenticateToken, checkPermission('products', 'create'), supplierValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const existingSupplier = await Supplier.findOne({ code: req.body.code.toUpperCase() });
+        if (existingSupplier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier with this code already exists'
+            });
+        }
+
+        const supplier = new Supplier({
+            ...req.body,
+            createdBy: req.user._id
+        });
+        await supplier.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier created successfully',
+            supplier
+        });
+
+    } catch (error) {
+        console.error('Create supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating supplier'
+        });
+    }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update supplier
+// @access  Private
+router.put('/:id', authenticateToken, checkPermission('products', 'edit'), supplierValidation, async (req, res) => {
+    try {
+        // Check validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation errors',
+                errors: errors.array()
+            });
+        }
+
+        const existingSupplier = await Supplier.findOne({
+            code: req.body.code.toUpperCase(),
+            _id: { $ne: req.params.id }
+        });
+        if (existingSupplier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier with this code already exists'
+            });
+        }
+
+        const supplier = await Supplier.findByIdAndUpdate(
+            req.params.id,
+            { ...req.body, lastModifiedBy: req.user._id },
+            { new: true, runValidators: true }
+        );
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Supplier updated successfully',
+            supplier
+        });
+
+    } catch (error) {
+        console.error('Update supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating supplier'
+        });
+    }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Delete a supplier with no purchase orders, otherwise deactivate it
+// @access  Private
+router.delete('/:id', authenticateToken, checkPermission('products', 'delete'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        // Keep suppliers with purchase history so reports still resolve them
+        if (await PurchaseOrder.exists({ supplier: supplier._id })) {
+            supplier.isActive = false;
+            await supplier.save();
+            return res.json({
+                success: true,
+                message: 'Supplier has purchase orders and was deactivated instead of deleted',
+                supplier
+            });
+        }
+
+        await Supplier.deleteOne({ _id: supplier._id });
+        await Product.updateMany({ preferredSupplier: supplier._id }, { $unset: { preferredSupplier: '' } });
+
+        res.json({
+            success: true,
+            message: 'Supplier deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting supplier'
+        });
+    }
+});
+
+module.exports = router;
@@ -16,12 +16,30 @@ const authRoutes = require('./routes/auth');
 const customerRoutes = require('./routes/customers');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
+const invoiceRoutes = require('./routes/invoices');
+const quotationRoutes = require('./routes/quotations');
+const paymentRoutes = require('./routes/payments');
 const inquiryRoutes = require('./routes/inquiries');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stocktakeRoutes = require('./routes/stocktakes');
+const locationRoutes = require('./routes/locations');
+const stockTransferRoutes = require('./routes/stockTransfers');
+const jobCardRoutes = require('./routes/jobCards');
+const rawMaterialRoutes = require('./routes/rawMaterials');
+const qualityInspectionRoutes = require('./routes/qualityInspections');
+const reworkTicketRoutes = require('./routes/reworkTickets');
 const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 
+// Built-in roles are created on first start
+const Role = require('./models/Role');
+
+// Background jobs (overdue payments, reminders, quotation expiry)
+const scheduler = require('./services/scheduler');
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: false // Disable CSP for development
@@ -57,7 +75,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/uniform-p
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+    console.log('✅ Connected to MongoDB');
+    Role.ensureSystemRoles().catch(err => console.error('❌ Error creating built-in roles:', err));
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        scheduler.start();
+    }
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Health check endpoint
@@ -75,7 +99,19 @@ app.use('/api/auth', authRoutes);
 app.use('/api/customers', authenticateToken, customerRoutes);
 app.use('/api/products', authenticateToken, productRoutes);
 app.use('/api/orders', authenticateToken, orderRoutes);
+app.use('/api/invoices', authenticateToken, invoiceRoutes);
+app.use('/api/payments', authenticateToken, paymentRoutes);
+app.use('/api/quotations', quotationRoutes); // Response links are public; other routes authenticate
 app.use('/api/inquiries', inquiryRoutes); // Public route for customer inquiries
+app.use('/api/suppliers', authenticateToken, supplierRoutes);
+app.use('/api/purchase-orders', authenticateToken, purchaseOrderRoutes);
+app.use('/api/stocktakes', authenticateToken, stocktakeRoutes);
+app.use('/api/locations', authenticateToken, locationRoutes);
+app.use('/api/stock-transfers', authenticateToken, stockTransferRoutes);
+app.use('/api/job-cards', authenticateToken, jobCardRoutes);
+app.use('/api/raw-materials', authenticateToken, rawMaterialRoutes);
+app.use('/api/quality-inspections', authenticateToken, qualityInspectionRoutes);
+app.use('/api/rework-tickets', authenticateToken, reworkTicketRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 
 // Serve the main website
@@ -121,6 +157,7 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    scheduler.stop();
     mongoose.connection.close(() => {
         console.log('MongoDB connection closed');
         process.exit(0);
@@ -129,6 +166,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
+    scheduler.stop();
     mongoose.connection.close(() => {
         console.log('MongoDB connection closed');
         process.exit(0);
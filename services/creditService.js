@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const { AppError } = require('../utils/errors');
+
+// Orders the customer has committed to; their unpaid balances count against the credit limit
+const COMMITTED_STATUSES = ['confirmed', 'in-production', 'ready', 'delivered'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Orders paid on credit or on anything but immediate terms draw on the credit limit
+const usesCredit = (order) => order.paymentMethod === 'credit' || (order.paymentTerms || 'immediate') !== 'immediate';
+
+// Credit decisions (limits, orders over the limit) need approve permission on orders
+const canApproveCredit = (user) => Boolean(user) && user.can('orders', 'approve');
+
+// Unpaid balance across the customer's committed orders, optionally leaving one order out
+const getOutstandingBalance = async (customerId, { excludeOrder, session = null } = {}) => {
+    const match = {
+        customer: new mongoose.Types.ObjectId(String(customerId)),
+        orderType: { $ne: 'quote' },
+        status: { $in: COMMITTED_STATUSES },
+        paymentStatus: { $ne: 'paid' }
+    };
+    if (excludeOrder) match._id = { $ne: new mongoose.Types.ObjectId(String(excludeOrder)) };
+
+    const [result] = await Order.aggregate([
+        { $match: match },
+        {
+            $project: {
+                paymentStatus: 1,
+                balance: { $max: [{ $subtract: ['$totalAmount', { $ifNull: ['$paidAmount', 0] }] }, 0] }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                outstanding: { $sum: '$balance' },
+                overdue: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'overdue'] }, '$balance', 0] } },
+                orders: { $sum: { $cond: [{ $gt: ['$balance', 0] }, 1, 0] } }
+            }
+        }
+    ]).session(session);
+
+    return {
+        outstanding: result ? roundCurrency(result.outstanding) : 0,
+        overdue: result ? roundCurrency(result.overdue) : 0,
+        orders: result ? result.orders : 0
+    };
+};
+
+// Credit position of a customer: what they owe on committed orders, less any credit
+// held on account, against their credit limit
+const getCreditExposure = async (customer, { excludeOrder, session = null } = {}) => {
+    const { outstanding, overdue, orders } = await getOutstandingBalance(customer._id, { excludeOrder, session });
+    const creditLimit = customer.creditLimit || 0;
+    const creditBalance = customer.creditBalance || 0;
+    const exposure = roundCurrency(Math.max(outstanding - creditBalance, 0));
+
+    return {
+        creditLimit,
+        outstanding,
+        overdue,
+        openOrders: orders,
+        creditBalance,
+        exposure,
+        available: roundCurrency(creditLimit - exposure)
+    };
+};
+
+// Check an order against its customer's credit limit. A customer with no credit limit
+// gets no credit, so every credit order for them needs approval.
+const evaluateOrder = async (order, { session = null } = {}) => {
+    if (!usesCredit(order)) {
+        return { required: false, withinLimit: true };
+    }
+
+    const customerId = order.customer && order.customer._id ? order.customer._id : order.customer;
+    const customer = await Customer.findById(customerId).session(session);
+    if (!customer) {
+        throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    }
+
+    const exposure = await getCreditExposure(customer, { excludeOrder: order._id, session });
+    const orderAmount = order.balanceDue;
+    const projectedExposure = roundCurrency(exposure.exposure + orderAmount);
+
+    return {
+        required: true,
+        ...exposure,
+        orderAmount,
+        projectedExposure,
+        withinLimit: projectedExposure <= exposure.creditLimit
+    };
+};
+
+// A manager's approval covers the order up to the total it was approved at
+const isApproved = (order) => {
+    const check = order.creditCheck || {};
+    return check.status === 'approved' && order.totalAmount <= (check.approvedAmount || 0);
+};
+
+// Record the outcome of a credit check on the order (not saved)
+const applyCreditCheck = (order, evaluation) => {
+    const previous = order.creditCheck || {};
+    let status;
+    if (!evaluation.required) status = 'not-required';
+    else if (evaluation.withinLimit) status = 'within-limit';
+    else if (isApproved(order)) status = 'approved';
+    else status = 'approval-required';
+
+    order.creditCheck = {
+        status,
+        creditLimit: evaluation.creditLimit,
+        exposure: evaluation.exposure,
+        orderAmount: evaluation.orderAmount,
+        checkedAt: new Date(),
+        ...(status === 'approved' ? {
+            approvedBy: previous.approvedBy,
+            approvedAt: previous.approvedAt,
+            approvedAmount: previous.approvedAmount,
+            approvalNotes: previous.approvalNotes
+        } : {})
+    };
+
+    return order.creditCheck;
+};
+
+const creditLimitError = (order, evaluation) => new AppError(
+    `Order ${order.orderNumber} would take the customer to ${evaluation.projectedExposure} against a credit limit of ${evaluation.creditLimit}; manager approval is required`,
+    409,
+    'CREDIT_LIMIT_EXCEEDED',
+    {
+        creditLimit: evaluation.creditLimit,
+        exposure: evaluation.exposure,
+        orderAmount: evaluation.orderAmount,
+        projectedExposure: evaluation.projectedExposure,
+        available: evaluation.available,
+        approvalRequired: true
+    }
+);
+
+// Throw CREDIT_LIMIT_EXCEEDED unless the order is within the limit or approved
+const assertWithinLimit = async (order, { session = null } = {}) => {
+    const evaluation = await evaluateOrder(order, { session });
+    if (!evaluation.withinLimit && !isApproved(order)) {
+        throw creditLimitError(order, evaluation);
+    }
+    return evaluation;
+};
+
+// Approve an order over the customer's credit limit at its current total (not saved)
+const approveOrder = async (order, { user, notes, session = null }) => {
+    if (!canApproveCredit(user)) {
+        throw new AppError('Approving orders over the credit limit requires approve permission on orders', 403, 'CREDIT_APPROVAL_FORBIDDEN');
+    }
+
+    const evaluation = await evaluateOrder(order, { session });
+    if (!evaluation.required || evaluation.withinLimit) {
+        throw new AppError(`Order ${order.orderNumber} does not need credit approval`, 409, 'CREDIT_APPROVAL_NOT_REQUIRED', {
+            status: evaluation.required ? 'within-limit' : 'not-required'
+        });
+    }
+
+    order.creditCheck = {
+        status: 'approved',
+        creditLimit: evaluation.creditLimit,
+        exposure: evaluation.exposure,
+        orderAmount: evaluation.orderAmount,
+        checkedAt: new Date(),
+        approvedBy: user._id,
+        approvedAt: new Date(),
+        approvedAmount: order.totalAmount,
+        approvalNotes: notes
+    };
+
+    return evaluation;
+};
+
+module.exports = {
+    COMMITTED_STATUSES,
+    usesCredit,
+    canApproveCredit,
+    getOutstandingBalance,
+    getCreditExposure,
+    evaluateOrder,
+    isApproved,
+    applyCreditCheck,
+    assertWithinLimit,
+    approveOrder
+};
@@ -1,8 +1,9 @@
 const nodemailer = require('nodemailer');
+const letterhead = require('../utils/letterhead');
 
 // Create transporter
 const createTransporter = () => {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
         service: 'gmail',
         auth: {
             user: process.env.EMAIL_USER,
@@ -65,7 +66,7 @@ const emailTemplates = {
                 
                 <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
                     <p>© 2024 Uniform Palace. All rights reserved.</p>
-                    <p>691, Barkat Nagar, Tonk Phatak, Jaipur, Rajasthan - 302015</p>
+                    <p>${letterhead.address}</p>
                 </div>
             </div>
         `
@@ -189,13 +190,13 @@ const emailTemplates = {
         `
     }),
 
-    lowStockAlert: (product) => ({
-        subject: `Low Stock Alert - ${product.name}`,
+    lowStockAlert: (alert) => ({
+        subject: `${alert.level === 'out-of-stock' ? 'Out of Stock' : 'Low Stock'} Alert - ${alert.productName}${alert.sku ? ` (${alert.sku})` : ''}`,
         html: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <div style="background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 20px; text-align: center;">
                     <h1>UNIFORM PALACE</h1>
-                    <p>Low Stock Alert</p>
+                    <p>${alert.level === 'out-of-stock' ? 'Out of Stock Alert' : 'Low Stock Alert'}</p>
                 </div>
                 
                 <div style="padding: 20px; background: #f8f9fa;">
@@ -203,19 +204,19 @@ const emailTemplates = {
                     <table style="width: 100%; border-collapse: collapse;">
                         <tr>
                             <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Product:</strong></td>
-                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${product.name}</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${alert.productName}${alert.label ? ` - ${alert.label}` : ''}</td>
                         </tr>
                         <tr>
-                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Product Code:</strong></td>
-                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${product.code}</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>${alert.sku ? 'SKU' : 'Product Code'}:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${alert.sku || alert.productCode}</td>
                         </tr>
                         <tr>
-                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Current Stock:</strong></td>
-                            <td style="padding: 10px; border-bottom: 1px solid #ddd; color: #dc2626; font-weight: bold;">${product.stockQuantity}</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Available Stock:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd; color: #dc2626; font-weight: bold;">${alert.availableQuantity}</td>
                         </tr>
                         <tr>
                             <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Reorder Level:</strong></td>
-                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${product.reorderLevel}</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${alert.reorderLevel}</td>
                         </tr>
                     </table>
                     
@@ -237,6 +238,243 @@ const emailTemplates = {
                 </div>
             </div>
         `
+    }),
+
+    lowStockDigest: (items, date) => ({
+        subject: `Daily Stock Report - ${items.length} item(s) below reorder level`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 20px; text-align: center;">
+                    <h1>UNIFORM PALACE</h1>
+                    <p>Daily Stock Report - ${date.toLocaleDateString()}</p>
+                </div>
+                
+                <div style="padding: 20px; background: #f8f9fa;">
+                    <h2>Items at or below reorder level</h2>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr>
+                            <th style="padding: 10px; border-bottom: 1px solid #ddd; text-align: left;">Item</th>
+                            <th style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">Available</th>
+                            <th style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">Reorder Level</th>
+                        </tr>
+                        ${items.map(item => `
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${item.name}${item.label ? ` - ${item.label}` : ''} (${item.sku || item.code})</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;${item.availableQuantity <= 0 ? ' color: #dc2626; font-weight: bold;' : ''}">${item.availableQuantity}</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">${item.reorderLevel}</td>
+                        </tr>`).join('')}
+                    </table>
+                    
+                    <div style="margin-top: 20px; text-align: center;">
+                        <a href="${process.env.FRONTEND_URL}/admin/products" 
+                           style="background: #f59e0b; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">
+                            Manage Products
+                        </a>
+                    </div>
+                </div>
+                
+                <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+                    <p>© 2024 Uniform Palace. All rights reserved.</p>
+                </div>
+            </div>
+        `
+    }),
+
+    quotation: (quotation, responseUrl) => ({
+        subject: `Quotation ${quotation.reference} - Uniform Palace`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #dc2626, #b91c1c); color: white; padding: 20px; text-align: center;">
+                    <h1>UNIFORM PALACE</h1>
+                    <p>Your Quotation</p>
+                </div>
+                
+                <div style="padding: 20px; background: #f8f9fa;">
+                    <h2>Dear ${quotation.customerName},</h2>
+                    <p>Thank you for your interest in Uniform Palace. Please find our quotation attached.</p>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Quotation Number:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${quotation.reference}</td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Total Amount:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">₹${quotation.totalAmount}</td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Valid Until:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${new Date(quotation.validUntil).toLocaleDateString()}</td>
+                        </tr>
+                    </table>
+                    
+                    <div style="margin-top: 20px; text-align: center;">
+                        <a href="${responseUrl}" 
+                           style="background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">
+                            Review and Respond
+                        </a>
+                    </div>
+                    
+                    <p>If you have any questions, please call us at <strong>${letterhead.phone}</strong>.</p>
+                    <p>Best regards,<br>Team Uniform Palace</p>
+                </div>
+                
+                <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+                    <p>© 2024 Uniform Palace. All rights reserved.</p>
+                    <p>${letterhead.address}</p>
+                </div>
+            </div>
+        `
+    }),
+
+    quotationResponse: (quotation) => ({
+        subject: `Quotation ${quotation.reference} ${quotation.response.decision} - Uniform Palace`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #059669, #047857); color: white; padding: 20px; text-align: center;">
+                    <h1>UNIFORM PALACE</h1>
+                    <p>Quotation Response Received</p>
+                </div>
+                
+                <div style="padding: 20px; background: #f8f9fa;">
+                    <p><strong>Quotation:</strong> ${quotation.reference}</p>
+                    <p><strong>Customer:</strong> ${quotation.customerName}</p>
+                    <p><strong>Decision:</strong> <span style="font-weight: bold;">${quotation.response.decision}</span></p>
+                    <p><strong>Responded By:</strong> ${quotation.response.respondedBy || '-'}</p>
+                    <p><strong>Comments:</strong> ${quotation.response.comments || '-'}</p>
+                    
+                    <div style="margin-top: 20px; text-align: center;">
+                        <a href="${process.env.FRONTEND_URL}/admin/quotations" 
+                           style="background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">
+                            View Quotation
+                        </a>
+                    </div>
+                </div>
+                
+                <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+                    <p>© 2024 Uniform Palace. All rights reserved.</p>
+                </div>
+            </div>
+        `
+    }),
+
+    paymentReminder: (order) => ({
+        subject: `Payment Reminder - Order #${order.orderNumber} - Uniform Palace`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #dc2626, #b91c1c); color: white; padding: 20px; text-align: center;">
+                    <h1>UNIFORM PALACE</h1>
+                    <p>Payment Reminder</p>
+                </div>
+                
+                <div style="padding: 20px; background: #f8f9fa;">
+                    <h2>Dear ${order.customerName},</h2>
+                    <p>This is a friendly reminder that payment for the order below ${order.paymentStatus === 'overdue' ? 'is now overdue' : 'is due soon'}.</p>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Order Number:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${order.orderNumber}</td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Order Total:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">₹${order.totalAmount}</td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Amount Paid:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">₹${order.paidAmount || 0}</td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Balance Due:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd; color: #dc2626; font-weight: bold;">₹${order.balanceDue}</td>
+                        </tr>
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;"><strong>Due Date:</strong></td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${new Date(order.dueDate).toLocaleDateString()}</td>
+                        </tr>
+                    </table>
+                    
+                    <p>If you have already made this payment, please ignore this reminder. For any questions, please call us at <strong>${letterhead.phone}</strong>.</p>
+                    <p>Best regards,<br>Team Uniform Palace</p>
+                </div>
+                
+                <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+                    <p>© 2024 Uniform Palace. All rights reserved.</p>
+                    <p>${letterhead.address}</p>
+                </div>
+            </div>
+        `
+    }),
+
+    purchaseOrder: (purchaseOrder, supplier) => ({
+        subject: `Purchase Order ${purchaseOrder.poNumber} - Uniform Palace`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #dc2626, #b91c1c); color: white; padding: 20px; text-align: center;">
+                    <h1>UNIFORM PALACE</h1>
+                    <p>Purchase Order ${purchaseOrder.poNumber}</p>
+                </div>
+                
+                <div style="padding: 20px; background: #f8f9fa;">
+                    <h2>Dear ${supplier.contactPerson || supplier.name},</h2>
+                    <p>Please supply the following items${purchaseOrder.expectedDate ? ` by <strong>${new Date(purchaseOrder.expectedDate).toLocaleDateString()}</strong>` : ''}.</p>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <tr>
+                            <th style="padding: 10px; border-bottom: 1px solid #ddd; text-align: left;">Item</th>
+                            <th style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">Quantity</th>
+                            <th style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">Unit Cost</th>
+                        </tr>
+                        ${purchaseOrder.items.map(item => `
+                        <tr>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd;">${item.productName} (${item.sku || item.productCode})</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">${item.quantityOrdered}</td>
+                            <td style="padding: 10px; border-bottom: 1px solid #ddd; text-align: right;">₹${item.unitCost}</td>
+                        </tr>`).join('')}
+                        <tr>
+                            <td style="padding: 10px;" colspan="2"><strong>Total:</strong></td>
+                            <td style="padding: 10px; text-align: right;"><strong>₹${purchaseOrder.subtotal}</strong></td>
+                        </tr>
+                    </table>
+                    ${purchaseOrder.notes ? `<p><strong>Notes:</strong> ${purchaseOrder.notes}</p>` : ''}
+                    <p>Please quote the purchase order number on your delivery challan and invoice.</p>
+                    <p>Best regards,<br>Team Uniform Palace</p>
+                </div>
+                
+                <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+                    <p>© 2024 Uniform Palace. All rights reserved.</p>
+                    <p>${letterhead.address}</p>
+                </div>
+            </div>
+        `
+    }),
+
+    passwordReset: (user, resetUrl) => ({
+        subject: 'Reset your password - Uniform Palace',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #dc2626, #b91c1c); color: white; padding: 20px; text-align: center;">
+                    <h1>UNIFORM PALACE</h1>
+                    <p>Password Reset</p>
+                </div>
+                
+                <div style="padding: 20px; background: #f8f9fa;">
+                    <h2>Dear ${user.fullName},</h2>
+                    <p>We received a request to reset the password for your account <strong>${user.username}</strong>.</p>
+                    <div style="margin-top: 20px; text-align: center;">
+                        <a href="${resetUrl}" 
+                           style="background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">
+                            Reset Password
+                        </a>
+                    </div>
+                    <p>The link can be used once and expires in 1 hour. Resetting your password signs you out everywhere.</p>
+                    <p>If you did not ask for this, you can ignore this email; your password will not change.</p>
+                    <p>Best regards,<br>Team Uniform Palace</p>
+                </div>
+                
+                <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
+                    <p>© 2024 Uniform Palace. All rights reserved.</p>
+                    <p>${letterhead.address}</p>
+                </div>
+            </div>
+        `
     })
 };
 
@@ -318,11 +556,11 @@ const emailService = {
         }
     },
 
-    // Send low stock alert
-    async sendLowStockAlert(product) {
+    // Send a low or out of stock alert; resolves to false on failure
+    async sendLowStockAlert(alert) {
         try {
             const transporter = createTransporter();
-            const template = emailTemplates.lowStockAlert(product);
+            const template = emailTemplates.lowStockAlert(alert);
             
             await transporter.sendMail({
                 from: process.env.EMAIL_USER,
@@ -332,8 +570,139 @@ const emailService = {
             });
             
             console.log('Low stock alert sent successfully');
+            return true;
         } catch (error) {
             console.error('Error sending low stock alert:', error);
+            return false;
+        }
+    },
+
+    // Send the daily list of items below reorder level; resolves to false on failure
+    async sendLowStockDigest(items, date = new Date()) {
+        try {
+            const transporter = createTransporter();
+            const template = emailTemplates.lowStockDigest(items, date);
+            
+            await transporter.sendMail({
+                from: process.env.EMAIL_USER,
+                to: process.env.ADMIN_EMAIL,
+                subject: template.subject,
+                html: template.html
+            });
+            
+            console.log('Low stock digest sent successfully');
+            return true;
+        } catch (error) {
+            console.error('Error sending low stock digest:', error);
+            return false;
+        }
+    },
+
+    // Send a quotation to the customer with the PDF attached; resolves to false on failure
+    async sendQuotation(quotation, { to, pdf, responseUrl }) {
+        try {
+            const transporter = createTransporter();
+            const template = emailTemplates.quotation(quotation, responseUrl);
+            
+            await transporter.sendMail({
+                from: process.env.EMAIL_USER,
+                to,
+                subject: template.subject,
+                html: template.html,
+                attachments: [{
+                    filename: `${quotation.reference}.pdf`,
+                    content: pdf,
+                    contentType: 'application/pdf'
+                }]
+            });
+            
+            console.log('Quotation email sent successfully');
+            return true;
+        } catch (error) {
+            console.error('Error sending quotation email:', error);
+            return false;
+        }
+    },
+
+    // Send quotation response notification
+    async sendQuotationResponseNotification(quotation) {
+        try {
+            const transporter = createTransporter();
+            const template = emailTemplates.quotationResponse(quotation);
+            
+            await transporter.sendMail({
+                from: process.env.EMAIL_USER,
+                to: process.env.ADMIN_EMAIL,
+                subject: template.subject,
+                html: template.html
+            });
+            
+            console.log('Quotation response notification sent successfully');
+        } catch (error) {
+            console.error('Error sending quotation response notification:', error);
+        }
+    },
+
+    // Send a payment reminder for an order to the customer; resolves to false on failure
+    async sendPaymentReminder(order, to) {
+        try {
+            const transporter = createTransporter();
+            const template = emailTemplates.paymentReminder(order);
+            
+            await transporter.sendMail({
+                from: process.env.EMAIL_USER,
+                to,
+                subject: template.subject,
+                html: template.html
+            });
+            
+            console.log('Payment reminder sent successfully');
+            return true;
+        } catch (error) {
+            console.error('Error sending payment reminder:', error);
+            return false;
+        }
+    },
+
+    // Send a purchase order to the supplier; resolves to false on failure
+    async sendPurchaseOrder(purchaseOrder, supplier) {
+        try {
+            const transporter = createTransporter();
+            const template = emailTemplates.purchaseOrder(purchaseOrder, supplier);
+            
+            await transporter.sendMail({
+                from: process.env.EMAIL_USER,
+                to: supplier.email,
+                subject: template.subject,
+                html: template.html
+            });
+            
+            console.log('Purchase order sent successfully');
+            return true;
+        } catch (error) {
+            console.error('Error sending purchase order:', error);
+            return false;
+        }
+    },
+
+    // Send a password reset link to a user; resolves to false on failure
+    async sendPasswordReset(user, resetUrl) {
+        try {
+            const transporter = createTransporter();
+            const template = emailTemplates.passwordReset(user, resetUrl);
+            
+            await transporter.sendMail({
+                from: process.env.EMAIL_USER,
+                to: user.email,
+                subject: template.subject,
+                html: template.html
+            });
+            
+            console.log('Password reset email sent successfully');
+            return true;
+        } catch (error) {
+            console.error('Error sending password reset email:', error);
+            return false;
         }
     },
 
@@ -364,14 +733,14 @@ const emailService = {
                                 <li><strong>Quantity:</strong> ${inquiry.quantity}</li>
                             </ul>
                             
-                            <p>If you have any urgent requirements, please call us at <strong>+91-9414606273</strong>.</p>
+                            <p>If you have any urgent requirements, please call us at <strong>${letterhead.phone}</strong>.</p>
                             
                             <p>Best regards,<br>Team Uniform Palace</p>
                         </div>
                         
                         <div style="background: #1f2937; color: white; padding: 20px; text-align: center;">
                             <p>© 2024 Uniform Palace. All rights reserved.</p>
-                            <p>691, Barkat Nagar, Tonk Phatak, Jaipur, Rajasthan - 302015</p>
+                            <p>${letterhead.address}</p>
                         </div>
                     </div>
                 `
@@ -0,0 +1,289 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const stockAlertService = require('./stockAlertService');
+const { AppError } = require('../utils/errors');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Quotes are price offers only and never hold stock
+const holdsStock = (order) => order.orderType !== 'quote';
+
+// Stock units of a line: one per size for a size run on a product with variants
+// (each size draws on its own variant), otherwise the line itself
+const stockUnits = (item) => (
+    (item.sizeBreakdown || []).some(row => row.variant) ? item.sizeBreakdown : [item]
+);
+
+const orderReference = (order) => ({ kind: 'Order', documentId: order._id, number: order.orderNumber });
+
+// Ledger fields describing where a product (or one of its variants) stands after a change
+const movementFor = (product, variantId) => {
+    const variant = variantId ? product.findVariant({ variantId }) : null;
+    const holder = variant || product;
+    return {
+        product: product._id,
+        productCode: product.code,
+        variant: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : undefined,
+        stockAfter: holder.stockQuantity,
+        reservedAfter: holder.reservedQuantity
+    };
+};
+
+// The location a change in stock on hand applies to: the given one, else the default.
+// Null while no locations are set up, when stock is only tracked per product.
+const resolveLocationId = async (locationId, session) => {
+    const location = await Location.resolve(locationId, session);
+    return location ? location._id : null;
+};
+
+// Apply a change in stock on hand to a location as well as to the product
+const applyAtLocation = async (locationId, product, variantId, change, session) => {
+    if (!locationId || !change) return {};
+    await LocationStock.adjust({ product: product._id, variant: variantId, location: locationId, change }, session);
+    return { location: locationId, locationChange: change };
+};
+
+// Write the ledger entry for a change already applied to `product`, and open or close
+// its low-stock alert to match
+const recordMovement = async (product, variantId, movement, session) => {
+    await StockMovement.record({ ...movementFor(product, variantId), ...movement }, session);
+    await stockAlertService.evaluate(product, variantId, session);
+};
+
+// Reserve whatever part of each line is not reserved yet. Pass the session of the
+// surrounding transaction so a failure on a later line rolls back earlier ones.
+const reserveOrderStock = async (order, session = null, userId = null) => {
+    for (const item of order.items) {
+        for (const unit of stockUnits(item)) {
+            const outstanding = unit.quantity - (unit.reservedQuantity || 0);
+            if (outstanding <= 0) continue;
+
+            const product = await Product.reserveStock(item.product, outstanding, session, unit.variant);
+            await recordMovement(product, unit.variant, {
+                type: 'reservation',
+                reservedChange: outstanding,
+                reference: orderReference(order),
+                user: userId
+            }, session);
+            unit.reservedQuantity = unit.quantity;
+        }
+        item.reservedQuantity = item.quantity;
+    }
+};
+
+// Raised when an order's reservation is not held on the product, so the two have
+// drifted apart and releasing it would hide the difference
+const reservationMismatchError = async (order, item, unit, session) => {
+    const product = await Product.findById(item.product).session(session);
+    const variant = product && unit.variant ? product.findVariant({ variantId: unit.variant }) : null;
+    const holder = variant || product;
+    const held = holder ? holder.reservedQuantity || 0 : 0;
+    const name = product ? product.name : item.productName || item.product;
+    return new AppError(
+        `Order ${order.orderNumber} has ${unit.reservedQuantity} of ${name} reserved but only ${held} is reserved on the product`,
+        409,
+        'RESERVATION_MISMATCH',
+        {
+            product: item.product,
+            ...(unit.variant ? { variant: unit.variant } : {}),
+            orderReserved: unit.reservedQuantity,
+            productReserved: held
+        }
+    );
+};
+
+// Give every reserved unit back to available stock (cancellation, deletion). Fails
+// with RESERVATION_MISMATCH, changing nothing, if a product holds less than the order
+// has reserved.
+const releaseOrderStock = async (order, session = null, userId = null) => {
+    for (const item of order.items) {
+        for (const unit of stockUnits(item)) {
+            if (!unit.reservedQuantity) continue;
+
+            const product = await Product.releaseReservedStock(item.product, unit.reservedQuantity, session, unit.variant);
+            if (!product) {
+                throw await reservationMismatchError(order, item, unit, session);
+            }
+            await recordMovement(product, unit.variant, {
+                type: 'release',
+                reservedChange: -unit.reservedQuantity,
+                reference: orderReference(order),
+                user: userId
+            }, session);
+            unit.reservedQuantity = 0;
+        }
+        item.reservedQuantity = 0;
+    }
+};
+
+// Convert reservations into deductions once the goods are delivered, taking the goods
+// from the order's fulfilment location (the default location unless one was picked)
+const fulfilOrderStock = async (order, session = null, userId = null) => {
+    const locationId = await resolveLocationId(order.fulfilmentLocation, session);
+    if (locationId) order.fulfilmentLocation = locationId;
+
+    for (const item of order.items) {
+        for (const unit of stockUnits(item)) {
+            const reserved = unit.reservedQuantity || 0;
+            const product = await Product.fulfilReservedStock(item.product, unit.quantity, reserved, session, unit.variant);
+            await recordMovement(product, unit.variant, {
+                type: 'sale',
+                quantity: -unit.quantity,
+                reservedChange: -reserved,
+                ...(await applyAtLocation(locationId, product, unit.variant, -unit.quantity, session)),
+                reference: orderReference(order),
+                user: userId
+            }, session);
+            unit.reservedQuantity = 0;
+        }
+        item.reservedQuantity = 0;
+    }
+};
+
+// Add stock to (positive `change`) or take it out of (negative) a product or variant
+// at a location (the default unless given), recording why. Taking out more than is
+// free fails with InsufficientStockError, or more than the location holds with a 409.
+const adjustStock = async (productId, { variantId = null, locationId = null, change, type = 'adjustment', reason, reference, unitCost, userId = null, session = null }) => {
+    const location = await resolveLocationId(locationId, session);
+    const product = await Product.adjustStock(productId, change, session, variantId);
+    await recordMovement(product, variantId, {
+        type,
+        quantity: change,
+        ...(await applyAtLocation(location, product, variantId, change, session)),
+        unitCost,
+        reason,
+        reference,
+        user: userId
+    }, session);
+    return product;
+};
+
+// Record the stock a new product, or newly added variants, start with, placing it at
+// a location (the default unless given) and raising an alert for any that start at or
+// below their reorder level
+const recordOpeningStock = async (product, { variants = [], locationId = null, userId = null, session = null } = {}) => {
+    const location = await resolveLocationId(locationId, session);
+    const holders = variants.length > 0 ? variants : [product];
+    const stocked = holders.filter(holder => holder.stockQuantity > 0);
+
+    for (const holder of stocked) {
+        await applyAtLocation(location, product, holder === product ? null : holder._id, holder.stockQuantity, session);
+    }
+
+    const movements = stocked.map(holder => ({
+        product: product._id,
+        productCode: product.code,
+        variant: holder === product ? undefined : holder._id,
+        sku: holder === product ? undefined : holder.sku,
+        type: 'opening',
+        quantity: holder.stockQuantity,
+        stockAfter: holder.stockQuantity,
+        reservedAfter: 0,
+        location: location || undefined,
+        locationChange: location ? holder.stockQuantity : undefined,
+        unitCost: product.costPrice,
+        user: userId
+    }));
+
+    if (movements.length > 0) {
+        await StockMovement.record(movements, session);
+    }
+    for (const holder of holders) {
+        await stockAlertService.evaluate(product, holder === product ? null : holder._id, session);
+    }
+};
+
+// Move stock into (positive `change`) or out of (negative) a location without changing
+// the product's total, for transfers between locations
+const shiftLocationStock = async (productId, { variantId = null, locationId, change, type, reason, reference, userId = null, session = null }) => {
+    const product = await Product.findById(productId).session(session);
+    if (!product) {
+        throw new AppError(`Product ${productId} not found`, 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    await StockMovement.record({
+        ...movementFor(product, variantId),
+        type,
+        ...(await applyAtLocation(locationId, product, variantId, change, session)),
+        reason,
+        reference,
+        user: userId
+    }, session);
+    return product;
+};
+
+// Value stock on hand at a point in time. Quantities are worked back from current
+// stock through the movements since `asOf`; each product is valued at its latest
+// receipt cost up to `asOf`, or its cost price when it has no costed receipt.
+const getStockValuation = async ({ asOf = new Date(), category } = {}) => {
+    const filter = {};
+    if (category) filter.category = category;
+
+    const products = await Product.find(filter)
+        .select('name code category costPrice stockQuantity variants._id variants.sku variants.color variants.size variants.stockQuantity');
+    const productIds = products.map(product => product._id);
+
+    const [changes, costs] = await Promise.all([
+        StockMovement.getChangesSince(asOf, { product: { $in: productIds } }),
+        StockMovement.getLatestUnitCosts(asOf, { product: { $in: productIds } })
+    ]);
+
+    const changeKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+    const changeSince = new Map(changes.map(row => [changeKey(row._id.product, row._id.variant), row.quantity]));
+    const unitCosts = new Map(costs.map(row => [String(row._id), row.unitCost]));
+
+    const rows = products.map(product => {
+        const unitCost = unitCosts.has(String(product._id)) ? unitCosts.get(String(product._id)) : (product.costPrice || 0);
+        const variants = (product.variants || []).map(variant => {
+            const quantity = variant.stockQuantity - (changeSince.get(changeKey(product._id, variant._id)) || 0);
+            return {
+                variant: variant._id,
+                sku: variant.sku,
+                color: variant.color,
+                size: variant.size,
+                quantity,
+                value: roundCurrency(quantity * unitCost)
+            };
+        });
+
+        const quantity = variants.length > 0
+            ? variants.reduce((sum, variant) => sum + variant.quantity, 0)
+            : product.stockQuantity - (changeSince.get(changeKey(product._id)) || 0);
+
+        return {
+            product: product._id,
+            name: product.name,
+            code: product.code,
+            category: product.category,
+            quantity,
+            unitCost,
+            value: roundCurrency(quantity * unitCost),
+            ...(variants.length > 0 ? { variants } : {})
+        };
+    }).filter(row => row.quantity !== 0);
+
+    return {
+        asOf,
+        products: rows,
+        summary: {
+            products: rows.length,
+            quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+            value: roundCurrency(rows.reduce((sum, row) => sum + row.value, 0)),
+            unvalued: rows.filter(row => !row.unitCost).length
+        }
+    };
+};
+
+module.exports = {
+    holdsStock,
+    reserveOrderStock,
+    releaseOrderStock,
+    fulfilOrderStock,
+    adjustStock,
+    shiftLocationStock,
+    recordOpeningStock,
+    getStockValuation
+};
@@ -0,0 +1,338 @@
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const letterhead = require('../utils/letterhead');
+const taxService = require('./taxService');
+const orderLineService = require('./orderLineService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { getDueDate } = require('../utils/paymentTerms');
+
+// Orders can be invoiced once confirmed, up to and including delivery
+const INVOICEABLE_STATUSES = ['confirmed', 'in-production', 'ready', 'delivered'];
+
+// Amount fields carried by invoice lines and the shipping charge
+const LINE_AMOUNT_KEYS = ['amount', 'discount', 'taxableValue', 'cgst', 'sgst', 'igst', 'totalTax', 'lineTotal'];
+const TAX_KEYS = ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const sumBy = (rows, key) => roundCurrency(rows.reduce((sum, row) => sum + (row[key] || 0), 0));
+
+const getSeller = () => ({
+    name: letterhead.name,
+    address: letterhead.address,
+    state: letterhead.state,
+    stateCode: taxService.getStateCode(letterhead.state),
+    gstin: letterhead.gstin,
+    phone: letterhead.phone,
+    email: letterhead.email
+});
+
+const describeCustomization = (customization = {}) => (
+    ['size', 'color', 'text'].map(key => customization[key]).filter(Boolean).join(', ')
+);
+
+// Invoice line description: the variant first (e.g. "Navy / 32"), then any customization,
+// then the size run (e.g. "Sizes: 28 × 80, 30 × 120")
+const describeLine = (item) => {
+    const sizeRun = orderLineService.describeSizeBreakdown(item);
+    return [
+        [item.color, item.size].filter(Boolean).join(' / '),
+        describeCustomization(item.customization),
+        sizeRun ? `Sizes: ${sizeRun}` : null
+    ].filter(Boolean).join(', ');
+};
+
+// GST summary per rate across lines and shipping
+const summariseByRate = (lines, shipping) => {
+    const byRate = new Map();
+    for (const row of shipping && shipping.amount ? [...lines, shipping] : lines) {
+        const bucket = byRate.get(row.rate) || { rate: row.rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+        TAX_KEYS.forEach(key => {
+            bucket[key] = roundCurrency(bucket[key] + (row[key] || 0));
+        });
+        byRate.set(row.rate, bucket);
+    }
+    return [...byRate.values()].sort((a, b) => a.rate - b.rate);
+};
+
+// Snapshot an order's lines, parties and GST into a numbered tax invoice
+const issueInvoice = async (order, { userId, notes, session = null } = {}) => {
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+        throw new AppError(`Cannot invoice an order that is ${order.status}`, 409, 'ORDER_NOT_INVOICEABLE', {
+            status: order.status,
+            invoiceableStatuses: INVOICEABLE_STATUSES
+        });
+    }
+
+    return withTransaction(async (txSession) => {
+        const existing = await Invoice.findActiveForOrder(order._id, txSession);
+        if (existing) {
+            throw new AppError(`Order ${order.orderNumber} is already invoiced as ${existing.invoiceNumber}`, 409, 'ORDER_ALREADY_INVOICED', {
+                invoice: existing._id,
+                invoiceNumber: existing.invoiceNumber
+            });
+        }
+
+        const customerId = order.customer && order.customer._id ? order.customer._id : order.customer;
+        const customer = await Customer.findById(customerId).session(txSession);
+        const breakdown = order.taxBreakdown || {};
+        const supplyType = breakdown.supplyType || taxService.getSupplyType(order.placeOfSupply);
+
+        const lines = order.items.map(item => {
+            const tax = item.tax || {};
+            const taxableValue = tax.taxableValue != null ? tax.taxableValue : item.totalPrice;
+            return {
+                sourceLine: item._id,
+                product: item.product && item.product._id ? item.product._id : item.product,
+                productName: item.productName,
+                productCode: item.productCode,
+                sku: item.sku,
+                hsnCode: tax.hsnCode,
+                description: describeLine(item),
+                quantity: item.quantity,
+                unitPrice: item.unitPrice,
+                amount: item.totalPrice,
+                discount: roundCurrency(item.totalPrice - taxableValue),
+                taxableValue,
+                rate: tax.rate || 0,
+                cgst: tax.cgst || 0,
+                sgst: tax.sgst || 0,
+                igst: tax.igst || 0,
+                totalTax: tax.totalTax || 0,
+                lineTotal: roundCurrency(taxableValue + (tax.totalTax || 0))
+            };
+        });
+
+        // Shipping is taxed at the highest line rate, as in taxService.applyOrderTax
+        const shippingRate = Math.max(0, ...lines.map(line => line.rate));
+        const shipping = order.shippingCost
+            ? { amount: order.shippingCost, ...taxService.computeTax(order.shippingCost, shippingRate, supplyType) }
+            : { amount: 0 };
+
+        const issueDate = new Date();
+        const dueDate = getDueDate(order.paymentTerms, issueDate);
+        const number = await Invoice.allocateNumber('invoice', issueDate, txSession);
+
+        const invoice = new Invoice({
+            ...number,
+            type: 'invoice',
+            issueDate,
+            paymentTerms: order.paymentTerms,
+            dueDate,
+            order: order._id,
+            orderNumber: order.orderNumber,
+            seller: getSeller(),
+            buyer: {
+                customer: customerId,
+                name: order.customerName || (customer && customer.name),
+                company: order.customerCompany || (customer && customer.company),
+                email: order.customerEmail || (customer && customer.email),
+                phone: order.customerPhone || (customer && customer.phone),
+                gstin: order.customerGstin || (customer && customer.gstin),
+                billingAddress: customer && customer.address ? customer.address.toObject() : undefined,
+                shippingAddress: order.deliveryAddress ? order.deliveryAddress.toObject() : undefined
+            },
+            placeOfSupply: breakdown.placeOfSupply || order.placeOfSupply || letterhead.state,
+            placeOfSupplyCode: breakdown.placeOfSupplyCode || taxService.getStateCode(order.placeOfSupply || letterhead.state),
+            supplyType,
+            lines,
+            shipping,
+            byRate: summariseByRate(lines, shipping),
+            totals: {
+                subtotal: order.subtotal,
+                discount: order.discount || 0,
+                shippingCost: order.shippingCost || 0,
+                taxableValue: roundCurrency(sumBy(lines, 'taxableValue') + (shipping.taxableValue || 0)),
+                cgst: roundCurrency(sumBy(lines, 'cgst') + (shipping.cgst || 0)),
+                sgst: roundCurrency(sumBy(lines, 'sgst') + (shipping.sgst || 0)),
+                igst: roundCurrency(sumBy(lines, 'igst') + (shipping.igst || 0)),
+                totalTax: order.tax || 0,
+                grandTotal: order.totalAmount
+            },
+            currency: order.currency,
+            notes,
+            createdBy: userId
+        });
+
+        await invoice.save({ session: txSession });
+
+        // Payment falls due from the invoice date
+        await Order.setDueDate(order._id, dueDate, txSession);
+        order.dueDate = dueDate;
+
+        return invoice;
+    }, session);
+};
+
+// Amounts already credited per invoice line (and on shipping) by earlier credit notes
+const getCreditedAmounts = (creditNotes) => {
+    const byLine = new Map();
+    const shipping = { amount: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+
+    for (const note of creditNotes) {
+        for (const line of note.lines) {
+            const key = String(line.sourceLine);
+            const credited = byLine.get(key) || { quantity: 0, ...Object.fromEntries(LINE_AMOUNT_KEYS.map(k => [k, 0])) };
+            credited.quantity += line.quantity;
+            LINE_AMOUNT_KEYS.forEach(k => {
+                credited[k] = roundCurrency(credited[k] + (line[k] || 0));
+            });
+            byLine.set(key, credited);
+        }
+        ['amount', ...TAX_KEYS].forEach(k => {
+            shipping[k] = roundCurrency(shipping[k] + ((note.shipping && note.shipping[k]) || 0));
+        });
+    }
+
+    return { byLine, shipping };
+};
+
+// Raise a credit note against an invoice. `lines` is a list of { lineId, quantity }
+// taken from the invoice; without it every uncredited unit (and the shipping) is credited.
+// Partial quantities are credited pro rata; the last unit of a line takes the remainder
+// so that a line never ends up over- or under-credited by rounding.
+const issueCreditNote = async (invoice, {
+    lines: requestedLines,
+    includeShipping,
+    reasonType = 'return',
+    reason,
+    userId,
+    session = null
+} = {}) => {
+    if (invoice.type !== 'invoice') {
+        throw new AppError('Credit notes can only be raised against an invoice', 400, 'NOT_AN_INVOICE');
+    }
+
+    const { creditNote, updated } = await withTransaction(async (txSession) => {
+        const previous = await Invoice.findCreditNotes(invoice._id, txSession);
+        const credited = getCreditedAmounts(previous);
+        const creditAll = !requestedLines || requestedLines.length === 0;
+
+        const requests = creditAll
+            ? invoice.lines.map(line => ({
+                lineId: line._id,
+                quantity: line.quantity - ((credited.byLine.get(String(line._id)) || {}).quantity || 0)
+            })).filter(request => request.quantity > 0)
+            : requestedLines;
+
+        const lines = requests.map(({ lineId, quantity }) => {
+            const line = invoice.lines.id(lineId);
+            if (!line) {
+                throw new AppError(`Invoice line ${lineId} not found`, 404, 'INVOICE_LINE_NOT_FOUND', { lineId });
+            }
+
+            const already = credited.byLine.get(String(line._id)) || { quantity: 0 };
+            const remaining = line.quantity - already.quantity;
+            if (quantity > remaining) {
+                throw new AppError(`Only ${remaining} of ${line.productName} can still be credited`, 400, 'CREDIT_EXCEEDS_INVOICED', {
+                    lineId,
+                    requested: quantity,
+                    remaining
+                });
+            }
+
+            const amounts = {};
+            LINE_AMOUNT_KEYS.forEach(key => {
+                amounts[key] = quantity === remaining
+                    ? roundCurrency((line[key] || 0) - (already[key] || 0))
+                    : roundCurrency((line[key] || 0) * quantity / line.quantity);
+            });
+
+            return {
+                sourceLine: line._id,
+                product: line.product,
+                productName: line.productName,
+                productCode: line.productCode,
+                sku: line.sku,
+                hsnCode: line.hsnCode,
+                description: line.description,
+                quantity,
+                unitPrice: line.unitPrice,
+                rate: line.rate,
+                ...amounts
+            };
+        });
+
+        const creditShipping = includeShipping != null ? includeShipping : creditAll;
+        const invoiceShipping = invoice.shipping || {};
+        const shipping = creditShipping && invoiceShipping.amount
+            ? {
+                rate: invoiceShipping.rate,
+                ...Object.fromEntries(['amount', ...TAX_KEYS].map(key => [
+                    key,
+                    roundCurrency((invoiceShipping[key] || 0) - credited.shipping[key])
+                ]))
+            }
+            : { amount: 0 };
+
+        if (lines.length === 0 && !shipping.amount) {
+            throw new AppError(`Invoice ${invoice.invoiceNumber} has nothing left to credit`, 400, 'NOTHING_TO_CREDIT');
+        }
+
+        const totals = {
+            subtotal: sumBy(lines, 'amount'),
+            discount: sumBy(lines, 'discount'),
+            shippingCost: shipping.amount || 0
+        };
+        TAX_KEYS.forEach(key => {
+            totals[key] = roundCurrency(sumBy(lines, key) + (shipping[key] || 0));
+        });
+        totals.grandTotal = roundCurrency(totals.taxableValue + totals.totalTax);
+
+        const issueDate = new Date();
+        const number = await Invoice.allocateNumber('credit-note', issueDate, txSession);
+
+        const creditNote = new Invoice({
+            ...number,
+            type: 'credit-note',
+            issueDate,
+            order: invoice.order,
+            orderNumber: invoice.orderNumber,
+            originalInvoice: invoice._id,
+            originalInvoiceNumber: invoice.invoiceNumber,
+            reasonType,
+            reason,
+            seller: getSeller(),
+            buyer: invoice.buyer.toObject(),
+            placeOfSupply: invoice.placeOfSupply,
+            placeOfSupplyCode: invoice.placeOfSupplyCode,
+            supplyType: invoice.supplyType,
+            lines,
+            shipping,
+            byRate: summariseByRate(lines, shipping),
+            totals,
+            currency: invoice.currency,
+            createdBy: userId
+        });
+        await creditNote.save({ session: txSession });
+
+        // Applied in the database rather than on `invoice`, which a retried attempt would
+        // otherwise credit twice
+        return { creditNote, updated: await Invoice.addCredit(invoice._id, totals.grandTotal, txSession) };
+    }, session);
+
+    invoice.set({ creditedAmount: updated.creditedAmount, status: updated.status });
+    return creditNote;
+};
+
+// Credit whatever is still open on an order's invoice, e.g. when the order is cancelled
+const creditOrderInvoice = async (order, { reason, userId, session = null } = {}) => {
+    const invoice = await Invoice.findActiveForOrder(order._id, session);
+    if (!invoice) return null;
+
+    return issueCreditNote(invoice, {
+        reasonType: 'cancellation',
+        reason: reason || `Order ${order.orderNumber} cancelled`,
+        userId,
+        session
+    });
+};
+
+module.exports = {
+    INVOICEABLE_STATUSES,
+    issueInvoice,
+    issueCreditNote,
+    creditOrderInvoice
+};
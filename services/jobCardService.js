@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const JobCard = require('../models/JobCard');
+const Order = require('../models/Order');
+const qualityService = require('./qualityService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const assertOpen = (card) => {
+    if (!['pending', 'in-progress'].includes(card.status)) {
+        throw new AppError(`Job card ${card.jobCardNumber} is ${card.status}`, 409, 'JOB_CARD_CLOSED', {
+            status: card.status
+        });
+    }
+};
+
+const findStage = (card, name) => {
+    const stage = card.getStage(name);
+    if (!stage) {
+        throw new AppError(`Unknown stage ${name}`, 400, 'INVALID_STAGE', {
+            stages: card.stages.map(item => item.name)
+        });
+    }
+    return stage;
+};
+
+// Derive the card status from its stages
+const refreshStatus = (card, now = new Date()) => {
+    const remaining = card.stages.filter(stage => !['completed', 'skipped'].includes(stage.status));
+    if (remaining.length === 0) {
+        card.status = 'completed';
+        card.completedAt = card.completedAt || now;
+    } else {
+        card.status = card.stages.some(stage => stage.quantityCompleted > 0) ? 'in-progress' : 'pending';
+    }
+    return card;
+};
+
+// Save a card. A finished card completes its open rework tickets and, once every card
+// of the order is complete and QC has passed, moves the order to ready.
+const saveCard = async (card, user) => {
+    try {
+        return await withTransaction(async (session) => {
+            await card.save({ session });
+            if (card.status !== 'completed') return { card };
+
+            await qualityService.closeReworkForJobCard(card, user, session);
+            const order = await Order.findById(card.order).session(session);
+            const readied = await qualityService.markReadyIfComplete(order, user, session);
+            return readied ? { card, order: readied } : { card };
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw new AppError(`Job card ${card.jobCardNumber} was updated by someone else; reload and try again`, 409, 'JOB_CARD_CONFLICT');
+        }
+        throw error;
+    }
+};
+
+// Open job cards for an order already in production (orders started before job cards
+// were introduced, or lines added since)
+const createJobCards = async (order, user) => {
+    if (order.status !== 'in-production') {
+        throw new AppError(`Order ${order.orderNumber} is ${order.status}; job cards are opened when production starts`, 409, 'ORDER_NOT_IN_PRODUCTION');
+    }
+    return withTransaction((session) => JobCard.createForOrder(order, { userId: user._id, session }));
+};
+
+// Assign a stage to a tailor and/or unit, replan its dates, or skip a stage that has not
+// started (e.g. embroidery on plain garments)
+const updateStage = async (card, stageName, { assignedTo, assignedUnit, expectedStartDate, expectedEndDate, skip, notes }, user) => {
+    assertOpen(card);
+    const stage = findStage(card, stageName);
+
+    if (skip !== undefined) {
+        if (stage.quantityCompleted > 0) {
+            throw new AppError(`The ${stage.name} stage has already started`, 409, 'STAGE_STARTED');
+        }
+        const later = card.stages.slice(card.stages.indexOf(stage) + 1);
+        if (!skip && later.some(item => item.quantityCompleted > 0)) {
+            throw new AppError(`Work has already moved past the ${stage.name} stage`, 409, 'STAGE_STARTED');
+        }
+        stage.status = skip ? 'skipped' : 'pending';
+    }
+    if (assignedTo !== undefined) stage.assignedTo = assignedTo || undefined;
+    if (assignedUnit !== undefined) stage.assignedUnit = assignedUnit || undefined;
+    if (expectedStartDate) stage.expectedStartDate = expectedStartDate;
+    if (expectedEndDate) stage.expectedEndDate = expectedEndDate;
+    if (notes !== undefined) stage.notes = notes;
+
+    if (stage.expectedStartDate && stage.expectedEndDate && stage.expectedEndDate < stage.expectedStartDate) {
+        throw new AppError('Expected end date cannot be before the expected start date', 400, 'INVALID_STAGE_DATES');
+    }
+
+    // Skipping the last unfinished stage completes the card
+    return saveCard(refreshStatus(card), user);
+};
+
+// Record pieces finished at a stage. A stage cannot finish more pieces than the stage
+// before it has passed on, nor more than the card is for.
+const recordProgress = async (card, stageName, { quantity, notes }, user) => {
+    assertOpen(card);
+    const stage = findStage(card, stageName);
+    if (stage.status === 'skipped') {
+        throw new AppError(`The ${stage.name} stage is skipped on this job card`, 409, 'STAGE_SKIPPED');
+    }
+
+    const previous = card.getPreviousStage(stage.name);
+    const available = (previous ? previous.quantityCompleted : card.quantity) - stage.quantityCompleted;
+    if (quantity > available) {
+        throw new AppError(
+            `Only ${available} piece(s) are ready for ${stage.name}${previous ? ` after ${previous.name}` : ''}; ${quantity} reported`,
+            400,
+            'STAGE_QUANTITY_EXCEEDED',
+            { stage: stage.name, available, requested: quantity }
+        );
+    }
+
+    const now = new Date();
+    stage.quantityCompleted += quantity;
+    stage.updates.push({ quantity, notes, recordedBy: user._id, recordedAt: now });
+    if (!stage.actualStartDate) stage.actualStartDate = now;
+    if (stage.quantityCompleted >= card.quantity) {
+        stage.status = 'completed';
+        stage.actualEndDate = now;
+    } else {
+        stage.status = 'in-progress';
+    }
+
+    return saveCard(refreshStatus(card, now), user);
+};
+
+// Per-stage workload and delays across open job cards; `match` narrows the cards,
+// e.g. to those of orders a user may see
+const getProductionBoard = async ({ assignedTo, match = {} } = {}) => {
+    const filter = { ...match, status: { $in: ['pending', 'in-progress'] } };
+    if (assignedTo) filter['stages.assignedTo'] = assignedTo;
+
+    const cards = await JobCard.find(filter).select('jobCardNumber orderNumber productName quantity stages status');
+    const now = new Date();
+
+    return JobCard.STAGES.map(({ name }) => {
+        const atStage = cards.filter(card => card.currentStage === name);
+        const delayed = atStage.filter(card => {
+            const stage = card.getStage(name);
+            return stage.expectedEndDate && stage.expectedEndDate < now;
+        });
+        return {
+            stage: name,
+            jobCards: atStage.length,
+            pieces: atStage.reduce((sum, card) => sum + card.quantity - card.getStage(name).quantityCompleted, 0),
+            delayed: delayed.map(card => ({ jobCard: card._id, jobCardNumber: card.jobCardNumber, orderNumber: card.orderNumber }))
+        };
+    });
+};
+
+module.exports = {
+    createJobCards,
+    updateStage,
+    recordProgress,
+    getProductionBoard
+};
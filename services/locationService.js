@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const StockTransfer = require('../models/StockTransfer');
+const Product = require('../models/Product');
+const inventoryService = require('./inventoryService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+// Create a location. The first one becomes the default and takes all existing stock,
+// so per-location quantities add up to product totals from the start.
+const createLocation = async (data, user) => {
+    return withTransaction(async (session) => {
+        const isFirst = !(await Location.exists({}).session(session));
+        const location = new Location({ ...data, isDefault: isFirst, createdBy: user._id });
+        await location.save({ session });
+
+        if (isFirst) {
+            await assignUnlocatedStock(location, session);
+        }
+        return location;
+    });
+};
+
+// Place the stock of every product (each variant for products with variants) at a location
+const assignUnlocatedStock = async (location, session) => {
+    const products = await Product.find({ stockQuantity: { $gt: 0 } })
+        .select('stockQuantity variants._id variants.stockQuantity')
+        .session(session);
+
+    const records = [];
+    for (const product of products) {
+        const holders = product.variants.length > 0 ? product.variants : [product];
+        holders
+            .filter(holder => holder.stockQuantity > 0)
+            .forEach(holder => records.push({
+                product: product._id,
+                variant: holder === product ? null : holder._id,
+                location: location._id,
+                quantity: holder.stockQuantity
+            }));
+    }
+
+    if (records.length > 0) {
+        await LocationStock.insertMany(records, { session });
+    }
+    return records.length;
+};
+
+// Make a location the default for stock changes that name none
+const setDefaultLocation = async (location) => {
+    if (!location.isActive) {
+        throw new AppError('An inactive location cannot be the default', 400, 'LOCATION_INACTIVE');
+    }
+
+    await withTransaction(async (session) => {
+        await Location.updateMany({ isDefault: true, _id: { $ne: location._id } }, { $set: { isDefault: false } }, { session });
+        location.isDefault = true;
+        await location.save({ session });
+    });
+    return location;
+};
+
+// Deactivate a location; it must be empty and not the default
+const deactivateLocation = async (location) => {
+    if (location.isDefault) {
+        throw new AppError('Make another location the default before deactivating this one', 400, 'LOCATION_IS_DEFAULT');
+    }
+
+    const [held, inTransit] = await Promise.all([
+        LocationStock.exists({ location: location._id, quantity: { $gt: 0 } }),
+        StockTransfer.exists({ status: 'in-transit', toLocation: location._id })
+    ]);
+    if (held || inTransit) {
+        throw new AppError(`${location.name} still holds or is expecting stock; transfer it out first`, 409, 'LOCATION_NOT_EMPTY');
+    }
+
+    location.isActive = false;
+    return location.save();
+};
+
+// Build transfer lines from [{ product, variant | sku, quantity }]
+const buildTransferItems = async (items) => {
+    const lines = [];
+    for (const item of items) {
+        const product = await Product.findById(item.product);
+        if (!product) {
+            throw new AppError(`Product ${item.product} not found`, 404, 'PRODUCT_NOT_FOUND', { product: item.product });
+        }
+
+        const variant = product.resolveVariant({ variant: item.variant, sku: item.sku, color: item.color, size: item.size });
+        lines.push({
+            product: product._id,
+            productName: product.name,
+            productCode: product.code,
+            variant: variant ? variant._id : undefined,
+            sku: variant ? variant.sku : undefined,
+            quantity: item.quantity
+        });
+    }
+    return lines;
+};
+
+const transferReference = (transfer) => ({ kind: 'StockTransfer', documentId: transfer._id, number: transfer.transferNumber });
+
+// Dispatch stock from one location to another; it is in transit until received
+const dispatchTransfer = async ({ fromLocation, toLocation, items, notes }, user) => {
+    if (String(fromLocation) === String(toLocation)) {
+        throw new AppError('Source and destination must be different locations', 400, 'SAME_LOCATION');
+    }
+
+    const [from, to] = await Promise.all([Location.resolve(fromLocation), Location.resolve(toLocation)]);
+    const transfer = new StockTransfer({
+        fromLocation: from._id,
+        toLocation: to._id,
+        items: await buildTransferItems(items),
+        notes,
+        dispatchedBy: user._id
+    });
+
+    await withTransaction(async (session) => {
+        transfer.transferNumber = await StockTransfer.allocateNumber(transfer.dispatchedAt, session);
+        for (const item of transfer.items) {
+            await inventoryService.shiftLocationStock(item.product, {
+                variantId: item.variant,
+                locationId: from._id,
+                change: -item.quantity,
+                type: 'transfer-out',
+                reason: `Transfer to ${to.name}`,
+                reference: transferReference(transfer),
+                userId: user._id,
+                session
+            });
+        }
+        await transfer.save({ session });
+    });
+
+    return transfer;
+};
+
+// Book an in-transit transfer into `locationId`: the destination on receipt, the
+// source on cancellation
+const closeTransfer = async (transfer, { status, locationId, reason, user }) => {
+    if (transfer.status !== 'in-transit') {
+        throw new AppError(`Transfer ${transfer.transferNumber} is already ${transfer.status}`, 409, 'TRANSFER_CLOSED', {
+            status: transfer.status
+        });
+    }
+
+    const now = new Date();
+    transfer.status = status;
+    if (status === 'received') {
+        transfer.receivedBy = user._id;
+        transfer.receivedAt = now;
+    } else {
+        transfer.cancelledBy = user._id;
+        transfer.cancelledAt = now;
+        transfer.cancellationReason = reason;
+    }
+
+    try {
+        await withTransaction(async (session) => {
+            for (const item of transfer.items) {
+                await inventoryService.shiftLocationStock(item.product, {
+                    variantId: item.variant,
+                    locationId,
+                    change: item.quantity,
+                    type: 'transfer-in',
+                    reason: status === 'received' ? 'Transfer received' : `Transfer cancelled${reason ? `: ${reason}` : ''}`,
+                    reference: transferReference(transfer),
+                    userId: user._id,
+                    session
+                });
+            }
+            await transfer.save({ session });
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw new AppError(`Transfer ${transfer.transferNumber} was updated by someone else; reload and try again`, 409, 'TRANSFER_CONFLICT');
+        }
+        throw error;
+    }
+
+    return transfer;
+};
+
+const receiveTransfer = (transfer, { user }) => closeTransfer(transfer, {
+    status: 'received',
+    locationId: transfer.toLocation,
+    user
+});
+
+const cancelTransfer = (transfer, { user, reason }) => closeTransfer(transfer, {
+    status: 'cancelled',
+    locationId: transfer.fromLocation,
+    reason,
+    user
+});
+
+// Stock held at a location, per product and variant, with product details
+const getLocationStock = async (locationId, { category, search, page = 1, limit = 50 } = {}) => {
+    const productFilter = {};
+    if (category) productFilter.category = category;
+    if (search) productFilter.$text = { $search: search };
+
+    const match = { location: new mongoose.Types.ObjectId(String(locationId)), quantity: { $gt: 0 } };
+    if (category || search) {
+        match.product = { $in: await Product.find(productFilter).distinct('_id') };
+    }
+
+    const skip = (page - 1) * limit;
+    const [rows, total] = await Promise.all([
+        LocationStock.find(match)
+            .populate('product', 'name code category costPrice variants._id variants.sku variants.color variants.size')
+            .sort({ quantity: -1 })
+            .skip(skip)
+            .limit(limit),
+        LocationStock.countDocuments(match)
+    ]);
+
+    const items = rows.filter(row => row.product).map(row => {
+        const variant = row.variant ? row.product.variants.id(row.variant) : null;
+        return {
+            product: row.product._id,
+            name: row.product.name,
+            code: row.product.code,
+            category: row.product.category,
+            variant: row.variant,
+            sku: variant ? variant.sku : undefined,
+            label: variant ? variant.label : undefined,
+            quantity: row.quantity,
+            value: Math.round(row.quantity * (row.product.costPrice || 0) * 100) / 100
+        };
+    });
+
+    return { items, total };
+};
+
+module.exports = {
+    createLocation,
+    setDefaultLocation,
+    deactivateLocation,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    getLocationStock
+};
@@ -0,0 +1,159 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const SecuritySettings = require('../models/SecuritySettings');
+const { AppError } = require('../utils/errors');
+
+const MINUTE_MS = 60 * 1000;
+
+// From the third failure in a row, each attempt waits 1s, 2s, 4s, ... (at most 30s)
+// after the previous failure
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+
+const delayFor = (failures) => (failures < DELAY_AFTER_FAILURES
+    ? 0
+    : Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS));
+
+const getPolicy = async () => {
+    const settings = await SecuritySettings.get();
+    return {
+        maxFailedLogins: settings.maxFailedLogins,
+        maxFailedLoginsPerIp: settings.maxFailedLoginsPerIp,
+        windowMs: settings.failureWindowMinutes * MINUTE_MS,
+        lockoutMs: settings.lockoutMinutes * MINUTE_MS
+    };
+};
+
+// Accounts are tracked by user ID; names that match no account are tracked as typed,
+// so they lock the same way and lockouts do not reveal which accounts exist
+const accountValue = (user, username) => (user ? String(user._id) : String(username || '').trim().toLowerCase());
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+const lockedError = (throttle) => {
+    if (throttle.kind === 'ip') {
+        return new AppError('Too many failed logins from this network. Please try again later.', 429, 'IP_BLOCKED', {
+            retryAfter: secondsUntil(throttle.lockedUntil)
+        });
+    }
+    const minutes = Math.ceil(secondsUntil(throttle.lockedUntil) / 60);
+    return new AppError(`Account is locked after too many failed logins. Try again in ${minutes} minute(s) or ask an administrator to unlock it.`, 423, 'ACCOUNT_LOCKED', {
+        lockedUntil: throttle.lockedUntil,
+        retryAfter: secondsUntil(throttle.lockedUntil)
+    });
+};
+
+// Refuse a login attempt while the account is locked, the IP is blocked, or the delay
+// after the last failure has not passed
+const assertCanAttempt = async ({ ip, user, username }) => {
+    const keys = [LoginThrottle.keyFor('ip', ip)];
+    const account = accountValue(user, username);
+    if (account) keys.push(LoginThrottle.keyFor('account', account));
+
+    const [throttles, policy] = await Promise.all([
+        LoginThrottle.find({ key: { $in: keys } }),
+        getPolicy()
+    ]);
+
+    for (const throttle of throttles) {
+        if (throttle.isLocked) throw lockedError(throttle);
+
+        if (!throttle.lastFailureAt || Date.now() - throttle.lastFailureAt.getTime() > policy.windowMs) continue;
+        const nextAttemptAt = new Date(throttle.lastFailureAt.getTime() + delayFor(throttle.failures) * 1000);
+        if (nextAttemptAt > new Date()) {
+            throw new AppError('Too many failed logins. Please wait a moment and try again.', 429, 'LOGIN_THROTTLED', {
+                retryAfter: secondsUntil(nextAttemptAt)
+            });
+        }
+    }
+};
+
+// Count a failed login (bad password, unknown account, wrong 2FA code, ...) against the
+// account and the IP, locking either once it reaches its limit. Resolves to the lock
+// error when this failure caused one, otherwise null.
+const recordFailure = async ({ ip, user, username, userAgent, reason }) => {
+    const policy = await getPolicy();
+    const account = accountValue(user, username);
+
+    const [accountThrottle, ipThrottle] = await Promise.all([
+        account
+            ? LoginThrottle.recordFailure('account', account, { windowMs: policy.windowMs, user: user && user._id, username })
+            : null,
+        LoginThrottle.recordFailure('ip', ip, { windowMs: policy.windowMs, ip })
+    ]);
+
+    await SecurityEvent.record({
+        type: reason === 'two-factor' ? 'two-factor-failure' : 'login-failure',
+        user: user && user._id,
+        username,
+        ip,
+        userAgent,
+        details: { reason, failures: accountThrottle ? accountThrottle.failures : undefined }
+    });
+
+    let lockError = null;
+    if (accountThrottle && accountThrottle.failures >= policy.maxFailedLogins && !accountThrottle.isLocked) {
+        const locked = await LoginThrottle.lock(accountThrottle, policy.lockoutMs);
+        await SecurityEvent.record({
+            type: 'account-locked',
+            user: user && user._id,
+            username,
+            ip,
+            userAgent,
+            details: { failures: locked.failures, lockedUntil: locked.lockedUntil }
+        });
+        lockError = lockedError(locked);
+    }
+    if (ipThrottle.failures >= policy.maxFailedLoginsPerIp && !ipThrottle.isLocked) {
+        const blocked = await LoginThrottle.lock(ipThrottle, policy.lockoutMs);
+        await SecurityEvent.record({
+            type: 'ip-blocked',
+            ip,
+            userAgent,
+            details: { failures: blocked.failures, lockedUntil: blocked.lockedUntil }
+        });
+        lockError = lockError || lockedError(blocked);
+    }
+    return lockError;
+};
+
+// A completed login clears the account's failures
+const recordSuccess = async ({ ip, user, userAgent, method = 'password' }) => {
+    await LoginThrottle.deleteOne({ key: LoginThrottle.keyFor('account', accountValue(user)) });
+    await SecurityEvent.record({
+        type: 'login-success',
+        user: user._id,
+        username: user.username,
+        ip,
+        userAgent,
+        details: { method }
+    });
+};
+
+// Lift an account lock (and forget its failures) before it runs out
+const unlockAccount = async (user, actor) => {
+    const result = await LoginThrottle.deleteOne({ key: LoginThrottle.keyFor('account', accountValue(user)) });
+    await SecurityEvent.record({ type: 'account-unlocked', user: user._id, username: user.username, actor: actor._id });
+    return result.deletedCount > 0;
+};
+
+// Lift an IP block before it runs out
+const unblockIp = async (ip, actor) => {
+    const result = await LoginThrottle.deleteOne({ key: LoginThrottle.keyFor('ip', ip) });
+    await SecurityEvent.record({ type: 'ip-unblocked', ip, actor: actor._id });
+    return result.deletedCount > 0;
+};
+
+// Locked accounts and blocked IPs right now
+const getLockouts = () => LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+    .populate('user', 'username fullName email')
+    .sort({ lockedAt: -1 });
+
+module.exports = {
+    assertCanAttempt,
+    recordFailure,
+    recordSuccess,
+    unlockAccount,
+    unblockIp,
+    getLockouts
+};
@@ -0,0 +1,146 @@
+const Order = require('../models/Order');
+const RawMaterial = require('../models/RawMaterial');
+const MaterialMovement = require('../models/MaterialMovement');
+const BillOfMaterials = require('../models/BillOfMaterials');
+const { AppError } = require('../utils/errors');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const orderReference = (order) => ({ kind: 'Order', documentId: order._id, number: order.orderNumber });
+
+// Pieces of a line per size: the size run if there is one, else the line's own size
+const piecesBySize = (item) => (
+    (item.sizeBreakdown || []).length > 0
+        ? item.sizeBreakdown.map(row => ({ size: row.size, quantity: row.quantity }))
+        : [{ size: item.size, quantity: item.quantity }]
+);
+
+// Total the materials a set of orders needs from their products' bills of materials.
+// Resolves to the totals keyed by material ID and the products that have no bill.
+const calculateRequirements = async (orders, session = null) => {
+    const productIds = [...new Set(orders.flatMap(order => order.items.map(item => String(item.product._id || item.product))))];
+    const boms = await BillOfMaterials.find({ product: { $in: productIds } }).session(session);
+    const bomByProduct = new Map(boms.map(bom => [String(bom.product), bom]));
+
+    const totals = new Map();
+    const withoutBom = new Map();
+    for (const order of orders) {
+        for (const item of order.items) {
+            const productId = String(item.product._id || item.product);
+            const bom = bomByProduct.get(productId);
+            if (!bom || bom.lines.length === 0) {
+                withoutBom.set(productId, { product: productId, productName: item.productName, productCode: item.productCode });
+                continue;
+            }
+            piecesBySize(item).forEach(({ size, quantity }) => bom.requirementsFor(quantity, size, totals));
+        }
+    }
+
+    return { totals, withoutBom: [...withoutBom.values()] };
+};
+
+// Material requirements of one order, or of every order in `statuses` (confirmed orders
+// not yet in production by default), against material stock on hand
+const getRequirements = async ({ order, statuses = ['confirmed'] } = {}) => {
+    const orders = order
+        ? await Order.find({ _id: order })
+        : await Order.find({ status: { $in: statuses }, orderType: { $ne: 'quote' } });
+
+    const { totals, withoutBom } = await calculateRequirements(orders);
+    const materials = await RawMaterial.find({ _id: { $in: [...totals.keys()] } });
+
+    const lines = materials.map(material => {
+        const required = RawMaterial.roundQuantity(totals.get(String(material._id)));
+        const shortfall = RawMaterial.roundQuantity(Math.max(0, required - material.stockQuantity));
+        return {
+            material: material._id,
+            code: material.code,
+            name: material.name,
+            category: material.category,
+            unit: material.unit,
+            required,
+            inStock: material.stockQuantity,
+            shortfall,
+            estimatedCost: roundCurrency(required * (material.unitCost || 0)),
+            shortfallCost: roundCurrency(shortfall * (material.unitCost || 0))
+        };
+    }).sort((a, b) => b.shortfall - a.shortfall || a.code.localeCompare(b.code));
+
+    return {
+        orders: orders.map(item => ({ _id: item._id, orderNumber: item.orderNumber, status: item.status })),
+        materials: lines,
+        productsWithoutBom: withoutBom,
+        totalShortfallCost: roundCurrency(lines.reduce((sum, line) => sum + line.shortfallCost, 0))
+    };
+};
+
+// Add stock to (positive `change`) or take it out of (negative) a material, recording
+// why. A receipt with a unit cost updates the material's cost.
+const adjustMaterialStock = async (materialId, { change, type = 'adjustment', reason, reference, unitCost, userId = null, session = null }) => {
+    const material = await RawMaterial.adjustStock(materialId, change, session);
+    if (type === 'receipt' && unitCost != null) {
+        material.unitCost = unitCost;
+        await RawMaterial.updateOne({ _id: material._id }, { $set: { unitCost } }, { session });
+    }
+
+    await MaterialMovement.record({
+        material: material._id,
+        materialCode: material.code,
+        type,
+        quantity: RawMaterial.roundQuantity(change),
+        stockAfter: material.stockQuantity,
+        unitCost: unitCost != null ? unitCost : material.unitCost,
+        reason,
+        reference,
+        user: userId
+    }, session);
+    return material;
+};
+
+// Issue the materials an order's bill of materials calls for as production starts.
+// Every shortage is reported at once and nothing is issued if any material is short.
+const consumeForOrder = async (order, { userId = null, session = null } = {}) => {
+    const { totals } = await calculateRequirements([order], session);
+    if (totals.size === 0) return [];
+
+    const materials = await RawMaterial.find({ _id: { $in: [...totals.keys()] } }).session(session);
+    const shortages = materials
+        .map(material => ({
+            material: material._id,
+            code: material.code,
+            name: material.name,
+            unit: material.unit,
+            required: RawMaterial.roundQuantity(totals.get(String(material._id))),
+            available: material.stockQuantity
+        }))
+        .filter(line => line.required > line.available);
+    if (shortages.length > 0) {
+        throw new AppError(`Not enough material to start production of order ${order.orderNumber}`, 409, 'INSUFFICIENT_MATERIAL', {
+            shortages
+        });
+    }
+
+    const issued = [];
+    for (const material of materials) {
+        const quantity = RawMaterial.roundQuantity(totals.get(String(material._id)));
+        if (quantity <= 0) continue;
+
+        await adjustMaterialStock(material._id, {
+            change: -quantity,
+            type: 'consumption',
+            reason: 'Issued to production',
+            reference: orderReference(order),
+            userId,
+            session
+        });
+        issued.push({ material: material._id, code: material.code, quantity });
+    }
+    return issued;
+};
+
+module.exports = {
+    calculateRequirements,
+    getRequirements,
+    adjustMaterialStock,
+    consumeForOrder
+};
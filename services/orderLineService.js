@@ -0,0 +1,105 @@
+const Product = require('../models/Product');
+const pricingService = require('./pricingService');
+const { AppError, InsufficientStockError } = require('../utils/errors');
+
+const variantFields = (variant) => (
+    variant ? { variant: variant._id, sku: variant.sku, color: variant.color, size: variant.size } : {}
+);
+
+// Stop a line that needs more stock than is free, per variant where the product has variants
+const checkStock = (product, line, variants = []) => {
+    if (variants.length === 0) {
+        if (product.availableQuantity < line.quantity) {
+            throw new InsufficientStockError(product, line.quantity);
+        }
+        return;
+    }
+
+    variants.forEach(({ variant, quantity }) => {
+        if (variant.availableQuantity < quantity) {
+            throw new InsufficientStockError(product, quantity, variant);
+        }
+    });
+};
+
+// Build a priced order or quotation line from a requested item: { product, quantity,
+// variant | sku | color + size, sizeBreakdown, customization, priceOverride, notes }.
+// A line with a size breakdown takes its quantity from the run. Pass `holdsStock` to
+// reject lines that cannot be covered from free stock.
+const buildLine = async (item, { user, holdsStock = false } = {}) => {
+    const product = await Product.findById(item.product);
+    if (!product) {
+        throw new AppError(`Product ${item.product} not found`, 404, 'PRODUCT_NOT_FOUND', { product: item.product });
+    }
+
+    const base = {
+        product: product._id,
+        productName: product.name,
+        productCode: product.code,
+        tax: { hsnCode: product.hsnCode, rate: product.gstRate },
+        notes: item.notes
+    };
+
+    if (item.sizeBreakdown && item.sizeBreakdown.length > 0) {
+        const color = item.color || (item.customization && item.customization.color);
+        const rows = product.resolveSizeBreakdown(item.sizeBreakdown, { color });
+        const line = pricingService.priceSizeRun(product, {
+            sizeBreakdown: rows,
+            customization: item.customization,
+            priceOverride: item.priceOverride,
+            user
+        });
+
+        if (holdsStock) {
+            checkStock(product, line, rows.filter(row => row.variant));
+        }
+
+        return {
+            ...base,
+            color: product.hasVariants ? color : undefined,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            totalPrice: line.totalPrice,
+            pricing: line.pricing,
+            customization: line.customization,
+            sizeBreakdown: line.sizeBreakdown.map(({ variant, ...row }) => ({
+                ...row,
+                variant: variant ? variant._id : undefined
+            }))
+        };
+    }
+
+    const variant = product.resolveVariant(item);
+    const line = pricingService.priceLine(product, {
+        quantity: item.quantity,
+        customization: item.customization,
+        variant,
+        priceOverride: item.priceOverride,
+        user
+    });
+
+    if (holdsStock) {
+        checkStock(product, { quantity: item.quantity }, variant ? [{ variant, quantity: item.quantity }] : []);
+    }
+
+    return {
+        ...base,
+        ...variantFields(variant),
+        quantity: item.quantity,
+        unitPrice: line.unitPrice,
+        totalPrice: line.totalPrice,
+        pricing: line.pricing,
+        customization: line.customization
+    };
+};
+
+// Size run of a line as "28 × 80, 30 × 120", for documents
+const describeSizeBreakdown = (item) => (
+    (item.sizeBreakdown || []).map(row => `${row.size} × ${row.quantity}`).join(', ')
+);
+
+module.exports = {
+    checkStock,
+    buildLine,
+    describeSizeBreakdown
+};
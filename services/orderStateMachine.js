@@ -0,0 +1,218 @@
+const inventoryService = require('./inventoryService');
+const invoiceService = require('./invoiceService');
+const creditService = require('./creditService');
+const materialService = require('./materialService');
+const emailService = require('./emailService');
+const JobCard = require('../models/JobCard');
+const QualityInspection = require('../models/QualityInspection');
+const { OrderTransitionError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { getDueDate } = require('../utils/paymentTerms');
+
+// Guards return a reason string when the transition must be refused
+
+const hasItems = (order) => {
+    if (!order.items || order.items.length === 0) {
+        return 'Order must contain at least one item';
+    }
+    return null;
+};
+
+// Every line's latest inspection passed and no rework is open
+const qualityPassed = async (order, { session }) => {
+    const quality = await QualityInspection.getOrderStatus(order, session);
+    if (!quality.passed) {
+        const uninspected = quality.lines.filter(line => !line.outcome).length;
+        const failed = quality.lines.filter(line => line.outcome && line.outcome !== 'pass').length;
+        const details = [
+            uninspected && `${uninspected} line(s) not inspected`,
+            failed && `${failed} line(s) awaiting re-inspection`,
+            quality.openRework && `${quality.openRework} rework ticket(s) open`
+        ].filter(Boolean).join(', ');
+        return `Quality check must pass before the order is ready (${details})`;
+    }
+    return null;
+};
+
+// Production is done when every job card is; orders made without job cards pass
+const jobCardsComplete = async (order, { session }) => {
+    const open = await JobCard.countDocuments({ order: order._id, status: { $in: ['pending', 'in-progress'] } }).session(session);
+    if (open > 0) {
+        return `${open} job card(s) are still in production`;
+    }
+    return null;
+};
+
+// Credit orders must fit the customer's credit limit or carry a manager's approval
+const withinCreditLimit = async (order, { session }) => {
+    const evaluation = await creditService.evaluateOrder(order, { session });
+    if (evaluation.withinLimit || creditService.isApproved(order)) {
+        return null;
+    }
+    return `Order takes the customer to ${evaluation.projectedExposure} against a credit limit of ${evaluation.creditLimit}; manager approval is required`;
+};
+
+// Effects run in the same transaction as the order save; a failing effect aborts the transition
+
+const stampProductionStart = (order) => {
+    if (!order.productionStartDate) {
+        order.productionStartDate = new Date();
+    }
+};
+
+// Issue the materials the order's bills of materials call for; a shortage stops production starting
+const consumeMaterials = (order, { userId, session }) => materialService.consumeForOrder(order, { userId, session });
+
+// Open a job card for each line as production starts
+const openJobCards = (order, { userId, session }) => JobCard.createForOrder(order, { userId, session });
+
+const cancelJobCards = (order, { session }) => JobCard.updateMany(
+    { order: order._id, status: { $in: ['pending', 'in-progress'] } },
+    { $set: { status: 'cancelled' } },
+    { session }
+);
+
+const stampCompletion = (order) => {
+    if (!order.actualCompletionDate) {
+        order.actualCompletionDate = new Date();
+    }
+};
+
+const stampDelivery = (order) => {
+    if (!order.actualDeliveryDate) {
+        order.actualDeliveryDate = new Date();
+    }
+};
+
+// Orders delivered before they are invoiced fall due from the delivery date
+const stampDueDate = (order) => {
+    if (!order.dueDate) {
+        order.dueDate = getDueDate(order.paymentTerms, order.actualDeliveryDate || new Date());
+    }
+};
+
+// Confirming a quote turns it into an order, which then holds stock
+const reserveStock = async (order, { userId, session }) => {
+    if (order.orderType === 'quote') {
+        order.orderType = 'order';
+    }
+    await inventoryService.reserveOrderStock(order, session, userId);
+};
+
+const releaseStock = (order, { userId, session }) => inventoryService.releaseOrderStock(order, session, userId);
+
+const deductStock = (order, { userId, session }) => inventoryService.fulfilOrderStock(order, session, userId);
+
+// Cancelling an invoiced order reverses the invoice with a credit note
+const creditInvoice = (order, { userId, notes, session }) =>
+    invoiceService.creditOrderInvoice(order, { reason: notes || undefined, userId, session });
+
+// After hooks run once the order is saved; failures are logged, never thrown
+
+const notifyStatusChange = async (order, { to }) => {
+    if (!order.populated('customer')) {
+        await order.populate('customer', 'name company email');
+    }
+    await emailService.sendOrderStatusUpdate(order, to);
+};
+
+// Declarative lifecycle: draft → pending → confirmed → in-production → ready → delivered,
+// with cancellation available until the order is ready
+const transitionTable = {
+    draft: {
+        pending: { guards: [hasItems] },
+        cancelled: { effects: [releaseStock] }
+    },
+    pending: {
+        draft: {},
+        confirmed: { guards: [hasItems, withinCreditLimit], effects: [reserveStock] },
+        cancelled: { effects: [releaseStock] }
+    },
+    confirmed: {
+        'in-production': { effects: [stampProductionStart, consumeMaterials, openJobCards] },
+        ready: { guards: [qualityPassed], effects: [stampCompletion] },
+        cancelled: { effects: [releaseStock, creditInvoice] }
+    },
+    'in-production': {
+        ready: { guards: [jobCardsComplete, qualityPassed], effects: [stampCompletion] },
+        cancelled: { effects: [releaseStock, creditInvoice, cancelJobCards] }
+    },
+    ready: {
+        delivered: { effects: [stampDelivery, stampDueDate, deductStock] }
+    },
+    delivered: {},
+    cancelled: {}
+};
+
+const defaultAfterHooks = [notifyStatusChange];
+
+const getAllowedTransitions = (status) => Object.keys(transitionTable[status] || {});
+
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// Move an order to a new status, enforcing the transition table, running guards,
+// effects and after hooks, and recording the change in statusHistory.
+// Effects and the save share one transaction (the caller's, when a session is given).
+const transition = async (order, to, { userId, notes = '', session = null } = {}) => {
+    const from = order.status;
+    const rule = transitionTable[from] && transitionTable[from][to];
+    const allowedTransitions = getAllowedTransitions(from);
+
+    if (!rule) {
+        throw new OrderTransitionError(`Cannot change order status from ${from} to ${to}`, {
+            from,
+            to,
+            allowedTransitions
+        });
+    }
+
+    const context = { from, to, userId, notes, session };
+
+    const reasons = [];
+    for (const guard of rule.guards || []) {
+        const reason = await guard(order, context);
+        if (reason) reasons.push(reason);
+    }
+    if (reasons.length > 0) {
+        throw new OrderTransitionError(`Order cannot move from ${from} to ${to}`, {
+            code: 'TRANSITION_GUARD_FAILED',
+            from,
+            to,
+            allowedTransitions,
+            reasons
+        });
+    }
+
+    await withTransaction(async (txSession) => {
+        const effectContext = { ...context, session: txSession };
+        for (const effect of rule.effects || []) {
+            await effect(order, effectContext);
+        }
+
+        order.status = to;
+        order.statusHistory.push({
+            status: to,
+            previousStatus: from,
+            changedBy: userId,
+            notes
+        });
+        await order.save({ session: txSession });
+    }, session, { documents: [order] });
+
+    for (const hook of [...(rule.after || []), ...defaultAfterHooks]) {
+        try {
+            await hook(order, context);
+        } catch (error) {
+            console.error(`Order ${order.orderNumber} ${from}→${to} hook error:`, error);
+        }
+    }
+
+    return order;
+};
+
+module.exports = {
+    transitionTable,
+    getAllowedTransitions,
+    canTransition,
+    transition
+};
@@ -0,0 +1,173 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Re-derive an order's paidAmount and paymentStatus from the ledger
+const syncOrderPayment = async (orderId, session = null) => {
+    const paidAmount = await Payment.getOrderPaidAmount(orderId, session);
+    return Order.setPaidAmount(orderId, paidAmount, session);
+};
+
+// Check the allocations to each order against it and attach the order number. Receipts
+// may not exceed what is still due; refunds may not exceed what has been paid.
+const resolveAllocations = async (type, customerId, allocations, session) => {
+    const resolved = [];
+
+    // Allocations to the same order are merged, so their total is what gets checked
+    const totals = new Map();
+    for (const allocation of allocations) {
+        const orderId = String(allocation.order);
+        totals.set(orderId, roundCurrency((totals.get(orderId) || 0) + Number(allocation.amount)));
+    }
+
+    for (const [orderId, amount] of totals) {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new AppError(`Order ${orderId} not found`, 404, 'ORDER_NOT_FOUND', { order: orderId });
+        }
+        if (String(order.customer) !== String(customerId)) {
+            throw new AppError(`Order ${order.orderNumber} belongs to another customer`, 400, 'ALLOCATION_CUSTOMER_MISMATCH', {
+                order: order._id
+            });
+        }
+
+        if (type === 'receipt') {
+            if (order.status === 'cancelled') {
+                throw new AppError(`Order ${order.orderNumber} is cancelled`, 400, 'ORDER_CANCELLED', { order: order._id });
+            }
+            if (amount > order.balanceDue) {
+                throw new AppError(`Only ${order.balanceDue} is due on order ${order.orderNumber}`, 400, 'ALLOCATION_EXCEEDS_BALANCE', {
+                    order: order._id,
+                    requested: amount,
+                    balanceDue: order.balanceDue
+                });
+            }
+        } else if (amount > (order.paidAmount || 0)) {
+            throw new AppError(`Only ${order.paidAmount || 0} has been paid on order ${order.orderNumber}`, 400, 'REFUND_EXCEEDS_PAID', {
+                order: order._id,
+                requested: amount,
+                paidAmount: order.paidAmount || 0
+            });
+        }
+
+        resolved.push({ order: order._id, orderNumber: order.orderNumber, amount });
+    }
+
+    return resolved;
+};
+
+// Write a receipt or refund to the ledger and apply it to orders and the customer's
+// credit balance, all in one transaction
+const postEntry = async (type, {
+    customer: customerId,
+    amount,
+    method,
+    reference,
+    bankName,
+    paymentDate,
+    allocations = [],
+    reason,
+    notes
+}, user, session = null) => {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+        throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    }
+
+    amount = roundCurrency(Number(amount));
+    const allocated = roundCurrency(allocations.reduce((sum, allocation) => sum + Number(allocation.amount), 0));
+    if (allocated > amount) {
+        throw new AppError('Allocations exceed the payment amount', 400, 'ALLOCATIONS_EXCEED_AMOUNT', { amount, allocated });
+    }
+    const unallocatedAmount = roundCurrency(amount - allocated);
+
+    if (type === 'receipt' && method === 'credit' && unallocatedAmount > 0) {
+        throw new AppError('Payments from credit balance must be fully allocated to orders', 400, 'CREDIT_PAYMENT_UNALLOCATED');
+    }
+
+    return withTransaction(async (txSession) => {
+        const payment = new Payment({
+            receiptNumber: await Payment.allocateNumber(type, paymentDate ? new Date(paymentDate) : new Date(), txSession),
+            type,
+            customer: customer._id,
+            customerName: customer.company || customer.name,
+            amount,
+            method,
+            reference,
+            bankName,
+            paymentDate,
+            allocations: await resolveAllocations(type, customer._id, allocations, txSession),
+            unallocatedAmount,
+            reason,
+            notes,
+            receivedBy: user._id
+        });
+        await payment.save({ session: txSession });
+
+        // Credit balance: overpayments go on account, refunds without an order come off it,
+        // and paying with credit draws it down
+        if (type === 'receipt' && method === 'credit') {
+            await Customer.adjustCreditBalance(customer._id, -amount, txSession);
+        } else if (unallocatedAmount > 0) {
+            await Customer.adjustCreditBalance(customer._id, type === 'receipt' ? unallocatedAmount : -unallocatedAmount, txSession);
+        }
+
+        for (const allocation of payment.allocations) {
+            await syncOrderPayment(allocation.order, txSession);
+        }
+
+        return payment;
+    }, session);
+};
+
+// Record money received from a customer
+const recordReceipt = (data, user, session = null) => postEntry('receipt', data, user, session);
+
+// Record money paid back to a customer, against an order or from their credit balance
+const recordRefund = (data, user, session = null) => postEntry('refund', data, user, session);
+
+// Reverse a mistaken entry. The entry stays in the ledger marked as reversed and
+// every effect it had on orders and the credit balance is undone.
+const reversePayment = async (payment, { reason, user, session = null }) => {
+    return withTransaction(async (txSession) => {
+        const claimed = await Payment.updateOne(
+            { _id: payment._id, status: 'completed' },
+            { $set: { status: 'reversed', reversal: { reversedAt: new Date(), reversedBy: user._id, reason } } },
+            { session: txSession }
+        );
+        if (claimed.modifiedCount !== 1) {
+            throw new AppError(`${payment.receiptNumber} has already been reversed`, 409, 'PAYMENT_ALREADY_REVERSED');
+        }
+
+        if (payment.type === 'receipt' && payment.method === 'credit') {
+            await Customer.adjustCreditBalance(payment.customer, payment.amount, txSession);
+        } else if (payment.unallocatedAmount > 0) {
+            const amount = payment.type === 'receipt' ? -payment.unallocatedAmount : payment.unallocatedAmount;
+            try {
+                await Customer.adjustCreditBalance(payment.customer, amount, txSession);
+            } catch (error) {
+                if (error instanceof AppError && error.code === 'INSUFFICIENT_CREDIT_BALANCE') {
+                    throw new AppError('The credit from this payment has already been used; reverse those payments first', 409, 'CREDIT_ALREADY_USED');
+                }
+                throw error;
+            }
+        }
+
+        for (const allocation of payment.allocations) {
+            await syncOrderPayment(allocation.order, txSession);
+        }
+
+        return Payment.findById(payment._id).session(txSession);
+    }, session);
+};
+
+module.exports = {
+    syncOrderPayment,
+    recordReceipt,
+    recordRefund,
+    reversePayment
+};
@@ -0,0 +1,519 @@
+const PDFDocument = require('pdfkit');
+const letterhead = require('../utils/letterhead');
+const taxService = require('./taxService');
+const { describeSizeBreakdown } = require('./orderLineService');
+
+const PAGE_MARGIN = 40;
+const FOOTER_HEIGHT = 50;
+
+// The standard PDF fonts have no rupee glyph, so amounts are printed as "Rs. 1,234.00"
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+})}`;
+
+const formatNumber = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+const formatAddress = (address) => {
+    if (!address) return '';
+    return [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', ');
+};
+
+// Collect a PDFKit document into a Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+// Red letterhead band across the top of the page, matching the email templates
+const drawHeader = (doc, title) => {
+    const width = doc.page.width;
+
+    doc.rect(0, 0, width, 90).fill(letterhead.colors.primary);
+    doc.fillColor('white')
+        .font('Helvetica-Bold').fontSize(22)
+        .text(letterhead.title, PAGE_MARGIN, 22)
+        .font('Helvetica').fontSize(9)
+        .text(letterhead.address, PAGE_MARGIN, 52)
+        .text(`Phone: ${letterhead.phone}${letterhead.gstin ? `   GSTIN: ${letterhead.gstin}` : ''}`, PAGE_MARGIN, 65);
+
+    doc.font('Helvetica-Bold').fontSize(16)
+        .text(title, PAGE_MARGIN, 30, { width: width - PAGE_MARGIN * 2, align: 'right' });
+
+    doc.fillColor('black').font('Helvetica').fontSize(9);
+    doc.y = 110;
+};
+
+// Dark footer band, matching the email templates
+const drawFooter = (doc) => {
+    const { width, height } = doc.page;
+    const bottomMargin = doc.page.margins.bottom;
+
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.rect(0, height - FOOTER_HEIGHT + 10, width, FOOTER_HEIGHT - 10).fill(letterhead.colors.footer);
+    doc.fillColor('white').font('Helvetica').fontSize(8)
+        .text(`© ${new Date().getFullYear()} ${letterhead.name}. All rights reserved.`, 0, height - 32, { width, align: 'center' })
+        .text(letterhead.address, 0, height - 21, { width, align: 'center' });
+    doc.fillColor('black');
+    doc.page.margins.bottom = bottomMargin;
+};
+
+// Draw one table row; `columns` is a list of { width, align }
+const drawRow = (doc, columns, values, { bold = false, shade = null } = {}) => {
+    const rowHeight = Math.max(...values.map((value, index) => (
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').heightOfString(String(value), { width: columns[index].width - 6 })
+    ))) + 8;
+
+    if (doc.y + rowHeight > doc.page.height - FOOTER_HEIGHT - PAGE_MARGIN) {
+        doc.addPage();
+        doc.y = PAGE_MARGIN;
+    }
+
+    const top = doc.y;
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    if (shade) {
+        doc.rect(PAGE_MARGIN, top, tableWidth, rowHeight).fill(shade);
+        doc.fillColor('black');
+    }
+
+    let x = PAGE_MARGIN;
+    values.forEach((value, index) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+            .text(String(value), x + 3, top + 4, { width: columns[index].width - 6, align: columns[index].align || 'left' });
+        x += columns[index].width;
+    });
+
+    doc.moveTo(PAGE_MARGIN, top + rowHeight).lineTo(PAGE_MARGIN + tableWidth, top + rowHeight)
+        .lineWidth(0.5).strokeColor('#dddddd').stroke();
+    doc.y = top + rowHeight;
+};
+
+// Customer block on the left, document details (number, date, ...) on the right
+const drawParties = (doc, buyer = {}, details = []) => {
+    const top = doc.y;
+    const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2 - 10;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', PAGE_MARGIN, top);
+    doc.font('Helvetica').fontSize(9)
+        .text([
+            buyer.company || buyer.name,
+            buyer.company ? buyer.name : null,
+            formatAddress(buyer.billingAddress),
+            buyer.phone,
+            buyer.email,
+            buyer.gstin ? `GSTIN: ${buyer.gstin}` : null
+        ].filter(Boolean).join('\n'), PAGE_MARGIN, top + 14, { width: columnWidth });
+    const leftBottom = doc.y;
+
+    const rightX = PAGE_MARGIN + columnWidth + 20;
+    doc.y = top;
+    details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').text(label, rightX, y, { width: 95 });
+        doc.font('Helvetica').text(value || '', rightX + 95, y, { width: columnWidth - 95 });
+    });
+
+    const shipTo = formatAddress(buyer.shippingAddress);
+    if (shipTo) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text('Ship to', rightX);
+        doc.font('Helvetica').text(shipTo, rightX, doc.y, { width: columnWidth });
+    }
+
+    doc.y = Math.max(leftBottom, doc.y) + 15;
+};
+
+const lineColumns = [
+    { width: 22 },
+    { width: 150 },
+    { width: 48 },
+    { width: 35, align: 'right' },
+    { width: 58, align: 'right' },
+    { width: 62, align: 'right' },
+    { width: 32, align: 'right' },
+    { width: 50, align: 'right' },
+    { width: 58, align: 'right' }
+];
+
+const drawLines = (doc, lines, shipping = {}) => {
+    drawRow(doc, lineColumns, ['#', 'Item', 'HSN', 'Qty', 'Rate', 'Taxable', 'GST %', 'Tax', 'Total'], {
+        bold: true,
+        shade: '#f3f4f6'
+    });
+
+    lines.forEach((line, index) => {
+        const code = line.sku || line.productCode;
+        const name = [line.productName, code ? `(${code})` : null].filter(Boolean).join(' ');
+        drawRow(doc, lineColumns, [
+            index + 1,
+            line.description ? `${name}\n${line.description}` : name,
+            line.hsnCode || '',
+            line.quantity,
+            formatNumber(line.unitPrice),
+            formatNumber(line.taxableValue),
+            line.rate,
+            formatNumber(line.totalTax),
+            formatNumber(line.lineTotal)
+        ]);
+    });
+
+    if (shipping.amount) {
+        drawRow(doc, lineColumns, [
+            '',
+            'Shipping and handling',
+            '',
+            '',
+            '',
+            formatNumber(shipping.taxableValue),
+            shipping.rate,
+            formatNumber(shipping.totalTax),
+            formatNumber((shipping.taxableValue || 0) + (shipping.totalTax || 0))
+        ]);
+    }
+
+    doc.moveDown(1);
+};
+
+const drawTaxSummary = (doc, byRate = [], supplyType) => {
+    const interState = supplyType === 'inter-state';
+    const columns = interState
+        ? [{ width: 60 }, { width: 90, align: 'right' }, { width: 90, align: 'right' }, { width: 90, align: 'right' }]
+        : [{ width: 60 }, { width: 90, align: 'right' }, { width: 80, align: 'right' }, { width: 80, align: 'right' }, { width: 90, align: 'right' }];
+    const header = interState
+        ? ['GST rate', 'Taxable value', 'IGST', 'Total tax']
+        : ['GST rate', 'Taxable value', 'CGST', 'SGST', 'Total tax'];
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Tax summary', PAGE_MARGIN, doc.y);
+    doc.fontSize(9).moveDown(0.3);
+    drawRow(doc, columns, header, { bold: true, shade: '#f3f4f6' });
+
+    byRate.forEach(bucket => {
+        const amounts = interState
+            ? [formatNumber(bucket.igst)]
+            : [formatNumber(bucket.cgst), formatNumber(bucket.sgst)];
+        drawRow(doc, columns, [`${bucket.rate}%`, formatNumber(bucket.taxableValue), ...amounts, formatNumber(bucket.totalTax)]);
+    });
+
+    doc.moveDown(1);
+};
+
+// Red band with the amount the document is for, right-aligned under the tables
+const drawGrandTotal = (doc, label, amount) => {
+    const labelX = doc.page.width - PAGE_MARGIN - 230;
+    const y = doc.y + 4;
+    doc.rect(labelX - 6, y - 3, 236, 20).fill(letterhead.colors.primary);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(10)
+        .text(label, labelX, y + 2, { width: 120 })
+        .text(formatAmount(amount), labelX + 120, y + 2, { width: 110, align: 'right' });
+    doc.fillColor('black').font('Helvetica').fontSize(9);
+    doc.y = y + 30;
+};
+
+const drawTotals = (doc, totals = {}, supplyType, grandTotalLabel) => {
+    const interState = supplyType === 'inter-state';
+    const rows = [
+        ['Subtotal', totals.subtotal],
+        totals.discount ? ['Discount', -totals.discount] : null,
+        totals.shippingCost ? ['Shipping', totals.shippingCost] : null,
+        interState ? ['IGST', totals.igst] : ['CGST', totals.cgst],
+        interState ? null : ['SGST', totals.sgst]
+    ].filter(Boolean);
+
+    const labelX = doc.page.width - PAGE_MARGIN - 230;
+    rows.forEach(([label, amount]) => {
+        const y = doc.y;
+        doc.font('Helvetica').text(label, labelX, y, { width: 120 });
+        doc.text(formatAmount(amount), labelX + 120, y, { width: 110, align: 'right' });
+    });
+
+    drawGrandTotal(doc, grandTotalLabel, totals.grandTotal);
+};
+
+// Pages are buffered so the footer can be drawn on every page once the content is laid out
+const createDocument = (title) => new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+        Title: title,
+        Author: letterhead.name
+    }
+});
+
+const finishDocument = (doc) => {
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        drawFooter(doc);
+    }
+
+    return toBuffer(doc);
+};
+
+// Render a branded A4 document from a view: { title, heading, buyer, details, lines,
+// shipping, byRate, supplyType, totals, grandTotalLabel, remarks, footnote }
+const renderDocument = (view) => {
+    const doc = createDocument(view.title);
+
+    drawHeader(doc, view.heading);
+    drawParties(doc, view.buyer, view.details);
+    drawLines(doc, view.lines, view.shipping);
+    drawTaxSummary(doc, view.byRate, view.supplyType);
+    drawTotals(doc, view.totals, view.supplyType, view.grandTotalLabel || 'Grand total');
+
+    (view.remarks || []).filter(([, text]) => text).forEach(([label, text]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true })
+            .font('Helvetica').text(text);
+    });
+    doc.moveDown(1);
+    doc.fontSize(8).fillColor('#6b7280')
+        .text(view.footnote || 'This is a computer generated document and does not require a signature.', PAGE_MARGIN);
+    doc.fillColor('black');
+
+    return finishDocument(doc);
+};
+
+const formatPlaceOfSupply = (place, code) => `${place || ''}${code ? ` (${code})` : ''}`;
+
+// Render an invoice or credit note as a branded A4 PDF
+const renderInvoice = (invoice) => {
+    const creditNote = invoice.type === 'credit-note';
+
+    return renderDocument({
+        title: `${creditNote ? 'Credit Note' : 'Tax Invoice'} ${invoice.invoiceNumber}`,
+        heading: creditNote ? 'CREDIT NOTE' : 'TAX INVOICE',
+        buyer: invoice.buyer,
+        details: [
+            [`${creditNote ? 'Credit note' : 'Invoice'} no:`, invoice.invoiceNumber],
+            ['Date:', formatDate(invoice.issueDate)],
+            invoice.dueDate ? ['Due date:', formatDate(invoice.dueDate)] : null,
+            ['Order no:', invoice.orderNumber],
+            invoice.originalInvoiceNumber ? ['Against invoice:', invoice.originalInvoiceNumber] : null,
+            ['Place of supply:', formatPlaceOfSupply(invoice.placeOfSupply, invoice.placeOfSupplyCode)]
+        ].filter(Boolean),
+        lines: invoice.lines,
+        shipping: invoice.shipping,
+        byRate: invoice.byRate,
+        supplyType: invoice.supplyType,
+        totals: invoice.totals,
+        grandTotalLabel: creditNote ? 'Total credit' : 'Grand total',
+        remarks: [['Reason', invoice.reason], ['Notes', invoice.notes]]
+    });
+};
+
+// Render a quotation as a branded A4 PDF. Lines are laid out like invoice lines,
+// with shipping taxed at the highest line rate as in taxService.applyOrderTax.
+const renderQuotation = (quotation) => {
+    const breakdown = quotation.taxBreakdown || {};
+    const lines = quotation.items.map(item => {
+        const tax = item.tax || {};
+        return {
+            productName: item.productName,
+            productCode: item.productCode,
+            sku: item.sku,
+            hsnCode: tax.hsnCode,
+            description: [
+                [item.color, item.size].filter(Boolean).join(' / '),
+                ...['size', 'color', 'text'].map(key => item.customization && item.customization[key]),
+                describeSizeBreakdown(item) ? `Sizes: ${describeSizeBreakdown(item)}` : null
+            ].filter(Boolean).join(', '),
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            taxableValue: tax.taxableValue,
+            rate: tax.rate,
+            totalTax: tax.totalTax,
+            lineTotal: (tax.taxableValue || 0) + (tax.totalTax || 0)
+        };
+    });
+    const shippingRate = Math.max(0, ...lines.map(line => line.rate || 0));
+    const shipping = quotation.shippingCost
+        ? { amount: quotation.shippingCost, ...taxService.computeTax(quotation.shippingCost, shippingRate, breakdown.supplyType) }
+        : {};
+
+    return renderDocument({
+        title: `Quotation ${quotation.reference}`,
+        heading: 'QUOTATION',
+        buyer: {
+            name: quotation.customerName,
+            company: quotation.customerCompany,
+            email: quotation.customerEmail,
+            phone: quotation.customerPhone,
+            gstin: quotation.customerGstin,
+            shippingAddress: quotation.deliveryAddress
+        },
+        details: [
+            ['Quotation no:', quotation.reference],
+            ['Date:', formatDate(quotation.sentAt || quotation.createdAt || new Date())],
+            ['Valid until:', formatDate(quotation.validUntil)],
+            ['Payment terms:', quotation.paymentTerms],
+            ['Place of supply:', formatPlaceOfSupply(breakdown.placeOfSupply, breakdown.placeOfSupplyCode)]
+        ],
+        lines,
+        shipping,
+        byRate: breakdown.byRate,
+        supplyType: breakdown.supplyType,
+        totals: {
+            subtotal: quotation.subtotal,
+            discount: quotation.discount,
+            shippingCost: quotation.shippingCost,
+            cgst: breakdown.cgst,
+            sgst: breakdown.sgst,
+            igst: breakdown.igst,
+            grandTotal: quotation.totalAmount
+        },
+        grandTotalLabel: 'Total',
+        remarks: [
+            ['Delivery', quotation.deliveryTimeline],
+            ['Terms', quotation.terms],
+            ['Notes', quotation.notes]
+        ],
+        footnote: `Prices are valid until ${formatDate(quotation.validUntil)}. This is a computer generated quotation and does not require a signature.`
+    });
+};
+
+const METHOD_LABELS = {
+    cash: 'Cash',
+    'bank-transfer': 'Bank transfer',
+    cheque: 'Cheque',
+    online: 'Online payment',
+    credit: 'Customer credit balance'
+};
+
+// Render a payment receipt or refund voucher as a branded A4 PDF
+const renderReceipt = (payment, customer = {}) => {
+    const refund = payment.type === 'refund';
+    const doc = createDocument(`${refund ? 'Refund Voucher' : 'Payment Receipt'} ${payment.receiptNumber}`);
+
+    drawHeader(doc, refund ? 'REFUND VOUCHER' : 'PAYMENT RECEIPT');
+    drawParties(doc, {
+        name: customer.name || payment.customerName,
+        company: customer.company,
+        email: customer.email,
+        phone: customer.phone,
+        gstin: customer.gstin,
+        billingAddress: customer.address
+    }, [
+        [`${refund ? 'Voucher' : 'Receipt'} no:`, payment.receiptNumber],
+        ['Date:', formatDate(payment.paymentDate)],
+        ['Method:', METHOD_LABELS[payment.method] || payment.method],
+        payment.reference ? ['Reference:', payment.reference] : null,
+        payment.bankName ? ['Bank:', payment.bankName] : null,
+        payment.status === 'reversed' ? ['Status:', 'REVERSED'] : null
+    ].filter(Boolean));
+
+    const columns = [{ width: 30 }, { width: 335 }, { width: 150, align: 'right' }];
+    drawRow(doc, columns, ['#', refund ? 'Refunded against' : 'Applied to', 'Amount'], { bold: true, shade: '#f3f4f6' });
+    payment.allocations.forEach((allocation, index) => {
+        drawRow(doc, columns, [index + 1, `Order ${allocation.orderNumber}`, formatNumber(allocation.amount)]);
+    });
+    if (payment.unallocatedAmount) {
+        drawRow(doc, columns, [
+            '',
+            refund ? 'Paid out of credit balance' : 'Held as credit on account',
+            formatNumber(payment.unallocatedAmount)
+        ]);
+    }
+    doc.moveDown(1);
+
+    drawGrandTotal(doc, refund ? 'Amount refunded' : 'Amount received', payment.amount);
+
+    [['Reason', payment.reason], ['Notes', payment.notes]].filter(([, text]) => text).forEach(([label, text]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true })
+            .font('Helvetica').text(text);
+    });
+    if (payment.status === 'reversed' && payment.reversal) {
+        doc.font('Helvetica-Bold').fillColor(letterhead.colors.primary)
+            .text(`Reversed on ${formatDate(payment.reversal.reversedAt)}${payment.reversal.reason ? `: ${payment.reversal.reason}` : ''}`, PAGE_MARGIN);
+        doc.fillColor('black').font('Helvetica');
+    }
+    doc.moveDown(1);
+    doc.fontSize(8).fillColor('#6b7280')
+        .text('This is a computer generated document and does not require a signature.', PAGE_MARGIN);
+    doc.fillColor('black');
+
+    return finishDocument(doc);
+};
+
+// Render the workshop's production sheet for an order: every line with its
+// customization and size run, and the names to label pieces with. No prices.
+const renderProductionSheet = (order) => {
+    const doc = createDocument(`Production Sheet ${order.orderNumber}`);
+
+    drawHeader(doc, 'PRODUCTION SHEET');
+    drawParties(doc, {
+        name: order.customerName,
+        company: order.customerCompany,
+        phone: order.customerPhone,
+        shippingAddress: order.deliveryAddress
+    }, [
+        ['Order no:', order.orderNumber],
+        ['Order date:', formatDate(order.orderDate || order.createdAt)],
+        order.preferredDeliveryDate ? ['Deliver by:', formatDate(order.preferredDeliveryDate)] : null,
+        order.priority ? ['Priority:', order.priority] : null,
+        ['Total pieces:', String(order.items.reduce((sum, item) => sum + item.quantity, 0))]
+    ].filter(Boolean));
+
+    order.items.forEach((item, index) => {
+        const customization = item.customization || {};
+        const code = item.sku || item.productCode;
+
+        doc.font('Helvetica-Bold').fontSize(10)
+            .text(`${index + 1}. ${item.productName}${code ? ` (${code})` : ''}`, PAGE_MARGIN, doc.y);
+        doc.font('Helvetica').fontSize(9);
+        [
+            ['Color', item.color || customization.color],
+            ['Size', item.size || customization.size],
+            ['Text', customization.text],
+            ['Logo', customization.logo],
+            ['Notes', item.notes]
+        ].filter(([, value]) => value).forEach(([label, value]) => {
+            doc.font('Helvetica-Bold').text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true })
+                .font('Helvetica').text(value);
+        });
+        doc.moveDown(0.3);
+
+        const rows = item.sizeBreakdown && item.sizeBreakdown.length > 0 ? item.sizeBreakdown : null;
+        const columns = [{ width: 70 }, { width: 90 }, { width: 50, align: 'right' }, { width: 305 }];
+        drawRow(doc, columns, ['Size', 'SKU', 'Qty', 'Names'], { bold: true, shade: '#f3f4f6' });
+        if (rows) {
+            rows.forEach(row => {
+                drawRow(doc, columns, [row.size, row.sku || '', row.quantity, (row.names || []).join(', ')]);
+            });
+        } else {
+            drawRow(doc, columns, [item.size || customization.size || '-', item.sku || '', item.quantity, '']);
+        }
+        drawRow(doc, columns, ['Total', '', item.quantity, ''], { bold: true });
+        doc.moveDown(1);
+    });
+
+    if (order.deliveryInstructions) {
+        doc.font('Helvetica-Bold').text('Delivery instructions: ', PAGE_MARGIN, doc.y, { continued: true })
+            .font('Helvetica').text(order.deliveryInstructions);
+    }
+
+    return finishDocument(doc);
+};
+
+module.exports = {
+    formatAmount,
+    formatDate,
+    formatPlaceOfSupply,
+    renderDocument,
+    renderInvoice,
+    renderQuotation,
+    renderReceipt,
+    renderProductionSheet
+};
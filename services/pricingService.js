@@ -0,0 +1,148 @@
+const { AppError } = require('../utils/errors');
+
+// Order customization fields that map onto Product.customizationOptions[].type
+const CUSTOMIZATION_TYPES = ['text', 'logo', 'color', 'size'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Prices below or above the catalog price need approve permission on orders
+const canOverridePrices = (user) => Boolean(user) && user.can('orders', 'approve');
+
+// Per-unit surcharge for the customizations requested on a line
+const getCustomizationCost = (product, customization = {}) => {
+    if (!product.customizationOptions || product.customizationOptions.length === 0) {
+        return 0;
+    }
+
+    return CUSTOMIZATION_TYPES
+        .filter(type => customization[type])
+        .reduce((sum, type) => {
+            const option = product.customizationOptions.find(opt => opt.type === type);
+            return sum + ((option && option.additionalCost) || 0);
+        }, 0);
+};
+
+// Catalog unit price for a quantity: bulk tier first, then special price, then base price
+const getCatalogUnitPrice = (product, quantity) => {
+    const tier = product.getBulkTier(quantity);
+    const effectivePrice = product.effectivePrice;
+
+    if (tier && tier.pricePerUnit != null) {
+        return { unitPrice: tier.pricePerUnit, source: 'bulk', tier };
+    }
+    if (tier && tier.discount) {
+        return { unitPrice: roundCurrency(effectivePrice * (1 - tier.discount / 100)), source: 'bulk', tier };
+    }
+    return {
+        unitPrice: effectivePrice,
+        source: product.specialPricing ? 'special' : 'base',
+        tier: null
+    };
+};
+
+// Price one order line from the catalog. `variant` adds its price delta to the catalog
+// price. `priceOverride` ({ unitPrice, reason }) replaces the catalog price and is only
+// accepted from users whose role may approve orders.
+const priceLine = (product, { quantity, customization = {}, variant, priceOverride, user } = {}) => {
+    const minimumOrderQuantity = product.minimumOrderQuantity || 1;
+    if (quantity < minimumOrderQuantity) {
+        throw new AppError(
+            `Minimum order quantity for ${product.name} is ${minimumOrderQuantity}`,
+            400,
+            'BELOW_MINIMUM_ORDER_QUANTITY',
+            { product: product._id, productCode: product.code, quantity, minimumOrderQuantity }
+        );
+    }
+
+    const catalog = getCatalogUnitPrice(product, quantity);
+    const customizationCost = getCustomizationCost(product, customization);
+    const variantPriceDelta = (variant && variant.priceDelta) || 0;
+    const listUnitPrice = roundCurrency(catalog.unitPrice + variantPriceDelta + customizationCost);
+
+    const pricing = {
+        basePrice: product.basePrice,
+        specialPrice: product.specialPricing,
+        bulkTier: catalog.tier ? {
+            minQuantity: catalog.tier.minQuantity,
+            maxQuantity: catalog.tier.maxQuantity
+        } : undefined,
+        catalogUnitPrice: catalog.unitPrice,
+        variantPriceDelta,
+        customizationCost,
+        listUnitPrice,
+        source: catalog.source
+    };
+
+    let unitPrice = listUnitPrice;
+
+    if (priceOverride && priceOverride.unitPrice != null) {
+        if (!canOverridePrices(user)) {
+            throw new AppError('Overriding catalog prices requires approve permission on orders', 403, 'PRICE_OVERRIDE_NOT_ALLOWED', {
+                product: product._id,
+                productCode: product.code
+            });
+        }
+        if (!priceOverride.reason || !priceOverride.reason.trim()) {
+            throw new AppError('A reason is required to override the catalog price', 400, 'PRICE_OVERRIDE_REASON_REQUIRED', {
+                product: product._id,
+                productCode: product.code
+            });
+        }
+
+        unitPrice = roundCurrency(Number(priceOverride.unitPrice));
+        pricing.source = 'override';
+        pricing.override = {
+            unitPrice,
+            reason: priceOverride.reason.trim(),
+            approvedBy: user._id,
+            approvedAt: new Date()
+        };
+    }
+
+    return {
+        unitPrice,
+        totalPrice: roundCurrency(unitPrice * quantity),
+        customization: { ...customization, additionalCost: customizationCost },
+        pricing
+    };
+};
+
+// Price a line ordered as a size run. Bulk tiers and the minimum order quantity apply
+// to the whole run; each size then adds its variant's price delta, so the line unit
+// price is the average across the run. An override price applies to every size.
+const priceSizeRun = (product, { sizeBreakdown, customization = {}, priceOverride, user } = {}) => {
+    const quantity = sizeBreakdown.reduce((sum, row) => sum + row.quantity, 0);
+    const line = priceLine(product, { quantity, customization, priceOverride, user });
+    const overridden = line.pricing.source === 'override';
+
+    const rows = sizeBreakdown.map(row => ({
+        ...row,
+        unitPrice: overridden ? line.unitPrice : roundCurrency(line.unitPrice + ((row.variant && row.variant.priceDelta) || 0))
+    }));
+    const totalPrice = roundCurrency(rows.reduce((sum, row) => sum + row.unitPrice * row.quantity, 0));
+    const listTotal = sizeBreakdown.reduce((sum, row) => (
+        sum + (line.pricing.listUnitPrice + ((row.variant && row.variant.priceDelta) || 0)) * row.quantity
+    ), 0);
+
+    return {
+        quantity,
+        unitPrice: roundCurrency(totalPrice / quantity),
+        totalPrice,
+        customization: line.customization,
+        sizeBreakdown: rows,
+        pricing: {
+            ...line.pricing,
+            variantPriceDelta: roundCurrency((listTotal - line.pricing.listUnitPrice * quantity) / quantity),
+            listUnitPrice: roundCurrency(listTotal / quantity)
+        }
+    };
+};
+
+module.exports = {
+    roundCurrency,
+    canOverridePrices,
+    getCustomizationCost,
+    getCatalogUnitPrice,
+    priceLine,
+    priceSizeRun
+};
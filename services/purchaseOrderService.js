@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const inventoryService = require('./inventoryService');
+const emailService = require('./emailService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed status changes; receipts move a sent order to partially-received or received
+const TRANSITIONS = {
+    draft: ['sent', 'cancelled'],
+    sent: ['partially-received', 'received', 'cancelled'],
+    'partially-received': ['partially-received', 'received'],
+    received: [],
+    cancelled: []
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const assertTransition = (purchaseOrder, to) => {
+    if (!TRANSITIONS[purchaseOrder.status].includes(to)) {
+        throw new AppError(
+            `Purchase order ${purchaseOrder.poNumber} is ${purchaseOrder.status} and cannot be ${to === 'cancelled' ? 'cancelled' : `moved to ${to}`}`,
+            409,
+            'INVALID_PURCHASE_ORDER_STATUS',
+            { from: purchaseOrder.status, to, allowedTransitions: TRANSITIONS[purchaseOrder.status] }
+        );
+    }
+};
+
+const findActiveSupplier = async (supplierId) => {
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+        throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+    }
+    if (!supplier.isActive) {
+        throw new AppError(`Supplier ${supplier.name} is inactive`, 400, 'SUPPLIER_INACTIVE');
+    }
+    return supplier;
+};
+
+// Build purchase order lines from [{ product, variant | sku, quantity, unitCost }];
+// the unit cost defaults to the product's cost price
+const buildItems = async (items) => {
+    const lines = [];
+
+    for (const item of items) {
+        const product = await Product.findById(item.product);
+        if (!product) {
+            throw new AppError(`Product ${item.product} not found`, 404, 'PRODUCT_NOT_FOUND', { product: item.product });
+        }
+
+        const variant = product.resolveVariant({ variant: item.variant, sku: item.sku, color: item.color, size: item.size });
+        lines.push({
+            product: product._id,
+            productName: product.name,
+            productCode: product.code,
+            variant: variant ? variant._id : undefined,
+            sku: variant ? variant.sku : undefined,
+            quantityOrdered: item.quantity,
+            unitCost: item.unitCost != null ? item.unitCost : (product.costPrice || 0)
+        });
+    }
+
+    return lines;
+};
+
+// Create a draft purchase order
+const createPurchaseOrder = async ({ supplier: supplierId, items, expectedDate, notes }, user) => {
+    const supplier = await findActiveSupplier(supplierId);
+    const lines = await buildItems(items);
+
+    const purchaseOrder = new PurchaseOrder({
+        supplier: supplier._id,
+        supplierName: supplier.name,
+        items: lines,
+        expectedDate,
+        notes,
+        createdBy: user._id
+    });
+    purchaseOrder.recalculateTotals();
+
+    await withTransaction(async (session) => {
+        purchaseOrder.poNumber = await PurchaseOrder.allocateNumber(purchaseOrder.orderDate, session);
+        await purchaseOrder.save({ session });
+    });
+
+    return purchaseOrder;
+};
+
+// Replace the lines, expected date or notes of a draft purchase order
+const updatePurchaseOrder = async (purchaseOrder, { items, expectedDate, notes }) => {
+    if (purchaseOrder.status !== 'draft') {
+        throw new AppError(`Purchase order ${purchaseOrder.poNumber} has been sent and can no longer be edited`, 409, 'PURCHASE_ORDER_NOT_EDITABLE');
+    }
+
+    if (items) purchaseOrder.items = await buildItems(items);
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    purchaseOrder.recalculateTotals();
+
+    return purchaseOrder.save();
+};
+
+// Raise draft purchase orders for low stock, one per preferred supplier. Each low
+// product or variant is ordered in its reorder quantity; anything already on an open
+// purchase order is left alone. Products without a preferred supplier are reported
+// back instead of ordered.
+const generateFromLowStock = async ({ supplier: supplierId, user } = {}) => {
+    const [lowProducts, lowVariants] = await Promise.all([
+        Product.findLowStock().where('variants.0').exists(false),
+        Product.findLowStockVariants()
+    ]);
+
+    const candidates = [
+        ...lowProducts.map(product => ({
+            product: product._id,
+            productName: product.name,
+            productCode: product.code,
+            preferredSupplier: product.preferredSupplier,
+            quantity: product.reorderQuantity,
+            unitCost: product.costPrice || 0
+        })),
+        ...lowVariants.map(row => ({
+            product: row.product,
+            productName: row.name,
+            productCode: row.code,
+            variant: row.variant,
+            sku: row.sku,
+            preferredSupplier: row.preferredSupplier,
+            quantity: row.reorderQuantity,
+            unitCost: row.costPrice || 0
+        }))
+    ].filter(candidate => !supplierId || String(candidate.preferredSupplier) === String(supplierId));
+
+    const onOrder = await PurchaseOrder.getQuantitiesOnOrder(candidates.map(candidate => candidate.product));
+    const skipped = [];
+    const bySupplier = new Map();
+
+    for (const candidate of candidates) {
+        const label = candidate.sku || candidate.productCode;
+        if (onOrder.get(`${candidate.product}:${candidate.variant || ''}`) > 0) {
+            skipped.push({ product: candidate.product, sku: candidate.sku, code: label, reason: 'Already on an open purchase order' });
+        } else if (!candidate.preferredSupplier) {
+            skipped.push({ product: candidate.product, sku: candidate.sku, code: label, reason: 'No preferred supplier' });
+        } else if (!candidate.quantity) {
+            skipped.push({ product: candidate.product, sku: candidate.sku, code: label, reason: 'No reorder quantity' });
+        } else {
+            const key = String(candidate.preferredSupplier);
+            if (!bySupplier.has(key)) bySupplier.set(key, []);
+            bySupplier.get(key).push(candidate);
+        }
+    }
+
+    const purchaseOrders = [];
+    for (const [key, lines] of bySupplier) {
+        const supplier = await Supplier.findById(key);
+        if (!supplier || !supplier.isActive) {
+            lines.forEach(line => skipped.push({
+                product: line.product,
+                sku: line.sku,
+                code: line.sku || line.productCode,
+                reason: 'Preferred supplier is inactive or missing'
+            }));
+            continue;
+        }
+
+        const purchaseOrder = new PurchaseOrder({
+            supplier: supplier._id,
+            supplierName: supplier.name,
+            items: lines.map(line => ({
+                product: line.product,
+                productName: line.productName,
+                productCode: line.productCode,
+                variant: line.variant,
+                sku: line.sku,
+                quantityOrdered: line.quantity,
+                unitCost: line.unitCost
+            })),
+            notes: 'Raised from the low-stock report',
+            generatedFromLowStock: true,
+            createdBy: user._id
+        });
+        purchaseOrder.recalculateTotals();
+
+        await withTransaction(async (session) => {
+            purchaseOrder.poNumber = await PurchaseOrder.allocateNumber(purchaseOrder.orderDate, session);
+            await purchaseOrder.save({ session });
+        });
+        purchaseOrders.push(purchaseOrder);
+    }
+
+    return { purchaseOrders, skipped };
+};
+
+// Mark a draft purchase order as sent and email it to the supplier. The expected
+// date defaults to today plus the supplier's lead time.
+const sendPurchaseOrder = async (purchaseOrder, { user, notes } = {}) => {
+    assertTransition(purchaseOrder, 'sent');
+    if (purchaseOrder.items.length === 0) {
+        throw new AppError(`Purchase order ${purchaseOrder.poNumber} has no items`, 400, 'PURCHASE_ORDER_EMPTY');
+    }
+
+    const supplier = await Supplier.findById(purchaseOrder.supplier);
+    const now = new Date();
+
+    purchaseOrder.sentAt = now;
+    if (!purchaseOrder.expectedDate) {
+        purchaseOrder.expectedDate = new Date(now.getTime() + ((supplier && supplier.leadTimeDays) || 0) * DAY_MS);
+    }
+    purchaseOrder.setStatus('sent', user._id, notes);
+    await purchaseOrder.save();
+
+    const emailed = supplier && supplier.email ? await emailService.sendPurchaseOrder(purchaseOrder, supplier) : false;
+    return { purchaseOrder, emailed };
+};
+
+// Cancel a purchase order that has not received any goods
+const cancelPurchaseOrder = async (purchaseOrder, { user, reason }) => {
+    assertTransition(purchaseOrder, 'cancelled');
+    purchaseOrder.setStatus('cancelled', user._id, reason);
+    return purchaseOrder.save();
+};
+
+// Receive goods against a sent purchase order: [{ item, quantity }] where `item` is the
+// purchase order line ID. Stock goes in through the stock ledger as receipts at the
+// line's unit cost, at `location` (the default if not given), in the same transaction
+// as the purchase order update.
+const receiveGoods = async (purchaseOrder, { lines, location, reference, notes, user }) => {
+    const fullyReceived = (order) => order.items.every(item => item.quantityReceived >= item.quantityOrdered);
+
+    const receipt = { receivedAt: new Date(), receivedBy: user._id, location, reference, notes, lines: [] };
+    for (const { item: itemId, quantity } of lines) {
+        const item = purchaseOrder.items.id(itemId);
+        if (!item) {
+            throw new AppError(`Line ${itemId} is not on purchase order ${purchaseOrder.poNumber}`, 404, 'PURCHASE_ORDER_LINE_NOT_FOUND');
+        }
+
+        const outstanding = item.quantityOrdered - item.quantityReceived;
+        if (quantity > outstanding) {
+            throw new AppError(`Only ${outstanding} of ${item.sku || item.productCode} are still due`, 400, 'RECEIPT_EXCEEDS_ORDERED', {
+                item: item._id,
+                outstanding,
+                quantity
+            });
+        }
+
+        item.quantityReceived += quantity;
+        receipt.lines.push({ item: item._id, quantity });
+    }
+
+    const to = fullyReceived(purchaseOrder) ? 'received' : 'partially-received';
+    assertTransition(purchaseOrder, to);
+
+    purchaseOrder.receipts.push(receipt);
+    if (to === 'received') purchaseOrder.receivedAt = receipt.receivedAt;
+    if (to !== purchaseOrder.status) purchaseOrder.setStatus(to, user._id, notes);
+
+    try {
+        await withTransaction(async (session) => {
+            for (const line of receipt.lines) {
+                const item = purchaseOrder.items.id(line.item);
+                await inventoryService.adjustStock(item.product, {
+                    variantId: item.variant,
+                    locationId: location,
+                    change: line.quantity,
+                    type: 'receipt',
+                    unitCost: item.unitCost,
+                    reason: reference ? `Goods received (${reference})` : 'Goods received',
+                    reference: { kind: 'PurchaseOrder', documentId: purchaseOrder._id, number: purchaseOrder.poNumber },
+                    userId: user._id,
+                    session
+                });
+            }
+            await purchaseOrder.save({ session });
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw new AppError(`Purchase order ${purchaseOrder.poNumber} was updated by someone else; reload and try again`, 409, 'PURCHASE_ORDER_CONFLICT');
+        }
+        throw error;
+    }
+
+    return purchaseOrder;
+};
+
+// Supplier lead time and delivery performance over purchase orders sent in a period:
+// actual against quoted lead time, on-time rate and fill rate
+const getSupplierPerformance = async ({ from, to, supplier } = {}) => {
+    const match = { sentAt: { $ne: null }, status: { $ne: 'cancelled' } };
+    if (from) match.sentAt.$gte = from;
+    if (to) match.sentAt.$lte = to;
+    if (supplier) match.supplier = new mongoose.Types.ObjectId(String(supplier));
+
+    const now = new Date();
+    const rows = await PurchaseOrder.aggregate([
+        { $match: match },
+        {
+            $addFields: {
+                ordered: { $sum: '$items.quantityOrdered' },
+                received: { $sum: '$items.quantityReceived' },
+                leadDays: {
+                    $cond: [
+                        { $ifNull: ['$receivedAt', false] },
+                        { $divide: [{ $subtract: ['$receivedAt', '$sentAt'] }, DAY_MS] },
+                        null
+                    ]
+                },
+                onTime: {
+                    $cond: [
+                        { $and: [{ $ifNull: ['$receivedAt', false] }, { $ifNull: ['$expectedDate', false] }] },
+                        { $cond: [{ $lte: ['$receivedAt', '$expectedDate'] }, 1, 0] },
+                        null
+                    ]
+                },
+                lateOpen: {
+                    $cond: [
+                        { $and: [{ $in: ['$status', ['sent', 'partially-received']] }, { $lt: ['$expectedDate', now] }] },
+                        1,
+                        0
+                    ]
+                }
+            }
+        },
+        {
+            $group: {
+                _id: '$supplier',
+                purchaseOrders: { $sum: 1 },
+                completed: { $sum: { $cond: [{ $eq: ['$status', 'received'] }, 1, 0] } },
+                open: { $sum: { $cond: [{ $in: ['$status', ['sent', 'partially-received']] }, 1, 0] } },
+                lateOpen: { $sum: '$lateOpen' },
+                averageLeadDays: { $avg: '$leadDays' },
+                maxLeadDays: { $max: '$leadDays' },
+                onTime: { $sum: { $ifNull: ['$onTime', 0] } },
+                onTimeMeasured: { $sum: { $cond: [{ $eq: ['$onTime', null] }, 0, 1] } },
+                ordered: { $sum: '$ordered' },
+                received: { $sum: '$received' },
+                value: { $sum: '$subtotal' }
+            }
+        },
+        {
+            $lookup: {
+                from: 'suppliers',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'supplier'
+            }
+        },
+        { $unwind: { path: '$supplier', preserveNullAndEmptyArrays: true } },
+        { $sort: { value: -1 } }
+    ]);
+
+    return rows.map(row => {
+        const details = row.supplier || { _id: row._id };
+        return {
+            supplier: { _id: details._id, name: details.name, code: details.code },
+            quotedLeadDays: details.leadTimeDays,
+            averageLeadDays: row.averageLeadDays != null ? Math.round(row.averageLeadDays * 10) / 10 : null,
+            maxLeadDays: row.maxLeadDays != null ? Math.round(row.maxLeadDays * 10) / 10 : null,
+            purchaseOrders: row.purchaseOrders,
+            completed: row.completed,
+            open: row.open,
+            lateOpen: row.lateOpen,
+            onTimeRate: row.onTimeMeasured > 0 ? Math.round((row.onTime / row.onTimeMeasured) * 1000) / 10 : null,
+            fillRate: row.ordered > 0 ? Math.round((row.received / row.ordered) * 1000) / 10 : null,
+            value: roundCurrency(row.value)
+        };
+    });
+};
+
+module.exports = {
+    TRANSITIONS,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    generateFromLowStock,
+    sendPurchaseOrder,
+    cancelPurchaseOrder,
+    receiveGoods,
+    getSupplierPerformance
+};
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const QualityInspection = require('../models/QualityInspection');
+const ReworkTicket = require('../models/ReworkTicket');
+const JobCard = require('../models/JobCard');
+const orderStateMachine = require('./orderStateMachine');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+// Orders can be inspected while they are being made, or before going straight to ready
+const INSPECTABLE_STATUSES = ['confirmed', 'in-production'];
+
+// Move an in-production order to ready once every job card is complete and QC has
+// passed. Resolves to the order when it moved, otherwise null.
+const markReadyIfComplete = async (order, user, session = null) => {
+    if (!order || order.status !== 'in-production') return null;
+
+    const open = await JobCard.countDocuments({ order: order._id, status: { $in: ['pending', 'in-progress'] } }).session(session);
+    if (open > 0) return null;
+
+    const quality = await QualityInspection.getOrderStatus(order, session);
+    if (!quality.passed) return null;
+
+    await orderStateMachine.transition(order, 'ready', {
+        userId: user._id,
+        notes: 'Production complete and quality check passed',
+        session
+    });
+    return order;
+};
+
+// Keep the order's quality check summary in step with its inspections
+const refreshOrderSummary = async (order, inspection, session) => {
+    const quality = await QualityInspection.getOrderStatus(order, session);
+    order.qualityCheck = {
+        isCompleted: quality.lines.every(line => line.outcome),
+        isPassed: quality.passed,
+        checkedBy: inspection.inspectedBy,
+        checkedAt: inspection.inspectedAt,
+        notes: `${inspection.inspectionNumber}: ${inspection.outcome}`
+    };
+    await order.save({ session });
+};
+
+// Record an inspection of an order line (or the whole order). Rejected pieces raise a
+// rework ticket and, when the line has a job card, reopen it from the rework stage.
+const recordInspection = async (order, data, user) => {
+    if (!INSPECTABLE_STATUSES.includes(order.status)) {
+        throw new AppError(`Order ${order.orderNumber} is ${order.status}; only confirmed or in-production orders can be inspected`, 409, 'ORDER_NOT_INSPECTABLE', {
+            status: order.status
+        });
+    }
+
+    const item = data.orderItem ? order.items.id(data.orderItem) : null;
+    if (data.orderItem && !item) {
+        throw new AppError('Order line not found', 404, 'ORDER_ITEM_NOT_FOUND');
+    }
+
+    // Reworked pieces are inspected once the rework is done, not before
+    const reworkFilter = { order: order._id, status: 'open' };
+    if (item) reworkFilter.orderItem = item._id;
+    const openRework = await ReworkTicket.findOne(reworkFilter).select('ticketNumber');
+    if (openRework) {
+        throw new AppError(`Rework ticket ${openRework.ticketNumber} is still open; inspect once the rework is done`, 409, 'REWORK_OPEN', {
+            reworkTicket: openRework._id
+        });
+    }
+
+    const { lotQuantity, sampledQuantity, defectivePieces = 0, outcome } = data;
+    if (sampledQuantity > lotQuantity) {
+        throw new AppError('Sampled quantity cannot exceed the lot', 400, 'INVALID_SAMPLE');
+    }
+    if (defectivePieces > sampledQuantity) {
+        throw new AppError('Defective pieces cannot exceed the sampled quantity', 400, 'INVALID_SAMPLE');
+    }
+
+    // Pass accepts the lot, fail rejects all of it, partial rejects some
+    let rejectedQuantity = 0;
+    if (outcome === 'fail') {
+        rejectedQuantity = lotQuantity;
+    } else if (outcome === 'partial') {
+        rejectedQuantity = data.rejectedQuantity;
+        if (!rejectedQuantity || rejectedQuantity >= lotQuantity) {
+            throw new AppError('A partial outcome rejects some, but not all, of the lot', 400, 'INVALID_REJECTED_QUANTITY');
+        }
+    }
+
+    let jobCard = null;
+    if (rejectedQuantity > 0) {
+        if (!item) {
+            throw new AppError('Rejected pieces must be inspected against an order line to be reworked', 400, 'REWORK_LINE_REQUIRED');
+        }
+        jobCard = await JobCard.findOne({ order: order._id, orderItem: item._id, status: { $ne: 'cancelled' } });
+        if (jobCard) {
+            const stage = data.rework && data.rework.stage ? jobCard.getStage(data.rework.stage) : null;
+            if (!stage || stage.status === 'skipped') {
+                throw new AppError('Name the production stage the rejected pieces go back to', 400, 'REWORK_STAGE_REQUIRED', {
+                    stages: jobCard.stages.filter(entry => entry.status !== 'skipped').map(entry => entry.name)
+                });
+            }
+        }
+    }
+
+    const now = new Date();
+    const inspection = new QualityInspection({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        orderItem: item ? item._id : undefined,
+        productName: item ? item.productName : undefined,
+        productCode: item ? item.productCode : undefined,
+        lotQuantity,
+        sampledQuantity,
+        defects: data.defects || [],
+        defectivePieces,
+        outcome,
+        acceptedQuantity: lotQuantity - rejectedQuantity,
+        rejectedQuantity,
+        notes: data.notes,
+        inspectedBy: user._id,
+        inspectedAt: now
+    });
+
+    try {
+        return await withTransaction(async (session) => {
+            inspection.inspectionNumber = await QualityInspection.allocateNumber(now, session);
+
+            let ticket = null;
+            if (rejectedQuantity > 0) {
+                const rework = data.rework || {};
+                ticket = new ReworkTicket({
+                    ticketNumber: await ReworkTicket.allocateNumber(now, session),
+                    inspection: inspection._id,
+                    order: order._id,
+                    orderNumber: order.orderNumber,
+                    orderItem: item._id,
+                    jobCard: jobCard ? jobCard._id : undefined,
+                    stage: jobCard ? rework.stage : undefined,
+                    quantity: rejectedQuantity,
+                    defects: inspection.defects.map(defect => ({ category: defect.category, count: defect.count, severity: defect.severity })),
+                    assignedTo: rework.assignedTo,
+                    assignedUnit: rework.assignedUnit,
+                    dueDate: rework.dueDate,
+                    notes: rework.notes,
+                    raisedBy: user._id
+                });
+                await ticket.save({ session });
+                inspection.reworkTicket = ticket._id;
+
+                if (jobCard) {
+                    jobCard.reopenFrom(rework.stage, rejectedQuantity, {
+                        userId: user._id,
+                        notes: `Rework ${ticket.ticketNumber}`
+                    });
+                    await jobCard.save({ session });
+                }
+            }
+
+            await inspection.save({ session });
+            await refreshOrderSummary(order, inspection, session);
+            const readied = outcome === 'pass' ? await markReadyIfComplete(order, user, session) : null;
+
+            return { inspection, reworkTicket: ticket, order: readied };
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw new AppError('The job card was updated by someone else; reload and try again', 409, 'JOB_CARD_CONFLICT');
+        }
+        throw error;
+    }
+};
+
+// Complete the open rework tickets of a job card that has been finished again
+const closeReworkForJobCard = (card, user, session = null) => ReworkTicket.updateMany(
+    { jobCard: card._id, status: 'open' },
+    { $set: { status: 'completed', completedBy: user._id, completedAt: new Date() } },
+    { session }
+);
+
+const assertReworkOpen = (ticket) => {
+    if (ticket.status !== 'open') {
+        throw new AppError(`Rework ticket ${ticket.ticketNumber} is ${ticket.status}`, 409, 'REWORK_CLOSED', {
+            status: ticket.status
+        });
+    }
+};
+
+// Complete rework done outside job cards; tickets on a job card complete with the card
+const completeRework = async (ticket, { user, notes }) => {
+    assertReworkOpen(ticket);
+    if (ticket.jobCard) {
+        throw new AppError(`Rework ticket ${ticket.ticketNumber} completes when its job card is finished`, 409, 'REWORK_FOLLOWS_JOB_CARD', {
+            jobCard: ticket.jobCard
+        });
+    }
+
+    ticket.status = 'completed';
+    ticket.completedBy = user._id;
+    ticket.completedAt = new Date();
+    if (notes) ticket.notes = notes;
+    return ticket.save();
+};
+
+// Drop a rework ticket, e.g. when the rejected pieces are scrapped and remade elsewhere
+const cancelRework = async (ticket, { user, reason }) => {
+    assertReworkOpen(ticket);
+
+    ticket.status = 'cancelled';
+    ticket.cancelledBy = user._id;
+    ticket.cancelledAt = new Date();
+    ticket.cancellationReason = reason;
+    return ticket.save();
+};
+
+// Defects found per category over a period, for spotting recurring problems
+const getDefectSummary = async ({ from, to } = {}) => {
+    const match = {};
+    if (from || to) {
+        match.inspectedAt = {};
+        if (from) match.inspectedAt.$gte = new Date(from);
+        if (to) match.inspectedAt.$lte = new Date(to);
+    }
+
+    const [byCategory, byOutcome] = await Promise.all([
+        QualityInspection.aggregate([
+            { $match: match },
+            { $unwind: '$defects' },
+            {
+                $group: {
+                    _id: { category: '$defects.category', severity: '$defects.severity' },
+                    count: { $sum: '$defects.count' },
+                    inspections: { $addToSet: '$_id' }
+                }
+            },
+            { $project: { _id: 0, category: '$_id.category', severity: '$_id.severity', count: 1, inspections: { $size: '$inspections' } } },
+            { $sort: { count: -1 } }
+        ]),
+        QualityInspection.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$outcome',
+                    inspections: { $sum: 1 },
+                    sampled: { $sum: '$sampledQuantity' },
+                    defective: { $sum: '$defectivePieces' },
+                    rejected: { $sum: '$rejectedQuantity' }
+                }
+            }
+        ])
+    ]);
+
+    return { byCategory, byOutcome };
+};
+
+module.exports = {
+    markReadyIfComplete,
+    recordInspection,
+    closeReworkForJobCard,
+    completeRework,
+    cancelRework,
+    getDefectSummary
+};
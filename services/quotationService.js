@@ -0,0 +1,362 @@
+const jwt = require('jsonwebtoken');
+const Quotation = require('../models/Quotation');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const Inquiry = require('../models/Inquiry');
+const pricingService = require('./pricingService');
+const orderLineService = require('./orderLineService');
+const orderStateMachine = require('./orderStateMachine');
+const creditService = require('./creditService');
+const emailService = require('./emailService');
+const pdfService = require('./pdfService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+
+const RESPONSE_TOKEN_PURPOSE = 'quote-response';
+
+// Fields a quotation copies from the request body (items are priced separately)
+const EDITABLE_FIELDS = [
+    'discount', 'discountReason', 'shippingCost', 'deliveryAddress', 'paymentTerms',
+    'deliveryTimeline', 'terms', 'notes', 'validUntil'
+];
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+// Price requested lines from the catalog, exactly as order lines are priced
+const priceItems = async (items, user) => {
+    const lines = [];
+    for (const item of items) {
+        lines.push(await orderLineService.buildLine(item, { user }));
+    }
+    return lines;
+};
+
+// Apply editable fields and (re)priced items, then recompute totals
+const applyChanges = async (quotation, data, user) => {
+    if (data.discount > 0 && data.discount !== quotation.discount && !pricingService.canOverridePrices(user)) {
+        throw new AppError('Applying a discount requires approve permission on orders', 403, 'DISCOUNT_NOT_ALLOWED');
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) quotation[field] = data[field];
+    });
+
+    if (data.items) {
+        quotation.items = await priceItems(data.items, user);
+    }
+
+    if (data.deliveryAddress && data.deliveryAddress.state) {
+        quotation.placeOfSupply = data.deliveryAddress.state;
+    }
+
+    quotation.recalculateTotals();
+
+    if (quotation.totalAmount < 0) {
+        throw new AppError('Discount cannot exceed the quotation value', 400, 'DISCOUNT_EXCEEDS_TOTAL');
+    }
+    if (quotation.validUntil <= new Date()) {
+        throw new AppError('Validity date must be in the future', 400, 'INVALID_VALIDITY_DATE');
+    }
+
+    return quotation;
+};
+
+// Create version 1 of a new quotation as a draft
+const createQuotation = async (data, user) => {
+    const customer = await Customer.findById(data.customer);
+    if (!customer) {
+        throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    }
+
+    if (data.inquiry && !(await Inquiry.exists({ _id: data.inquiry }))) {
+        throw new AppError('Inquiry not found', 404, 'INQUIRY_NOT_FOUND');
+    }
+
+    const quotation = new Quotation({
+        quoteNumber: await Quotation.generateQuoteNumber(),
+        customer: customer._id,
+        customerName: customer.name,
+        customerEmail: customer.email,
+        customerPhone: customer.phone,
+        customerCompany: customer.company,
+        customerGstin: customer.gstin,
+        inquiry: data.inquiry,
+        placeOfSupply: customer.address && customer.address.state,
+        paymentTerms: customer.paymentTerms,
+        createdBy: user._id
+    });
+
+    await applyChanges(quotation, data, user);
+    await quotation.save();
+
+    return quotation;
+};
+
+// Edit a quotation that has not been sent yet
+const updateDraft = async (quotation, data, user) => {
+    if (quotation.status !== 'draft') {
+        throw new AppError('Only draft quotations can be edited; revise the quotation instead', 409, 'QUOTATION_NOT_EDITABLE', {
+            status: quotation.status
+        });
+    }
+
+    await applyChanges(quotation, data, user);
+    await quotation.save();
+
+    return quotation;
+};
+
+// Start a new version of a sent, rejected or expired quotation. The previous
+// version is superseded and its response link stops working.
+const reviseQuotation = async (quotation, data, user) => {
+    quotation.refreshExpiry();
+
+    if (!quotation.isLatest || !['sent', 'rejected', 'expired'].includes(quotation.status)) {
+        throw new AppError(`Cannot revise a ${quotation.isLatest ? quotation.status : 'superseded'} quotation`, 409, 'QUOTATION_NOT_REVISABLE', {
+            status: quotation.status
+        });
+    }
+
+    const previous = quotation.toObject({ virtuals: false });
+    const revision = new Quotation({
+        quoteNumber: previous.quoteNumber,
+        version: previous.version + 1,
+        previousVersion: previous._id,
+        customer: previous.customer,
+        customerName: previous.customerName,
+        customerEmail: previous.customerEmail,
+        customerPhone: previous.customerPhone,
+        customerCompany: previous.customerCompany,
+        customerGstin: previous.customerGstin,
+        inquiry: previous.inquiry,
+        items: previous.items.map(({ _id, ...item }) => item),
+        placeOfSupply: previous.placeOfSupply,
+        ...Object.fromEntries(EDITABLE_FIELDS.filter(field => field !== 'validUntil').map(field => [field, previous[field]])),
+        createdBy: user._id
+    });
+
+    await applyChanges(revision, data, user);
+
+    await withTransaction(async (session) => {
+        quotation.status = 'superseded';
+        quotation.isLatest = false;
+        await quotation.save({ session });
+        await revision.save({ session });
+    });
+
+    return revision;
+};
+
+// Signed link token for the customer to accept or reject one version of a quotation
+const createResponseToken = (quotation) => {
+    const secondsLeft = Math.floor((quotation.validUntil.getTime() - Date.now()) / 1000);
+
+    return jwt.sign(
+        { quotation: quotation._id, version: quotation.version, purpose: RESPONSE_TOKEN_PURPOSE },
+        getSecret(),
+        { expiresIn: Math.max(secondsLeft, 60 * 60) }
+    );
+};
+
+const getResponseUrl = (token) => `${process.env.FRONTEND_URL}/quote-response.html?token=${encodeURIComponent(token)}`;
+
+// Resolve a response link to the quotation version it was issued for
+const findByResponseToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, getSecret());
+    } catch (error) {
+        throw new AppError('This quotation link is invalid or has expired', 401, 'INVALID_QUOTATION_LINK');
+    }
+
+    if (payload.purpose !== RESPONSE_TOKEN_PURPOSE) {
+        throw new AppError('This quotation link is invalid or has expired', 401, 'INVALID_QUOTATION_LINK');
+    }
+
+    const quotation = await Quotation.findById(payload.quotation);
+    if (!quotation || quotation.version !== payload.version) {
+        throw new AppError('Quotation not found', 404, 'QUOTATION_NOT_FOUND');
+    }
+    if (!quotation.isLatest) {
+        throw new AppError('This quotation has been replaced by a newer version', 410, 'QUOTATION_SUPERSEDED');
+    }
+
+    return quotation;
+};
+
+// Email the quotation PDF with a response link and mark it sent
+const sendQuotation = async (quotation, user, { to } = {}) => {
+    if (quotation.refreshExpiry()) {
+        await quotation.save();
+        throw new AppError('This quotation has expired; revise it to send a new version', 409, 'QUOTATION_EXPIRED');
+    }
+    if (!quotation.isLatest || !['draft', 'sent'].includes(quotation.status)) {
+        throw new AppError(`Cannot send a ${quotation.isLatest ? quotation.status : 'superseded'} quotation`, 409, 'QUOTATION_NOT_SENDABLE', {
+            status: quotation.status
+        });
+    }
+
+    const recipient = to || quotation.customerEmail;
+    if (!recipient) {
+        throw new AppError('Customer has no email address', 400, 'QUOTATION_RECIPIENT_REQUIRED');
+    }
+
+    const responseUrl = getResponseUrl(createResponseToken(quotation));
+    const pdf = await pdfService.renderQuotation(quotation);
+
+    const sent = await emailService.sendQuotation(quotation, { to: recipient, pdf, responseUrl });
+    if (!sent) {
+        throw new AppError('Quotation email could not be sent', 502, 'QUOTATION_EMAIL_FAILED');
+    }
+
+    quotation.status = 'sent';
+    quotation.sentAt = new Date();
+    quotation.sentTo = recipient;
+    quotation.sentBy = user._id;
+    await quotation.save();
+
+    if (quotation.inquiry) {
+        await Inquiry.updateOne(
+            { _id: quotation.inquiry, status: { $in: ['new', 'contacted'] } },
+            { $set: { status: 'quoted' } }
+        );
+    }
+
+    return { quotation, responseUrl };
+};
+
+// Record the customer's decision from the signed link
+const respondToQuotation = async (token, { decision, name, comments, ipAddress }) => {
+    const quotation = await findByResponseToken(token);
+
+    if (quotation.refreshExpiry()) {
+        await quotation.save();
+        throw new AppError('This quotation has expired', 410, 'QUOTATION_EXPIRED');
+    }
+    if (quotation.status !== 'sent') {
+        throw new AppError(`This quotation has already been ${quotation.status}`, 409, 'QUOTATION_ALREADY_ANSWERED', {
+            status: quotation.status
+        });
+    }
+
+    quotation.status = decision;
+    quotation.response = {
+        decision,
+        respondedAt: new Date(),
+        respondedBy: name,
+        comments,
+        ipAddress
+    };
+    await quotation.save();
+
+    await emailService.sendQuotationResponseNotification(quotation);
+
+    return quotation;
+};
+
+// Turn an accepted quotation into a confirmed order at the quoted prices,
+// reserving stock and linking the originating inquiry
+const convertToOrder = async (quotation, user) => {
+    if (quotation.status !== 'accepted') {
+        throw new AppError('Only accepted quotations can be converted to an order', 409, 'QUOTATION_NOT_ACCEPTED', {
+            status: quotation.status
+        });
+    }
+
+    const customer = await Customer.findById(quotation.customer);
+    if (!customer) {
+        throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+    }
+
+    // Built afresh for each attempt of the transaction below
+    const buildOrder = () => new Order({
+        orderType: 'order',
+        status: 'pending',
+        quotation: quotation._id,
+        customer: quotation.customer,
+        customerName: quotation.customerName,
+        customerEmail: quotation.customerEmail,
+        customerPhone: quotation.customerPhone,
+        customerCompany: quotation.customerCompany,
+        customerGstin: customer.gstin || quotation.customerGstin,
+        items: quotation.items.map(item => ({
+            product: item.product,
+            productName: item.productName,
+            productCode: item.productCode,
+            variant: item.variant,
+            sku: item.sku,
+            color: item.color,
+            size: item.size,
+            sizeBreakdown: item.sizeBreakdown,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            pricing: item.pricing,
+            tax: { hsnCode: item.tax.hsnCode, rate: item.tax.rate },
+            customization: item.customization,
+            notes: item.notes
+        })),
+        discount: quotation.discount,
+        discountReason: quotation.discountReason,
+        shippingCost: quotation.shippingCost,
+        deliveryAddress: quotation.deliveryAddress,
+        placeOfSupply: quotation.placeOfSupply,
+        paymentTerms: quotation.paymentTerms,
+        createdBy: user._id
+    });
+
+    let order;
+    await withTransaction(async (session) => {
+        order = buildOrder();
+        order.orderNumber = await Order.allocateNumber(order.orderDate, session);
+        order.recalculateTotals();
+
+        // An order over the customer's credit limit stays pending until a manager approves it
+        const credit = creditService.applyCreditCheck(order, await creditService.evaluateOrder(order, { session }));
+        const needsApproval = credit.status === 'approval-required';
+
+        // Claim the quotation first so two concurrent conversions cannot both succeed
+        const claimed = await Quotation.updateOne(
+            { _id: quotation._id, status: 'accepted' },
+            { $set: { status: 'converted', order: order._id, convertedAt: new Date(), convertedBy: user._id } },
+            { session }
+        );
+        if (claimed.modifiedCount !== 1) {
+            throw new AppError('Quotation has already been converted', 409, 'QUOTATION_NOT_ACCEPTED');
+        }
+
+        await order.save({ session });
+        if (!needsApproval) {
+            await orderStateMachine.transition(order, 'confirmed', {
+                userId: user._id,
+                notes: `Converted from quotation ${quotation.reference}`,
+                session
+            });
+        }
+
+        await customer.updateStats(order.totalAmount, session);
+
+        if (quotation.inquiry) {
+            const inquiry = await Inquiry.findById(quotation.inquiry).session(session);
+            if (inquiry) {
+                inquiry.$session(session);
+                await inquiry.convertToCustomer(quotation.customer, order._id, order.totalAmount);
+            }
+        }
+    });
+
+    return order;
+};
+
+module.exports = {
+    priceItems,
+    createQuotation,
+    updateDraft,
+    reviseQuotation,
+    createResponseToken,
+    getResponseUrl,
+    findByResponseToken,
+    sendQuotation,
+    respondToQuotation,
+    convertToOrder
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between overdue reminders for the same order
+const REMINDER_INTERVAL_DAYS = parseInt(process.env.PAYMENT_REMINDER_INTERVAL_DAYS, 10) || 7;
+// Days before the due date to send a one-off "payment due soon" reminder (0 disables it)
+const REMINDER_DAYS_BEFORE_DUE = parseInt(process.env.PAYMENT_REMINDER_DAYS_BEFORE_DUE, 10) || 0;
+
+// Aging buckets by days past the due date; balances not yet due are "current"
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Not yet due' },
+    { key: 'days0to30', label: '0-30 days', maxDays: 30 },
+    { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+    { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+    { key: 'days90plus', label: '90+ days' }
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Flag unpaid and part-paid orders past their due date as overdue
+const markOverdueOrders = async (asOf = new Date()) => {
+    const result = await Order.markOverdue(asOf);
+    return result.modifiedCount;
+};
+
+// Send a payment reminder for an order and record it on the order. Unless forced,
+// nothing is sent if another reminder went out within the reminder interval; the
+// order is claimed before sending so two schedulers never remind twice.
+const sendPaymentReminder = async (order, { force = false, now = new Date() } = {}) => {
+    const previous = order.paymentReminders ? order.paymentReminders.lastSentAt : undefined;
+    const cutoff = force ? now : new Date(now.getTime() - REMINDER_INTERVAL_DAYS * DAY_MS);
+
+    const claimed = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            $or: [
+                { 'paymentReminders.lastSentAt': { $exists: false } },
+                { 'paymentReminders.lastSentAt': null },
+                { 'paymentReminders.lastSentAt': { $lt: cutoff } }
+            ]
+        },
+        { $set: { 'paymentReminders.lastSentAt': now }, $inc: { 'paymentReminders.count': 1 } },
+        { new: true }
+    ).populate('customer', 'name email');
+
+    if (!claimed) return false;
+
+    const to = (claimed.customer && claimed.customer.email) || claimed.customerEmail;
+    const sent = to ? await emailService.sendPaymentReminder(claimed, to) : false;
+
+    if (!sent) {
+        await Order.updateOne(
+            { _id: order._id },
+            previous
+                ? { $set: { 'paymentReminders.lastSentAt': previous }, $inc: { 'paymentReminders.count': -1 } }
+                : { $unset: { 'paymentReminders.lastSentAt': '' }, $inc: { 'paymentReminders.count': -1 } }
+        );
+    }
+
+    return sent;
+};
+
+// Send the reminders that are due: repeated reminders for overdue orders, and one
+// reminder shortly before the due date when PAYMENT_REMINDER_DAYS_BEFORE_DUE is set
+const sendDueReminders = async (now = new Date()) => {
+    const candidates = await Order.find({
+        status: { $ne: 'cancelled' },
+        $or: [
+            { paymentStatus: 'overdue' },
+            ...(REMINDER_DAYS_BEFORE_DUE > 0 ? [{
+                paymentStatus: { $in: ['pending', 'partial'] },
+                dueDate: { $gte: now, $lte: new Date(now.getTime() + REMINDER_DAYS_BEFORE_DUE * DAY_MS) },
+                'paymentReminders.count': { $in: [0, null] }
+            }] : [])
+        ]
+    }).select('_id paymentReminders');
+
+    let sent = 0;
+    for (const order of candidates) {
+        if (await sendPaymentReminder(order, { now })) sent++;
+    }
+    return sent;
+};
+
+// Accounts-receivable aging: outstanding balances per customer, bucketed by days past due
+const getAgingReport = async ({ asOf = new Date(), customer } = {}) => {
+    const match = {
+        status: { $ne: 'cancelled' },
+        paymentStatus: { $ne: 'paid' },
+        dueDate: { $ne: null }
+    };
+    if (customer) match.customer = new mongoose.Types.ObjectId(String(customer));
+
+    const bucketBranches = AGING_BUCKETS.slice(1, -1).map(bucket => ({
+        case: { $lte: ['$daysPastDue', bucket.maxDays] },
+        then: bucket.key
+    }));
+
+    const rows = await Order.aggregate([
+        { $match: match },
+        {
+            $addFields: {
+                balance: { $subtract: ['$totalAmount', { $ifNull: ['$paidAmount', 0] }] },
+                daysPastDue: { $ceil: { $divide: [{ $subtract: [asOf, '$dueDate'] }, DAY_MS] } }
+            }
+        },
+        { $match: { balance: { $gt: 0.005 } } },
+        {
+            $addFields: {
+                bucket: {
+                    $switch: {
+                        branches: [{ case: { $lte: ['$daysPastDue', 0] }, then: 'current' }, ...bucketBranches],
+                        default: 'days90plus'
+                    }
+                }
+            }
+        },
+        {
+            $group: {
+                _id: '$customer',
+                ...Object.fromEntries(AGING_BUCKETS.map(bucket => [
+                    bucket.key,
+                    { $sum: { $cond: [{ $eq: ['$bucket', bucket.key] }, '$balance', 0] } }
+                ])),
+                totalOutstanding: { $sum: '$balance' },
+                oldestDueDate: { $min: '$dueDate' },
+                orders: {
+                    $push: {
+                        order: '$_id',
+                        orderNumber: '$orderNumber',
+                        dueDate: '$dueDate',
+                        totalAmount: '$totalAmount',
+                        paidAmount: '$paidAmount',
+                        balance: '$balance',
+                        daysPastDue: { $max: ['$daysPastDue', 0] },
+                        bucket: '$bucket'
+                    }
+                }
+            }
+        },
+        {
+            $lookup: {
+                from: 'customers',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'customer'
+            }
+        },
+        { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
+        { $sort: { totalOutstanding: -1 } }
+    ]);
+
+    const customers = rows.map(row => {
+        const customer = row.customer || { _id: row._id };
+        const creditBalance = customer.creditBalance || 0;
+        return {
+            customer: {
+                _id: customer._id,
+                name: customer.name,
+                company: customer.company,
+                email: customer.email,
+                phone: customer.phone,
+                paymentTerms: customer.paymentTerms
+            },
+            buckets: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, roundCurrency(row[bucket.key])])),
+            totalOutstanding: roundCurrency(row.totalOutstanding),
+            creditBalance,
+            netOutstanding: roundCurrency(row.totalOutstanding - creditBalance),
+            oldestDueDate: row.oldestDueDate,
+            orders: row.orders.map(order => ({ ...order, balance: roundCurrency(order.balance) }))
+        };
+    });
+
+    const summary = {
+        buckets: Object.fromEntries(AGING_BUCKETS.map(bucket => [
+            bucket.key,
+            roundCurrency(customers.reduce((sum, row) => sum + row.buckets[bucket.key], 0))
+        ])),
+        totalOutstanding: roundCurrency(customers.reduce((sum, row) => sum + row.totalOutstanding, 0)),
+        creditBalance: roundCurrency(customers.reduce((sum, row) => sum + row.creditBalance, 0)),
+        customers: customers.length,
+        orders: customers.reduce((sum, row) => sum + row.orders.length, 0)
+    };
+
+    return {
+        asOf,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        customers,
+        summary
+    };
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    markOverdueOrders,
+    sendPaymentReminder,
+    sendDueReminders,
+    getAgingReport
+};
@@ -0,0 +1,78 @@
+const Quotation = require('../models/Quotation');
+const receivablesService = require('./receivablesService');
+const stockAlertService = require('./stockAlertService');
+
+// Minutes between runs of the background jobs
+const INTERVAL_MINUTES = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES, 10) || 60;
+
+// Background jobs, run in order on every tick. Each job must be safe to run
+// repeatedly and from more than one server at a time.
+const jobs = [
+    {
+        name: 'overdue-payments',
+        run: async () => `${await receivablesService.markOverdueOrders()} orders marked overdue`
+    },
+    {
+        name: 'payment-reminders',
+        run: async () => `${await receivablesService.sendDueReminders()} reminders sent`
+    },
+    {
+        // Catches alerts whose email failed, or whose server stopped before sending
+        name: 'stock-alerts',
+        run: async () => `${await stockAlertService.notifyPending()} stock alerts sent`
+    },
+    {
+        name: 'low-stock-digest',
+        run: async () => (await stockAlertService.sendDailyDigest() ? 'digest sent' : 'nothing to send')
+    },
+    {
+        name: 'quotation-expiry',
+        run: async () => `${(await Quotation.expireOverdue()).modifiedCount} quotations expired`
+    }
+];
+
+let timer = null;
+let running = false;
+
+// Run every job once; a failing job is logged and does not stop the others
+const runJobs = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        for (const job of jobs) {
+            try {
+                const summary = await job.run();
+                console.log(`⏱️  ${job.name}: ${summary}`);
+            } catch (error) {
+                console.error(`Scheduled job ${job.name} error:`, error);
+            }
+        }
+    } finally {
+        running = false;
+    }
+};
+
+// Start running the jobs now and every INTERVAL_MINUTES after that
+const start = () => {
+    if (timer) return;
+
+    timer = setInterval(runJobs, INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    runJobs();
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    jobs,
+    runJobs,
+    start,
+    stop
+};
@@ -0,0 +1,105 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+const getAccessTokenExpiry = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Short label for the sessions list, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent));
+    const platform = [
+        ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !platform) return userAgent ? userAgent.slice(0, 100) : 'Unknown device';
+    return [browser && browser[0], platform && `on ${platform[0]}`].filter(Boolean).join(' ');
+};
+
+// Short-lived access token tied to a session, so revoking the session ends it
+const signAccessToken = (user, session) => jwt.sign(
+    { userId: user._id, username: user.username, role: user.role, sessionId: session._id },
+    getSecret(),
+    { expiresIn: getAccessTokenExpiry() }
+);
+
+// Start a session for a user who has just logged in
+const startSession = async (user, { ip, userAgent, device } = {}) => {
+    const refreshToken = Session.generateToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: Session.hashToken(refreshToken),
+        device: device || describeDevice(userAgent),
+        userAgent,
+        ip,
+        lastUsedIp: ip,
+        expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS)
+    });
+
+    return { session, accessToken: signAccessToken(user, session), refreshToken };
+};
+
+// Trade a refresh token for a new access token and refresh token. A token that was
+// already rotated out has been copied, so the session it belongs to is revoked.
+const refreshSession = async (refreshToken, { ip } = {}) => {
+    const hash = Session.hashToken(refreshToken);
+    const nextToken = Session.generateToken();
+    const session = await Session.rotate(hash, nextToken, { ip });
+
+    if (!session) {
+        const reused = await Session.findOne({ previousTokenHashes: hash });
+        if (reused) {
+            if (!reused.revokedAt) {
+                reused.revokedAt = new Date();
+                reused.revokedReason = 'reuse-detected';
+                await reused.save();
+            }
+            await SecurityEvent.record({ type: 'refresh-token-reuse', user: reused.user, ip, details: { session: reused._id } });
+            throw new AppError('This session has been revoked because its refresh token was used twice. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+        }
+        throw new AppError('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || !user.isActive) {
+        await Session.revokeAllForUser(session.user, { reason: 'deactivated' });
+        throw new AppError('Account is deactivated', 401, 'ACCOUNT_DEACTIVATED');
+    }
+
+    return { session, user, accessToken: signAccessToken(user, session), refreshToken: nextToken };
+};
+
+// End one session
+const revokeSession = async (session, { reason, revokedBy = null }) => {
+    if (session.revokedAt) return session;
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    session.revokedBy = revokedBy;
+    return session.save();
+};
+
+// End every session of a user, optionally keeping the one making the request
+const revokeUserSessions = async (userId, { reason, revokedBy = null, except = null }) => {
+    const result = await Session.revokeAllForUser(userId, { reason, revokedBy, except });
+    return result.modifiedCount;
+};
+
+// Active sessions of a user, most recently used first
+const listSessions = (userId) => Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+module.exports = {
+    signAccessToken,
+    startSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    listSessions
+};
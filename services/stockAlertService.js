@@ -0,0 +1,170 @@
+const StockAlert = require('../models/StockAlert');
+const Product = require('../models/Product');
+const Counter = require('../models/Counter');
+const emailService = require('./emailService');
+
+// Local hour of the day from which the daily low-stock digest is sent
+const DIGEST_HOUR = Number.isNaN(parseInt(process.env.LOW_STOCK_DIGEST_HOUR, 10))
+    ? 8
+    : parseInt(process.env.LOW_STOCK_DIGEST_HOUR, 10);
+
+// Sessions that already have a notification run queued for when they end
+const queuedSessions = new WeakSet();
+
+// Email every open alert that has not been notified at its current level. Each alert
+// is claimed first, and released again if the email fails so a later run retries it.
+const notifyPending = async () => {
+    const pending = await StockAlert.find({ status: 'active', notifiedAt: null }).select('_id');
+
+    let sent = 0;
+    for (const { _id } of pending) {
+        const alert = await StockAlert.claimForNotification(_id);
+        if (!alert) continue;
+
+        if (await emailService.sendLowStockAlert(alert)) {
+            sent++;
+        } else {
+            await StockAlert.updateOne({ _id, notifiedAt: alert.notifiedAt }, { $set: { notifiedAt: null } });
+        }
+    }
+    return sent;
+};
+
+// Send alerts once the stock change is committed. Inside a transaction that is when
+// the session ends; an aborted transaction leaves no alert behind to send.
+const notifyAfterCommit = (session) => {
+    const run = () => notifyPending().catch(error => console.error('Stock alert notification error:', error));
+
+    if (!session) {
+        run();
+    } else if (!queuedSessions.has(session)) {
+        queuedSessions.add(session);
+        session.once('ended', run);
+    }
+};
+
+// Open, escalate or resolve the alert of a product (or one of its variants) from its
+// stock after a change. Call it with the session of the change so it rolls back too.
+// An alert is emailed when stock first drops to the reorder level and again if it runs
+// out; it resolves when stock is back above the reorder level.
+const evaluate = async (product, variantId = null, session = null) => {
+    const variant = variantId ? product.findVariant({ variantId }) : null;
+    const holder = variant || product;
+    const key = { product: product._id, variant: variant ? variant._id : null, status: 'active' };
+    const now = new Date();
+
+    const level = product.isActive !== false && holder.isActive !== false && holder.stockStatus !== 'in-stock'
+        ? holder.stockStatus
+        : null;
+
+    if (!level) {
+        await StockAlert.updateOne(key, { $set: { status: 'resolved', resolvedAt: now } }, { session });
+        return null;
+    }
+
+    const snapshot = { availableQuantity: holder.availableQuantity, reorderLevel: holder.reorderLevel };
+    const existing = await StockAlert.findOne(key).session(session);
+
+    if (!existing) {
+        const [alert] = await StockAlert.create([{
+            ...key,
+            ...snapshot,
+            productName: product.name,
+            productCode: product.code,
+            sku: variant ? variant.sku : undefined,
+            label: variant ? variant.label : undefined,
+            level,
+            triggeredAt: now
+        }], { session });
+        notifyAfterCommit(session);
+        return alert;
+    }
+
+    const escalated = level === 'out-of-stock' && existing.level !== 'out-of-stock';
+    existing.set({
+        ...snapshot,
+        level,
+        ...(escalated ? { escalatedAt: now, notifiedAt: null, acknowledgedAt: undefined, acknowledgedBy: undefined } : {})
+    });
+    await existing.save({ session });
+
+    if (escalated) notifyAfterCommit(session);
+    return existing;
+};
+
+// Re-check every variant of a product, or the product itself when it has none,
+// e.g. after its reorder levels were edited
+const evaluateProduct = async (product, session = null) => {
+    if (product.variants && product.variants.length > 0) {
+        for (const variant of product.variants) {
+            await evaluate(product, variant._id, session);
+        }
+    } else {
+        await evaluate(product, null, session);
+    }
+};
+
+// Mark an alert as seen; it stays active until stock recovers
+const acknowledge = async (alertId, userId) => {
+    return StockAlert.findOneAndUpdate(
+        { _id: alertId, status: 'active' },
+        { $set: { acknowledgedAt: new Date(), acknowledgedBy: userId } },
+        { new: true }
+    );
+};
+
+// Everything currently at or below its reorder level, most urgent first
+const getLowStockItems = async () => {
+    const [products, variants] = await Promise.all([
+        Product.findLowStock().where('variants.0').exists(false)
+            .select('name code stockQuantity reservedQuantity reorderLevel'),
+        Product.findLowStockVariants()
+    ]);
+
+    return [
+        ...products.map(product => ({
+            product: product._id,
+            name: product.name,
+            code: product.code,
+            availableQuantity: product.availableQuantity,
+            reorderLevel: product.reorderLevel
+        })),
+        ...variants.map(row => ({
+            product: row.product,
+            name: row.name,
+            code: row.code,
+            variant: row.variant,
+            sku: row.sku,
+            label: [row.color, row.size].filter(Boolean).join(' / '),
+            availableQuantity: row.availableQuantity,
+            reorderLevel: row.reorderLevel
+        }))
+    ].sort((a, b) => a.availableQuantity - b.availableQuantity);
+};
+
+// Send the daily digest of items below reorder level, once a day from DIGEST_HOUR.
+// The day is claimed through a counter so only one server sends it.
+const sendDailyDigest = async (now = new Date()) => {
+    if (now.getHours() < DIGEST_HOUR) return false;
+
+    const items = await getLowStockItems();
+    if (items.length === 0) return false;
+
+    const day = `low-stock-digest:${now.toLocaleDateString('en-CA')}`;
+    if (await Counter.next(day) !== 1) return false;
+
+    const sent = await emailService.sendLowStockDigest(items, now);
+    if (!sent) {
+        await Counter.updateOne({ _id: day }, { $inc: { seq: -1 } });
+    }
+    return sent;
+};
+
+module.exports = {
+    evaluate,
+    evaluateProduct,
+    notifyPending,
+    acknowledge,
+    getLowStockItems,
+    sendDailyDigest
+};
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Stocktake = require('../models/Stocktake');
+const Product = require('../models/Product');
+const Location = require('../models/Location');
+const LocationStock = require('../models/LocationStock');
+const inventoryService = require('./inventoryService');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { parseCsv } = require('../utils/csv');
+
+const assertCounting = (stocktake) => {
+    if (stocktake.status !== 'counting') {
+        throw new AppError(`Stocktake ${stocktake.stocktakeNumber} is ${stocktake.status}`, 409, 'STOCKTAKE_CLOSED', {
+            status: stocktake.status
+        });
+    }
+};
+
+const saveStocktake = async (stocktake, session = null) => {
+    try {
+        return await stocktake.save({ session });
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw new AppError(`Stocktake ${stocktake.stocktakeNumber} was updated by someone else; reload and try again`, 409, 'STOCKTAKE_CONFLICT');
+        }
+        throw error;
+    }
+};
+
+// Start a stocktake over a category, a list of products, or every active product,
+// freezing the current stock of each product (each active variant for products with
+// variants) as the expected quantity. Once locations are set up a stocktake counts one
+// location (the default unless given). A product can only be in one open stocktake
+// per location.
+const startStocktake = async ({ category, products, location: locationId, notes }, user) => {
+    const location = await Location.resolve(locationId);
+    const filter = { isActive: true };
+    if (category) filter.category = category;
+    if (products && products.length > 0) filter._id = { $in: products };
+
+    const catalog = await Product.find(filter).sort({ code: 1 });
+    if (catalog.length === 0) {
+        throw new AppError('No active products match this stocktake', 400, 'STOCKTAKE_EMPTY');
+    }
+
+    const busy = await Stocktake.findOne({
+        status: 'counting',
+        location: location ? location._id : null,
+        'lines.product': { $in: catalog.map(product => product._id) }
+    }).select('stocktakeNumber');
+    if (busy) {
+        throw new AppError(`Some of these products are already being counted in stocktake ${busy.stocktakeNumber}`, 409, 'STOCKTAKE_IN_PROGRESS', {
+            stocktake: busy._id
+        });
+    }
+
+    // Expected stock at the location, keyed by "product:variant"
+    const atLocation = new Map();
+    if (location) {
+        const records = await LocationStock.find({ location: location._id, product: { $in: catalog.map(product => product._id) } });
+        records.forEach(record => atLocation.set(`${record.product}:${record.variant || ''}`, record.quantity));
+    }
+    const expected = (product, holder) => (location
+        ? atLocation.get(`${product._id}:${holder === product ? '' : holder._id}`) || 0
+        : holder.stockQuantity);
+
+    const lines = [];
+    for (const product of catalog) {
+        const base = {
+            product: product._id,
+            productName: product.name,
+            productCode: product.code,
+            unitCost: product.costPrice || 0
+        };
+
+        if (product.variants.length > 0) {
+            product.variants
+                .filter(variant => variant.isActive !== false)
+                .forEach(variant => lines.push({
+                    ...base,
+                    variant: variant._id,
+                    sku: variant.sku,
+                    label: variant.label,
+                    expectedQuantity: expected(product, variant)
+                }));
+        } else {
+            lines.push({ ...base, expectedQuantity: expected(product, product) });
+        }
+    }
+
+    const stocktake = new Stocktake({
+        location: location ? location._id : undefined,
+        scope: { category, products },
+        lines,
+        notes,
+        startedBy: user._id
+    });
+
+    await withTransaction(async (session) => {
+        stocktake.stocktakeNumber = await Stocktake.allocateNumber(new Date(), session);
+        await stocktake.save({ session });
+    });
+
+    return stocktake;
+};
+
+// Record counted quantities: [{ line | sku | code, countedQuantity, notes }]. A line
+// can be recounted until the stocktake is approved. Nothing is saved if any count
+// does not match a line.
+const recordCounts = async (stocktake, counts, user) => {
+    assertCounting(stocktake);
+
+    const unmatched = [];
+    const now = new Date();
+    for (const count of counts) {
+        const line = stocktake.findLine(count);
+        if (!line) {
+            unmatched.push({ row: count.row, line: count.line, sku: count.sku, code: count.code });
+            continue;
+        }
+
+        line.countedQuantity = count.countedQuantity;
+        line.countedBy = user._id;
+        line.countedAt = now;
+        if (count.notes !== undefined) line.notes = count.notes;
+    }
+
+    if (unmatched.length > 0) {
+        throw new AppError(`${unmatched.length} count(s) do not match any line of stocktake ${stocktake.stocktakeNumber}`, 400, 'STOCKTAKE_LINES_NOT_FOUND', {
+            unmatched
+        });
+    }
+
+    return saveStocktake(stocktake);
+};
+
+// Record counts from a CSV file with a `sku` or `code` column and a `counted` column
+// (an optional `notes` column is kept on the line)
+const importCounts = async (stocktake, csv, user) => {
+    const rows = parseCsv(csv);
+    if (rows.length === 0) {
+        throw new AppError('The CSV file has no rows', 400, 'CSV_EMPTY');
+    }
+
+    const invalid = rows.filter(row => (!row.sku && !row.code) || !/^\d+$/.test(row.counted || ''));
+    if (invalid.length > 0) {
+        throw new AppError('Every row needs a sku or code and a whole-number counted quantity', 400, 'CSV_INVALID_ROWS', {
+            rows: invalid.map(row => row._row)
+        });
+    }
+
+    return recordCounts(stocktake, rows.map(row => ({
+        row: row._row,
+        sku: row.sku || undefined,
+        code: row.sku ? undefined : row.code,
+        countedQuantity: parseInt(row.counted, 10),
+        notes: row.notes || undefined
+    })), user);
+};
+
+// Lines whose shortfall cannot be posted: it would take stock below what orders have
+// reserved, or below the stock recorded at the stocktake's location
+const findBlockedLines = async (stocktake, session) => {
+    const short = stocktake.lines.filter(line => line.variance < 0);
+    if (short.length === 0) return [];
+
+    const products = await Product.find({ _id: { $in: short.map(line => line.product) } }).session(session);
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+
+    const atLocation = new Map();
+    if (stocktake.location) {
+        const records = await LocationStock.find({ location: stocktake.location, product: { $in: short.map(line => line.product) } }).session(session);
+        records.forEach(record => atLocation.set(`${record.product}:${record.variant || ''}`, record.quantity));
+    }
+
+    const blocked = [];
+    for (const line of short) {
+        const product = productsById.get(String(line.product));
+        const holder = product && (line.variant ? product.variants.id(line.variant) : product);
+        const locationQuantity = atLocation.get(`${line.product}:${line.variant || ''}`) || 0;
+        const entry = { line: line._id, productCode: line.productCode, sku: line.sku, variance: line.variance };
+
+        if (!holder) {
+            blocked.push({ ...entry, reason: 'not-found' });
+        } else if (-line.variance > holder.availableQuantity) {
+            blocked.push({ ...entry, reason: 'reserved', stockQuantity: holder.stockQuantity, reservedQuantity: holder.reservedQuantity });
+        } else if (stocktake.location && -line.variance > locationQuantity) {
+            blocked.push({ ...entry, reason: 'location-stock', locationQuantity });
+        }
+    }
+    return blocked;
+};
+
+// Approve a stocktake and post each variance as a 'stocktake' movement. Variances are
+// applied as changes against the frozen expected quantity, so sales and receipts made
+// while counting are kept. Uncounted lines fail the approval unless `skipUncounted`.
+// Shortfalls are checked before anything is posted, and every line that cannot be
+// posted is reported at once (e.g. stock held by orders that must be released first).
+const approveStocktake = async (stocktake, { user, skipUncounted = false }) => {
+    assertCounting(stocktake);
+
+    const uncounted = stocktake.lines.filter(line => line.countedQuantity == null);
+    if (uncounted.length > 0 && !skipUncounted) {
+        throw new AppError(`${uncounted.length} line(s) have not been counted`, 400, 'STOCKTAKE_INCOMPLETE', {
+            uncounted: uncounted.map(line => line.sku || line.productCode)
+        });
+    }
+
+    const reference = { kind: 'Stocktake', documentId: stocktake._id, number: stocktake.stocktakeNumber };
+    await withTransaction(async (session) => {
+        const blocked = await findBlockedLines(stocktake, session);
+        if (blocked.length > 0) {
+            throw new AppError(`${blocked.length} shortfall(s) cannot be posted: stock is reserved by orders or not at this location`, 409, 'STOCKTAKE_VARIANCE_BLOCKED', {
+                lines: blocked
+            });
+        }
+
+        for (const line of stocktake.lines) {
+            if (!line.variance) continue;
+
+            await inventoryService.adjustStock(line.product, {
+                variantId: line.variant,
+                locationId: stocktake.location,
+                change: line.variance,
+                type: 'stocktake',
+                reason: `Stocktake ${stocktake.stocktakeNumber}`,
+                reference,
+                userId: user._id,
+                session
+            });
+            line.adjustedQuantity = line.variance;
+        }
+
+        stocktake.status = 'approved';
+        stocktake.approvedBy = user._id;
+        stocktake.approvedAt = new Date();
+        await saveStocktake(stocktake, session);
+    });
+
+    return stocktake;
+};
+
+// Abandon a stocktake without touching stock
+const cancelStocktake = async (stocktake, { user, reason }) => {
+    assertCounting(stocktake);
+
+    stocktake.status = 'cancelled';
+    stocktake.cancelledBy = user._id;
+    stocktake.cancelledAt = new Date();
+    stocktake.cancellationReason = reason;
+    return saveStocktake(stocktake);
+};
+
+module.exports = {
+    startStocktake,
+    recordCounts,
+    importCounts,
+    approveStocktake,
+    cancelStocktake
+};
@@ -0,0 +1,142 @@
+// GST computation for Indian sales. Supplies within our own state carry CGST + SGST
+// (half the rate each); supplies to any other state carry IGST at the full rate.
+
+const BUSINESS_STATE = process.env.BUSINESS_STATE || 'Rajasthan';
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state codes, used for place of supply and the first two digits of a GSTIN
+const STATE_CODES = {
+    'jammu and kashmir': '01',
+    'himachal pradesh': '02',
+    'punjab': '03',
+    'chandigarh': '04',
+    'uttarakhand': '05',
+    'haryana': '06',
+    'delhi': '07',
+    'rajasthan': '08',
+    'uttar pradesh': '09',
+    'bihar': '10',
+    'sikkim': '11',
+    'arunachal pradesh': '12',
+    'nagaland': '13',
+    'manipur': '14',
+    'mizoram': '15',
+    'tripura': '16',
+    'meghalaya': '17',
+    'assam': '18',
+    'west bengal': '19',
+    'jharkhand': '20',
+    'odisha': '21',
+    'chhattisgarh': '22',
+    'madhya pradesh': '23',
+    'gujarat': '24',
+    'dadra and nagar haveli and daman and diu': '26',
+    'maharashtra': '27',
+    'karnataka': '29',
+    'goa': '30',
+    'lakshadweep': '31',
+    'kerala': '32',
+    'tamil nadu': '33',
+    'puducherry': '34',
+    'andaman and nicobar islands': '35',
+    'telangana': '36',
+    'andhra pradesh': '37',
+    'ladakh': '38'
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ');
+
+const getStateCode = (state) => STATE_CODES[normalizeState(state)] || null;
+
+const isValidGstin = (gstin) => GSTIN_PATTERN.test((gstin || '').toUpperCase());
+
+// Intra-state when the place of supply is our state (or unknown, i.e. a local counter sale)
+const getSupplyType = (placeOfSupply) => {
+    if (!placeOfSupply || normalizeState(placeOfSupply) === normalizeState(BUSINESS_STATE)) {
+        return 'intra-state';
+    }
+    return 'inter-state';
+};
+
+// Tax on one taxable amount at one GST rate
+const computeTax = (taxableValue, rate, supplyType) => {
+    const value = roundCurrency(taxableValue);
+    if (supplyType === 'inter-state') {
+        const igst = roundCurrency(value * rate / 100);
+        return { taxableValue: value, rate, cgst: 0, sgst: 0, igst, totalTax: igst };
+    }
+
+    const half = roundCurrency(value * rate / 200);
+    return { taxableValue: value, rate, cgst: half, sgst: half, igst: 0, totalTax: roundCurrency(half * 2) };
+};
+
+// Compute line-level and order-level GST on an order in place. Each line must carry
+// tax.rate (and tax.hsnCode) from its product. The order discount is spread across
+// lines in proportion to their value, since GST is charged on the discounted price.
+// Shipping follows the highest line rate, as freight on a composite supply does.
+const applyOrderTax = (order) => {
+    const items = order.items || [];
+    const supplyType = getSupplyType(order.placeOfSupply);
+    const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+    const discount = Math.min(order.discount || 0, subtotal);
+
+    const byRate = new Map();
+    const addToRate = (tax) => {
+        const bucket = byRate.get(tax.rate) || { rate: tax.rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+        ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax'].forEach(key => {
+            bucket[key] = roundCurrency(bucket[key] + tax[key]);
+        });
+        byRate.set(tax.rate, bucket);
+    };
+
+    let highestRate = 0;
+    for (const item of items) {
+        const rate = item.tax && item.tax.rate != null ? item.tax.rate : 0;
+        const lineDiscount = subtotal > 0 ? discount * item.totalPrice / subtotal : 0;
+        const tax = computeTax(item.totalPrice - lineDiscount, rate, supplyType);
+
+        item.tax = { hsnCode: item.tax && item.tax.hsnCode, ...tax };
+        addToRate(tax);
+        highestRate = Math.max(highestRate, rate);
+    }
+
+    const shippingTax = order.shippingCost ? computeTax(order.shippingCost, highestRate, supplyType) : null;
+    if (shippingTax) addToRate(shippingTax);
+
+    const rates = [...byRate.values()].sort((a, b) => a.rate - b.rate);
+    const sum = (key) => roundCurrency(rates.reduce((total, bucket) => total + bucket[key], 0));
+
+    order.taxBreakdown = {
+        supplyType,
+        sellerState: BUSINESS_STATE,
+        placeOfSupply: order.placeOfSupply || BUSINESS_STATE,
+        placeOfSupplyCode: getStateCode(order.placeOfSupply || BUSINESS_STATE),
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax: sum('totalTax'),
+        shippingTax: shippingTax ? shippingTax.totalTax : 0,
+        byRate: rates
+    };
+    order.tax = order.taxBreakdown.totalTax;
+
+    return order.taxBreakdown;
+};
+
+module.exports = {
+    BUSINESS_STATE,
+    GST_RATES,
+    GSTIN_PATTERN,
+    STATE_CODES,
+    getStateCode,
+    isValidGstin,
+    getSupplyType,
+    computeTax,
+    applyOrderTax
+};
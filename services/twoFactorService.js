@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const totp = require('../utils/totp');
+const { AppError } = require('../utils/errors');
+
+const ISSUER = 'Uniform Palace';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRY = '10m';
+
+// Login challenges: `login` after the password when 2FA is on, `setup` when the user's
+// role requires 2FA and it is not set up yet
+const CHALLENGE_PURPOSES = {
+    login: '2fa-login',
+    setup: '2fa-setup'
+};
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Fresh recovery codes, e.g. "3f9a1-c07be"; only their hashes are kept
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+// Load a user with the 2FA secrets, which are never selected by default
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Whether the user's role must use 2FA
+const isRequiredFor = async (user) => {
+    const settings = await SecuritySettings.get();
+    return settings.twoFactorRequiredRoles.includes(user.role);
+};
+
+// Short-lived token carrying a user from the password step to the 2FA step of login
+const createChallengeToken = (user, purpose) => jwt.sign(
+    { userId: user._id, purpose: CHALLENGE_PURPOSES[purpose] },
+    getSecret(),
+    { expiresIn: CHALLENGE_TOKEN_EXPIRY }
+);
+
+// Resolve a challenge token to its (active) user
+const verifyChallengeToken = async (token, purpose) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, getSecret());
+    } catch (error) {
+        payload = null;
+    }
+    if (!payload || payload.purpose !== CHALLENGE_PURPOSES[purpose]) {
+        throw new AppError('This login step has expired. Please log in again.', 401, 'INVALID_CHALLENGE');
+    }
+
+    const user = await User.findById(payload.userId).select('-password');
+    if (!user || !user.isActive) {
+        throw new AppError('Account is deactivated', 401, 'ACCOUNT_DEACTIVATED');
+    }
+    return user;
+};
+
+// Start setting up 2FA: a new secret to add to an authenticator app
+const beginSetup = async (userId) => {
+    const user = await loadWithSecrets(userId);
+    if (user.twoFactor.enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+        secret,
+        otpauthUri: totp.keyUri({ secret, account: user.email || user.username, issuer: ISSUER })
+    };
+};
+
+// Finish setting up 2FA with the first code from the app. Resolves to the recovery
+// codes, which are shown to the user once.
+const enable = async (userId, code) => {
+    const user = await loadWithSecrets(userId);
+    if (user.twoFactor.enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.twoFactor.pendingSecret) {
+        throw new AppError('Start two-factor setup first', 400, 'TWO_FACTOR_SETUP_NOT_STARTED');
+    }
+
+    const step = totp.verify(code, user.twoFactor.pendingSecret);
+    if (step === null) {
+        throw new AppError('Invalid authentication code', 400, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ codeHash: hashRecoveryCode(recoveryCode) }));
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return { user, recoveryCodes };
+};
+
+// Check a code from the app, or spend a recovery code. Both are claimed atomically, so
+// the same code cannot be used twice even by requests racing each other.
+const verifyCode = async (userId, { code, recoveryCode }) => {
+    const user = await loadWithSecrets(userId);
+    if (!user || !user.twoFactor.enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (code) {
+        const step = totp.verify(code, user.twoFactor.secret);
+        if (step !== null) {
+            const claimed = await User.updateOne(
+                {
+                    _id: user._id,
+                    $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+                },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+            if (claimed.modifiedCount === 1) return { method: 'totp' };
+        }
+    } else if (recoveryCode) {
+        const unused = (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+        const claimed = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+            { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+        );
+        if (claimed.modifiedCount === 1) {
+            return { method: 'recovery-code', recoveryCodesLeft: unused - 1 };
+        }
+    }
+
+    throw new AppError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE');
+};
+
+// Replace the recovery codes, e.g. after some have been used
+const regenerateRecoveryCodes = async (userId, code) => {
+    await verifyCode(userId, { code });
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+        { _id: userId },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ codeHash: hashRecoveryCode(recoveryCode) })) } }
+    );
+    return recoveryCodes;
+};
+
+// Turn 2FA off at the user's request; not allowed while their role requires it
+const disable = async (userId, { password, code, recoveryCode }) => {
+    const user = await User.findById(userId);
+    if (await isRequiredFor(user)) {
+        throw new AppError(`Two-factor authentication is required for the ${user.role} role`, 409, 'TWO_FACTOR_REQUIRED');
+    }
+    if (!(await user.comparePassword(password))) {
+        throw new AppError('Password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+    await verifyCode(userId, { code, recoveryCode });
+
+    return reset(userId);
+};
+
+// Clear a user's 2FA, e.g. by an admin when the user has lost their device. Users whose
+// role requires 2FA set it up again at their next login.
+const reset = async (userId) => {
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.secret': '',
+                'twoFactor.pendingSecret': '',
+                'twoFactor.lastUsedStep': '',
+                'twoFactor.recoveryCodes': '',
+                'twoFactor.enabledAt': ''
+            }
+        }
+    );
+};
+
+// 2FA state for the user's own settings page
+const getStatus = async (userId) => {
+    const user = await loadWithSecrets(userId);
+    return {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await isRequiredFor(user),
+        recoveryCodesLeft: (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length
+    };
+};
+
+module.exports = {
+    isRequiredFor,
+    createChallengeToken,
+    verifyChallengeToken,
+    beginSetup,
+    enable,
+    verifyCode,
+    regenerateRecoveryCodes,
+    disable,
+    reset,
+    getStatus
+};
@@ -11,6 +11,7 @@ require('dotenv').config();
 
 // Import models
 const User = require('./models/User');
+const Role = require('./models/Role');
 const Customer = require('./models/Customer');
 const Product = require('./models/Product');
 const Inquiry = require('./models/Inquiry');
@@ -274,6 +275,17 @@ async function connectDatabase() {
     }
 }
 
+async function createRoles() {
+    try {
+        logInfo('Creating built-in roles...');
+        await Role.ensureSystemRoles();
+        logSuccess('Built-in roles ready: admin, manager, staff');
+    } catch (error) {
+        logError(`Failed to create roles: ${error.message}`);
+        throw error;
+    }
+}
+
 async function createAdminUser() {
     try {
         logInfo('Creating admin user...');
@@ -421,6 +433,9 @@ async function main() {
         // Connect to database
         await connectDatabase();
 
+        // Create built-in roles
+        await createRoles();
+
         // Create admin user
         const adminUser = await createAdminUser();
 
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// In-memory MongoDB for tests. It runs as a single-member replica set because the
+// code under test uses transactions, which a standalone mongod does not support.
+let replSet = null;
+
+// Start the replica set, connect mongoose and create the collections and indexes of
+// every model loaded so far (collections cannot be created safely mid-transaction)
+const connect = async () => {
+    replSet = await MongoMemoryReplSet.create({
+        replSet: { count: 1, storageEngine: 'wiredTiger' }
+    });
+    await mongoose.connect(replSet.getUri());
+    await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+// Empty every collection between tests, keeping collections and indexes
+const clear = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+        await replSet.stop();
+        replSet = null;
+    }
+};
+
+module.exports = {
+    connect,
+    clear,
+    disconnect
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const db = require('../helpers/db');
+const Product = require('../../models/Product');
+const StockMovement = require('../../models/StockMovement');
+const inventoryService = require('../../services/inventoryService');
+const { withTransaction } = require('../../utils/transaction');
+
+// Low-stock alerts opened by the reservations would otherwise try to send email
+jest.mock('../../services/emailService');
+
+const userId = new mongoose.Types.ObjectId();
+
+const createProduct = (fields) => Product.create({
+    name: 'School Shirt',
+    code: 'SHIRT-01',
+    category: 'educational',
+    uniformType: 'school',
+    basePrice: 450,
+    createdBy: userId,
+    ...fields
+});
+
+// An order with a single line, built inside the transaction so a retried attempt
+// starts again from nothing reserved
+const orderFor = (product, quantity, variant) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: `TEST${Math.floor(Math.random() * 1e6)}`,
+    items: [{ product: product._id, variant, quantity, reservedQuantity: 0, sizeBreakdown: [] }]
+});
+
+// Attempt `count` reservations of `quantity` at the same time
+const reserveConcurrently = (count, quantity, product, variant) => Promise.allSettled(
+    Array.from({ length: count }, () => withTransaction(async (session) => {
+        const order = orderFor(product, quantity, variant);
+        await inventoryService.reserveOrderStock(order, session, userId);
+        return order;
+    }))
+);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('reserveOrderStock', () => {
+    test('concurrent orders cannot reserve more than a product has', async () => {
+        const product = await createProduct({ stockQuantity: 10 });
+
+        const results = await reserveConcurrently(8, 3, product);
+        const fulfilled = results.filter(result => result.status === 'fulfilled');
+        const rejected = results.filter(result => result.status === 'rejected');
+
+        expect(fulfilled).toHaveLength(3);
+        rejected.forEach(result => {
+            expect(result.reason.code).toBe('INSUFFICIENT_STOCK');
+            expect(result.reason.status).toBe(400);
+        });
+
+        const saved = await Product.findById(product._id);
+        expect(saved.stockQuantity).toBe(10);
+        expect(saved.reservedQuantity).toBe(9);
+        expect(await StockMovement.countDocuments({ product: product._id, type: 'reservation' })).toBe(3);
+    });
+
+    test('concurrent orders cannot reserve more than a single variant has', async () => {
+        const product = await createProduct({
+            variants: [
+                { sku: 'SHIRT-01-NAVY-32', color: 'Navy', size: '32', stockQuantity: 5 },
+                { sku: 'SHIRT-01-NAVY-34', color: 'Navy', size: '34', stockQuantity: 20 }
+            ]
+        });
+        const [small, large] = product.variants;
+
+        const results = await reserveConcurrently(6, 2, product, small._id);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+        results.filter(result => result.status === 'rejected').forEach(result => {
+            expect(result.reason.code).toBe('INSUFFICIENT_STOCK');
+            expect(String(result.reason.details.variant)).toBe(String(small._id));
+        });
+
+        const saved = await Product.findById(product._id);
+        expect(saved.variants.id(small._id).reservedQuantity).toBe(4);
+        expect(saved.variants.id(large._id).reservedQuantity).toBe(0);
+        expect(saved.stockQuantity).toBe(25);
+        expect(saved.reservedQuantity).toBe(4);
+        expect(await StockMovement.countDocuments({ variant: small._id, type: 'reservation' })).toBe(2);
+    });
+});
+
+describe('releaseOrderStock', () => {
+    test('refuses to clear a reservation the product does not hold', async () => {
+        const product = await createProduct({ stockQuantity: 10, reservedQuantity: 1 });
+        const order = orderFor(product, 3);
+        order.items[0].reservedQuantity = 3;
+
+        await expect(withTransaction(session => inventoryService.releaseOrderStock(order, session, userId)))
+            .rejects.toMatchObject({ status: 409, code: 'RESERVATION_MISMATCH', details: { orderReserved: 3, productReserved: 1 } });
+
+        const saved = await Product.findById(product._id);
+        expect(saved.reservedQuantity).toBe(1);
+        expect(await StockMovement.countDocuments({ product: product._id, type: 'release' })).toBe(0);
+    });
+
+    test('gives a held reservation back', async () => {
+        const product = await createProduct({ stockQuantity: 10, reservedQuantity: 3 });
+        const order = orderFor(product, 3);
+        order.items[0].reservedQuantity = 3;
+
+        await withTransaction(session => inventoryService.releaseOrderStock(order, session, userId));
+
+        expect((await Product.findById(product._id)).reservedQuantity).toBe(0);
+        expect(order.items[0].reservedQuantity).toBe(0);
+    });
+});
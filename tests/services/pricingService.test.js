@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/Product');
+const pricingService = require('../../services/pricingService');
+
+const approver = { _id: new mongoose.Types.ObjectId(), can: () => true };
+const staff = { _id: new mongoose.Types.ObjectId(), can: () => false };
+
+const sizes = {
+    S: { priceDelta: 0 },
+    M: { priceDelta: 0 },
+    XL: { priceDelta: 30 },
+    XXL: { priceDelta: 50 }
+};
+
+const product = (fields = {}) => new Product({
+    name: 'School Blazer',
+    code: 'BLAZER-01',
+    category: 'educational',
+    uniformType: 'school',
+    basePrice: 400,
+    bulkPricing: [{ minQuantity: 50, discount: 10 }],
+    customizationOptions: [{ name: 'School logo', type: 'logo', additionalCost: 25 }],
+    ...fields
+});
+
+// { S: 10, XL: 5 } → the size breakdown of a run
+const run = (quantities) => Object.entries(quantities).map(([size, quantity]) => ({ size, quantity, variant: sizes[size] }));
+
+describe('priceSizeRun', () => {
+    test.each([
+        // name, run, options, quantity, row unit prices, total, line unit price, list unit price, average delta, source
+        ['catalog price plus each size\'s delta', { S: 10, XL: 5 }, {}, 15, [400, 430], 6150, 410, 410, 10, 'base'],
+        ['a bulk tier reached by the whole run', { S: 30, XL: 20 }, {}, 50, [360, 390], 18600, 372, 372, 12, 'bulk'],
+        ['customization on every size', { S: 10, XL: 5 }, { customization: { logo: true } }, 15, [425, 455], 6525, 435, 435, 10, 'base'],
+        ['sizes without a delta', { S: 4, M: 6 }, {}, 10, [400, 400], 4000, 400, 400, 0, 'base'],
+        ['an override for every size', { S: 10, XL: 5 }, { priceOverride: { unitPrice: 380, reason: 'Annual contract' }, user: approver }, 15, [380, 380], 5700, 380, 410, 10, 'override']
+    ])('prices %s', (name, quantities, options, quantity, rowPrices, totalPrice, unitPrice, listUnitPrice, variantPriceDelta, source) => {
+        const priced = pricingService.priceSizeRun(product(), { sizeBreakdown: run(quantities), ...options });
+
+        expect(priced.quantity).toBe(quantity);
+        expect(priced.sizeBreakdown.map(row => row.unitPrice)).toEqual(rowPrices);
+        expect(priced.totalPrice).toBe(totalPrice);
+        expect(priced.unitPrice).toBe(unitPrice);
+        expect(priced.pricing).toMatchObject({ listUnitPrice, variantPriceDelta, source });
+    });
+
+    test('rounds the average unit price of a run', () => {
+        const priced = pricingService.priceSizeRun(product({ basePrice: 99.99, bulkPricing: [] }), {
+            sizeBreakdown: [
+                { size: 'S', quantity: 1, variant: { priceDelta: 0 } },
+                { size: 'XL', quantity: 2, variant: { priceDelta: 10 } }
+            ]
+        });
+
+        expect(priced.totalPrice).toBe(319.97);
+        expect(priced.unitPrice).toBe(106.66);
+        expect(priced.pricing.variantPriceDelta).toBe(6.67);
+    });
+
+    test('applies the minimum order quantity to the whole run', () => {
+        expect(() => pricingService.priceSizeRun(product({ minimumOrderQuantity: 20 }), { sizeBreakdown: run({ S: 10, XL: 5 }) }))
+            .toThrow(expect.objectContaining({ status: 400, code: 'BELOW_MINIMUM_ORDER_QUANTITY' }));
+        expect(pricingService.priceSizeRun(product({ minimumOrderQuantity: 20 }), { sizeBreakdown: run({ S: 12, XL: 8 }) }).quantity).toBe(20);
+    });
+
+    test('refuses an override from a role that cannot approve orders', () => {
+        expect(() => pricingService.priceSizeRun(product(), {
+            sizeBreakdown: run({ S: 10 }),
+            priceOverride: { unitPrice: 300, reason: 'Friend of the owner' },
+            user: staff
+        })).toThrow(expect.objectContaining({ status: 403, code: 'PRICE_OVERRIDE_NOT_ALLOWED' }));
+    });
+
+    test('requires a reason for an override', () => {
+        expect(() => pricingService.priceSizeRun(product(), {
+            sizeBreakdown: run({ S: 10 }),
+            priceOverride: { unitPrice: 300, reason: ' ' },
+            user: approver
+        })).toThrow(expect.objectContaining({ status: 400, code: 'PRICE_OVERRIDE_REASON_REQUIRED' }));
+    });
+});
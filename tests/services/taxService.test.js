@@ -0,0 +1,131 @@
+// The seller's state decides intra- or inter-state supply; pin it for these cases
+process.env.BUSINESS_STATE = 'Rajasthan';
+
+const taxService = require('../../services/taxService');
+
+const line = (totalPrice, rate) => ({ totalPrice, tax: { rate, hsnCode: '6203' } });
+
+describe('getSupplyType', () => {
+    test.each([
+        ['Rajasthan', 'intra-state'],
+        ['  rajasthan ', 'intra-state'],
+        [undefined, 'intra-state'],
+        ['Maharashtra', 'inter-state'],
+        ['Jammu & Kashmir', 'inter-state']
+    ])('%s is %s', (placeOfSupply, supplyType) => {
+        expect(taxService.getSupplyType(placeOfSupply)).toBe(supplyType);
+    });
+});
+
+describe('computeTax', () => {
+    test.each([
+        // taxable value, rate, supply type, cgst, sgst, igst, total tax
+        [1000, 12, 'intra-state', 60, 60, 0, 120],
+        [1000, 12, 'inter-state', 0, 0, 120, 120],
+        [0, 18, 'intra-state', 0, 0, 0, 0],
+        [500, 0, 'inter-state', 0, 0, 0, 0],
+        // Each half is rounded, so intra-state tax can differ from IGST by a paisa
+        [333.33, 5, 'intra-state', 8.33, 8.33, 0, 16.66],
+        [333.33, 5, 'inter-state', 0, 0, 16.67, 16.67],
+        [99.995, 18, 'inter-state', 0, 0, 18, 18]
+    ])('%d at %d%% %s', (taxableValue, rate, supplyType, cgst, sgst, igst, totalTax) => {
+        expect(taxService.computeTax(taxableValue, rate, supplyType)).toEqual({
+            taxableValue: Math.round(taxableValue * 100) / 100,
+            rate,
+            cgst,
+            sgst,
+            igst,
+            totalTax
+        });
+    });
+});
+
+describe('applyOrderTax', () => {
+    // Two lines at different rates with a discount and shipping: the discount is split
+    // 1000:500 before GST, and shipping is taxed at the highest line rate (12%)
+    const mixedOrder = (placeOfSupply) => ({
+        placeOfSupply,
+        discount: 150,
+        shippingCost: 100,
+        items: [line(1000, 12), line(500, 5)]
+    });
+
+    test.each([
+        ['Rajasthan', 'intra-state', { cgst: 71.25, sgst: 71.25, igst: 0 }, '08'],
+        ['Maharashtra', 'inter-state', { cgst: 0, sgst: 0, igst: 142.5 }, '27'],
+        [undefined, 'intra-state', { cgst: 71.25, sgst: 71.25, igst: 0 }, '08']
+    ])('splits GST for a supply to %s', (placeOfSupply, supplyType, split, placeOfSupplyCode) => {
+        const order = mixedOrder(placeOfSupply);
+        const breakdown = taxService.applyOrderTax(order);
+
+        expect(breakdown).toMatchObject({
+            supplyType,
+            placeOfSupply: placeOfSupply || 'Rajasthan',
+            placeOfSupplyCode,
+            taxableValue: 1450,
+            totalTax: 142.5,
+            shippingTax: 12,
+            ...split
+        });
+        expect(order.tax).toBe(142.5);
+    });
+
+    test('spreads the discount across lines in proportion to their value', () => {
+        const order = mixedOrder('Maharashtra');
+        taxService.applyOrderTax(order);
+
+        expect(order.items.map(item => item.tax)).toEqual([
+            { hsnCode: '6203', taxableValue: 900, rate: 12, cgst: 0, sgst: 0, igst: 108, totalTax: 108 },
+            { hsnCode: '6203', taxableValue: 450, rate: 5, cgst: 0, sgst: 0, igst: 22.5, totalTax: 22.5 }
+        ]);
+    });
+
+    test('groups lines and shipping by rate', () => {
+        const order = mixedOrder('Rajasthan');
+        const { byRate } = taxService.applyOrderTax(order);
+
+        expect(byRate).toEqual([
+            { rate: 5, taxableValue: 450, cgst: 11.25, sgst: 11.25, igst: 0, totalTax: 22.5 },
+            { rate: 12, taxableValue: 1000, cgst: 60, sgst: 60, igst: 0, totalTax: 120 }
+        ]);
+    });
+
+    test.each([
+        // line rates, shipping, supply, expected shipping tax
+        [[5, 28], 200, 'Maharashtra', 56],
+        [[5, 28], 200, 'Rajasthan', 56],
+        [[12, 5, 18], 50, 'Maharashtra', 9],
+        [[0], 100, 'Maharashtra', 0]
+    ])('taxes shipping at the highest line rate (rates %j, shipping %d to %s)', (rates, shippingCost, placeOfSupply, shippingTax) => {
+        const order = { placeOfSupply, shippingCost, items: rates.map(rate => line(100, rate)) };
+        expect(taxService.applyOrderTax(order).shippingTax).toBe(shippingTax);
+    });
+
+    test('rounds each line after an uneven discount split', () => {
+        const order = { placeOfSupply: 'Maharashtra', discount: 100, items: [line(100, 18), line(100, 18), line(100, 18)] };
+        const breakdown = taxService.applyOrderTax(order);
+
+        order.items.forEach(item => {
+            expect(item.tax.taxableValue).toBe(66.67);
+            expect(item.tax.igst).toBe(12);
+        });
+        expect(breakdown.taxableValue).toBe(200.01);
+        expect(breakdown.totalTax).toBe(36);
+    });
+
+    test('caps the discount at the order value', () => {
+        const order = { placeOfSupply: 'Rajasthan', discount: 5000, items: [line(1000, 12), line(500, 5)] };
+        const breakdown = taxService.applyOrderTax(order);
+
+        expect(breakdown.taxableValue).toBe(0);
+        expect(breakdown.totalTax).toBe(0);
+    });
+
+    test('treats lines without a rate as exempt', () => {
+        const order = { placeOfSupply: 'Rajasthan', items: [{ totalPrice: 250 }] };
+        const breakdown = taxService.applyOrderTax(order);
+
+        expect(order.items[0].tax).toMatchObject({ rate: 0, taxableValue: 250, totalTax: 0 });
+        expect(breakdown.totalTax).toBe(0);
+    });
+});
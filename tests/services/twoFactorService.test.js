@@ -0,0 +1,59 @@
+const db = require('../helpers/db');
+const User = require('../../models/User');
+const twoFactorService = require('../../services/twoFactorService');
+const totp = require('../../utils/totp');
+
+const STEP_MS = 30 * 1000;
+
+const createUser = async () => {
+    const secret = totp.generateSecret();
+    const user = await User.create({
+        username: 'asha',
+        email: 'asha@example.com',
+        password: 'secret123',
+        fullName: 'Asha Rao',
+        twoFactor: { enabled: true, secret, lastUsedStep: null }
+    });
+    return { user, secret };
+};
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('verifyCode', () => {
+    test('accepts a current code', async () => {
+        const { user, secret } = await createUser();
+        await expect(twoFactorService.verifyCode(user._id, { code: totp.generate(secret) }))
+            .resolves.toEqual({ method: 'totp' });
+    });
+
+    test('refuses the same code a second time', async () => {
+        const { user, secret } = await createUser();
+        const code = totp.generate(secret);
+
+        await twoFactorService.verifyCode(user._id, { code });
+        await expect(twoFactorService.verifyCode(user._id, { code }))
+            .rejects.toMatchObject({ status: 401, code: 'INVALID_TWO_FACTOR_CODE' });
+    });
+
+    test('refuses an earlier step of the window once a later one was used', async () => {
+        const { user, secret } = await createUser();
+        const now = Date.now();
+
+        await twoFactorService.verifyCode(user._id, { code: totp.generate(secret, { time: now }) });
+        await expect(twoFactorService.verifyCode(user._id, { code: totp.generate(secret, { time: now - STEP_MS }) }))
+            .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    });
+
+    test('lets only one of two racing requests use a code', async () => {
+        const { user, secret } = await createUser();
+        const code = totp.generate(secret);
+
+        const results = await Promise.allSettled([
+            twoFactorService.verifyCode(user._id, { code }),
+            twoFactorService.verifyCode(user._id, { code })
+        ]);
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    });
+});
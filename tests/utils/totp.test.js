@@ -0,0 +1,106 @@
+const totp = require('../../utils/totp');
+
+// RFC 6238 Appendix B: the seed is the ASCII digits repeated to the hash's block size
+const seeds = {
+    sha1: Buffer.from('12345678901234567890', 'ascii'),
+    sha256: Buffer.from('12345678901234567890123456789012', 'ascii'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234', 'ascii')
+};
+
+const vectors = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826']
+];
+
+describe('generate', () => {
+    describe.each(['sha1', 'sha256', 'sha512'])('RFC 6238 test vectors (%s)', (algorithm) => {
+        const column = { sha1: 1, sha256: 2, sha512: 3 }[algorithm];
+
+        test.each(vectors.map(row => [row[0], row[column]]))('T = %i gives %s', (seconds, expected) => {
+            expect(totp.generate(seeds[algorithm], { time: seconds * 1000, digits: 8, algorithm })).toBe(expected);
+        });
+    });
+
+    test('accepts the secret in base32', () => {
+        const secret = totp.base32Encode(seeds.sha1);
+        expect(totp.generate(secret, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+    });
+});
+
+describe('base32', () => {
+    test('encodes the RFC 4648 test vectors without padding', () => {
+        const cases = [['', ''], ['f', 'MY'], ['fo', 'MZXQ'], ['foo', 'MZXW6'], ['foob', 'MZXW6YQ'], ['fooba', 'MZXW6YTB'], ['foobar', 'MZXW6YTBOI']];
+        cases.forEach(([text, encoded]) => {
+            expect(totp.base32Encode(Buffer.from(text))).toBe(encoded);
+        });
+    });
+
+    test('decodes what it encodes', () => {
+        for (let length = 0; length <= 40; length++) {
+            const bytes = Buffer.from(Array.from({ length }, (_, index) => (index * 37 + length) & 255));
+            expect(totp.base32Decode(totp.base32Encode(bytes)).equals(bytes)).toBe(true);
+        }
+    });
+
+    test('ignores case, spaces, dashes and padding as apps display secrets', () => {
+        expect(totp.base32Decode('mzxw 6ytb-oi======').toString()).toBe('foobar');
+    });
+
+    test('rejects characters outside the alphabet', () => {
+        expect(() => totp.base32Decode('MZXW1')).toThrow('Invalid base32 character "1"');
+    });
+
+    test('generated secrets are 160 bits', () => {
+        expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+    });
+});
+
+describe('verify', () => {
+    const secret = totp.base32Encode(seeds.sha1);
+    const time = 1111111109 * 1000;
+    const step = totp.getStep(time);
+    const codeAt = (offset) => totp.generate(secret, { time: time + offset * 30 * 1000 });
+
+    test('resolves to the step of a current code', () => {
+        expect(totp.verify(codeAt(0), secret, { time })).toBe(step);
+    });
+
+    test('accepts codes one step either side for clock drift, reporting their step', () => {
+        expect(totp.verify(codeAt(-1), secret, { time })).toBe(step - 1);
+        expect(totp.verify(codeAt(1), secret, { time })).toBe(step + 1);
+    });
+
+    test('rejects codes outside the window', () => {
+        expect(totp.verify(codeAt(-2), secret, { time })).toBeNull();
+        expect(totp.verify(codeAt(2), secret, { time })).toBeNull();
+        expect(totp.verify(codeAt(-1), secret, { time, window: 0 })).toBeNull();
+    });
+
+    test('resolves a reused code to the same step, so callers can refuse the replay', () => {
+        const first = totp.verify(codeAt(0), secret, { time });
+        const replay = totp.verify(codeAt(0), secret, { time: time + 20 * 1000 });
+        expect(replay).toBe(first);
+    });
+
+    test('rejects malformed codes', () => {
+        expect(totp.verify('', secret, { time })).toBeNull();
+        expect(totp.verify('12345', secret, { time })).toBeNull();
+        expect(totp.verify('abcdef', secret, { time })).toBeNull();
+    });
+
+    test('ignores spaces within a code', () => {
+        const code = codeAt(0);
+        expect(totp.verify(`${code.slice(0, 3)} ${code.slice(3)}`, secret, { time })).toBe(step);
+    });
+});
+
+describe('keyUri', () => {
+    test('builds an otpauth URI for authenticator apps', () => {
+        const uri = totp.keyUri({ secret: 'MZXW6YTBOI', account: 'asha@example.com', issuer: 'Uniform Palace' });
+        expect(uri).toBe('otpauth://totp/Uniform%20Palace%3Aasha%40example.com?secret=MZXW6YTBOI&issuer=Uniform+Palace&algorithm=SHA1&digits=6&period=30');
+    });
+});
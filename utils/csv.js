@@ -0,0 +1,70 @@
+// Minimal CSV reading and writing (RFC 4180: quoted fields, doubled quotes, CRLF)
+
+// Parse CSV text into rows of objects keyed by the lower-cased header names.
+// Each row also gets `_row`, its line number in the file, for error messages.
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...body] = records;
+    const keys = header.map(name => name.trim().toLowerCase());
+
+    return body
+        .map((values, index) => ({ values, row: index + 2 }))
+        .filter(({ values }) => values.some(value => value.trim() !== ''))
+        .map(({ values, row }) => keys.reduce((item, key, column) => {
+            item[key] = (values[column] || '').trim();
+            return item;
+        }, { _row: row }));
+};
+
+const escapeField = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write rows as CSV with the given columns: [{ key, header }]
+const toCsv = (rows, columns) => [
+    columns.map(column => escapeField(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeField(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
@@ -0,0 +1,51 @@
+// Base error for business rule violations that should reach the client
+// as a structured JSON response instead of a generic 500
+class AppError extends Error {
+    constructor(message, status = 400, code = 'APP_ERROR', details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            success: false,
+            message: this.message,
+            error: {
+                code: this.code,
+                ...this.details
+            }
+        };
+    }
+}
+
+// Raised when an order status change is not allowed by the transition table
+// or one of its guards
+class OrderTransitionError extends AppError {
+    constructor(message, { code = 'INVALID_TRANSITION', from, to, allowedTransitions = [], reasons = [] } = {}) {
+        super(message, 409, code, { from, to, allowedTransitions, reasons });
+    }
+}
+
+// Raised when an order needs more stock than is available to reserve
+class InsufficientStockError extends AppError {
+    constructor(product, requested, variant = null) {
+        const available = variant ? variant.availableQuantity : product.availableQuantity;
+        const name = variant ? `${product.name} (${variant.label || variant.sku})` : product.name;
+        super(`Insufficient stock for product ${name}. Available: ${available}`, 400, 'INSUFFICIENT_STOCK', {
+            product: product._id,
+            productCode: product.code,
+            ...(variant ? { variant: variant._id, sku: variant.sku } : {}),
+            requested,
+            available
+        });
+    }
+}
+
+module.exports = {
+    AppError,
+    OrderTransitionError,
+    InsufficientStockError
+};
@@ -0,0 +1,9 @@
+// Indian financial year (April to March) of a date, e.g. "2026-27"
+const getFinancialYear = (date = new Date()) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+    getFinancialYear
+};
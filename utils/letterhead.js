@@ -0,0 +1,17 @@
+// Business identity printed on emails, invoices and other customer documents
+const letterhead = {
+    name: 'Uniform Palace',
+    title: 'UNIFORM PALACE',
+    address: '691, Barkat Nagar, Tonk Phatak, Jaipur, Rajasthan - 302015',
+    state: process.env.BUSINESS_STATE || 'Rajasthan',
+    phone: '+91-9414606273',
+    email: process.env.ADMIN_EMAIL,
+    gstin: process.env.BUSINESS_GSTIN,
+    colors: {
+        primary: '#dc2626',
+        primaryDark: '#b91c1c',
+        footer: '#1f2937'
+    }
+};
+
+module.exports = letterhead;
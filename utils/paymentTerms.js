@@ -0,0 +1,19 @@
+const PAYMENT_TERMS = ['immediate', '7-days', '15-days', '30-days', '45-days', '60-days'];
+
+// Days of credit allowed by a payment terms value: 'immediate' is 0, '30-days' is 30
+const getTermDays = (terms) => parseInt(terms, 10) || 0;
+
+// Due date for an amount billed on `from` under the given terms. Payment is due by
+// the end of that day, so 'immediate' terms only become overdue the next day.
+const getDueDate = (terms, from = new Date()) => {
+    const dueDate = new Date(from);
+    dueDate.setDate(dueDate.getDate() + getTermDays(terms));
+    dueDate.setHours(23, 59, 59, 999);
+    return dueDate;
+};
+
+module.exports = {
+    PAYMENT_TERMS,
+    getTermDays,
+    getDueDate
+};
@@ -0,0 +1,44 @@
+const RateLimit = require('../models/RateLimit');
+
+// Where rate limit counters live. Every store has `hit(key, windowMs)`, resolving to
+// `{ hits, resetAt }` for the window the hit fell in. MongoDB is the default so limits
+// hold across restarts and instances; set RATE_LIMIT_STORE=memory for a single process
+// without a database (e.g. local tools), or plug in another store with `setStore`.
+
+const mongoStore = {
+    async hit(key, windowMs) {
+        const entry = await RateLimit.hit(key, windowMs);
+        return { hits: entry.hits, resetAt: entry.resetAt };
+    }
+};
+
+const createMemoryStore = () => {
+    const windows = new Map();
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt.getTime() <= now) {
+                entry = { hits: 0, resetAt: new Date(now + windowMs) };
+                windows.set(key, entry);
+            }
+            entry.hits += 1;
+            return { hits: entry.hits, resetAt: entry.resetAt };
+        }
+    };
+};
+
+let store = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : mongoStore;
+
+const getStore = () => store;
+
+const setStore = (next) => {
+    store = next;
+};
+
+module.exports = {
+    mongoStore,
+    createMemoryStore,
+    getStore,
+    setStore
+};
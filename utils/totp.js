@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226), as used by
+// authenticator apps. Secrets are shared as RFC 4648 base32 without padding.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+    step: 30,
+    digits: 6,
+    algorithm: 'sha1'
+};
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+// Decode a base32 secret; spaces, dashes, padding and case are ignored as apps display them
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// New random secret (160 bits, the size RFC 4226 recommends), base32 encoded
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// HMAC-based one-time password for a counter value
+const hotp = (key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(code % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step a moment falls in
+const getStep = (time = Date.now(), step = DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+// Code for a moment; `key` is a Buffer or a base32 secret
+const generate = (key, { time = Date.now(), step = DEFAULTS.step, digits, algorithm } = {}) => {
+    const secret = Buffer.isBuffer(key) ? key : base32Decode(key);
+    return hotp(secret, getStep(time, step), { digits, algorithm });
+};
+
+// Check a code against the current step and `window` steps either side, to allow for
+// clock drift. Resolves to the matching step (so callers can refuse a replay), or null.
+const verify = (token, key, { time = Date.now(), step = DEFAULTS.step, window = 1, digits = DEFAULTS.digits, algorithm } = {}) => {
+    const candidate = String(token || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+    const secret = Buffer.isBuffer(key) ? key : base32Decode(key);
+    const current = getStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = hotp(secret, current + offset, { digits, algorithm });
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return current + offset;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps import, usually from a QR code
+const keyUri = ({ secret, account, issuer, digits = DEFAULTS.digits, step = DEFAULTS.step, algorithm = DEFAULTS.algorithm }) => {
+    const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+    const params = new URLSearchParams({
+        secret,
+        ...(issuer ? { issuer } : {}),
+        algorithm: algorithm.toUpperCase(),
+        digits: String(digits),
+        period: String(step)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    getStep,
+    generate,
+    verify,
+    keyUri
+};
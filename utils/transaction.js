@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Run `work(session)` inside a MongoDB transaction, committing on success and
+// aborting on any error. Joins the caller's transaction when a session is given.
+// Transactions need a replica set (MongoDB Atlas, or a local `mongod --replSet`).
+//
+// Write conflicts with a concurrent transaction (TransientTransactionError) and
+// commits of unknown outcome (UnknownTransactionCommitResult) are retried, so
+// `work` may run more than once: it must read what it changes inside the session.
+// Documents saved in an attempt that was rolled back are reset before the retry.
+// Pass loaded documents that `work` changes in memory as `documents`: they are put
+// back as they were before the first attempt, so a retry starts from the same state.
+const withTransaction = async (work, session = null, { documents = [] } = {}) => {
+    if (session) {
+        return work(session);
+    }
+
+    const snapshots = documents.map(doc => doc.toObject({ depopulate: true, transform: false, virtuals: false }));
+    let attempt = 0;
+    let result;
+    await mongoose.connection.transaction(async (ownSession) => {
+        if (attempt++ > 0) {
+            documents.forEach((doc, index) => doc.overwrite(snapshots[index]));
+        }
+        result = await work(ownSession);
+    });
+    return result;
+};
+
+module.exports = {
+    withTransaction
+};